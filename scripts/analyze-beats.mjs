@@ -0,0 +1,97 @@
+/**
+ * Analyses a music file offline and writes its beat grid next to it, as
+ * music/bed.mp3 → music/bed.beats.json, in the shape of `beatGridSchema`
+ * (src/lib/beats.ts). The file is decoded with Remotion's bundled ffmpeg
+ * and tracked by scripts/beat-tracking.mjs. A grid already written for the
+ * same file contents and options is kept, so renders never depend on a
+ * re-analysis.
+ *
+ *   node scripts/analyze-beats.mjs public/music/bed.mp3 [--beats-per-bar=4]
+ *     [--min-bpm=70] [--max-bpm=180] [--force]
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { decodeAudio } from "./decode-audio.mjs";
+import { RATE, trackBeatGrid } from "./beat-tracking.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC = path.join(ROOT, "public");
+
+// Bump when the analysis changes, so cached grids are redone
+const VERSION = 2;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    "beats-per-bar": { type: "string", default: "4" },
+    "min-bpm": { type: "string", default: "70" },
+    "max-bpm": { type: "string", default: "180" },
+    force: { type: "boolean", default: false },
+  },
+});
+if (positionals.length !== 1) {
+  console.error(
+    "Usage: node scripts/analyze-beats.mjs <audio file> [--beats-per-bar=4] [--min-bpm=70] [--max-bpm=180] [--force]",
+  );
+  process.exit(1);
+}
+
+const input = [
+  path.resolve(positionals[0]),
+  path.join(PUBLIC, positionals[0]),
+].find((file) => fs.existsSync(file));
+if (!input) {
+  throw new Error(`No audio file at ${positionals[0]} (or in public/)`);
+}
+const beatsPerBar = Number(values["beats-per-bar"]);
+const analysis = {
+  version: VERSION,
+  minBpm: Number(values["min-bpm"]),
+  maxBpm: Number(values["max-bpm"]),
+};
+const output = input.slice(0, -path.extname(input).length) + ".beats.json";
+const sha1 = crypto
+  .createHash("sha1")
+  .update(fs.readFileSync(input))
+  .digest("hex");
+
+if (!values.force && fs.existsSync(output)) {
+  const cached = JSON.parse(fs.readFileSync(output, "utf8"));
+  if (
+    cached.sha1 === sha1 &&
+    cached.beatsPerBar === beatsPerBar &&
+    JSON.stringify(cached.analysis) === JSON.stringify(analysis)
+  ) {
+    console.log(`${path.relative(ROOT, output)} is up to date`);
+    process.exit(0);
+  }
+}
+
+const samples = decodeAudio(input, RATE);
+const { beats, bpm, downbeat } = trackBeatGrid(samples, {
+  beatsPerBar,
+  minBpm: analysis.minBpm,
+  maxBpm: analysis.maxBpm,
+});
+
+const grid = {
+  source: path.relative(
+    input.startsWith(PUBLIC + path.sep) ? PUBLIC : ROOT,
+    input,
+  ),
+  sha1,
+  analysis,
+  duration: Math.round((samples.length / RATE) * 1000) / 1000,
+  bpm,
+  beatsPerBar,
+  downbeat,
+  beats,
+};
+fs.writeFileSync(output, JSON.stringify(grid, null, 2) + "\n");
+console.log(
+  `Wrote ${path.relative(ROOT, output)}: ${beats.length} beats at ${grid.bpm} bpm`,
+);
@@ -0,0 +1,248 @@
+/**
+ * Beat tracking for scripts/analyze-beats.mjs. A signal's onsets (spectral
+ * flux) give the tempo (autocorrelation) and the beats (dynamic-programming
+ * beat tracking), and the beat that starts bars is the one with the
+ * heaviest low end.
+ */
+
+export const RATE = 22050;
+const WINDOW = 1024;
+const HOP = 256;
+// Onset frames per second
+const FRAME_RATE = RATE / HOP;
+// Bins below this carry the kick that marks a bar
+const LOW_HZ = 200;
+
+// ─── Onset strength ───
+
+// In-place radix-2 FFT
+const fft = (re, im) => {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * cos - im[b] * sin;
+        const ti = re[b] * sin + im[b] * cos;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+};
+
+/**
+ * Spectral flux per hop, over all bins and over the low bins alone, each
+ * with its running mean taken off so only sudden rises remain.
+ */
+const onsetStrength = (samples) => {
+  const frames = Math.max(0, Math.floor((samples.length - WINDOW) / HOP) + 1);
+  const bins = WINDOW / 2;
+  const lowBins = Math.ceil((LOW_HZ * WINDOW) / RATE);
+  const hann = Float32Array.from(
+    { length: WINDOW },
+    (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / WINDOW),
+  );
+  const full = new Float32Array(frames);
+  const low = new Float32Array(frames);
+  let previous = new Float32Array(bins);
+  for (let f = 0; f < frames; f++) {
+    const re = new Float32Array(WINDOW);
+    const im = new Float32Array(WINDOW);
+    for (let i = 0; i < WINDOW; i++) {
+      re[i] = samples[f * HOP + i] * hann[i];
+    }
+    fft(re, im);
+    const current = new Float32Array(bins);
+    for (let k = 0; k < bins; k++) {
+      current[k] = Math.log1p(100 * Math.hypot(re[k], im[k]));
+      const rise = f > 0 ? Math.max(0, current[k] - previous[k]) : 0;
+      full[f] += rise;
+      if (k < lowBins) {
+        low[f] += rise;
+      }
+    }
+    previous = current;
+  }
+  return { full: detrend(full), low: detrend(low) };
+};
+
+// Minus a half-second running mean, negatives dropped, scaled to unit spread
+const detrend = (envelope) => {
+  const half = Math.round(FRAME_RATE / 4);
+  const out = new Float32Array(envelope.length);
+  let sum = 0;
+  let squares = 0;
+  for (let i = 0; i < envelope.length; i++) {
+    let mean = 0;
+    const from = Math.max(0, i - half);
+    const to = Math.min(envelope.length, i + half + 1);
+    for (let j = from; j < to; j++) {
+      mean += envelope[j];
+    }
+    out[i] = Math.max(0, envelope[i] - mean / (to - from));
+    sum += out[i];
+    squares += out[i] * out[i];
+  }
+  const spread = Math.sqrt(squares / out.length - (sum / out.length) ** 2) || 1;
+  return out.map((v) => v / spread);
+};
+
+// ─── Tempo: autocorrelation, weighted towards 120 bpm ───
+
+const estimatePeriod = (envelope, { minBpm, maxBpm }) => {
+  const minLag = Math.floor((60 * FRAME_RATE) / maxBpm);
+  const maxLag = Math.ceil((60 * FRAME_RATE) / minBpm);
+  const score = (lag) => {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) {
+      sum += envelope[i] * envelope[i - lag];
+    }
+    const bpm = (60 * FRAME_RATE) / lag;
+    return (
+      (sum / (envelope.length - lag)) *
+      Math.exp(-0.5 * Math.log2(bpm / 120) ** 2)
+    );
+  };
+  let best = minLag;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (score(lag) > score(best)) {
+      best = lag;
+    }
+  }
+  // Parabolic fit through the neighbours for a fractional period
+  const [a, b, c] = [score(best - 1), score(best), score(best + 1)];
+  const shift = a - 2 * b + c === 0 ? 0 : (0.5 * (a - c)) / (a - 2 * b + c);
+  return best + Math.max(-0.5, Math.min(0.5, shift));
+};
+
+// ─── Beats: dynamic programming (Ellis 2007) ───
+
+const TIGHTNESS = 100;
+
+const trackBeats = (envelope, period) => {
+  // Onsets smeared by a little under a period, so a beat can sit between
+  const width = Math.round(period);
+  const local = envelope.map((_, i) => {
+    let sum = 0;
+    for (let d = -width; d <= width; d++) {
+      const j = i + d;
+      if (j >= 0 && j < envelope.length) {
+        sum += envelope[j] * Math.exp(-0.5 * ((d * 32) / period) ** 2);
+      }
+    }
+    return sum;
+  });
+  const score = new Float32Array(envelope.length);
+  const back = new Int32Array(envelope.length).fill(-1);
+  for (let i = 0; i < envelope.length; i++) {
+    let best = 0;
+    const from = Math.max(0, i - Math.round(2 * period));
+    const to = i - Math.round(period / 2);
+    for (let j = from; j <= to; j++) {
+      const value = score[j] - TIGHTNESS * Math.log((i - j) / period) ** 2;
+      if (value > best) {
+        best = value;
+        back[i] = j;
+      }
+    }
+    score[i] = local[i] + best;
+  }
+  // Best chain ending in the last period, walked back
+  let last = envelope.length - 1;
+  for (
+    let i = Math.max(0, envelope.length - Math.round(period));
+    i < envelope.length;
+    i++
+  ) {
+    if (score[i] > score[last]) {
+      last = i;
+    }
+  }
+  const beats = [];
+  for (let i = last; i >= 0; i = back[i]) {
+    beats.unshift(i);
+  }
+  // Drop weak beats at either end (silence before or after the music)
+  const strength = Math.sqrt(
+    beats.reduce((sum, i) => sum + local[i] ** 2, 0) / beats.length,
+  );
+  while (beats.length > 1 && local[beats[0]] < strength / 2) {
+    beats.shift();
+  }
+  while (beats.length > 1 && local[beats[beats.length - 1]] < strength / 2) {
+    beats.pop();
+  }
+  return beats;
+};
+
+// Onset frames either side of a beat its kick may land on: the beat tracker
+// places beats on the full-band onsets, which can lead or lag the low end
+const DOWNBEAT_REACH = 2;
+
+// Which of the first `beatsPerBar` beats starts bars
+const findDownbeat = (beats, low, beatsPerBar) => {
+  const weight = Array.from({ length: beatsPerBar }, () => 0);
+  beats.forEach((frame, i) => {
+    let kick = 0;
+    for (let d = -DOWNBEAT_REACH; d <= DOWNBEAT_REACH; d++) {
+      kick = Math.max(kick, low[frame + d] ?? 0);
+    }
+    weight[i % beatsPerBar] += kick;
+  });
+  return weight.indexOf(Math.max(...weight));
+};
+
+/**
+ * Beat grid of mono `samples` at `RATE` Hz: beat times in seconds, the
+ * tempo, and the index of the first beat that starts a bar.
+ */
+export const trackBeatGrid = (samples, { beatsPerBar, minBpm, maxBpm }) => {
+  const { full, low } = onsetStrength(samples);
+  const period = estimatePeriod(full, { minBpm, maxBpm });
+  const frames = trackBeats(full, period);
+  // A frame's flux peaks about a hop before the attack reaches the centre of
+  // its window (measured on click tracks)
+  const toSeconds = (frame) =>
+    Math.round((((frame + 1) * HOP + WINDOW / 2) / RATE) * 1000) / 1000;
+  const beats = frames.map(toSeconds);
+  // Seconds per beat: the least-squares slope through the beats, finer than
+  // the hop the beats are quantised to
+  const slope = (() => {
+    const n = beats.length;
+    if (n < 2) {
+      return period / FRAME_RATE;
+    }
+    const meanIndex = (n - 1) / 2;
+    const meanTime = beats.reduce((sum, t) => sum + t, 0) / n;
+    let covariance = 0;
+    let variance = 0;
+    beats.forEach((t, i) => {
+      covariance += (i - meanIndex) * (t - meanTime);
+      variance += (i - meanIndex) ** 2;
+    });
+    return covariance / variance;
+  })();
+  return {
+    bpm: Math.round((60 / slope) * 100) / 100,
+    downbeat: findDownbeat(frames, low, beatsPerBar),
+    beats,
+  };
+};
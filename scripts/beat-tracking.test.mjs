@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { RATE, trackBeatGrid } from "./beat-tracking.mjs";
+
+// A sine burst added into `samples` at `at` seconds, faded in over 5ms so
+// only its own band rises
+const addTone = (samples, at, hz, seconds) => {
+  const start = Math.round(at * RATE);
+  const length = Math.round(seconds * RATE);
+  for (let i = 0; i < length && start + i < samples.length; i++) {
+    const t = i / RATE;
+    samples[start + i] +=
+      0.5 *
+      Math.min(1, t / 0.005) *
+      Math.sin(2 * Math.PI * hz * t) *
+      Math.exp((-5 * t) / seconds);
+  }
+};
+
+// 12s of 120 bpm clicks, with a kick `offset` seconds from the click on
+// beat `accent` of each bar of 4
+const clickTrack = (accent, offset = 0) => {
+  const samples = new Float32Array(12 * RATE);
+  for (let beat = 0; beat < 23; beat++) {
+    const at = 0.25 + beat * 0.5;
+    addTone(samples, at, 2000, 0.03);
+    if (beat % 4 === accent) {
+      addTone(samples, at + offset, 60, 0.15);
+    }
+  }
+  return samples;
+};
+
+// Beat of the bar the grid's downbeat falls on
+const downbeatOf = ({ beats, downbeat }) =>
+  (Math.round((beats[0] - 0.25) / 0.5) + downbeat) % 4;
+
+const options = { beatsPerBar: 4, minBpm: 70, maxBpm: 180 };
+
+describe("trackBeatGrid", () => {
+  it("finds the tempo and beats of a click track", () => {
+    const { bpm, beats } = trackBeatGrid(clickTrack(0), options);
+    expect(bpm).toBeCloseTo(120, 0);
+    expect(beats[0]).toBeCloseTo(0.25, 1);
+    expect(beats[1] - beats[0]).toBeCloseTo(0.5, 1);
+  });
+
+  it.each([0, 1, 2, 3])("starts bars on the kick on beat %i", (accent) => {
+    expect(downbeatOf(trackBeatGrid(clickTrack(accent), options))).toBe(accent);
+  });
+
+  it.each([
+    ["late", 0.03],
+    ["early", -0.02],
+  ])("finds a kick that lands a little %s", (_, offset) => {
+    for (const accent of [0, 1, 2, 3]) {
+      const grid = trackBeatGrid(clickTrack(accent, offset), options);
+      expect(downbeatOf(grid)).toBe(accent);
+    }
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Writes the JS distribution to dist/jsx: every registered effect and the
+ * modules it imports, with the TypeScript stripped, and a header on each
+ * effect built from its registry entry and design spec. Everything comes
+ * from src/, so the distribution can't drift from what Root.tsx renders.
+ *
+ *   npm run build:jsx
+ */
+
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+import ts from "typescript";
+import prettier from "prettier";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const SRC = path.join(ROOT, "src");
+const OUT = path.join(ROOT, "dist", "jsx");
+// Rate the header durations are counted at
+const FPS = 30;
+
+const require = createRequire(import.meta.url);
+
+// Load the registry straight from the TypeScript sources
+for (const ext of [".ts", ".tsx"]) {
+  require.extensions[ext] = (module, filename) => {
+    const { outputText } = ts.transpileModule(
+      fs.readFileSync(filename, "utf8"),
+      {
+        fileName: filename,
+        compilerOptions: {
+          module: ts.ModuleKind.CommonJS,
+          jsx: ts.JsxEmit.ReactJSX,
+          target: ts.ScriptTarget.ES2018,
+          esModuleInterop: true,
+        },
+      },
+    );
+    module._compile(outputText, filename);
+  };
+}
+require.extensions[".css"] = () => {};
+
+const { EFFECTS } = require(path.join(SRC, "registry.ts"));
+const { FORMATS } = require(path.join(SRC, "lib", "formats.tsx"));
+
+// The module that exports each effect's metadata is the effect's source
+const sourceOf = new Map();
+for (const file of fs.readdirSync(SRC)) {
+  // Root.tsx only registers the compositions
+  if (!file.endsWith(".tsx") || file === "Root.tsx") {
+    continue;
+  }
+  const exports = Object.values(require(path.join(SRC, file)));
+  for (const [id, effect] of Object.entries(EFFECTS)) {
+    if (exports.includes(effect.meta)) {
+      sourceOf.set(id, path.join(SRC, file));
+    }
+  }
+}
+for (const id of Object.keys(EFFECTS)) {
+  if (!sourceOf.has(id)) {
+    throw new Error(`No module in src/ exports the metadata of "${id}"`);
+  }
+}
+
+const resolveImport = (from, specifier) => {
+  const base = path.resolve(path.dirname(from), specifier);
+  return [".ts", ".tsx", "/index.ts", "/index.tsx"]
+    .map((ext) => base + ext)
+    .find((file) => fs.existsSync(file));
+};
+
+// The registry, the effects and everything they import from src/
+const modules = new Set();
+const visit = (file) => {
+  if (modules.has(file)) {
+    return;
+  }
+  modules.add(file);
+  const { importedFiles } = ts.preProcessFile(
+    fs.readFileSync(file, "utf8"),
+    true,
+    false,
+  );
+  for (const { fileName } of importedFiles) {
+    if (fileName.startsWith(".")) {
+      const resolved = resolveImport(file, fileName);
+      if (resolved) {
+        visit(resolved);
+      }
+    }
+  }
+};
+visit(path.join(SRC, "registry.ts"));
+
+const sameAspect = (a, b) => a.width * b.height === a.height * b.width;
+
+const header = async (id, effect, file) => {
+  const { title, resolution, spec } = effect.meta;
+  let duration;
+  try {
+    const frames = await effect.getFrames(effect.defaultProps, FPS);
+    const seconds = Math.round((frames / FPS) * 100) / 100;
+    duration = `${frames} frames (${seconds}s @ ${FPS}fps)`;
+  } catch {
+    duration = "follows its content";
+  }
+  const others = FORMATS.filter((format) => !sameAspect(format, resolution))
+    .map((format) => `${format.width}x${format.height}`)
+    .join(", ");
+  const prompt = fs
+    .readFileSync(path.join(SRC, spec), "utf8")
+    .trimEnd()
+    .split("\n")
+    .map((line) => (line ? ` * ${line}` : " *"));
+  return [
+    "/**",
+    " * ============================================================",
+    ` * EFFECT: ${title}`,
+    ` * FILE: ${path.relative(SRC, file)}`,
+    ` * COMPOSITION ID: ${id}`,
+    ` * DURATION: ${duration}`,
+    ` * RESOLUTION: ${resolution.width}x${resolution.height} (also ${others})`,
+    " * ============================================================",
+    " *",
+    ` * Generated by \`npm run build:jsx\` from src/${path.relative(SRC, file)}`,
+    ` * and src/${spec}; edit those instead.`,
+    " *",
+    " * PROMPT:",
+    " *",
+    ...prompt,
+    " *",
+    " * ============================================================",
+    " */",
+    "",
+  ].join("\n");
+};
+
+const idOf = new Map([...sourceOf].map(([id, file]) => [file, id]));
+
+// The compiler drops blank lines; keep the ones between top-level statements
+const BLANK = "//__blank__";
+const markBlanks = (source) => source.replace(/\n\n(?=\S)/g, `\n${BLANK}\n`);
+const restoreBlanks = (code) => code.split(`${BLANK}\n`).join("\n");
+
+fs.rmSync(OUT, { recursive: true, force: true });
+for (const file of modules) {
+  const source = markBlanks(fs.readFileSync(file, "utf8"));
+  const { outputText } = ts.transpileModule(source, {
+    fileName: file,
+    compilerOptions: {
+      module: ts.ModuleKind.ESNext,
+      jsx: ts.JsxEmit.Preserve,
+      target: ts.ScriptTarget.ES2020,
+    },
+  });
+  const code = await prettier.format(restoreBlanks(outputText), {
+    parser: "babel",
+  });
+  const id = idOf.get(file);
+  const text = id ? (await header(id, EFFECTS[id], file)) + code : code;
+  const out = path
+    .join(OUT, path.relative(SRC, file))
+    .replace(/\.tsx$/, ".jsx")
+    .replace(/\.ts$/, ".js");
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, text);
+}
+
+console.log(
+  `Wrote ${modules.size} modules (${sourceOf.size} effects) to ${path.relative(ROOT, OUT)}`,
+);
@@ -0,0 +1,46 @@
+/**
+ * Decodes an audio (or video) file to mono samples with Remotion's bundled
+ * ffmpeg, for the offline analysis scripts.
+ */
+
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/** `file` as mono samples (-1 to 1) at `rate` Hz. */
+export const decodeAudio = (file, rate) => {
+  const { status, stdout, stderr } = spawnSync(
+    "npx",
+    [
+      "remotion",
+      "ffmpeg",
+      "-hide_banner",
+      "-loglevel",
+      "error",
+      "-i",
+      file,
+      "-ac",
+      "1",
+      "-ar",
+      String(rate),
+      "-c:a",
+      "pcm_s16le",
+      "-f",
+      "wav",
+      "-",
+    ],
+    { cwd: ROOT, maxBuffer: 1 << 30 },
+  );
+  if (status !== 0) {
+    throw new Error(`Could not decode ${file}: ${stderr.toString()}`);
+  }
+  // Streamed WAVs leave the chunk sizes unset, so read to the end
+  const data = stdout.indexOf("data", 12) + 8;
+  const samples = new Float32Array((stdout.length - data) >> 1);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = stdout.readInt16LE(data + i * 2) / 32768;
+  }
+  return samples;
+};
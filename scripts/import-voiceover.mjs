@@ -0,0 +1,109 @@
+/**
+ * Turns a voiceover's word-level transcript into the `voiceover` prop
+ * (src/lib/voiceover.tsx) and writes it next to the recording, as
+ * vo/take.mp3 → vo/take.voiceover.json. The transcript is Whisper-style
+ * JSON: `{word, start, end}` per word (`text` for `word` works too), as a
+ * list, under `words`, or under each of `segments`. The recording gives the
+ * duration and each word's loudness, in dB against the take's median word.
+ *
+ *   node scripts/import-voiceover.mjs public/vo/take.json public/vo/take.mp3
+ *     [--lead=0]
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { decodeAudio } from "./decode-audio.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const PUBLIC = path.join(ROOT, "public");
+
+const RATE = 16000;
+// Quietest a word is measured at, dB against the median
+const FLOOR_DB = -60;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    lead: { type: "string", default: "0" },
+  },
+});
+if (positionals.length !== 2) {
+  console.error(
+    "Usage: node scripts/import-voiceover.mjs <transcript.json> <audio file> [--lead=0]",
+  );
+  process.exit(1);
+}
+
+const find = (file) =>
+  [path.resolve(file), path.join(PUBLIC, file)].find((f) => fs.existsSync(f));
+const [transcriptFile, input] = positionals.map(find);
+if (!transcriptFile || !input) {
+  const missing = transcriptFile ? positionals[1] : positionals[0];
+  throw new Error(`No file at ${missing} (or in public/)`);
+}
+
+// Every timed word, whichever of the Whisper layouts the JSON has
+const readWords = (json) => {
+  const list = Array.isArray(json)
+    ? json
+    : (json.words ?? (json.segments ?? []).flatMap((s) => s.words ?? []));
+  return list
+    .map((w) => ({
+      word: String(w.word ?? w.text ?? "").trim(),
+      start: w.start,
+      end: w.end,
+    }))
+    .filter(
+      (w) =>
+        w.word !== "" &&
+        typeof w.start === "number" &&
+        typeof w.end === "number",
+    )
+    .map((w) => ({ ...w, end: Math.max(w.start, w.end) }));
+};
+
+const words = readWords(JSON.parse(fs.readFileSync(transcriptFile, "utf8")));
+if (words.length === 0) {
+  throw new Error(`${positionals[0]} has no timed words`);
+}
+
+const samples = decodeAudio(input, RATE);
+const rms = words.map(({ start, end }) => {
+  const from = Math.floor(start * RATE);
+  const to = Math.min(
+    samples.length,
+    Math.max(from + 1, Math.ceil(end * RATE)),
+  );
+  let squares = 0;
+  for (let i = from; i < to; i++) {
+    squares += samples[i] * samples[i];
+  }
+  return to > from ? Math.sqrt(squares / (to - from)) : 0;
+});
+const median = [...rms].sort((a, b) => a - b)[rms.length >> 1] || 1;
+const round = (value, places) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+const voiceover = {
+  // Only files in public/ can be played by name
+  ...(input.startsWith(PUBLIC + path.sep)
+    ? { src: path.relative(PUBLIC, input).split(path.sep).join("/") }
+    : {}),
+  duration: round(samples.length / RATE, 3),
+  lead: Number(values.lead),
+  words: words.map((w, i) => ({
+    ...w,
+    loudness: round(
+      Math.max(FLOOR_DB, 20 * Math.log10(rms[i] / median || 1e-9)),
+      1,
+    ),
+  })),
+};
+
+const output = input.slice(0, -path.extname(input).length) + ".voiceover.json";
+fs.writeFileSync(output, JSON.stringify(voiceover, null, 2) + "\n");
+console.log(
+  `Wrote ${path.relative(ROOT, output)}: ${words.length} words over ${voiceover.duration}s`,
+);
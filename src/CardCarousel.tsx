@@ -3,23 +3,63 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
-import React from "react";
+import React, { useMemo } from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { TEAL_GRADIENT, tealGradientSchema } from "./HeyEveryone";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import {
+  getTypewriterCues,
+  Typewriter,
+  TypeSpan,
+  typeSpanSchema,
+} from "./lib/typewriter";
+import {
+  SILENT_SOUNDTRACK,
+  SoundCue,
+  Soundtrack,
+  soundtrackSchema,
+} from "./lib/audio";
+
+const FONT = fontFamily("Google Sans");
 
 /**
  * Card carousel with typing animation on first card,
  * then vertical scroll through designer cards.
  */
 
-const TYPED_TEXT_PARTS = [
+export const cardCarouselSchema = z.object({
+  // Headline typed on the first card, one color per span
+  headline: z.array(typeSpanSchema).min(1),
+  // Seconds per typed character
+  typeSpeed: z.number().positive(),
+  accentColor: zColor(),
+  backgroundGradient: tealGradientSchema,
+  scrollStart: z.number().min(0),
+  scrollEnd: z.number().positive(),
+  // Card index the carousel settles on
+  stopAtCard: z.number().int().min(0).max(9),
+  soundtrack: soundtrackSchema,
+});
+
+export type CardCarouselProps = z.infer<typeof cardCarouselSchema>;
+
+const TYPED_TEXT_PARTS: TypeSpan[] = [
   { text: "Corporate ", color: "#1a1a2e" },
   { text: "gifting ", color: "#6c5ce7" },
-  { text: "🎁", color: "", isEmoji: true },
+  { text: "🎁" },
   { text: " is broken", color: "#6c5ce7" },
 ];
-const FULL_TEXT = TYPED_TEXT_PARTS.map((p) => p.text).join("");
 const TYPE_SPEED = 0.04;
+const END_HOLD = 2.5; // settled card stays on screen after the scroll
 
 // Orbiting items for card 2
 const ORBIT_ITEMS = [
@@ -35,7 +75,10 @@ const ORBIT_ITEMS = [
   { emoji: "💎", bg: "#e8e0f0", size: 68 },
 ];
 
-const CARD_WIDTH = 900;
+// Cards fill the wrapper the carousel sizes them into: full width in
+// landscape, narrower with side margins in square and portrait formats
+const CARD_MAX_WIDTH = 900;
+const CARD_MARGIN = 40;
 const CARD_HEIGHT = 460;
 const CARD_GAP = 24;
 const CARD_RADIUS = 28;
@@ -54,12 +97,23 @@ const CARDS = [
   { id: "rewards" },
 ];
 
-const TypingCard: React.FC<{ t: number }> = ({ t }) => {
-  const charsVisible = Math.floor(Math.max(0, t / TYPE_SPEED));
-  const visibleText = FULL_TEXT.slice(0, Math.min(charsVisible, FULL_TEXT.length));
-  const typingDone = charsVisible >= FULL_TEXT.length;
-  const cursorVisible = !typingDone || Math.floor(t * 3) % 2 === 0;
+export const cardCarouselDefaultProps: CardCarouselProps = {
+  headline: TYPED_TEXT_PARTS,
+  typeSpeed: TYPE_SPEED,
+  accentColor: "#6c5ce7",
+  backgroundGradient: TEAL_GRADIENT,
+  scrollStart: 1.5,
+  scrollEnd: 4.5,
+  stopAtCard: 7,
+  soundtrack: SILENT_SOUNDTRACK,
+};
 
+const TypingCard: React.FC<{
+  t: number;
+  parts: TypeSpan[];
+  typeSpeed: number;
+  accentColor: string;
+}> = ({ t, parts, typeSpeed, accentColor }) => {
   // Stamp pops in after "gifting" is typed
   const stampStart = 0.8;
   const stampScale = interpolate(t, [stampStart, stampStart + 0.2], [0, 1], {
@@ -78,33 +132,10 @@ const TypingCard: React.FC<{ t: number }> = ({ t }) => {
     easing: Easing.out(Easing.cubic),
   });
 
-  // Render text with colors
-  let rendered: React.ReactNode[] = [];
-  let charCount = 0;
-  for (const part of TYPED_TEXT_PARTS) {
-    const partStart = charCount;
-    const partEnd = charCount + part.text.length;
-    charCount = partEnd;
-    if (partStart >= visibleText.length) break;
-    const visiblePart = part.text.slice(
-      0,
-      Math.max(0, visibleText.length - partStart),
-    );
-    if (visiblePart.length === 0) continue;
-    rendered.push(
-      <span
-        key={partStart}
-        style={{ color: part.color || "#1a1a2e", fontSize: part.isEmoji ? 28 : 28 }}
-      >
-        {visiblePart}
-      </span>,
-    );
-  }
-
   return (
     <div
       style={{
-        width: CARD_WIDTH,
+        width: "100%",
         height: CARD_HEIGHT,
         borderRadius: CARD_RADIUS,
         backgroundColor: "#ffffff",
@@ -132,27 +163,19 @@ const TypingCard: React.FC<{ t: number }> = ({ t }) => {
         }}
       />
       <div style={{ display: "flex", alignItems: "center", gap: 12, position: "relative", zIndex: 1 }}>
-        <span
+        <Typewriter
+          content={parts}
+          t={t}
+          speed={typeSpeed}
+          caret={{ color: accentColor, height: 24, blinkPeriod: 2 / 3 }}
           style={{
-            fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+            fontFamily: FONT,
+            fontSize: 28,
             fontWeight: 600,
+            color: "#1a1a2e",
             whiteSpace: "nowrap",
           }}
-        >
-          {rendered}
-          {cursorVisible && (
-            <span
-              style={{
-                display: "inline-block",
-                width: 2,
-                height: 24,
-                backgroundColor: "#6c5ce7",
-                marginLeft: 2,
-                verticalAlign: "middle",
-              }}
-            />
-          )}
-        </span>
+        />
         {/* Stamp element */}
         {t >= stampStart && (
           <div
@@ -190,7 +213,7 @@ const CuratedCard: React.FC<{ t: number }> = ({ t }) => {
   return (
     <div
       style={{
-        width: CARD_WIDTH,
+        width: "100%",
         height: CARD_HEIGHT,
         borderRadius: CARD_RADIUS,
         backgroundColor: "#fafafa",
@@ -256,7 +279,7 @@ const CuratedCard: React.FC<{ t: number }> = ({ t }) => {
       <div style={{ position: "relative", zIndex: 20, textAlign: "center" }}>
         <div
           style={{
-            fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+            fontFamily: FONT,
             fontSize: 72,
             fontWeight: 800,
             background: "linear-gradient(135deg, #2d1b69, #6c5ce7, #a78bfa)",
@@ -270,7 +293,7 @@ const CuratedCard: React.FC<{ t: number }> = ({ t }) => {
         </div>
         <div
           style={{
-            fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+            fontFamily: FONT,
             fontSize: 18,
             fontWeight: 700,
             color: "#2d1b69",
@@ -290,7 +313,7 @@ const GlobeCard: React.FC<{ t: number }> = ({ t }) => {
   return (
     <div
       style={{
-        width: CARD_WIDTH,
+        width: "100%",
         height: CARD_HEIGHT,
         borderRadius: CARD_RADIUS,
         backgroundColor: "#0a0a1a",
@@ -355,7 +378,7 @@ const GlobeCard: React.FC<{ t: number }> = ({ t }) => {
         style={{
           position: "relative",
           zIndex: 10,
-          fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+          fontFamily: FONT,
           fontSize: 28,
           fontWeight: 600,
           color: "#ffffff",
@@ -372,7 +395,7 @@ const GlobeCard: React.FC<{ t: number }> = ({ t }) => {
 const BrandsCard: React.FC = () => (
   <div
     style={{
-      width: CARD_WIDTH,
+      width: "100%",
       height: CARD_HEIGHT,
       borderRadius: CARD_RADIUS,
       backgroundColor: "#f5f0ff",
@@ -387,7 +410,7 @@ const BrandsCard: React.FC = () => (
   >
     <div
       style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+        fontFamily: FONT,
         fontSize: 48,
         fontWeight: 800,
         background: "linear-gradient(135deg, #2d1b69, #6c5ce7)",
@@ -400,7 +423,7 @@ const BrandsCard: React.FC = () => (
     </div>
     <div
       style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+        fontFamily: FONT,
         fontSize: 20,
         color: "#5f5f7a",
         fontWeight: 400,
@@ -414,7 +437,7 @@ const BrandsCard: React.FC = () => (
 const DeliveryCard: React.FC = () => (
   <div
     style={{
-      width: CARD_WIDTH,
+      width: "100%",
       height: CARD_HEIGHT,
       borderRadius: CARD_RADIUS,
       backgroundColor: "#ffffff",
@@ -430,7 +453,7 @@ const DeliveryCard: React.FC = () => (
     <span style={{ fontSize: 64 }}>📦</span>
     <div
       style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+        fontFamily: FONT,
         fontSize: 36,
         fontWeight: 700,
         color: "#1a1a2e",
@@ -440,7 +463,7 @@ const DeliveryCard: React.FC = () => (
     </div>
     <div
       style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+        fontFamily: FONT,
         fontSize: 18,
         color: "#6c5ce7",
         fontWeight: 500,
@@ -454,7 +477,7 @@ const DeliveryCard: React.FC = () => (
 const AnalyticsCard: React.FC = () => (
   <div
     style={{
-      width: CARD_WIDTH,
+      width: "100%",
       height: CARD_HEIGHT,
       borderRadius: CARD_RADIUS,
       backgroundColor: "#1a1a2e",
@@ -470,7 +493,7 @@ const AnalyticsCard: React.FC = () => (
     <span style={{ fontSize: 48 }}>📊</span>
     <div
       style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+        fontFamily: FONT,
         fontSize: 36,
         fontWeight: 700,
         color: "#ffffff",
@@ -480,7 +503,7 @@ const AnalyticsCard: React.FC = () => (
     </div>
     <div
       style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+        fontFamily: FONT,
         fontSize: 18,
         color: "#a78bfa",
         fontWeight: 400,
@@ -491,15 +514,17 @@ const AnalyticsCard: React.FC = () => (
   </div>
 );
 
+const WRITING_TEXT: TypeSpan[] = [
+  { text: "Writing " },
+  { text: "Script for ", color: "#6c9ce7" },
+  { text: "product launch video" },
+];
+
 const WritingCard: React.FC<{ t: number }> = ({ t }) => {
-  const text = "Writing Script for product launch video";
-  const chars = Math.floor(Math.max(0, t / 0.05));
-  const visible = text.slice(0, Math.min(chars, text.length));
-  const cursorOn = Math.floor(t * 3) % 2 === 0;
   return (
     <div
       style={{
-        width: CARD_WIDTH,
+        width: "100%",
         height: CARD_HEIGHT,
         borderRadius: CARD_RADIUS,
         background: "linear-gradient(135deg, #0a0a1a 0%, #1a2a3a 50%, #0a1520 100%)",
@@ -510,23 +535,23 @@ const WritingCard: React.FC<{ t: number }> = ({ t }) => {
         border: "1px solid rgba(255,255,255,0.08)",
       }}
     >
-      <span
+      <Typewriter
+        content={WRITING_TEXT}
+        t={t}
+        speed={0.05}
+        caret={{
+          color: "#6c9ce7",
+          height: 24,
+          blinkPeriod: 2 / 3,
+          blinkWhileTyping: true,
+        }}
         style={{
-          fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+          fontFamily: FONT,
           fontSize: 28,
           fontWeight: 400,
           color: "#9aa0a6",
         }}
-      >
-        {visible.split(" ").map((w, i) => (
-          <span key={i} style={{ color: i > 0 && i < 3 ? "#6c9ce7" : "#9aa0a6" }}>
-            {w}{" "}
-          </span>
-        ))}
-        {cursorOn && (
-          <span style={{ display: "inline-block", width: 2, height: 24, backgroundColor: "#6c9ce7", verticalAlign: "middle" }} />
-        )}
-      </span>
+      />
     </div>
   );
 };
@@ -534,7 +559,7 @@ const WritingCard: React.FC<{ t: number }> = ({ t }) => {
 const UgcCard: React.FC = () => (
   <div
     style={{
-      width: CARD_WIDTH,
+      width: "100%",
       height: CARD_HEIGHT,
       borderRadius: CARD_RADIUS,
       backgroundColor: "#f8f8f8",
@@ -551,7 +576,7 @@ const UgcCard: React.FC = () => (
       <span style={{ fontSize: 28 }}>🎬</span>
       <span
         style={{
-          fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+          fontFamily: FONT,
           fontSize: 36,
           fontWeight: 700,
           color: "#1a1a2e",
@@ -562,17 +587,17 @@ const UgcCard: React.FC = () => (
     </div>
     <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
       <span style={{ fontSize: 18, color: "#22c55e" }}>✓</span>
-      <span style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 16, color: "#5f5f7a" }}>
+      <span style={{ fontFamily: FONT, fontSize: 16, color: "#5f5f7a" }}>
         1 of 10
       </span>
       <div style={{ flex: 1, height: 6, backgroundColor: "#e5e5e5", borderRadius: 3, marginLeft: 8 }}>
         <div style={{ width: "10%", height: "100%", backgroundColor: "#22c55e", borderRadius: 3 }} />
       </div>
-      <span style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 14, color: "#9aa0a6" }}>03%</span>
+      <span style={{ fontFamily: FONT, fontSize: 14, color: "#9aa0a6" }}>03%</span>
     </div>
     <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 4 }}>
       <span style={{ color: "#22c55e", fontSize: 16 }}>✓</span>
-      <span style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 16, color: "#5f5f7a" }}>Find Creators</span>
+      <span style={{ fontFamily: FONT, fontSize: 16, color: "#5f5f7a" }}>Find Creators</span>
     </div>
   </div>
 );
@@ -580,7 +605,7 @@ const UgcCard: React.FC = () => (
 const SocialCard: React.FC = () => (
   <div
     style={{
-      width: CARD_WIDTH,
+      width: "100%",
       height: CARD_HEIGHT,
       borderRadius: CARD_RADIUS,
       background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
@@ -597,7 +622,7 @@ const SocialCard: React.FC = () => (
     </div>
     <div
       style={{
-        fontFamily: "'Google Sans', sans-serif",
+        fontFamily: FONT,
         fontSize: 42,
         fontWeight: 800,
         color: "#ffffff",
@@ -605,7 +630,7 @@ const SocialCard: React.FC = () => (
     >
       Social Media Suite
     </div>
-    <div style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 18, color: "rgba(255,255,255,0.8)" }}>
+    <div style={{ fontFamily: FONT, fontSize: 18, color: "rgba(255,255,255,0.8)" }}>
       Schedule, publish, analyze
     </div>
   </div>
@@ -614,7 +639,7 @@ const SocialCard: React.FC = () => (
 const RewardsCard: React.FC = () => (
   <div
     style={{
-      width: CARD_WIDTH,
+      width: "100%",
       height: CARD_HEIGHT,
       borderRadius: CARD_RADIUS,
       backgroundColor: "#fffbeb",
@@ -628,18 +653,55 @@ const RewardsCard: React.FC = () => (
     }}
   >
     <span style={{ fontSize: 56 }}>🏆</span>
-    <div style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 42, fontWeight: 800, color: "#92400e" }}>
+    <div style={{ fontFamily: FONT, fontSize: 42, fontWeight: 800, color: "#92400e" }}>
       Rewards Program
     </div>
-    <div style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 18, color: "#b45309" }}>
+    <div style={{ fontFamily: FONT, fontSize: 18, color: "#b45309" }}>
       Earn points with every purchase
     </div>
   </div>
 );
 
-export const CardCarousel: React.FC = () => {
+export const getCardCarouselDuration = ({
+  scrollEnd,
+}: CardCarouselProps): number => scrollEnd + END_HOLD;
+
+/**
+ * A keystroke per headline character. The writing card types too, but only
+ * while it whips past, so it stays quiet.
+ */
+export const getCardCarouselCues = ({
+  headline,
+  typeSpeed,
+}: Pick<CardCarouselProps, "headline" | "typeSpeed">): SoundCue[] =>
+  getTypewriterCues(headline, { speed: typeSpeed });
+
+export const cardCarouselMeta: EffectMeta = {
+  title: "Card Carousel — Typing + Vertical Scroll Cards",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/CardCarousel.txt",
+};
+
+export const CardCarousel: React.FC<CardCarouselProps> = (props) => {
+  const {
+    headline,
+    typeSpeed,
+    accentColor,
+    backgroundGradient,
+    scrollStart,
+    scrollEnd,
+    stopAtCard,
+    soundtrack,
+  } = props;
+  const cues = useMemo(
+    () => getCardCarouselCues({ headline, typeSpeed }),
+    [headline, typeSpeed],
+  );
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
+  const { width, height } = useLayout(COMPACT_DESIGN);
+  const cardWidth = Math.min(CARD_MAX_WIDTH, width - CARD_MARGIN * 2);
   const t = frame / fps;
 
   // Card 1 scale in
@@ -654,9 +716,6 @@ export const CardCarousel: React.FC = () => {
   });
 
   // Fast carousel scroll — starts during typing, whips through cards, decelerates to stop
-  const scrollStart = 1.5;
-  const scrollEnd = 4.5;
-  const stopAtCard = 7; // Stop at card index 7
   const cardStep = CARD_HEIGHT + CARD_GAP;
   const totalScrollDistance = stopAtCard * cardStep;
 
@@ -667,13 +726,14 @@ export const CardCarousel: React.FC = () => {
   });
 
   // First card starts centered on screen
-  const startY = 360 - CARD_HEIGHT / 2;
+  const centerY = height / 2;
+  const startY = centerY - CARD_HEIGHT / 2;
 
   return (
-    <AbsoluteFill
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
       style={{
-        background:
-          "radial-gradient(ellipse at 50% 40%, #2a5c5c 0%, #1a3d3d 40%, #0f2b2b 100%)",
+        background: `radial-gradient(ellipse at 50% 40%, ${backgroundGradient[0]} 0%, ${backgroundGradient[1]} 40%, ${backgroundGradient[2]} 100%)`,
         overflow: "hidden",
       }}
     >
@@ -701,7 +761,7 @@ export const CardCarousel: React.FC = () => {
           const cardY = startY + i * cardStep - scrollY;
 
           // Scale effect: card in center is scale 1, cards further away are slightly smaller
-          const distFromCenter = Math.abs(cardY + CARD_HEIGHT / 2 - 360);
+          const distFromCenter = Math.abs(cardY + CARD_HEIGHT / 2 - centerY);
           const cardScale = interpolate(distFromCenter, [0, 400], [1, 0.92], {
             extrapolateLeft: "clamp",
             extrapolateRight: "clamp",
@@ -713,12 +773,20 @@ export const CardCarousel: React.FC = () => {
               style={{
                 position: "absolute",
                 top: cardY,
-                left: -CARD_WIDTH / 2,
+                left: -cardWidth / 2,
+                width: cardWidth,
                 transform: `scale(${cardScale})`,
                 transformOrigin: "center center",
               }}
             >
-              {card.id === "typing" && <TypingCard t={t} />}
+              {card.id === "typing" && (
+                <TypingCard
+                  t={t}
+                  parts={headline}
+                  typeSpeed={typeSpeed}
+                  accentColor={accentColor}
+                />
+              )}
               {card.id === "curated" && <CuratedCard t={Math.max(0, t)} />}
               {card.id === "writing" && <WritingCard t={Math.max(0, t - 1)} />}
               {card.id === "globe" && <GlobeCard t={Math.max(0, t)} />}
@@ -732,6 +800,7 @@ export const CardCarousel: React.FC = () => {
           );
         })}
       </div>
-    </AbsoluteFill>
+      <Soundtrack soundtrack={soundtrack} cues={cues} />
+    </LayoutCanvas>
   );
 };
@@ -1,5 +0,0 @@
-import { FlickeringText } from "./FlickeringText";
-
-export const MyComposition = () => {
-  return <FlickeringText />;
-};
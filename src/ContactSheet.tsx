@@ -0,0 +1,209 @@
+import {
+  AbsoluteFill,
+  CalculateMetadataFunction,
+  Freeze,
+  useVideoConfig,
+} from "remotion";
+import React from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EFFECT_IDS, EFFECTS, EffectId, parseEffectProps } from "./registry";
+import { PhaseMarker, secondsToFrames } from "./lib/duration";
+import { fontFamily } from "./lib/fonts";
+import { Thumbnail } from "./lib/thumbnail";
+
+/**
+ * One effect on one page: `frames` evenly spaced frames from its first to
+ * its last, in a grid, each captioned with its timestamp and, for effects
+ * built from named phases, the phase it falls in. It's a <Still>, rendered
+ * with `npx remotion still ContactSheet`; calculateMetadata sizes the page
+ * to fit the grid.
+ */
+
+const FONT = fontFamily("SF Pro Display");
+
+// Page px
+const GAP = 16;
+const HEADER_HEIGHT = 72;
+const CAPTION_HEIGHT = 28;
+
+export const contactSheetSchema = z.object({
+  effect: z.enum(EFFECT_IDS),
+  // Merged over the effect's defaults (top-level keys only)
+  props: z.record(z.unknown()),
+  frames: z.number().int().positive(),
+  columns: z.number().int().positive(),
+  // Width of each frame on the page
+  cellWidth: z.number().int().positive(),
+  // Seconds the frames are spread over; the effect's own length when left out
+  duration: z.number().positive().optional(),
+  background: zColor(),
+  textColor: zColor(),
+});
+
+export type ContactSheetProps = z.infer<typeof contactSheetSchema>;
+
+export const contactSheetDefaultProps: ContactSheetProps = {
+  effect: "MeetYourNewCombined",
+  props: {},
+  frames: 16,
+  columns: 4,
+  cellWidth: 480,
+  background: "#f4f4f6",
+  textColor: "#1c1c22",
+};
+
+const resolveProps = (effect: EffectId, props: Record<string, unknown>) => {
+  const parsed = parseEffectProps(effect, props);
+  if (!parsed.success) {
+    throw new Error(
+      `Contact sheet of ${effect} has invalid props: ${parsed.error.message}`,
+    );
+  }
+  return parsed.data;
+};
+
+const getCellHeight = (effect: EffectId, cellWidth: number) => {
+  const { width, height } = EFFECTS[effect].meta.resolution;
+  return Math.round((cellWidth * height) / width);
+};
+
+/** `frames` frames spread evenly over `total`, first and last included. */
+const sampleFrames = (frames: number, total: number): number[] =>
+  Array.from({ length: frames }, (_, i) =>
+    frames === 1 ? 0 : Math.round((i * (total - 1)) / (frames - 1)),
+  );
+
+// m:ss.cc
+const formatTimestamp = (frame: number, fps: number) => {
+  const seconds = frame / fps;
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds - minutes * 60).toFixed(2).padStart(5, "0");
+  return `${minutes}:${rest}`;
+};
+
+const phaseAt = (markers: PhaseMarker[], frame: number) =>
+  markers.filter((marker) => marker.from <= frame).pop()?.name;
+
+/**
+ * calculateMetadata that fills in the duration from the effect and sizes
+ * the page to the grid at the effect's aspect ratio. It also sets `fps`,
+ * which a <Still> otherwise has at 1, for the effects to play at.
+ */
+export function calculateContactSheetMetadata(
+  fps: number,
+): CalculateMetadataFunction<ContactSheetProps> {
+  return async ({ props }) => {
+    const { effect, frames, columns, cellWidth } = props;
+    let { duration } = props;
+    if (duration === undefined) {
+      const effectProps = resolveProps(effect, props.props);
+      duration = (await EFFECTS[effect].getFrames(effectProps, fps)) / fps;
+    }
+    const rows = Math.ceil(frames / columns);
+    const cellHeight = getCellHeight(effect, cellWidth);
+    return {
+      width: GAP + columns * (cellWidth + GAP),
+      height: HEADER_HEIGHT + GAP + rows * (cellHeight + CAPTION_HEIGHT + GAP),
+      fps,
+      props: { ...props, duration },
+    };
+  };
+}
+
+export const ContactSheet: React.FC<ContactSheetProps> = ({
+  effect,
+  props,
+  frames,
+  columns,
+  cellWidth,
+  duration,
+  background,
+  textColor,
+}) => {
+  const { fps } = useVideoConfig();
+  if (duration === undefined) {
+    throw new Error(
+      `Contact sheet of ${effect} has no duration; register it with calculateContactSheetMetadata()`,
+    );
+  }
+  const { meta, component: Effect, getPhases } = EFFECTS[effect];
+  const effectProps = resolveProps(effect, props);
+  const total = secondsToFrames(duration, fps);
+  const markers = getPhases ? getPhases(effectProps, fps) : [];
+  const cellHeight = getCellHeight(effect, cellWidth);
+
+  return (
+    <AbsoluteFill
+      style={{
+        backgroundColor: background,
+        color: textColor,
+        fontFamily: FONT,
+      }}
+    >
+      <div
+        style={{
+          height: HEADER_HEIGHT,
+          padding: `0 ${GAP}px`,
+          display: "flex",
+          alignItems: "center",
+          gap: 16,
+        }}
+      >
+        <span style={{ fontSize: 28, fontWeight: 700 }}>{meta.title}</span>
+        <span style={{ fontSize: 18, opacity: 0.5 }}>
+          {effect} · {formatTimestamp(total, fps)} · {total} frames @ {fps}fps
+        </span>
+      </div>
+      {sampleFrames(frames, total).map((frame, i) => {
+        const phase = phaseAt(markers, frame);
+        return (
+          <div
+            key={i}
+            style={{
+              position: "absolute",
+              left: GAP + (i % columns) * (cellWidth + GAP),
+              top:
+                HEADER_HEIGHT +
+                GAP +
+                Math.floor(i / columns) * (cellHeight + CAPTION_HEIGHT + GAP),
+              width: cellWidth,
+            }}
+          >
+            <Thumbnail
+              design={meta.resolution}
+              width={cellWidth}
+              height={cellHeight}
+              name={`${effect} @ ${frame}`}
+              background="#000"
+            >
+              <Freeze frame={frame}>
+                <Effect {...effectProps} />
+              </Freeze>
+            </Thumbnail>
+            <div
+              style={{
+                height: CAPTION_HEIGHT,
+                display: "flex",
+                alignItems: "center",
+                gap: 8,
+                fontSize: 14,
+                whiteSpace: "nowrap",
+              }}
+            >
+              <span style={{ fontWeight: 600 }}>
+                {formatTimestamp(frame, fps)}
+              </span>
+              <span style={{ opacity: 0.5 }}>frame {frame}</span>
+              {phase && (
+                <span style={{ marginLeft: "auto", fontWeight: 500 }}>
+                  {phase}
+                </span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </AbsoluteFill>
+  );
+};
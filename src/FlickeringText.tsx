@@ -3,10 +3,46 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
+import { useMemo } from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import { beatSyncSchema, snapToBeat } from "./lib/beats";
+import {
+  cuesAt,
+  SILENT_SOUNDTRACK,
+  SoundCue,
+  Soundtrack,
+  soundtrackSchema,
+} from "./lib/audio";
+
+const FONT = fontFamily("SF Pro Display");
+
+export const flickeringTextSchema = z.object({
+  items: z.array(z.object({ text: z.string(), inverted: z.boolean() })),
+  columns: z.number().int().min(1),
+  // Used instead of `columns` in square and portrait formats
+  narrowColumns: z.number().int().min(1),
+  backgroundColor: zColor(),
+  lightColor: zColor(),
+  darkColor: zColor(),
+  staggerSec: z.number().min(0),
+  // Flashes boxes that fall near a beat (or bar) on it
+  beats: beatSyncSchema.optional(),
+  soundtrack: soundtrackSchema,
+});
+
+export type FlickeringTextProps = z.infer<typeof flickeringTextSchema>;
 
-const GRID_ITEMS: { text: string; inverted: boolean }[] = [
+const GRID_ITEMS: FlickeringTextProps["items"] = [
   { text: "MOTION", inverted: false },
   { text: "EFFECTS", inverted: true },
   { text: "DESIGN", inverted: false },
@@ -25,6 +61,7 @@ const FADE_OUT_SEC = 0.12;
 const EMPTY_HOLD_SEC = 0.2;
 const FINAL_REVEAL_SEC = 0.5;
 const STAGGER_SEC = 0.08; // delay between each box
+const END_HOLD_SEC = 0.4; // full grid stays on screen
 
 const getFlicker = (frame: number, fps: number, delaySec: number) => {
   const delayFrames = Math.round(delaySec * fps);
@@ -80,16 +117,78 @@ const getFlicker = (frame: number, fps: number, delaySec: number) => {
   return { opacity: 1, scale: 1 };
 };
 
-export const FlickeringText: React.FC = () => {
+export const flickeringTextDefaultProps: FlickeringTextProps = {
+  items: GRID_ITEMS,
+  columns: 3,
+  narrowColumns: 2,
+  backgroundColor: "#0a0a0a",
+  lightColor: "#ffffff",
+  darkColor: "#000000",
+  staggerSec: STAGGER_SEC,
+  soundtrack: SILENT_SOUNDTRACK,
+};
+
+// Seconds each box starts flashing at
+type FlashTiming = Pick<FlickeringTextProps, "items" | "staggerSec" | "beats">;
+
+const getFlashDelays = ({ items, staggerSec, beats }: FlashTiming): number[] =>
+  items.map((_, i) => snapToBeat(i * staggerSec, beats));
+
+/** Seconds until the last box has settled, plus a short hold. */
+export const getFlickeringTextDuration = (
+  props: FlickeringTextProps,
+): number =>
+  Math.max(0, ...getFlashDelays(props)) +
+  FLASH_IN_SEC +
+  FLASH_HOLD_SEC +
+  FADE_OUT_SEC +
+  EMPTY_HOLD_SEC +
+  FINAL_REVEAL_SEC +
+  END_HOLD_SEC;
+
+/** A tick as each box flashes, and again as it comes back for good. */
+export const getFlickeringTextCues = (timing: FlashTiming): SoundCue[] => {
+  const reveal = FLASH_IN_SEC + FLASH_HOLD_SEC + FADE_OUT_SEC + EMPTY_HOLD_SEC;
+  const flashes = getFlashDelays(timing);
+  return cuesAt("tick", [...flashes, ...flashes.map((at) => at + reveal)]);
+};
+
+export const flickeringTextMeta: EffectMeta = {
+  title: "Flash Reveal Grid",
+  category: "Effects",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/FlickeringText.txt",
+};
+
+export const FlickeringText: React.FC<FlickeringTextProps> = (props) => {
+  const {
+    items,
+    columns,
+    narrowColumns,
+    backgroundColor,
+    lightColor,
+    darkColor,
+    soundtrack,
+    staggerSec,
+    beats,
+  } = props;
+  const delays = useMemo(
+    () => getFlashDelays({ items, staggerSec, beats }),
+    [items, staggerSec, beats],
+  );
+  const cues = useMemo(
+    () => getFlickeringTextCues({ items, staggerSec, beats }),
+    [items, staggerSec, beats],
+  );
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
-
-  const columns = 3;
+  const { narrow } = useLayout(COMPACT_DESIGN);
 
   return (
-    <AbsoluteFill
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
       style={{
-        backgroundColor: "#0a0a0a",
+        backgroundColor,
         display: "flex",
         justifyContent: "center",
         alignItems: "center",
@@ -98,15 +197,15 @@ export const FlickeringText: React.FC = () => {
       <div
         style={{
           display: "grid",
-          gridTemplateColumns: `repeat(${columns}, 1fr)`,
+          gridTemplateColumns: `repeat(${narrow ? narrowColumns : columns}, 1fr)`,
           gap: 16,
         }}
       >
-        {GRID_ITEMS.map(({ text, inverted }, i) => {
-          const { opacity, scale } = getFlicker(frame, fps, i * STAGGER_SEC);
-          const bg = inverted ? "#000000" : "#ffffff";
-          const fg = inverted ? "#ffffff" : "#000000";
-          const border = inverted ? "2px solid #ffffff" : "none";
+        {items.map(({ text, inverted }, i) => {
+          const { opacity, scale } = getFlicker(frame, fps, delays[i]);
+          const bg = inverted ? darkColor : lightColor;
+          const fg = inverted ? lightColor : darkColor;
+          const border = inverted ? `2px solid ${lightColor}` : "none";
 
           return (
             <div
@@ -129,7 +228,7 @@ export const FlickeringText: React.FC = () => {
             >
               <span
                 style={{
-                  fontFamily: "SF Pro Display, -apple-system, sans-serif",
+                  fontFamily: FONT,
                   fontSize: 42,
                   fontWeight: 700,
                   color: fg,
@@ -143,6 +242,7 @@ export const FlickeringText: React.FC = () => {
           );
         })}
       </div>
-    </AbsoluteFill>
+      <Soundtrack soundtrack={soundtrack} cues={cues} />
+    </LayoutCanvas>
   );
 };
@@ -2,20 +2,49 @@ import {
   useCurrentFrame,
   useVideoConfig,
   interpolate,
-  AbsoluteFill,
 } from "remotion";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+
+const FONT = fontFamily("SF Pro Display");
+
+const floatingItemSchema = z.object({
+  text: z.string(),
+  x: z.number(),
+  y: z.number(),
+  z: z.number().min(0).max(1),
+  rotation: z.number(),
+  fontSize: z.number().positive(),
+});
+
+export const floatingFocusSchema = z.object({
+  items: z.array(floatingItemSchema),
+  backgroundColor: zColor(),
+  boxColor: zColor(),
+  textColor: zColor(),
+  maxBlur: z.number().min(0),
+  focusPulseBlur: z.number().min(0),
+  focusCycleSec: z.number().positive(),
+  focusStaggerSec: z.number().min(0),
+  // Video length in whole focus cycles, so the pulse loops cleanly
+  focusCycles: z.number().int().positive(),
+});
+
+export type FloatingFocusProps = z.infer<typeof floatingFocusSchema>;
 
 // Text boxes scattered in 3D space
-// x, y = position in world. z = depth layer (0 = closest, higher = further).
+// x, y = position on a 1280×720 reference frame, stretched to the layout so
+// the scatter fills any format. z = depth layer (0 = closest, higher = further).
 // rotation = degrees. fontSize scales per item.
-const ITEMS: {
-  text: string;
-  x: number;
-  y: number;
-  z: number;
-  rotation: number;
-  fontSize: number;
-}[] = [
+const ITEMS: FloatingFocusProps["items"] = [
   // Foreground — sharp, large
   { text: "POWER OF FOCUS", x: 640, y: 360, z: 0, rotation: -4, fontSize: 64 },
   { text: "CREATIVE STYLE", x: 200, y: 300, z: 0.1, rotation: -78, fontSize: 52 },
@@ -50,9 +79,43 @@ const FOCUS_PULSE_BLUR = 10; // max additional blur when out of focus
 const FOCUS_CYCLE_SEC = 2.5; // duration of one in/out focus cycle
 const FOCUS_STAGGER_SEC = 0.4; // offset between each box so they alternate
 
-export const FloatingFocus: React.FC = () => {
+export const floatingFocusDefaultProps: FloatingFocusProps = {
+  items: ITEMS,
+  backgroundColor: "#f0f0f0",
+  boxColor: "#000000",
+  textColor: "#ffffff",
+  maxBlur: MAX_BLUR,
+  focusPulseBlur: FOCUS_PULSE_BLUR,
+  focusCycleSec: FOCUS_CYCLE_SEC,
+  focusStaggerSec: FOCUS_STAGGER_SEC,
+  focusCycles: 4,
+};
+
+export const getFloatingFocusDuration = ({
+  focusCycleSec,
+  focusCycles,
+}: FloatingFocusProps): number => focusCycleSec * focusCycles;
+
+export const floatingFocusMeta: EffectMeta = {
+  title: "3D Parallax Depth of Field",
+  category: "Effects",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/FloatingFocus.txt",
+};
+
+export const FloatingFocus: React.FC<FloatingFocusProps> = ({
+  items,
+  backgroundColor,
+  boxColor,
+  textColor,
+  maxBlur,
+  focusPulseBlur,
+  focusCycleSec,
+  focusStaggerSec,
+}) => {
   const frame = useCurrentFrame();
-  const { fps, width, height } = useVideoConfig();
+  const { fps } = useVideoConfig();
+  const { width, height } = useLayout(COMPACT_DESIGN);
 
   const t = frame / fps;
 
@@ -63,36 +126,39 @@ export const FloatingFocus: React.FC = () => {
     Math.sin((t / CAM_CYCLE_Y_SEC) * Math.PI * 2) * CAM_SPEED_Y * 2;
 
   return (
-    <AbsoluteFill
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
       style={{
-        backgroundColor: "#f0f0f0",
+        backgroundColor,
         overflow: "hidden",
       }}
     >
       {/* Render back-to-front for correct layering */}
-      {[...ITEMS]
+      {[...items]
         .sort((a, b) => b.z - a.z)
         .map((item, sortedIndex) => {
           // Use original index for stagger timing
-          const originalIndex = ITEMS.indexOf(item);
+          const originalIndex = items.indexOf(item);
 
           // Parallax: deeper items move less with camera
           const parallax = 1 - item.z * 0.7;
-          const screenX = item.x - camX * parallax;
-          const screenY = item.y - camY * parallax;
+          const screenX =
+            (item.x / LANDSCAPE_DESIGN.width) * width - camX * parallax;
+          const screenY =
+            (item.y / LANDSCAPE_DESIGN.height) * height - camY * parallax;
 
           // Depth of field blur (base)
           const depthDistance = Math.abs(item.z - FOCUS_Z);
-          const depthBlur = interpolate(depthDistance, [0, 1], [0, MAX_BLUR], {
+          const depthBlur = interpolate(depthDistance, [0, 1], [0, maxBlur], {
             extrapolateRight: "clamp",
           });
 
           // Alternating focus pulse — each box offset in time
-          const staggerOffset = originalIndex * FOCUS_STAGGER_SEC;
+          const staggerOffset = originalIndex * focusStaggerSec;
           const focusCycle =
-            (Math.cos(((t + staggerOffset) / FOCUS_CYCLE_SEC) * Math.PI * 2) + 1) / 2;
+            (Math.cos(((t + staggerOffset) / focusCycleSec) * Math.PI * 2) + 1) / 2;
           // focusCycle: 1 = sharp, 0 = blurred
-          const pulseBlur = interpolate(focusCycle, [0, 1], [FOCUS_PULSE_BLUR, 0], {
+          const pulseBlur = interpolate(focusCycle, [0, 1], [focusPulseBlur, 0], {
             extrapolateRight: "clamp",
           });
 
@@ -127,7 +193,7 @@ export const FloatingFocus: React.FC = () => {
             >
               <div
                 style={{
-                  backgroundColor: "#000000",
+                  backgroundColor: boxColor,
                   paddingLeft: 28,
                   paddingRight: 28,
                   paddingTop: 12,
@@ -140,11 +206,10 @@ export const FloatingFocus: React.FC = () => {
               >
                 <span
                   style={{
-                    fontFamily:
-                      "SF Pro Display, -apple-system, Helvetica, sans-serif",
+                    fontFamily: FONT,
                     fontSize: item.fontSize,
                     fontWeight: 800,
-                    color: "#ffffff",
+                    color: textColor,
                     letterSpacing: "0.05em",
                     textTransform: "uppercase",
                   }}
@@ -155,6 +220,6 @@ export const FloatingFocus: React.FC = () => {
             </div>
           );
         })}
-    </AbsoluteFill>
+    </LayoutCanvas>
   );
 };
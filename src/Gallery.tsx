@@ -0,0 +1,181 @@
+import {
+  AbsoluteFill,
+  CalculateMetadataFunction,
+  Loop,
+  useVideoConfig,
+} from "remotion";
+import React from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EFFECT_IDS, EFFECTS } from "./registry";
+import { secondsToFrames } from "./lib/duration";
+import { fontFamily } from "./lib/fonts";
+import { Thumbnail } from "./lib/thumbnail";
+
+/**
+ * Every registered effect at once, for showing what exists: a grid of
+ * tiles, each playing one effect with its default props at its design size,
+ * scaled down and labelled. Tiles loop until the longest effect ends.
+ */
+
+const FONT = fontFamily("SF Pro Display");
+
+// Composition px
+const GAP = 16;
+const LABEL_HEIGHT = 28;
+
+export const galleryTileSchema = z.object({
+  effect: z.enum(EFFECT_IDS),
+  // Seconds per loop; the effect's own length when left out
+  duration: z.number().positive().optional(),
+  // Set by calculateGalleryMetadata when the effect's length couldn't be
+  // measured: why, shown on the tile in place of the effect
+  skipped: z.string().optional(),
+});
+
+export type GalleryTile = z.infer<typeof galleryTileSchema>;
+
+export const gallerySchema = z.object({
+  tiles: z.array(galleryTileSchema).min(1),
+  columns: z.number().int().positive(),
+  background: zColor(),
+  labelColor: zColor(),
+});
+
+export type GalleryProps = z.infer<typeof gallerySchema>;
+
+export const galleryDefaultProps: GalleryProps = {
+  tiles: EFFECT_IDS.map((effect) => ({ effect })),
+  columns: 6,
+  background: "#0b0b0f",
+  labelColor: "#d4d4dc",
+};
+
+/**
+ * calculateMetadata that fills in each tile's missing duration from its
+ * effect and runs the gallery for the longest one. An effect whose length
+ * can't be measured can't be drawn either, so its tile is marked `skipped`
+ * with the reason and shows that instead of failing the gallery.
+ */
+export function calculateGalleryMetadata(
+  fps: number,
+): CalculateMetadataFunction<GalleryProps> {
+  return async ({ props }) => {
+    const measured = await Promise.all(
+      props.tiles.map(async (tile) => {
+        if (tile.duration !== undefined) {
+          return tile;
+        }
+        const entry = EFFECTS[tile.effect];
+        try {
+          const frames = await entry.getFrames(entry.defaultProps, fps);
+          return { ...tile, duration: frames / fps };
+        } catch (err) {
+          return { ...tile, skipped: (err as Error).message };
+        }
+      }),
+    );
+    const durations = measured.flatMap((tile) =>
+      tile.duration === undefined ? [] : [secondsToFrames(tile.duration, fps)],
+    );
+    if (durations.length === 0) {
+      throw new Error("Gallery: none of the tiles could be measured");
+    }
+    return {
+      durationInFrames: Math.max(...durations),
+      props: { ...props, tiles: measured },
+    };
+  };
+}
+
+export const Gallery: React.FC<GalleryProps> = ({
+  tiles,
+  columns,
+  background,
+  labelColor,
+}) => {
+  const { width, height, fps } = useVideoConfig();
+  const rows = Math.ceil(tiles.length / columns);
+  const tileWidth = (width - GAP * (columns + 1)) / columns;
+  const tileHeight = (height - GAP * (rows + 1)) / rows - LABEL_HEIGHT;
+
+  return (
+    <AbsoluteFill style={{ backgroundColor: background }}>
+      {tiles.map((tile, i) => {
+        if (tile.duration === undefined && tile.skipped === undefined) {
+          throw new Error(
+            `Gallery tile ${i + 1} (${tile.effect}) has no duration; register the gallery with calculateGalleryMetadata()`,
+          );
+        }
+        const { meta, component: Effect, defaultProps } = EFFECTS[tile.effect];
+        const column = i % columns;
+        const row = Math.floor(i / columns);
+        return (
+          <div
+            key={`${i}-${tile.effect}`}
+            style={{
+              position: "absolute",
+              left: GAP + column * (tileWidth + GAP),
+              top: GAP + row * (tileHeight + LABEL_HEIGHT + GAP),
+              width: tileWidth,
+            }}
+          >
+            {tile.duration === undefined ? (
+              <div
+                style={{
+                  width: tileWidth,
+                  height: tileHeight,
+                  padding: 16,
+                  boxSizing: "border-box",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  textAlign: "center",
+                  background: "#000",
+                  border: `1px dashed ${labelColor}`,
+                  fontFamily: FONT,
+                  fontSize: 13,
+                  color: labelColor,
+                  opacity: 0.6,
+                  overflow: "hidden",
+                }}
+              >
+                Skipped: {tile.skipped}
+              </div>
+            ) : (
+              <Thumbnail
+                design={meta.resolution}
+                width={tileWidth}
+                height={tileHeight}
+                name={tile.effect}
+                background="#000"
+              >
+                <Loop durationInFrames={secondsToFrames(tile.duration, fps)}>
+                  <Effect {...defaultProps} />
+                </Loop>
+              </Thumbnail>
+            )}
+            <div
+              style={{
+                height: LABEL_HEIGHT,
+                display: "flex",
+                alignItems: "center",
+                gap: 8,
+                fontFamily: FONT,
+                fontSize: 13,
+                color: labelColor,
+                whiteSpace: "nowrap",
+                overflow: "hidden",
+              }}
+            >
+              <span style={{ fontWeight: 600, flexShrink: 0 }}>
+                {meta.title}
+              </span>
+              <span style={{ opacity: 0.5 }}>{tile.effect}</span>
+            </div>
+          </div>
+        );
+      })}
+    </AbsoluteFill>
+  );
+};
@@ -0,0 +1,75 @@
+import React, { useMemo } from "react";
+import { SuccessQuote } from "./SuccessQuote";
+import {
+  generateQuoteScript,
+  getQuoteDuration,
+  QuoteInput,
+} from "./lib/quoteLayout";
+import { EffectMeta } from "./lib/effectMeta";
+import { SQUARE_DESIGN, useLayout } from "./lib/layout";
+import { useFontsReady } from "./lib/fonts";
+import { SILENT_SOUNDTRACK } from "./lib/audio";
+import { Voiceover } from "./lib/voiceover";
+
+/**
+ * SuccessQuote driven by plain quote text: word layout and camera path are
+ * generated from the emphasis markup instead of being hand-placed. Layout
+ * happens in SuccessQuote's design px, which it then scales to the output.
+ * A voiceover times the words and plays under them.
+ */
+export const generatedQuoteDefaultProps: QuoteInput = {
+  quote:
+    "**SUCCESS** doesn't look like *BALANCE.* | the road to success | involves *SLEEPLESS NIGHTS,* *MISSED MEALS,* *MISSED CALLS.* either your *DESIRE* for success or your *APPETITE* for sacrifice must **DECREASE**",
+  color: "#FFFF00",
+  accentColor: "#FFFF00",
+  backgroundColor: "#0A0A0A",
+  soundtrack: SILENT_SOUNDTRACK,
+};
+
+export const getGeneratedQuoteDuration = ({
+  quote,
+  voiceover,
+}: QuoteInput): number => getQuoteDuration(quote, voiceover);
+
+export const generatedQuoteMeta: EffectMeta = {
+  title: "Generated Quote — Kinetic Typography from Markup",
+  category: "Kinetic",
+  resolution: SQUARE_DESIGN,
+  spec: "specs/GeneratedQuote.txt",
+};
+
+export const GeneratedQuote: React.FC<QuoteInput> = (input) => {
+  const { width, height } = useLayout(SQUARE_DESIGN);
+  const { quote, color, accentColor, backgroundColor, soundtrack, voiceover } =
+    input;
+
+  // Layout measures text, so it has to wait for the real font
+  const fontsReady = useFontsReady();
+
+  const script = useMemo(
+    () =>
+      fontsReady
+        ? generateQuoteScript(
+            { quote, color, accentColor, backgroundColor, voiceover },
+            { width, height },
+          )
+        : null,
+    [
+      fontsReady,
+      quote,
+      color,
+      accentColor,
+      backgroundColor,
+      voiceover,
+      width,
+      height,
+    ],
+  );
+
+  return script ? (
+    <>
+      <SuccessQuote {...script} soundtrack={soundtrack} />
+      {voiceover && <Voiceover voiceover={voiceover} />}
+    </>
+  ) : null;
+};
@@ -3,10 +3,61 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
   spring,
 } from "remotion";
-import React from "react";
+import React, { useMemo, useRef } from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import { LANDSCAPE_DESIGN, LayoutCanvas, useLayout } from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import { Cursor, CursorScript, getCursorClicks } from "./lib/cursor";
+import {
+  AutoZoom,
+  createZoomTrack,
+  UIEvent,
+  zoomTransform,
+} from "./lib/autoZoom";
+import {
+  getTypewriter,
+  getTypewriterCues,
+  getTypingEnd,
+  TypeContent,
+  Typewriter,
+} from "./lib/typewriter";
+import {
+  SILENT_SOUNDTRACK,
+  SoundCue,
+  Soundtrack,
+  soundtrackSchema,
+} from "./lib/audio";
+
+// ─── Props ───
+// Each "…Accent" string is typed right after its lead text, in the accent color
+export const glassPlusExpandSchema = z.object({
+  label: z.string(),
+  // Seconds per typed character of the label
+  typeSpeed: z.number().positive(),
+  title: z.string(),
+  brandName: z.string(),
+  subtitle: z.string(),
+  subtitleAccent: z.string(),
+  prompt: z.string(),
+  promptAccent: z.string(),
+  // Typed into the prompt box in the final phase
+  request: z.string(),
+  accentColor: zColor(),
+  soundtrack: soundtrackSchema,
+});
+
+export type GlassPlusExpandProps = z.infer<typeof glassPlusExpandSchema>;
+
+// The whole choreography (zoom targets included) is authored on one
+// 1280×720 design canvas, centered in whatever layout space we get
+const VIEW_W = LANDSCAPE_DESIGN.width;
+const VIEW_H = LANDSCAPE_DESIGN.height;
+const CENTER_X = VIEW_W / 2;
+const CENTER_Y = VIEW_H / 2;
 
 // ─── Phase 1 Constants ───
 const LABEL_TEXT = "Public";
@@ -15,22 +66,25 @@ const PILL_H = 130;
 const PILL_MAX_W = 245;
 const GAP = 20;
 const TYPE_SPEED = 0.08;
+const LABEL_TYPE_START = 1.0;
 
 // ─── Phase 2 Constants ───
 const TITLE_MAIN = "Build something";
 const BRAND_NAME = "lovio";
 const SUBTITLE_NORMAL = "Create apps and websites by chatting ";
 const SUBTITLE_PURPLE = "with";
-const SUBTITLE_FULL = SUBTITLE_NORMAL + SUBTITLE_PURPLE;
 const PROMPT_NORMAL = "Ask lovio to create ";
 const PROMPT_PURPLE = "something...";
-const PROMPT_FULL = PROMPT_NORMAL + PROMPT_PURPLE;
 const PURPLE = "#8B7BEE";
+const SUB_TYPE_START = 2.8;
+const SUB_TYPE_SPEED = 0.05;
+const PROMPT_TYPE_START = 3.2;
+const PROMPT_TYPE_SPEED = 0.06;
 
 // Prompt bar layout
 const PB_X = 80;
 const PB_Y = 300;
-const PB_W = 1120;
+const PB_W = VIEW_W - PB_X * 2;
 const PB_H = 230;
 const PB_R = 28;
 
@@ -48,38 +102,117 @@ const PHASE3_TEXT = "I have an idea";
 const P3_START = 5.5; // title/subtitle disperse + zoom begins
 const P3_ZOOM_END = 6.5; // zoom finishes
 const P3_TYPE_START = 6.2; // new text starts typing
-
-// Zoom target: scale scene so prompt bar text area fills viewport
-const ZOOM_S = 2.2;
-const ZOOM_TX = -160;
-const ZOOM_TY = -450;
+const P3_TYPE_SPEED = 0.07;
 
 // ─── Phase 4 Constants ───
 const P4_START = 8.0; // blue bg crossfade + "idea" motion begins
 
+// Camera settles on the prompt bar text area as the new text is typed, and
+// stays there into Phase 4
+const P3_ZOOM: AutoZoom = {
+  zoom: 2.2,
+  leadIn: P3_ZOOM_END - P3_START,
+  dwell: 0,
+  zoomOut: false,
+};
+const P3_EVENTS: UIEvent[] = [
+  {
+    type: "type",
+    at: P3_ZOOM_END,
+    x: 364,
+    y: 368,
+    duration: P4_START - P3_ZOOM_END,
+  },
+];
+
 // Where "idea" sits in viewport after Phase 3 zoom:
-// "idea" in unzoomed coords ≈ (250, 345), after translate(-160,-450) scale(2.2):
+// "idea" in unzoomed coords ≈ (250, 345), after the Phase 3 camera (centered on
+// (364, 368) at 2.2×, i.e. translate(-160,-450) scale(2.2)):
 // viewport position ≈ (250*2.2 - 160, 345*2.2 - 450) = (390, 309)
 // font size after zoom: 26 * 2.2 = 57.2px → scale = 57.2 / 200 = 0.286
 const P4_FROM_X = 390;
 const P4_FROM_Y = 309;
 const P4_FROM_SCALE = 0.286;
-const P4_TO_X = 640;
-const P4_TO_Y = 360;
+const P4_TO_X = CENTER_X;
+const P4_TO_Y = CENTER_Y;
 
 // ─── Phase 5 Constants ───
 const P5_START = 9.5;
 const P5_TYPE_START = 10.2;
+const P5_TYPE_SPEED = 0.03; // seconds per character
 const P5_TYPE_TEXT =
   "Build a web app marketplace with user accounts and payments";
 const P5_CLICK_START = 12.0;
 const P5_CLEAR_START = 12.5;
 const P5_GEN_START = 13.0;
+const P5_GEN_HOLD = 1.0; // generating state stays on screen
+
+// A request that is still typing at P5_CLICK_START pushes the click and
+// everything after it back
+const getP5Delay = (request: string) =>
+  Math.max(
+    0,
+    getTypingEnd(request, { start: P5_TYPE_START, speed: P5_TYPE_SPEED }) -
+      P5_CLICK_START,
+  );
 const P5_BOX_W = 1000;
 const P5_BOX_R = 24;
 
-const FONT =
-  "-apple-system, BlinkMacSystemFont, 'Helvetica Neue', Helvetica, Arial, sans-serif";
+export const glassPlusExpandDefaultProps: GlassPlusExpandProps = {
+  label: LABEL_TEXT,
+  typeSpeed: TYPE_SPEED,
+  title: TITLE_MAIN,
+  brandName: BRAND_NAME,
+  subtitle: SUBTITLE_NORMAL,
+  subtitleAccent: SUBTITLE_PURPLE,
+  prompt: PROMPT_NORMAL,
+  promptAccent: PROMPT_PURPLE,
+  request: P5_TYPE_TEXT,
+  accentColor: PURPLE,
+  soundtrack: SILENT_SOUNDTRACK,
+};
+
+export const getGlassPlusExpandDuration = ({
+  request,
+}: GlassPlusExpandProps): number =>
+  P5_GEN_START + getP5Delay(request) + P5_GEN_HOLD;
+
+/** A keystroke per character of every line that types itself in. */
+export const getGlassPlusExpandCues = ({
+  label,
+  typeSpeed,
+  subtitle,
+  subtitleAccent,
+  prompt,
+  promptAccent,
+  request,
+}: Pick<
+  GlassPlusExpandProps,
+  | "label"
+  | "typeSpeed"
+  | "subtitle"
+  | "subtitleAccent"
+  | "prompt"
+  | "promptAccent"
+  | "request"
+>): SoundCue[] => [
+  ...getTypewriterCues(label, { start: LABEL_TYPE_START, speed: typeSpeed }),
+  ...getTypewriterCues([{ text: subtitle }, { text: subtitleAccent }], {
+    start: SUB_TYPE_START,
+    speed: SUB_TYPE_SPEED,
+  }),
+  ...getTypewriterCues([{ text: prompt }, { text: promptAccent }], {
+    start: PROMPT_TYPE_START,
+    speed: PROMPT_TYPE_SPEED,
+  }),
+  ...getTypewriterCues(PHASE3_TEXT, {
+    start: P3_TYPE_START,
+    speed: P3_TYPE_SPEED,
+  }),
+  ...getTypewriterCues(request, { start: P5_TYPE_START, speed: P5_TYPE_SPEED }),
+];
+
+const FONT = fontFamily("SF Pro Display");
 
 // ─── SVG Icons ───
 const PlusIcon = React.memo(() => (
@@ -128,7 +261,8 @@ const AudioIcon = React.memo(() => (
 ));
 
 // ─── Background ───
-const Background = React.memo(() => (
+// Also used behind ScreenRecording
+export const GlassBackground = React.memo(() => (
   <>
     <div
       style={{
@@ -224,7 +358,7 @@ const Background = React.memo(() => (
 ));
 
 // ─── Phase 4: Blue Aurora Background ───
-const BlueAurora = React.memo(() => (
+export const BlueAurora = React.memo(() => (
   <>
     {/* Deep dark base */}
     <div style={{ position: "absolute", inset: 0, background: "#050218" }} />
@@ -324,18 +458,6 @@ const BlueAurora = React.memo(() => (
   </>
 ));
 
-// ─── SVG: Hand pointer cursor ───
-const HandCursor = React.memo<{ opacity: number }>(({ opacity }) => (
-  <svg width="32" height="32" viewBox="0 0 32 32" fill="none" style={{ opacity }}>
-    <path
-      d="M12 2c.6 0 1 .4 1 1v12h2V5c0-.6.4-1 1-1s1 .4 1 1v10h2V7c0-.6.4-1 1-1s1 .4 1 1v8h2V9c0-.6.4-1 1-1s1 .4 1 1v13c0 5-3 8-8 8-4.5 0-7-2.5-9-6l-3-5c-.3-.5-.2-1.1.3-1.4.5-.3 1.1-.1 1.4.3l2.3 3.6V3c0-.6.4-1 1-1z"
-      fill="white"
-      stroke="rgba(0,0,0,0.2)"
-      strokeWidth="0.5"
-    />
-  </svg>
-));
-
 // ─── SVG: Send arrow button ───
 const SendIcon = React.memo(() => (
   <svg width="20" height="20" viewBox="0 0 20 20" fill="none">
@@ -349,38 +471,94 @@ const SendIcon = React.memo(() => (
   </svg>
 ));
 
-// ─── Helper: typed text with last portion in purple ───
+// ─── Helper: typed text in the shared glass style ───
 const TypedText: React.FC<{
-  displayed: string;
-  normalPart: string;
+  content: TypeContent;
+  t: number;
+  start: number;
+  speed: number;
   fontSize: number;
   fontWeight: number;
-  baseColor: string;
-}> = ({ displayed, normalPart, fontSize, fontWeight, baseColor }) => {
-  if (displayed.length <= normalPart.length) {
-    return (
-      <span style={{ fontFamily: FONT, fontSize, fontWeight, color: baseColor, letterSpacing: "0.01em" }}>
-        {displayed}
-      </span>
-    );
-  }
-  return (
-    <>
-      <span style={{ fontFamily: FONT, fontSize, fontWeight, color: baseColor, letterSpacing: "0.01em" }}>
-        {normalPart}
-      </span>
-      <span style={{ fontFamily: FONT, fontSize, fontWeight, color: PURPLE, letterSpacing: "0.01em" }}>
-        {displayed.slice(normalPart.length)}
-      </span>
-    </>
-  );
+  color: string;
+}> = ({ content, t, start, speed, fontSize, fontWeight, color }) => (
+  <Typewriter
+    content={content}
+    t={t}
+    start={start}
+    speed={speed}
+    style={{
+      fontFamily: FONT,
+      fontSize,
+      fontWeight,
+      color,
+      letterSpacing: "0.01em",
+    }}
+  />
+);
+
+export const glassPlusExpandMeta: EffectMeta = {
+  title: "Glassmorphic SaaS Product Reveal",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/GlassPlusExpand.txt",
 };
 
 // ─── Main Component ───
-export const GlassPlusExpand: React.FC = () => {
+export const GlassPlusExpand: React.FC<GlassPlusExpandProps> = (props) => {
+  const {
+    label,
+    typeSpeed,
+    title,
+    brandName,
+    subtitle,
+    subtitleAccent,
+    prompt,
+    promptAccent,
+    request,
+    accentColor,
+    soundtrack,
+  } = props;
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
+  const { width, height, offsetX, offsetY } = useLayout();
   const t = frame / fps;
+  const sendButtonRef = useRef<HTMLDivElement>(null);
+  const cues = useMemo(
+    () =>
+      getGlassPlusExpandCues({
+        label,
+        typeSpeed,
+        subtitle,
+        subtitleAccent,
+        prompt,
+        promptAccent,
+        request,
+      }),
+    [label, typeSpeed, subtitle, subtitleAccent, prompt, promptAccent, request],
+  );
+  const zoomTrack = useMemo(
+    () =>
+      createZoomTrack(P3_EVENTS, P3_ZOOM, {
+        width: VIEW_W,
+        height: VIEW_H,
+        fps,
+      }),
+    [fps],
+  );
+
+  const p5Delay = getP5Delay(request);
+  const p5ClickStart = P5_CLICK_START + p5Delay;
+  const p5ClearStart = P5_CLEAR_START + p5Delay;
+  const p5GenStart = P5_GEN_START + p5Delay;
+
+  const subtitleSpans = [
+    { text: subtitle },
+    { text: subtitleAccent, color: accentColor },
+  ];
+  const promptSpans = [
+    { text: prompt },
+    { text: promptAccent, color: accentColor },
+  ];
 
   // ════════════════════════════════════════
   // PHASE 1: Circle + Pill (0 → 2s)
@@ -413,9 +591,6 @@ export const GlassPlusExpand: React.FC = () => {
     config: { damping: 14, stiffness: 100, mass: 0.6 },
   });
 
-  const typeStart = 1.0;
-  const charsVisible = Math.floor(Math.max(0, (t - typeStart) / TYPE_SPEED));
-  const displayedText = LABEL_TEXT.slice(0, Math.min(charsVisible, LABEL_TEXT.length));
   const textOpacity = interpolate(t, [1.0, 1.3], [0, 1], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
@@ -431,8 +606,8 @@ export const GlassPlusExpand: React.FC = () => {
     easing: Easing.inOut(Easing.cubic),
   });
 
-  const groupCenterX = interpolate(tp, [0, 1], [640, P2_CENTER_X]);
-  const groupCenterY = interpolate(tp, [0, 1], [360, P2_CENTER_Y]);
+  const groupCenterX = interpolate(tp, [0, 1], [CENTER_X, P2_CENTER_X]);
+  const groupCenterY = interpolate(tp, [0, 1], [CENTER_Y, P2_CENTER_Y]);
   const groupScale = interpolate(tp, [0, 1], [1, P2_SCALE]);
 
   // ════════════════════════════════════════
@@ -461,9 +636,6 @@ export const GlassPlusExpand: React.FC = () => {
   const titleY = titleYIn + titleYOut;
 
   // Subtitle — fade in, then disperse up
-  const subStart = 2.8;
-  const subChars = Math.floor(Math.max(0, (t - subStart) / 0.05));
-  const subDisplayed = SUBTITLE_FULL.slice(0, Math.min(subChars, SUBTITLE_FULL.length));
   const subFadeIn = interpolate(t, [2.6, 3.0], [0, 1], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
@@ -488,9 +660,6 @@ export const GlassPlusExpand: React.FC = () => {
   });
 
   // Prompt placeholder typing (Phase 2)
-  const promptStart = 3.2;
-  const promptChars = Math.floor(Math.max(0, (t - promptStart) / 0.06));
-  const promptDisplayed = PROMPT_FULL.slice(0, Math.min(promptChars, PROMPT_FULL.length));
   const promptTextFadeIn = interpolate(t, [3.0, 3.4], [0, 1], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
@@ -508,14 +677,7 @@ export const GlassPlusExpand: React.FC = () => {
   // ════════════════════════════════════════
 
   // Scene zoom
-  const zoomProgress = interpolate(t, [P3_START, P3_ZOOM_END], [0, 1], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-    easing: Easing.inOut(Easing.cubic),
-  });
-  const zoomScale = interpolate(zoomProgress, [0, 1], [1, ZOOM_S]);
-  const zoomTx = interpolate(zoomProgress, [0, 1], [0, ZOOM_TX]);
-  const zoomTy = interpolate(zoomProgress, [0, 1], [0, ZOOM_TY]);
+  const camera = zoomTrack(frame);
 
   // Fade out circle+pill group and audio button during zoom
   const p3FadeOut = interpolate(t, [P3_START, P3_START + 0.4], [1, 0], {
@@ -531,8 +693,6 @@ export const GlassPlusExpand: React.FC = () => {
   const promptTextOpacity = promptTextFadeIn * oldPromptFade;
 
   // New prompt text typing ("I have an idea")
-  const p3TypeChars = Math.floor(Math.max(0, (t - P3_TYPE_START) / 0.07));
-  const p3Displayed = PHASE3_TEXT.slice(0, Math.min(p3TypeChars, PHASE3_TEXT.length));
   const p3TextFadeIn = interpolate(t, [P3_TYPE_START - 0.2, P3_TYPE_START], [0, 1], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
@@ -543,12 +703,6 @@ export const GlassPlusExpand: React.FC = () => {
     extrapolateRight: "clamp",
   });
   const p3TextOpacity = p3TextFadeIn * p3Phase4Fade;
-  const p3TypingDone = p3TypeChars >= PHASE3_TEXT.length;
-
-  // Cursor blink (stops at Phase 4)
-  const cursorVisible = p3TypingDone && t < P4_START
-    ? Math.floor(frame / 12) % 2 === 0
-    : t < P4_START;
 
   // ════════════════════════════════════════
   // PHASE 4: Blue "idea" reveal (8.0s+)
@@ -608,64 +762,71 @@ export const GlassPlusExpand: React.FC = () => {
   const p5BoxVisible = t >= P5_START + 0.15;
 
   // Bottom-row controls opacity (fade out on clear)
-  const p5ControlsOpacity = interpolate(t, [P5_CLEAR_START, P5_CLEAR_START + 0.2], [1, 0], {
+  const p5ControlsOpacity = interpolate(t, [p5ClearStart, p5ClearStart + 0.2], [1, 0], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
   });
 
   // 5B: Typing
-  const p5TypeChars = Math.floor(Math.max(0, (t - P5_TYPE_START) / 0.03));
-  const p5Displayed = P5_TYPE_TEXT.slice(
-    0,
-    Math.min(p5TypeChars, P5_TYPE_TEXT.length),
-  );
-  const p5TypingDone = p5TypeChars >= P5_TYPE_TEXT.length;
-  const p5CursorOn =
-    t >= P5_TYPE_START && t < P5_CLEAR_START && Math.floor(frame / 10) % 2 === 0;
-
-  // 5C: Hand pointer moves to send button
-  const p5HandProgress = interpolate(t, [P5_CLICK_START, P5_CLICK_START + 0.3], [0, 1], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-    easing: Easing.out(Easing.cubic),
-  });
-  const p5HandVisible = t >= P5_CLICK_START - 0.1 && t < P5_CLEAR_START + 0.3;
-  const p5SendPressed = t >= P5_CLICK_START + 0.3 && t < P5_CLICK_START + 0.45;
+  const p5TypingDone = getTypewriter(request, t, {
+    start: P5_TYPE_START,
+    speed: P5_TYPE_SPEED,
+  }).done;
+
+  // 5C: Pointer moves onto the send button and clicks it
+  const p5Cursor: CursorScript = {
+    from: { x: width / 2 + P5_BOX_W / 2 - 48, y: height / 2 + 62 },
+    steps: [
+      {
+        at: p5ClickStart + 0.15,
+        to: sendButtonRef,
+        travel: 0.3,
+        curve: 0.1,
+        click: true,
+      },
+    ],
+    hideAt: p5ClearStart + 0.1,
+  };
+  const [p5SendClick] = getCursorClicks(p5Cursor);
+  const p5SendPressed = t >= p5SendClick && t < p5SendClick + 0.15;
 
   // 5D: Text disperses
-  const p5TextFade = interpolate(t, [P5_CLEAR_START, P5_CLEAR_START + 0.3], [1, 0], {
+  const p5TextFade = interpolate(t, [p5ClearStart, p5ClearStart + 0.3], [1, 0], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
   });
-  const p5TextLift = interpolate(t, [P5_CLEAR_START, P5_CLEAR_START + 0.3], [0, -40], {
+  const p5TextLift = interpolate(t, [p5ClearStart, p5ClearStart + 0.3], [0, -40], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.in(Easing.cubic),
   });
 
   // 5E: Generating response
-  const p5GenFade = interpolate(t, [P5_GEN_START, P5_GEN_START + 0.4], [0, 1], {
+  const p5GenFade = interpolate(t, [p5GenStart, p5GenStart + 0.4], [0, 1], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
   });
-  const p5ProgressPct = interpolate(t, [P5_GEN_START + 0.3, P5_GEN_START + 0.9], [0, 62], {
+  const p5ProgressPct = interpolate(t, [p5GenStart + 0.3, p5GenStart + 0.9], [0, 62], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.out(Easing.cubic),
   });
 
   return (
-    <AbsoluteFill style={{ overflow: "hidden" }}>
+    <LayoutCanvas style={{ overflow: "hidden" }}>
       {/* ── Zoom container wraps everything ── */}
       <div
         style={{
           position: "absolute",
-          inset: 0,
-          transform: `translate(${zoomTx}px, ${zoomTy}px) scale(${zoomScale})`,
+          left: offsetX,
+          top: offsetY,
+          width: VIEW_W,
+          height: VIEW_H,
+          transform: zoomTransform(camera, { width: VIEW_W, height: VIEW_H }),
           transformOrigin: "0 0",
         }}
       >
-        <Background />
+        <GlassBackground />
 
         {/* ── Phase 2: Title ── */}
         {showPhase2 && titleOpacity > 0.001 && (
@@ -681,11 +842,11 @@ export const GlassPlusExpand: React.FC = () => {
             }}
           >
             <span style={{ fontFamily: FONT, fontSize: 82, fontWeight: 700, color: "white", letterSpacing: "-0.02em" }}>
-              {TITLE_MAIN}{" "}
+              {title}{" "}
             </span>
             <BrandIcon />
             <span style={{ fontFamily: FONT, fontSize: 82, fontWeight: 700, color: "white", letterSpacing: "-0.02em" }}>
-              {BRAND_NAME}
+              {brandName}
             </span>
           </div>
         )}
@@ -704,11 +865,13 @@ export const GlassPlusExpand: React.FC = () => {
             }}
           >
             <TypedText
-              displayed={subDisplayed}
-              normalPart={SUBTITLE_NORMAL}
+              content={subtitleSpans}
+              t={t}
+              start={SUB_TYPE_START}
+              speed={SUB_TYPE_SPEED}
               fontSize={28}
               fontWeight={400}
-              baseColor="rgba(255,255,255,0.7)"
+              color="rgba(255,255,255,0.7)"
             />
           </div>
         )}
@@ -756,11 +919,13 @@ export const GlassPlusExpand: React.FC = () => {
                 }}
               >
                 <TypedText
-                  displayed={promptDisplayed}
-                  normalPart={PROMPT_NORMAL}
+                  content={promptSpans}
+                  t={t}
+                  start={PROMPT_TYPE_START}
+                  speed={PROMPT_TYPE_SPEED}
                   fontSize={26}
                   fontWeight={400}
-                  baseColor="rgba(255,255,255,0.45)"
+                  color="rgba(255,255,255,0.45)"
                 />
               </div>
             )}
@@ -776,7 +941,22 @@ export const GlassPlusExpand: React.FC = () => {
                   opacity: p3TextOpacity,
                 }}
               >
-                <span
+                {/* Cursor stops at Phase 4 */}
+                <Typewriter
+                  content={PHASE3_TEXT}
+                  t={t}
+                  start={P3_TYPE_START}
+                  speed={P3_TYPE_SPEED}
+                  caret={
+                    t < P4_START
+                      ? {
+                          color: "rgba(255,255,255,0.8)",
+                          height: 28,
+                          blinkPeriod: 0.8,
+                          style: { verticalAlign: "text-bottom" },
+                        }
+                      : undefined
+                  }
                   style={{
                     fontFamily: FONT,
                     fontSize: 26,
@@ -784,22 +964,7 @@ export const GlassPlusExpand: React.FC = () => {
                     color: "rgba(255,255,255,0.9)",
                     letterSpacing: "0.01em",
                   }}
-                >
-                  {p3Displayed}
-                </span>
-                {/* Cursor */}
-                {p3Displayed.length > 0 && cursorVisible && (
-                  <span
-                    style={{
-                      display: "inline-block",
-                      width: 2,
-                      height: 28,
-                      background: "rgba(255,255,255,0.8)",
-                      marginLeft: 2,
-                      verticalAlign: "text-bottom",
-                    }}
-                  />
-                )}
+                />
               </div>
             )}
 
@@ -934,7 +1099,12 @@ export const GlassPlusExpand: React.FC = () => {
                 opacity: textOpacity,
               }}
             >
-              {displayedText}
+              <Typewriter
+                content={label}
+                t={t}
+                start={LABEL_TYPE_START}
+                speed={typeSpeed}
+              />
             </span>
           </div>
         </div>
@@ -1068,22 +1238,24 @@ export const GlassPlusExpand: React.FC = () => {
                   transform: `translateY(${p5TextLift}px)`,
                 }}
               >
-                {t >= P5_TYPE_START && t < P5_GEN_START && (
-                  <>
-                    {p5Displayed}
-                    {p5CursorOn && (
-                      <span
-                        style={{
-                          display: "inline-block",
-                          width: 2,
-                          height: 28,
-                          background: "white",
-                          marginLeft: 2,
-                          verticalAlign: "text-bottom",
-                        }}
-                      />
-                    )}
-                  </>
+                {t >= P5_TYPE_START && t < p5GenStart && (
+                  <Typewriter
+                    content={request}
+                    t={t}
+                    start={P5_TYPE_START}
+                    speed={P5_TYPE_SPEED}
+                    caret={
+                      t < p5ClearStart
+                        ? {
+                            color: "white",
+                            height: 28,
+                            blinkPeriod: 2 / 3,
+                            blinkWhileTyping: true,
+                            style: { verticalAlign: "text-bottom" },
+                          }
+                        : undefined
+                    }
+                  />
                 )}
               </div>
 
@@ -1156,6 +1328,7 @@ export const GlassPlusExpand: React.FC = () => {
                   </div>
                   {/* Send button */}
                   <div
+                    ref={sendButtonRef}
                     style={{
                       width: 40,
                       height: 40,
@@ -1179,7 +1352,7 @@ export const GlassPlusExpand: React.FC = () => {
               </div>
 
               {/* 5E: Generating response overlay */}
-              {t >= P5_GEN_START && (
+              {t >= p5GenStart && (
                 <div
                   style={{
                     position: "absolute",
@@ -1253,28 +1426,11 @@ export const GlassPlusExpand: React.FC = () => {
             </div>
           )}
 
-          {/* 5C: Hand cursor */}
-          {p5HandVisible && (
-            <div
-              style={{
-                position: "absolute",
-                left: `calc(50% + ${P5_BOX_W / 2 - 60 + p5HandProgress * 10}px)`,
-                top: `calc(50% + ${60 - p5HandProgress * 20}px)`,
-                transform: "rotate(-10deg)",
-                zIndex: 17,
-                pointerEvents: "none",
-              }}
-            >
-              <HandCursor opacity={interpolate(
-                t,
-                [P5_CLICK_START - 0.1, P5_CLICK_START, P5_CLEAR_START + 0.1, P5_CLEAR_START + 0.3],
-                [0, 1, 1, 0],
-                { extrapolateLeft: "clamp", extrapolateRight: "clamp" }
-              )} />
-            </div>
-          )}
+          {/* 5C: Cursor */}
+          <Cursor script={p5Cursor} t={t} zIndex={17} />
         </div>
       )}
-    </AbsoluteFill>
+      <Soundtrack soundtrack={soundtrack} cues={cues} />
+    </LayoutCanvas>
   );
 };
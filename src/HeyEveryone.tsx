@@ -3,9 +3,21 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
 import React from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import { LANDSCAPE_DESIGN, LayoutCanvas } from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import {
+  SILENT_SOUNDTRACK,
+  SoundCue,
+  Soundtrack,
+  soundtrackSchema,
+} from "./lib/audio";
+
+const FONT = fontFamily("Google Sans");
 
 /**
  * "Hey everyone, we're finally back" text pop animation.
@@ -15,6 +27,38 @@ import React from "react";
  * chat bubble + fire emoji.
  */
 
+// Radial background, center → edge; shared with CardCarousel
+export const tealGradientSchema = z.tuple([zColor(), zColor(), zColor()]);
+
+export const TEAL_GRADIENT: z.infer<typeof tealGradientSchema> = [
+  "#2a5c5c",
+  "#1a3d3d",
+  "#0f2b2b",
+];
+
+export const heyEveryoneSchema = z.object({
+  // Phase 1 words pop in, then blur out
+  greeting: z.array(z.string()).min(1),
+  // Phase 2 words pop in; the last one lands with the zoom and bubble
+  followUp: z.array(z.string()).min(1),
+  followUpStart: z.number().min(0),
+  bubbleEmoji: z.string(),
+  bubbleColor: zColor(),
+  // Scales how far the bubble's emoji wobbles, pulses and stretches; 0 holds
+  // it still
+  fireWobble: z.number().min(0),
+  // Text fill, top → bottom
+  textGradient: z.tuple([zColor(), zColor(), zColor()]),
+  backgroundGradient: tealGradientSchema,
+  wordPopDuration: z.number().positive(),
+  wordStagger: z.number().min(0),
+  holdDuration: z.number().min(0),
+  fadeDuration: z.number().positive(),
+  soundtrack: soundtrackSchema,
+});
+
+export type HeyEveryoneProps = z.infer<typeof heyEveryoneSchema>;
+
 // Animation phases with word groups
 const PHASES: { words: string[]; startTime: number }[] = [
   { words: ["Hey", "everyone"], startTime: 0 },
@@ -25,37 +69,125 @@ const WORD_POP_DURATION = 0.2; // seconds for each word to pop in
 const WORD_STAGGER = 0.25; // delay between words in a group
 const HOLD_DURATION = 0.4; // hold after all words visible
 const FADE_DURATION = 0.3; // time for blur + fade out
+const ZOOM_DURATION = 0.7; // zoom onto the last word
+// Where the last word sits relative to center at 110px type, so the zoom
+// lands on it in every format
+const ZOOM_PAN_X = -280;
+const ZOOM_PAN_Y = 36;
+const END_HOLD = 1.0; // bubble stays on screen after the zoom
+
+export const heyEveryoneDefaultProps: HeyEveryoneProps = {
+  greeting: PHASES[0].words,
+  followUp: PHASES[1].words,
+  followUpStart: PHASES[1].startTime,
+  bubbleEmoji: "🔥",
+  bubbleColor: "#4A90D9",
+  fireWobble: 1,
+  textGradient: ["#e8eaed", "#bdc1c6", "#9aa0a6"],
+  backgroundGradient: TEAL_GRADIENT,
+  wordPopDuration: WORD_POP_DURATION,
+  wordStagger: WORD_STAGGER,
+  holdDuration: HOLD_DURATION,
+  fadeDuration: FADE_DURATION,
+  soundtrack: SILENT_SOUNDTRACK,
+};
+
+// "back" appears WITH the zoom, not before it — the zoom starts once all
+// the words before it have popped
+const getZoomStart = ({
+  followUp,
+  followUpStart,
+  wordStagger,
+  wordPopDuration,
+}: HeyEveryoneProps) =>
+  followUpStart +
+  Math.max(0, followUp.length - 2) * wordStagger +
+  wordPopDuration +
+  0.3;
 
-const textStyle: React.CSSProperties = {
-  fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-  fontWeight: 400,
-  lineHeight: 1,
-  whiteSpace: "nowrap",
-  background:
-    "linear-gradient(180deg, #e8eaed 0%, #bdc1c6 50%, #9aa0a6 100%)",
-  WebkitBackgroundClip: "text",
-  WebkitTextFillColor: "transparent",
-  backgroundClip: "text",
+export const getHeyEveryoneDuration = (props: HeyEveryoneProps): number =>
+  getZoomStart(props) + ZOOM_DURATION + END_HOLD;
+
+// When each word starts popping in, in seconds
+const getPopStarts = (props: HeyEveryoneProps) => {
+  const { greeting, followUp, followUpStart, wordStagger } = props;
+  return {
+    greeting: greeting.map((_, i) => i * wordStagger),
+    followUp: followUp.map((_, i) =>
+      i === followUp.length - 1
+        ? getZoomStart(props)
+        : followUpStart + i * wordStagger,
+    ),
+  };
+};
+
+/** A pop per word, and a whoosh as the last one lands with the zoom. */
+export const getHeyEveryoneCues = (props: HeyEveryoneProps): SoundCue[] => {
+  const { greeting, followUp } = getPopStarts(props);
+  return [
+    ...greeting.map((at): SoundCue => ({ kind: "pop", at })),
+    ...followUp.map(
+      (at, i): SoundCue => ({
+        kind: i === followUp.length - 1 ? "whoosh" : "pop",
+        at,
+      }),
+    ),
+  ];
+};
+
+export const heyEveryoneMeta: EffectMeta = {
+  title: "\"Hey everyone, we're finally back\" — Word Pop Text",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/HeyEveryone.txt",
 };
 
-export const HeyEveryone: React.FC = () => {
+export const HeyEveryone: React.FC<HeyEveryoneProps> = (props) => {
+  const {
+    greeting,
+    followUp,
+    followUpStart,
+    bubbleEmoji,
+    bubbleColor,
+    textGradient,
+    backgroundGradient,
+    wordPopDuration,
+    wordStagger,
+    holdDuration,
+    fadeDuration,
+    fireWobble,
+    soundtrack,
+  } = props;
   const frame = useCurrentFrame();
-  const { fps, width, height } = useVideoConfig();
+  const { fps } = useVideoConfig();
   const t = frame / fps;
 
   const fontSize = 110;
 
+  const textStyle: React.CSSProperties = {
+    fontFamily: FONT,
+    fontWeight: 400,
+    lineHeight: 1,
+    whiteSpace: "nowrap",
+    background: `linear-gradient(180deg, ${textGradient[0]} 0%, ${textGradient[1]} 50%, ${textGradient[2]} 100%)`,
+    WebkitBackgroundClip: "text",
+    WebkitTextFillColor: "transparent",
+    backgroundClip: "text",
+  };
+
+  const popStarts = getPopStarts(props);
+
   // --- Phase 1: "Hey" then "everyone" ---
-  const phase1Start = PHASES[0].startTime;
-  const phase1Words = PHASES[0].words;
+  const phase1Start = 0;
+  const phase1Words = greeting;
 
   // When all words of phase 1 are done popping
   const phase1AllVisible =
     phase1Start +
-    (phase1Words.length - 1) * WORD_STAGGER +
-    WORD_POP_DURATION;
-  const phase1FadeStart = phase1AllVisible + HOLD_DURATION;
-  const phase1FadeEnd = phase1FadeStart + FADE_DURATION;
+    (phase1Words.length - 1) * wordStagger +
+    wordPopDuration;
+  const phase1FadeStart = phase1AllVisible + holdDuration;
+  const phase1FadeEnd = phase1FadeStart + fadeDuration;
 
   // Blur + fade progress for phase 1
   const fadeProgress1 = interpolate(
@@ -68,14 +200,10 @@ export const HeyEveryone: React.FC = () => {
   const phase1Opacity = 1 - fadeProgress1;
 
   // --- Phase 2: "we're" then "finally" then "back" ---
-  const phase2Start = PHASES[1].startTime;
-  const phase2Words = PHASES[1].words;
-  // "back" appears WITH the zoom, not before it
-  // Zoom starts after "we're finally" are visible (only 2 words pop)
-  const phase2TwoWordsVisible =
-    phase2Start + 1 * WORD_STAGGER + WORD_POP_DURATION;
-  const zoomStart = phase2TwoWordsVisible + 0.3;
-  const zoomEnd = zoomStart + 0.7;
+  const phase2Start = followUpStart;
+  const phase2Words = followUp;
+  const zoomStart = getZoomStart(props);
+  const zoomEnd = zoomStart + ZOOM_DURATION;
   const zoomScale = interpolate(t, [zoomStart, zoomEnd], [1, 2.5], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
@@ -84,12 +212,12 @@ export const HeyEveryone: React.FC = () => {
 
   // Pan to center on "back" during zoom
   // "back" is the last word, so it's to the right — shift left
-  const zoomPanX = interpolate(t, [zoomStart, zoomEnd], [0, -width * 0.22], {
+  const zoomPanX = interpolate(t, [zoomStart, zoomEnd], [0, ZOOM_PAN_X], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.inOut(Easing.cubic),
   });
-  const zoomPanY = interpolate(t, [zoomStart, zoomEnd], [0, height * 0.05], {
+  const zoomPanY = interpolate(t, [zoomStart, zoomEnd], [0, ZOOM_PAN_Y], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.inOut(Easing.cubic),
@@ -102,9 +230,11 @@ export const HeyEveryone: React.FC = () => {
   });
 
   // Fire flickering
-  const fireWobble = Math.sin(t * 12) * 5 + Math.sin(t * 8.5) * 3;
-  const fireScale = 1 + Math.sin(t * 10) * 0.08 + Math.sin(t * 15) * 0.05;
-  const fireStretch = 1 + Math.sin(t * 9) * 0.1;
+  const fireRotation =
+    (Math.sin(t * 12) * 5 + Math.sin(t * 8.5) * 3) * fireWobble;
+  const fireScale =
+    1 + (Math.sin(t * 10) * 0.08 + Math.sin(t * 15) * 0.05) * fireWobble;
+  const fireStretch = 1 + Math.sin(t * 9) * 0.1 * fireWobble;
 
   // Chat bubble appears during zoom
   const bubbleStart = zoomStart + 0.25;
@@ -124,10 +254,9 @@ export const HeyEveryone: React.FC = () => {
   const renderPopWord = (
     word: string,
     wordIndex: number,
-    phaseStart: number,
+    popStart: number,
   ) => {
-    const popStart = phaseStart + wordIndex * WORD_STAGGER;
-    const popEnd = popStart + WORD_POP_DURATION;
+    const popEnd = popStart + wordPopDuration;
 
     const scale = interpolate(t, [popStart, popEnd], [0.3, 1], {
       extrapolateLeft: "clamp",
@@ -142,7 +271,7 @@ export const HeyEveryone: React.FC = () => {
 
     return (
       <span
-        key={word}
+        key={wordIndex}
         style={{
           ...textStyle,
           fontSize,
@@ -158,10 +287,9 @@ export const HeyEveryone: React.FC = () => {
   };
 
   return (
-    <AbsoluteFill
+    <LayoutCanvas
       style={{
-        background:
-          "radial-gradient(ellipse at 50% 40%, #2a5c5c 0%, #1a3d3d 40%, #0f2b2b 100%)",
+        background: `radial-gradient(ellipse at 50% 40%, ${backgroundGradient[0]} 0%, ${backgroundGradient[1]} 40%, ${backgroundGradient[2]} 100%)`,
       }}
     >
       {/* Subtle vignette overlay */}
@@ -230,7 +358,7 @@ export const HeyEveryone: React.FC = () => {
             }}
           >
             {phase1Words.map((word, i) =>
-              renderPopWord(word, i, phase1Start),
+              renderPopWord(word, i, popStarts.greeting[i]),
             )}
           </div>
         )}
@@ -249,8 +377,8 @@ export const HeyEveryone: React.FC = () => {
               const isBack = i === phase2Words.length - 1;
 
               // "back" appears with zoom, other words pop normally
-              const popStart = isBack ? zoomStart : phase2Start + i * WORD_STAGGER;
-              const popEnd = popStart + (isBack ? 0.3 : WORD_POP_DURATION);
+              const popStart = popStarts.followUp[i];
+              const popEnd = popStart + (isBack ? 0.3 : wordPopDuration);
 
               const scale = interpolate(t, [popStart, popEnd], [0.3, 1], {
                 extrapolateLeft: "clamp",
@@ -274,9 +402,10 @@ export const HeyEveryone: React.FC = () => {
               let zoomFadeOpacity = 1;
               if (!isBack) {
                 // "we're" (i=0) drifts more and fades fully
-                // "finally" (i=1) drifts less and stays partially visible
-                const driftAmount = i === 0 ? -200 : -80;
-                const fadeTarget = i === 0 ? 0 : 0.5;
+                // "finally" (next to "back") drifts less and stays partially visible
+                const isBeforeBack = i === phase2Words.length - 2;
+                const driftAmount = isBeforeBack ? -80 : -200;
+                const fadeTarget = isBeforeBack ? 0.5 : 0;
                 zoomFlyX = interpolate(
                   t,
                   [zoomStart, zoomEnd],
@@ -300,7 +429,7 @@ export const HeyEveryone: React.FC = () => {
 
               return (
                 <span
-                  key={word}
+                  key={i}
                   style={{
                     ...textStyle,
                     fontSize,
@@ -331,7 +460,7 @@ export const HeyEveryone: React.FC = () => {
                 <div
                   style={{
                     position: "relative",
-                    backgroundColor: "#4A90D9",
+                    backgroundColor: bubbleColor,
                     borderRadius: 22,
                     padding: "12px 18px",
                     display: "flex",
@@ -347,7 +476,7 @@ export const HeyEveryone: React.FC = () => {
                       left: 12,
                       width: 16,
                       height: 16,
-                      backgroundColor: "#4A90D9",
+                      backgroundColor: bubbleColor,
                       borderRadius: 4,
                       transform: "rotate(45deg)",
                     }}
@@ -359,11 +488,11 @@ export const HeyEveryone: React.FC = () => {
                       position: "relative",
                       zIndex: 1,
                       display: "inline-block",
-                      transform: `rotate(${fireWobble}deg) scaleX(${fireScale}) scaleY(${fireStretch})`,
+                      transform: `rotate(${fireRotation}deg) scaleX(${fireScale}) scaleY(${fireStretch})`,
                       transformOrigin: "bottom center",
                     }}
                   >
-                    🔥
+                    {bubbleEmoji}
                   </span>
                 </div>
               </div>
@@ -371,6 +500,8 @@ export const HeyEveryone: React.FC = () => {
           </div>
         )}
       </div>
-    </AbsoluteFill>
+
+      <Soundtrack soundtrack={soundtrack} cues={getHeyEveryoneCues(props)} />
+    </LayoutCanvas>
   );
 };
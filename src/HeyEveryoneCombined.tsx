@@ -1,25 +1,93 @@
-import { Series } from "remotion";
+import { Series, useVideoConfig } from "remotion";
 import React from "react";
-import { HeyEveryone } from "./HeyEveryone";
-import { CardCarousel } from "./CardCarousel";
+import { z } from "zod";
+import {
+  getHeyEveryoneDuration,
+  HeyEveryone,
+  heyEveryoneDefaultProps,
+  heyEveryoneSchema,
+} from "./HeyEveryone";
+import {
+  CardCarousel,
+  getCardCarouselDuration,
+  cardCarouselDefaultProps,
+  cardCarouselSchema,
+} from "./CardCarousel";
+import { markersFromPhases, secondsToFrames } from "./lib/duration";
+import { SILENT_SOUNDTRACK, Soundtrack, soundtrackSchema } from "./lib/audio";
+import { EffectMeta } from "./lib/effectMeta";
+import { LANDSCAPE_DESIGN } from "./lib/layout";
 
 /**
  * Combined composition:
  * Phase 1 — "Hey everyone, we're finally back" text pop animation
  * Phase 2 — Card carousel with typing + fast vertical scroll
  */
-export const HeyEveryoneCombined: React.FC = () => {
+
+export const heyEveryoneCombinedSchema = z.object({
+  intro: heyEveryoneSchema,
+  carousel: cardCarouselSchema,
+  // Music across both phases; volume keyframes may name "Intro" or "Carousel"
+  soundtrack: soundtrackSchema,
+});
+
+export type HeyEveryoneCombinedProps = z.infer<
+  typeof heyEveryoneCombinedSchema
+>;
+
+export const heyEveryoneCombinedDefaultProps: HeyEveryoneCombinedProps = {
+  intro: heyEveryoneDefaultProps,
+  carousel: cardCarouselDefaultProps,
+  soundtrack: SILENT_SOUNDTRACK,
+};
+
+/** Seconds per phase, in playback order. */
+export const getHeyEveryoneCombinedPhases = ({
+  intro,
+  carousel,
+}: HeyEveryoneCombinedProps): number[] => [
+  getHeyEveryoneDuration(intro),
+  getCardCarouselDuration(carousel),
+];
+
+export const getHeyEveryoneCombinedMarkers = markersFromPhases(
+  ["Intro", "Carousel"],
+  getHeyEveryoneCombinedPhases,
+);
+
+export const heyEveryoneCombinedMeta: EffectMeta = {
+  title: "Hey Everyone — Intro + Card Carousel",
+  category: "Sequences",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/HeyEveryoneCombined.txt",
+};
+
+export const HeyEveryoneCombined: React.FC<HeyEveryoneCombinedProps> = (
+  props,
+) => {
+  const { intro, carousel, soundtrack } = props;
+  const { fps } = useVideoConfig();
+  const [introFrames, carouselFrames] = getHeyEveryoneCombinedPhases(props).map(
+    (s) => secondsToFrames(s, fps),
+  );
+
   return (
-    <Series>
-      {/* Phase 1: Hey everyone (4s = 120 frames) */}
-      <Series.Sequence durationInFrames={120}>
-        <HeyEveryone />
-      </Series.Sequence>
-
-      {/* Phase 2: Card carousel (7s = 210 frames) */}
-      <Series.Sequence durationInFrames={210}>
-        <CardCarousel />
-      </Series.Sequence>
-    </Series>
+    <>
+      <Series>
+        {/* Phase 1: Hey everyone */}
+        <Series.Sequence durationInFrames={introFrames}>
+          <HeyEveryone {...intro} />
+        </Series.Sequence>
+
+        {/* Phase 2: Card carousel */}
+        <Series.Sequence durationInFrames={carouselFrames}>
+          <CardCarousel {...carousel} />
+        </Series.Sequence>
+      </Series>
+      <Soundtrack
+        soundtrack={soundtrack}
+        phases={getHeyEveryoneCombinedMarkers(props, fps)}
+      />
+    </>
   );
 };
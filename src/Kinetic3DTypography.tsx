@@ -1,6 +1,5 @@
 import { ThreeCanvas } from "@remotion/three";
 import {
-  useCurrentFrame,
   useVideoConfig,
   interpolate,
   AbsoluteFill,
@@ -9,17 +8,41 @@ import {
 import React, { useMemo } from "react";
 import { useThree } from "@react-three/fiber";
 import * as THREE from "three";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { createTrack, KeyframeTiming } from "./lib/keyframes";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  fitFov,
+  LANDSCAPE_DESIGN,
+  useLayout,
+} from "./lib/layout";
+import { AUTHORING_FPS, useAuthoredFrame } from "./lib/timing";
+import { fontFamily, useFontsReady } from "./lib/fonts";
 
 // ─── Word data ───
 
-interface WordConfig {
-  text: string;
-  x: number;
-  y: number;
-  fontSize: number;
-  color: string;
-  enterFrame: number;
-}
+const wordConfigSchema = z.object({
+  text: z.string(),
+  x: z.number(),
+  y: z.number(),
+  fontSize: z.number().positive(),
+  color: zColor(),
+  // Frame (at AUTHORING_FPS, like the camera keyframes) the word enters on
+  enterFrame: z.number().int().min(0),
+});
+
+type WordConfig = z.infer<typeof wordConfigSchema>;
+
+export const kinetic3DTypographySchema = z.object({
+  backgroundColor: zColor(),
+  words: z.array(wordConfigSchema),
+});
+
+export type Kinetic3DTypographyProps = z.infer<
+  typeof kinetic3DTypographySchema
+>;
 
 // Diagonal cascade, positions in "pixel space" — converted to 3D at render time
 const WORDS: WordConfig[] = [
@@ -38,14 +61,21 @@ const WORDS: WordConfig[] = [
   { text: "you", x: 850, y: 2080, fontSize: 250, color: "#22c55e", enterFrame: 203 },
 ];
 
+export const kinetic3DTypographyDefaultProps: Kinetic3DTypographyProps = {
+  backgroundColor: "#e8e8e8",
+  words: WORDS,
+};
+
 // Pixel-space → 3D world conversion
 const S = 0.01; // 1 px = 0.01 world units
-const OX = 640; // horizontal origin (center of 1280 viewport)
+const OX = LANDSCAPE_DESIGN.width / 2; // words are laid out across the design width
+
+const CAMERA_FOV = 50;
 
 // ─── Camera keyframes (2D → will be projected to 3D camera position) ───
+// Keyframe and enter frames are counted at AUTHORING_FPS.
 
-interface CamKF {
-  frame: number;
+interface CamKF extends KeyframeTiming {
   x: number;
   y: number;
   scale: number;
@@ -71,8 +101,7 @@ const CAM: CamKF[] = [
 
 // ─── Tilt keyframes (camera orbit oscillation) ───
 
-interface TiltKF {
-  frame: number;
+interface TiltKF extends KeyframeTiming {
   rotY: number; // lateral orbit angle in degrees
 }
 
@@ -97,41 +126,50 @@ const TILT: TiltKF[] = [
   { frame: 300, rotY: -3 },
 ];
 
-// ─── Interpolation ───
+// Frames a word needs to finish its entrance spring
+const WORD_SETTLE_FRAMES = 30;
 
-function easeInOutCubic(t: number): number {
-  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-}
+/** Ends on the final camera keyframe, or once the last word has settled. */
+export const getKinetic3DTypographyDuration = ({
+  words,
+}: Kinetic3DTypographyProps): number =>
+  Math.max(
+    CAM[CAM.length - 1].frame,
+    ...words.map((w) => w.enterFrame + WORD_SETTLE_FRAMES),
+  ) / AUTHORING_FPS;
 
-function interp<T extends { frame: number }>(
-  kfs: T[],
-  frame: number,
-  get: (k: T) => number,
-): number {
-  if (frame <= kfs[0].frame) return get(kfs[0]);
-  const last = kfs[kfs.length - 1];
-  if (frame >= last.frame) return get(last);
-  let i = 0;
-  while (i < kfs.length - 2 && kfs[i + 1].frame <= frame) i++;
-  const a = kfs[i];
-  const b = kfs[i + 1];
-  const t = easeInOutCubic((frame - a.frame) / (b.frame - a.frame));
-  return get(a) + (get(b) - get(a)) * t;
-}
+// ─── Tracks ───
+
+// Fly-through path is smoothed so the camera doesn't stop at every word
+const camTrack = createTrack(CAM, { smoothing: "catmullRom" });
+const tiltTrack = createTrack(TILT);
 
 // ─── Canvas text → Three.js texture ───
 
+const FONT = fontFamily("SF Pro Display");
+
+// Texture px per word px at 1280×720, high-res for close-up zoom
+const TEXTURE_DPR = 3;
+const MAX_TEXTURE_SIZE = 8192;
+
 function makeTextTexture(
   text: string,
   fontSize: number,
   color: string,
+  dpr: number,
 ): { tex: THREE.CanvasTexture; w: number; h: number } {
-  const DPR = 3; // high-res for close-up zoom
-  const px = fontSize * DPR;
   const canvas = document.createElement("canvas");
   const ctx = canvas.getContext("2d")!;
+  const fontAt = (px: number) => `900 ${px}px ${FONT}`;
+
+  // Long words at 4K would outgrow WebGL's texture size limit
+  ctx.font = fontAt(fontSize);
+  const fit =
+    MAX_TEXTURE_SIZE / (ctx.measureText(text).width + fontSize * 0.3);
+  const texDpr = Math.min(dpr, fit);
 
-  const font = `900 ${px}px -apple-system, BlinkMacSystemFont, "Helvetica Neue", Helvetica, Arial, sans-serif`;
+  const px = fontSize * texDpr;
+  const font = fontAt(px);
   ctx.font = font;
   const metrics = ctx.measureText(text);
 
@@ -150,7 +188,7 @@ function makeTextTexture(
   tex.magFilter = THREE.LinearFilter;
   tex.generateMipmaps = false;
 
-  return { tex, w: canvas.width / DPR, h: canvas.height / DPR };
+  return { tex, w: canvas.width / texDpr, h: canvas.height / texDpr };
 }
 
 // ─── Single word as a textured plane on the ground ───
@@ -158,15 +196,15 @@ function makeTextTexture(
 function WordPlane({
   word,
   frame,
-  fps,
+  textureDpr,
 }: {
   word: WordConfig;
   frame: number;
-  fps: number;
+  textureDpr: number;
 }) {
   const { tex, w, h } = useMemo(
-    () => makeTextTexture(word.text, word.fontSize, word.color),
-    [word.text, word.fontSize, word.color],
+    () => makeTextTexture(word.text, word.fontSize, word.color, textureDpr),
+    [word.text, word.fontSize, word.color, textureDpr],
   );
 
   const local = frame - word.enterFrame;
@@ -174,7 +212,7 @@ function WordPlane({
 
   const sp = spring({
     frame: local,
-    fps,
+    fps: AUTHORING_FPS,
     config: { damping: 12, stiffness: 110, mass: 0.9 },
   });
   const opacity = sp;
@@ -211,18 +249,22 @@ function WordPlane({
 
 // ─── 3D Scene — camera flies through text on the ground ───
 
-function Scene() {
-  const frame = useCurrentFrame();
-  const { fps } = useVideoConfig();
+function Scene({
+  words,
+  textureDpr,
+}: {
+  words: WordConfig[];
+  textureDpr: number;
+}) {
+  const frame = useAuthoredFrame();
+  const { width, height } = useVideoConfig();
   const { camera } = useThree();
 
   // Interpolate 2D camera focus + zoom
-  const cx = interp(CAM, frame, (k) => k.x);
-  const cy = interp(CAM, frame, (k) => k.y);
-  const cScale = interp(CAM, frame, (k) => k.scale);
+  const { x: cx, y: cy, scale: cScale } = camTrack(frame);
 
   // Interpolate lateral tilt
-  const tiltY = interp(TILT, frame, (k) => k.rotY);
+  const tiltY = tiltTrack(frame).rotY;
 
   // ── Map to 3D camera position ──
   // Focus point on the ground
@@ -251,7 +293,8 @@ function Scene() {
 
   // Apply to camera
   const cam = camera as THREE.PerspectiveCamera;
-  cam.fov = 50;
+  // Portrait and square formats widen the view so long words still fit
+  cam.fov = fitFov(CAMERA_FOV, { width, height }, COMPACT_DESIGN);
   cam.near = 0.1;
   cam.far = 200;
   cam.updateProjectionMatrix();
@@ -261,28 +304,49 @@ function Scene() {
 
   return (
     <>
-      {WORDS.map((w, i) => (
-        <WordPlane key={i} word={w} frame={frame} fps={fps} />
+      {words.map((w, i) => (
+        <WordPlane
+          key={i}
+          word={w}
+          frame={frame}
+          textureDpr={textureDpr}
+        />
       ))}
     </>
   );
 }
 
+export const kinetic3DTypographyMeta: EffectMeta = {
+  title: "Kinetic 3D Typography — WebGL Camera Fly-Through",
+  category: "Kinetic",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/Kinetic3DTypography.txt",
+};
+
 // ─── Main export ───
 
-export const Kinetic3DTypography: React.FC = () => {
+export const Kinetic3DTypography: React.FC<Kinetic3DTypographyProps> = ({
+  backgroundColor,
+  words,
+}) => {
   const { width, height } = useVideoConfig();
+  // Sharper textures for larger renders
+  const { scale } = useLayout();
+  // Word textures are drawn once, so only after the font is in
+  const fontsReady = useFontsReady();
 
   return (
-    <AbsoluteFill style={{ backgroundColor: "#e8e8e8" }}>
+    <AbsoluteFill style={{ backgroundColor }}>
       <ThreeCanvas
         width={width}
         height={height}
-        camera={{ fov: 50, position: [0, 5, 15], near: 0.1, far: 200 }}
+        camera={{ fov: CAMERA_FOV, position: [0, 5, 15], near: 0.1, far: 200 }}
         style={{ width: "100%", height: "100%" }}
       >
-        <color attach="background" args={["#e8e8e8"]} />
-        <Scene />
+        <color attach="background" args={[backgroundColor]} />
+        {fontsReady ? (
+          <Scene words={words} textureDpr={TEXTURE_DPR * scale} />
+        ) : null}
       </ThreeCanvas>
     </AbsoluteFill>
   );
@@ -3,8 +3,33 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+
+const FONT = fontFamily("SF Pro Display");
+
+export const lineFanSchema = z.object({
+  words: z.array(z.string()).min(2),
+  backgroundColor: zColor(),
+  lineColor: zColor(),
+  textColor: zColor(),
+  lineGrowDuration: z.number().positive(),
+  singleHold: z.number().min(0),
+  fanDuration: z.number().positive(),
+  wordFadeStart: z.number().min(0),
+  wordFadeDuration: z.number().positive(),
+});
+
+export type LineFanProps = z.infer<typeof lineFanSchema>;
 
 const WORDS = [
   "Motion",
@@ -20,12 +45,13 @@ const WORDS = [
   "harmony",
 ];
 
-// Origin point — all lines radiate from here
-const ORIGIN_X = 100;
-const ORIGIN_Y = 130;
+// Origin point — all lines radiate from here (fraction of layout width/height)
+const ORIGIN_X = 0.08;
+const ORIGIN_Y = 0.18;
 
 // Fan geometry
-const LINE_LENGTH = 900;
+const LINE_LENGTH = 0.7; // fraction of layout width
+const WORD_ROOM = 180; // kept clear right of the tips for the words
 const FAN_START_ANGLE = -8;
 const FAN_END_ANGLE = 55;
 const TOTAL_LINES = 18;
@@ -36,25 +62,73 @@ const SINGLE_HOLD = 1.0; // hold as single line
 const FAN_DURATION = 5.0; // all lines spread apart simultaneously
 const WORD_FADE_START = 5.0; // words appear during fan
 const WORD_FADE_DURATION = 2.0;
+const END_HOLD = 4.0; // finished fan stays on screen
+
+export const lineFanDefaultProps: LineFanProps = {
+  words: WORDS,
+  backgroundColor: "#0a0a0a",
+  lineColor: "#ffffff",
+  textColor: "#ffffff",
+  lineGrowDuration: LINE_GROW_DURATION,
+  singleHold: SINGLE_HOLD,
+  fanDuration: FAN_DURATION,
+  wordFadeStart: WORD_FADE_START,
+  wordFadeDuration: WORD_FADE_DURATION,
+};
+
+export const getLineFanDuration = ({
+  lineGrowDuration,
+  singleHold,
+  fanDuration,
+  wordFadeStart,
+  wordFadeDuration,
+}: LineFanProps): number =>
+  Math.max(
+    lineGrowDuration + singleHold + fanDuration,
+    wordFadeStart + wordFadeDuration,
+  ) + END_HOLD;
 
-export const LineFan: React.FC = () => {
+export const lineFanMeta: EffectMeta = {
+  title: "Line Fan Text Reveal",
+  category: "Effects",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/LineFan.txt",
+};
+
+export const LineFan: React.FC<LineFanProps> = ({
+  words,
+  backgroundColor,
+  lineColor,
+  textColor,
+  lineGrowDuration,
+  singleHold,
+  fanDuration,
+  wordFadeStart,
+  wordFadeDuration,
+}) => {
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
+  const { width, height } = useLayout(COMPACT_DESIGN);
   const t = frame / fps;
 
+  const originX = width * ORIGIN_X;
+  const originY = height * ORIGIN_Y;
+  // Shorter lines in narrow formats so the words still fit
+  const lineLength = Math.min(width * LINE_LENGTH, width - originX - WORD_ROOM);
+
   // Phase 1: Single line grows out horizontally
-  const growProgress = interpolate(t, [0, LINE_GROW_DURATION], [0, 1], {
+  const growProgress = interpolate(t, [0, lineGrowDuration], [0, 1], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.out(Easing.quad),
   });
-  const currentLength = LINE_LENGTH * growProgress;
+  const currentLength = lineLength * growProgress;
 
   // Phase 2: All lines fan out simultaneously from horizontal to their target angles
-  const fanStart = LINE_GROW_DURATION + SINGLE_HOLD;
+  const fanStart = lineGrowDuration + singleHold;
   const fanProgress = interpolate(
     t,
-    [fanStart, fanStart + FAN_DURATION],
+    [fanStart, fanStart + fanDuration],
     [0, 1],
     {
       extrapolateLeft: "clamp",
@@ -64,7 +138,7 @@ export const LineFan: React.FC = () => {
   );
 
   // Build line data
-  const wordCount = WORDS.length;
+  const wordCount = words.length;
   const lines: { angle: number; wordIndex: number | null; lineIndex: number }[] = [];
 
   for (let i = 0; i < TOTAL_LINES; i++) {
@@ -92,9 +166,10 @@ export const LineFan: React.FC = () => {
   });
 
   return (
-    <AbsoluteFill
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
       style={{
-        backgroundColor: "#0a0a0a",
+        backgroundColor,
         overflow: "hidden",
       }}
     >
@@ -112,8 +187,8 @@ export const LineFan: React.FC = () => {
           const currentAngle =
             FAN_START_ANGLE + fanProgress * (line.angle - FAN_START_ANGLE);
           const angleRad = (currentAngle * Math.PI) / 180;
-          const endX = ORIGIN_X + Math.cos(angleRad) * currentLength;
-          const endY = ORIGIN_Y + Math.sin(angleRad) * currentLength;
+          const endX = originX + Math.cos(angleRad) * currentLength;
+          const endY = originY + Math.sin(angleRad) * currentLength;
 
           const isEdge =
             line.lineIndex === 0 || line.lineIndex === TOTAL_LINES - 1;
@@ -124,11 +199,11 @@ export const LineFan: React.FC = () => {
           return (
             <line
               key={line.lineIndex}
-              x1={ORIGIN_X}
-              y1={ORIGIN_Y}
+              x1={originX}
+              y1={originY}
               x2={endX}
               y2={endY}
-              stroke="#ffffff"
+              stroke={lineColor}
               strokeWidth={isEdge ? 1.2 : 0.7}
               strokeOpacity={lineOpacityBase * baseOpacity}
               strokeDasharray={isDashed ? "4 6" : "none"}
@@ -142,16 +217,16 @@ export const LineFan: React.FC = () => {
         .filter((l) => l.wordIndex !== null)
         .map((line) => {
           const wordIdx = line.wordIndex as number;
-          const word = WORDS[wordIdx];
+          const word = words[wordIdx];
           const currentAngle =
             FAN_START_ANGLE + fanProgress * (line.angle - FAN_START_ANGLE);
           const angleRad = (currentAngle * Math.PI) / 180;
-          const endX = ORIGIN_X + Math.cos(angleRad) * currentLength;
-          const endY = ORIGIN_Y + Math.sin(angleRad) * currentLength;
+          const endX = originX + Math.cos(angleRad) * currentLength;
+          const endY = originY + Math.sin(angleRad) * currentLength;
 
           const wordOpacity = interpolate(
             t,
-            [WORD_FADE_START, WORD_FADE_START + WORD_FADE_DURATION],
+            [wordFadeStart, wordFadeStart + wordFadeDuration],
             [0, 1],
             {
               extrapolateLeft: "clamp",
@@ -160,7 +235,7 @@ export const LineFan: React.FC = () => {
             },
           );
 
-          const isLast = wordIdx === WORDS.length - 1;
+          const isLast = wordIdx === words.length - 1;
 
           return (
             <div
@@ -175,11 +250,10 @@ export const LineFan: React.FC = () => {
             >
               <span
                 style={{
-                  fontFamily:
-                    "SF Pro Display, -apple-system, Helvetica, sans-serif",
+                  fontFamily: FONT,
                   fontSize: 30,
                   fontWeight: isLast ? 400 : 300,
-                  color: "#ffffff",
+                  color: textColor,
                   letterSpacing: "0.02em",
                   whiteSpace: "nowrap",
                   fontStyle: isLast ? "italic" : "normal",
@@ -190,6 +264,6 @@ export const LineFan: React.FC = () => {
             </div>
           );
         })}
-    </AbsoluteFill>
+    </LayoutCanvas>
   );
 };
@@ -3,24 +3,66 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
 import React from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import { beatSyncSchema, getBeatCycle, getCycleStart } from "./lib/beats";
+
+const FONT = fontFamily("Google Sans");
+
+export const meetYourNewSchema = z.object({
+  prefix: z.string(),
+  buttonLabel: z.string(),
+  words: z.array(z.string()).min(1),
+  backgroundColor: zColor(),
+  textColor: zColor(),
+  hold: z.number().min(0),
+  transitionDuration: z.number().positive(),
+  // Brings each new word in on the music's beats or bars
+  beats: beatSyncSchema.optional(),
+});
+
+export type MeetYourNewProps = z.infer<typeof meetYourNewSchema>;
 
 const WORDS = ["designer", "storyteller", "writer", "developer", "creator"];
-const LONGEST_WORD_LENGTH = Math.max(...WORDS.map((w) => w.length));
 
 const HOLD = 2.5; // seconds each word stays visible
 const TRANSITION = 0.6; // seconds for the swap animation
 
-const CYCLE = HOLD + TRANSITION;
+export const meetYourNewDefaultProps: MeetYourNewProps = {
+  prefix: "Meet your",
+  buttonLabel: "New",
+  words: WORDS,
+  backgroundColor: "#ffffff",
+  textColor: "#3c4043",
+  hold: HOLD,
+  transitionDuration: TRANSITION,
+};
 
 const WordSlot: React.FC<{
   oldWord: string;
   newWord: string;
   progress: number; // 0 = old visible, 1 = new visible
   fontSize: number;
-}> = ({ oldWord, newWord, progress, fontSize }) => {
+  longestWordLength: number;
+  centered: boolean;
+}> = ({
+  oldWord,
+  newWord,
+  progress,
+  fontSize,
+  longestWordLength,
+  centered,
+}) => {
   const slotHeight = fontSize * 1.3;
 
   const oldY = interpolate(progress, [0, 1], [0, -slotHeight], {
@@ -46,8 +88,10 @@ const WordSlot: React.FC<{
   const baseStyle: React.CSSProperties = {
     position: "absolute",
     left: 0,
+    right: centered ? 0 : undefined,
+    textAlign: centered ? "center" : undefined,
     whiteSpace: "nowrap",
-    fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+    fontFamily: FONT,
     fontSize,
     fontWeight: 400,
     lineHeight: 1.3,
@@ -64,7 +108,7 @@ const WordSlot: React.FC<{
         height: slotHeight,
         position: "relative",
         overflow: "hidden",
-        width: LONGEST_WORD_LENGTH * fontSize * 0.58,
+        width: longestWordLength * fontSize * 0.58,
       }}
     >
       {progress < 1 && (
@@ -95,18 +139,55 @@ const WordSlot: React.FC<{
   );
 };
 
-export const MeetYourNew: React.FC = () => {
+/** Seconds to cycle through every word once and land back on the first. */
+export const getMeetYourNewDuration = ({
+  words,
+  hold,
+  transitionDuration,
+  beats,
+}: MeetYourNewProps): number => {
+  const cycle = hold + transitionDuration;
+  return getCycleStart(words.length - 1, cycle, beats, hold) + cycle;
+};
+
+export const meetYourNewMeta: EffectMeta = {
+  title: "Meet Your New — Word Cycling with Heartbeat Button",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/MeetYourNew.txt",
+};
+
+export const MeetYourNew: React.FC<MeetYourNewProps> = ({
+  prefix,
+  buttonLabel,
+  words,
+  backgroundColor,
+  textColor,
+  hold,
+  transitionDuration,
+  beats,
+}) => {
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
+  // Narrow formats stack the line: prefix above the button, word below
+  const { narrow } = useLayout(COMPACT_DESIGN);
   const t = frame / fps;
 
   const fontSize = 82;
+  const stackOffset = fontSize * 1.5;
+  const longestWordLength = Math.max(...words.map((w) => w.length));
 
-  const cycleIndex = Math.floor(t / CYCLE);
-  const cycleTime = t - cycleIndex * CYCLE;
+  // The swap that ends each cycle is what lands on the beat
+  const cycle = hold + transitionDuration;
+  const { index: cycleIndex, time: cycleTime } = getBeatCycle(
+    t,
+    cycle,
+    beats,
+    hold,
+  );
 
-  const currentIdx = cycleIndex % WORDS.length;
-  const nextIdx = (cycleIndex + 1) % WORDS.length;
+  const currentIdx = cycleIndex % words.length;
+  const nextIdx = (cycleIndex + 1) % words.length;
 
   // Rotating border angle — completes one full loop every 3 seconds
   const borderAngle = (t * 120) % 360;
@@ -128,15 +209,16 @@ export const MeetYourNew: React.FC = () => {
 
   const swapProgress = interpolate(
     cycleTime,
-    [HOLD, HOLD + TRANSITION],
+    [hold, hold + transitionDuration],
     [0, 1],
     { extrapolateLeft: "clamp", extrapolateRight: "clamp" },
   );
 
   return (
-    <AbsoluteFill
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
       style={{
-        backgroundColor: "#ffffff",
+        backgroundColor,
       }}
     >
       {/* "Meet your" — anchored to the right of center */}
@@ -144,17 +226,25 @@ export const MeetYourNew: React.FC = () => {
         style={{
           position: "absolute",
           top: "50%",
-          right: "50%",
-          transform: "translateY(-50%)",
-          marginRight: 108,
-          fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+          ...(narrow
+            ? {
+                left: "50%",
+                transform: "translate(-50%, -50%)",
+                marginTop: -stackOffset,
+              }
+            : {
+                right: "50%",
+                transform: "translateY(-50%)",
+                marginRight: 108,
+              }),
+          fontFamily: FONT,
           fontSize,
           fontWeight: 400,
-          color: "#3c4043",
+          color: textColor,
           whiteSpace: "nowrap",
         }}
       >
-        Meet your
+        {prefix}
       </div>
 
       {/* "+ New" button — always dead center */}
@@ -199,11 +289,10 @@ export const MeetYourNew: React.FC = () => {
           >
             <span
               style={{
-                fontFamily:
-                  "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+                fontFamily: FONT,
                 fontSize: fontSize * 0.52,
                 fontWeight: 300,
-                color: "#3c4043",
+                color: textColor,
                 lineHeight: 1,
               }}
             >
@@ -211,15 +300,14 @@ export const MeetYourNew: React.FC = () => {
             </span>
             <span
               style={{
-                fontFamily:
-                  "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+                fontFamily: FONT,
                 fontSize: fontSize * 0.48,
                 fontWeight: 400,
-                color: "#3c4043",
+                color: textColor,
                 lineHeight: 1,
               }}
             >
-              New
+              {buttonLabel}
             </span>
           </div>
         </div>
@@ -231,17 +319,20 @@ export const MeetYourNew: React.FC = () => {
           position: "absolute",
           top: "50%",
           left: "50%",
-          transform: "translateY(-50%)",
-          marginLeft: 108,
+          ...(narrow
+            ? { transform: "translate(-50%, -50%)", marginTop: stackOffset }
+            : { transform: "translateY(-50%)", marginLeft: 108 }),
         }}
       >
         <WordSlot
-          oldWord={WORDS[currentIdx]}
-          newWord={WORDS[nextIdx]}
+          oldWord={words[currentIdx]}
+          newWord={words[nextIdx]}
           progress={swapProgress}
           fontSize={fontSize}
+          longestWordLength={longestWordLength}
+          centered={narrow}
         />
       </div>
-    </AbsoluteFill>
+    </LayoutCanvas>
   );
 };
@@ -1,11 +1,53 @@
-import { Series } from "remotion";
+import { useVideoConfig } from "remotion";
 import React from "react";
-import { MeetYourNew } from "./MeetYourNew";
-import { MeetYourNewZoom } from "./MeetYourNewZoom";
-import { MeetYourNewPointers } from "./MeetYourNewPointers";
-import { MeetYourNewTyping } from "./MeetYourNewTyping";
-import { MeetYourNewCreating } from "./MeetYourNewCreating";
-import { MeetYourNewStyles } from "./MeetYourNewStyles";
+import { z } from "zod";
+import {
+  getMeetYourNewDuration,
+  MeetYourNew,
+  meetYourNewDefaultProps,
+  meetYourNewSchema,
+} from "./MeetYourNew";
+import {
+  getMeetYourNewZoomDuration,
+  MeetYourNewZoom,
+  meetYourNewZoomDefaultProps,
+  meetYourNewZoomSchema,
+} from "./MeetYourNewZoom";
+import {
+  getMeetYourNewPointersDuration,
+  MeetYourNewPointers,
+  meetYourNewPointersDefaultProps,
+  meetYourNewPointersSchema,
+} from "./MeetYourNewPointers";
+import {
+  getMeetYourNewTypingDuration,
+  MeetYourNewTyping,
+  meetYourNewTypingDefaultProps,
+  meetYourNewTypingSchema,
+} from "./MeetYourNewTyping";
+import {
+  getMeetYourNewCreatingDuration,
+  MeetYourNewCreating,
+  meetYourNewCreatingDefaultProps,
+  meetYourNewCreatingSchema,
+} from "./MeetYourNewCreating";
+import {
+  getMeetYourNewStylesDuration,
+  MeetYourNewStyles,
+  meetYourNewStylesDefaultProps,
+  meetYourNewStylesSchema,
+} from "./MeetYourNewStyles";
+import { PhaseMarker, secondsToFrames } from "./lib/duration";
+import {
+  CUT,
+  getSeriesFrames,
+  getSeriesStarts,
+  SceneSeries,
+  transitionSchema,
+} from "./lib/transitions";
+import { SILENT_SOUNDTRACK, Soundtrack, soundtrackSchema } from "./lib/audio";
+import { EffectMeta } from "./lib/effectMeta";
+import { LANDSCAPE_DESIGN } from "./lib/layout";
 
 /**
  * Combined composition:
@@ -15,39 +57,164 @@ import { MeetYourNewStyles } from "./MeetYourNewStyles";
  * Phase 4 — input box with typing animation
  * Phase 5 — 3D "Creating..." button rotating with depth
  * Phase 6 — "Select a style" card with template grid
+ *
+ * Phases are joined by `transitions`, which overlap them, so the whole runs
+ * shorter than its phases back to back.
  */
-export const MeetYourNewCombined: React.FC = () => {
+
+// One nested prop group per phase
+export const meetYourNewCombinedSchema = z.object({
+  intro: meetYourNewSchema,
+  zoom: meetYourNewZoomSchema,
+  pointers: meetYourNewPointersSchema,
+  typing: meetYourNewTypingSchema,
+  creating: meetYourNewCreatingSchema,
+  styles: meetYourNewStylesSchema,
+  // Into each following phase, in order; phases without one cut
+  transitions: z.array(transitionSchema),
+  // Music across the whole sequence; volume keyframes may name a phase
+  soundtrack: soundtrackSchema,
+});
+
+export type MeetYourNewCombinedProps = z.infer<
+  typeof meetYourNewCombinedSchema
+>;
+
+export const meetYourNewCombinedDefaultProps: MeetYourNewCombinedProps = {
+  intro: meetYourNewDefaultProps,
+  zoom: meetYourNewZoomDefaultProps,
+  pointers: meetYourNewPointersDefaultProps,
+  typing: meetYourNewTypingDefaultProps,
+  creating: meetYourNewCreatingDefaultProps,
+  styles: meetYourNewStylesDefaultProps,
+  transitions: [
+    // The zoom phase picks up where the intro leaves off
+    CUT,
+    {
+      type: "zoomThrough",
+      duration: 0.5,
+      easing: "easeInOutCubic",
+    },
+    {
+      type: "crossfade",
+      duration: 0.4,
+      easing: "easeInOutSine",
+      blur: 12,
+    },
+    {
+      type: "slidePush",
+      duration: 0.5,
+      easing: "easeInOutCubic",
+      from: "right",
+    },
+    {
+      type: "iris",
+      duration: 0.6,
+      easing: "easeInOutCubic",
+      x: 0.5,
+      y: 0.5,
+    },
+  ],
+  soundtrack: SILENT_SOUNDTRACK,
+};
+
+/** Seconds per phase, in playback order. */
+export const getMeetYourNewCombinedPhases = ({
+  intro,
+  zoom,
+  pointers,
+  typing,
+  styles,
+}: MeetYourNewCombinedProps): number[] => [
+  getMeetYourNewDuration(intro),
+  getMeetYourNewZoomDuration(zoom),
+  getMeetYourNewPointersDuration(pointers),
+  getMeetYourNewTypingDuration(typing),
+  getMeetYourNewCreatingDuration(),
+  getMeetYourNewStylesDuration(styles),
+];
+
+const getTimings = (props: MeetYourNewCombinedProps, fps: number) =>
+  getMeetYourNewCombinedPhases(props).map((seconds, i) => ({
+    durationInFrames: secondsToFrames(seconds, fps),
+    transitionOut: props.transitions[i] ?? CUT,
+  }));
+
+/** Frames for the whole sequence, with transitions overlapping phases. */
+export const getMeetYourNewCombinedFrames = (
+  props: MeetYourNewCombinedProps,
+  fps: number,
+): number => getSeriesFrames(getTimings(props, fps), fps);
+
+const PHASE_NAMES = [
+  "Intro",
+  "Zoom",
+  "Pointers",
+  "Typing",
+  "Creating",
+  "Styles",
+];
+
+/** Where each phase starts, with transitions overlapping phases. */
+export const getMeetYourNewCombinedMarkers = (
+  props: MeetYourNewCombinedProps,
+  fps: number,
+): PhaseMarker[] =>
+  getSeriesStarts(getTimings(props, fps), fps).map((from, i) => ({
+    name: PHASE_NAMES[i],
+    from,
+  }));
+
+export const meetYourNewCombinedMeta: EffectMeta = {
+  title: "Meet Your New — Full Sequence",
+  category: "Sequences",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/MeetYourNewCombined.txt",
+};
+
+export const MeetYourNewCombined: React.FC<MeetYourNewCombinedProps> = (
+  props,
+) => {
+  const {
+    intro,
+    zoom,
+    pointers,
+    typing,
+    creating,
+    styles,
+    transitions,
+    soundtrack,
+  } = props;
+  const { fps } = useVideoConfig();
+  const phases = [
+    // Phase 1: word cycling
+    { key: "intro", children: <MeetYourNew {...intro} /> },
+    // Phase 2: zoom + cursor click
+    { key: "zoom", children: <MeetYourNewZoom {...zoom} /> },
+    // Phase 3: cascading pointers
+    { key: "pointers", children: <MeetYourNewPointers {...pointers} /> },
+    // Phase 4: input box with typing
+    { key: "typing", children: <MeetYourNewTyping {...typing} /> },
+    // Phase 5: 3D "Creating..." button with 360 spin
+    { key: "creating", children: <MeetYourNewCreating {...creating} /> },
+    // Phase 6: Style selection card with template grid
+    { key: "styles", children: <MeetYourNewStyles {...styles} /> },
+  ];
+  const seconds = getMeetYourNewCombinedPhases(props);
+
   return (
-    <Series>
-      {/* Phase 1: word cycling (8s = 240 frames) */}
-      <Series.Sequence durationInFrames={240}>
-        <MeetYourNew />
-      </Series.Sequence>
-
-      {/* Phase 2: zoom + cursor click (4s = 120 frames) */}
-      <Series.Sequence durationInFrames={120}>
-        <MeetYourNewZoom />
-      </Series.Sequence>
-
-      {/* Phase 3: cascading pointers (5s = 150 frames) */}
-      <Series.Sequence durationInFrames={150}>
-        <MeetYourNewPointers />
-      </Series.Sequence>
-
-      {/* Phase 4: input box with typing (7s = 210 frames) */}
-      <Series.Sequence durationInFrames={210}>
-        <MeetYourNewTyping />
-      </Series.Sequence>
-
-      {/* Phase 5: 3D "Creating..." button with 360 spin (7s = 210 frames) */}
-      <Series.Sequence durationInFrames={210}>
-        <MeetYourNewCreating />
-      </Series.Sequence>
-
-      {/* Phase 6: Style selection card with template grid (6s = 180 frames) */}
-      <Series.Sequence durationInFrames={180}>
-        <MeetYourNewStyles />
-      </Series.Sequence>
-    </Series>
+    <>
+      <SceneSeries
+        scenes={phases.map((phase, i) => ({
+          ...phase,
+          durationInFrames: secondsToFrames(seconds[i], fps),
+          transitionOut: transitions[i] ?? CUT,
+        }))}
+      />
+      <Soundtrack
+        soundtrack={soundtrack}
+        phases={getMeetYourNewCombinedMarkers(props, fps)}
+      />
+    </>
   );
 };
@@ -3,9 +3,20 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
 import React from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+
+const FONT = fontFamily("Google Sans");
 
 /**
  * Phase 5: "Creating..." button goes from flat 2D to thick 3D,
@@ -13,15 +24,46 @@ import React from "react";
  * to create convincing depth.
  */
 
+export const meetYourNewCreatingSchema = z.object({
+  label: z.string(),
+  textColor: zColor(),
+});
+
+export type MeetYourNewCreatingProps = z.infer<
+  typeof meetYourNewCreatingSchema
+>;
+
+export const meetYourNewCreatingDefaultProps: MeetYourNewCreatingProps = {
+  label: "Creating",
+  textColor: "#ffffff",
+};
+
 const Sparkle: React.FC<{ size: number }> = ({ size }) => (
   <svg width={size} height={size} viewBox="0 0 24 24" fill="white">
     <path d="M12 0C12 0 14 8 16 10C18 12 24 12 24 12C24 12 18 12 16 14C14 16 12 24 12 24C12 24 10 16 8 14C6 12 0 12 0 12C0 12 6 12 8 10C10 8 12 0 12 0Z" />
   </svg>
 );
 
-export const MeetYourNewCreating: React.FC = () => {
+const SPIN_END = 6; // full 360 spin and drift finish
+const END_HOLD = 1.0;
+const BTN_MARGIN = 40; // narrow formats scale the button down to keep this
+
+export const getMeetYourNewCreatingDuration = (): number => SPIN_END + END_HOLD;
+
+export const meetYourNewCreatingMeta: EffectMeta = {
+  title: "Meet Your New — 3D \"Creating...\" Button with 360° Spin",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/MeetYourNewCreating.txt",
+};
+
+export const MeetYourNewCreating: React.FC<MeetYourNewCreatingProps> = ({
+  label,
+  textColor,
+}) => {
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
+  const { width } = useLayout(COMPACT_DESIGN);
   const t = frame / fps;
 
   const btnWidth = 700;
@@ -29,6 +71,7 @@ export const MeetYourNewCreating: React.FC = () => {
   const btnRadius = 90;
   const depth = 35; // 3D edge thickness
   const layers = 60; // more layers = smoother solid edge
+  const btnFit = Math.min(1, (width - BTN_MARGIN * 2) / btnWidth);
 
   // Scale in
   const scaleIn = interpolate(t, [0, 0.8], [0.7, 1], {
@@ -48,7 +91,7 @@ export const MeetYourNewCreating: React.FC = () => {
     extrapolateRight: "clamp",
     easing: Easing.out(Easing.cubic),
   });
-  const rotateY = interpolate(t, [1.5, 6], [-25, -385], {
+  const rotateY = interpolate(t, [1.5, SPIN_END], [-25, -385], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
   });
@@ -65,7 +108,7 @@ export const MeetYourNewCreating: React.FC = () => {
   });
 
   // Camera goes down — button moves down the screen
-  const translateY = interpolate(t, [0.6, 6], [0, 300], {
+  const translateY = interpolate(t, [0.6, SPIN_END], [0, 300], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.inOut(Easing.cubic),
@@ -127,7 +170,8 @@ export const MeetYourNewCreating: React.FC = () => {
   }
 
   return (
-    <AbsoluteFill
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
       style={{
         background:
           "linear-gradient(180deg, #f0f4ff 0%, #e8eeff 40%, #dde6fa 100%)",
@@ -141,6 +185,7 @@ export const MeetYourNewCreating: React.FC = () => {
           perspective: 900,
           perspectiveOrigin: "50% 45%",
           position: "relative",
+          transform: `scale(${btnFit})`,
         }}
       >
         {/* Shadow element — separate so it doesn't flatten 3D */}
@@ -187,15 +232,15 @@ export const MeetYourNewCreating: React.FC = () => {
           >
             <span
               style={{
-                fontFamily:
-                  "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+                fontFamily: FONT,
                 fontSize: 72,
                 fontWeight: 400,
-                color: "#ffffff",
+                color: textColor,
                 letterSpacing: "-0.02em",
               }}
             >
-              Creating{dots}
+              {label}
+              {dots}
             </span>
             <div
               style={{
@@ -208,6 +253,6 @@ export const MeetYourNewCreating: React.FC = () => {
           </div>
         </div>
       </div>
-    </AbsoluteFill>
+    </LayoutCanvas>
   );
 };
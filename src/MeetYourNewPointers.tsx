@@ -3,9 +3,20 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
 import React from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+
+const FONT = fontFamily("Google Sans");
 
 /**
  * Phase 3: After the button is clicked, the scene pans to the right
@@ -13,6 +24,24 @@ import React from "react";
  * each spawning from the tip of the previous one.
  */
 
+export const meetYourNewPointersSchema = z.object({
+  buttonLabel: z.string(),
+  backgroundColor: zColor(),
+  textColor: zColor(),
+  panDuration: z.number().positive(),
+});
+
+export type MeetYourNewPointersProps = z.infer<
+  typeof meetYourNewPointersSchema
+>;
+
+export const meetYourNewPointersDefaultProps: MeetYourNewPointersProps = {
+  buttonLabel: "New",
+  backgroundColor: "#ffffff",
+  textColor: "#3c4043",
+  panDuration: 3.5,
+};
+
 const POINTERS = [
   { delay: 0.15, size: 140, color: "#d4c5fe" },
   { delay: 0.4, size: 200, color: "#c4b5fd" },
@@ -57,9 +86,28 @@ const Triangle: React.FC<{
   );
 };
 
-export const MeetYourNewPointers: React.FC = () => {
+const END_HOLD = 1.5; // logo stays on screen after the pan
+
+export const getMeetYourNewPointersDuration = ({
+  panDuration,
+}: MeetYourNewPointersProps): number => panDuration + END_HOLD;
+
+export const meetYourNewPointersMeta: EffectMeta = {
+  title: "Meet Your New — Cascading Play-Button Pointers",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/MeetYourNewPointers.txt",
+};
+
+export const MeetYourNewPointers: React.FC<MeetYourNewPointersProps> = ({
+  buttonLabel,
+  backgroundColor,
+  textColor,
+  panDuration,
+}) => {
   const frame = useCurrentFrame();
-  const { fps, width, height } = useVideoConfig();
+  const { fps } = useVideoConfig();
+  const { width, height } = useLayout(COMPACT_DESIGN);
   const t = frame / fps;
 
   const centerX = width / 2;
@@ -67,7 +115,7 @@ export const MeetYourNewPointers: React.FC = () => {
 
   // Scene pans to the right — the whole content shifts left
   // giving the illusion of camera moving right
-  const panX = interpolate(t, [0, 3.5], [0, -width * 0.7], {
+  const panX = interpolate(t, [0, panDuration], [0, -width * 0.7], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.inOut(Easing.cubic),
@@ -86,13 +134,16 @@ export const MeetYourNewPointers: React.FC = () => {
   }
 
   // Google "G" logo fade in at the end
-  const gOpacity = interpolate(t, [3.0, 3.5], [0, 1], {
+  const gOpacity = interpolate(t, [panDuration - 0.5, panDuration], [0, 1], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
   });
 
   return (
-    <AbsoluteFill style={{ backgroundColor: "#ffffff", overflow: "hidden" }}>
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
+      style={{ backgroundColor, overflow: "hidden" }}
+    >
       {/* Everything pans right (content shifts left) */}
       <div
         style={{
@@ -129,11 +180,10 @@ export const MeetYourNewPointers: React.FC = () => {
           >
             <span
               style={{
-                fontFamily:
-                  "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+                fontFamily: FONT,
                 fontSize: 43,
                 fontWeight: 300,
-                color: "#3c4043",
+                color: textColor,
                 lineHeight: 1,
               }}
             >
@@ -141,15 +191,14 @@ export const MeetYourNewPointers: React.FC = () => {
             </span>
             <span
               style={{
-                fontFamily:
-                  "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+                fontFamily: FONT,
                 fontSize: 39,
                 fontWeight: 400,
-                color: "#3c4043",
+                color: textColor,
                 lineHeight: 1,
               }}
             >
-              New
+              {buttonLabel}
             </span>
           </div>
         </div>
@@ -225,6 +274,6 @@ export const MeetYourNewPointers: React.FC = () => {
           />
         </svg>
       </div>
-    </AbsoluteFill>
+    </LayoutCanvas>
   );
 };
@@ -3,16 +3,47 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
 import React from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+
+const FONT = fontFamily("Google Sans");
 
 /**
  * Phase 6: A "Select a style" card slides in from the right.
  * Small style cards fly in one by one and settle into a 4×3 grid.
  */
 
-const STYLE_CARDS = [
+const styleCardSchema = z.object({
+  color: zColor(),
+  // Line breaks ("\n") are kept
+  label: z.string(),
+  textColor: zColor(),
+  sub: z.string(),
+  border: zColor().optional(),
+});
+
+export const meetYourNewStylesSchema = z.object({
+  title: z.string(),
+  cards: z.array(styleCardSchema),
+  panelColor: zColor(),
+  textColor: zColor(),
+});
+
+export type MeetYourNewStylesProps = z.infer<typeof meetYourNewStylesSchema>;
+
+type StyleCardData = z.infer<typeof styleCardSchema>;
+
+const STYLE_CARDS: StyleCardData[] = [
   { color: "#f5c518", label: "Pocket\nSolar Power", textColor: "#1a1a1a", sub: "SALES TRAINING" },
   { color: "#f5f5f0", label: "Pocket\nSolar Power", textColor: "#333", sub: "" },
   { color: "#f2b8c6", label: "POCKET SOLAR\nPOWER", textColor: "#1a1a1a", sub: "Sales Training" },
@@ -28,7 +59,7 @@ const STYLE_CARDS = [
 ];
 
 const StyleCard: React.FC<{
-  card: (typeof STYLE_CARDS)[0];
+  card: StyleCardData;
   translateZ: number;
   opacity: number;
 }> = ({ card, translateZ, opacity }) => (
@@ -52,7 +83,7 @@ const StyleCard: React.FC<{
   >
     <span
       style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+        fontFamily: FONT,
         fontSize: 16,
         fontWeight: 700,
         color: card.textColor,
@@ -65,7 +96,7 @@ const StyleCard: React.FC<{
     {card.sub && (
       <span
         style={{
-          fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+          fontFamily: FONT,
           fontSize: 9,
           fontWeight: 400,
           color: card.textColor,
@@ -79,9 +110,44 @@ const StyleCard: React.FC<{
   </div>
 );
 
-export const MeetYourNewStyles: React.FC = () => {
+export const meetYourNewStylesDefaultProps: MeetYourNewStylesProps = {
+  title: "Select a style for your video",
+  cards: STYLE_CARDS,
+  panelColor: "#fafbff",
+  textColor: "#3c4043",
+};
+
+// Card fly-in timing
+const CARD_START = 1.2;
+const CARD_STAGGER = 0.12;
+const CARD_FLY = 0.5;
+const TOOLBAR_IN = 4.0; // bottom toolbar fades in at the end
+const END_HOLD = 1.5;
+
+export const getMeetYourNewStylesDuration = ({
+  cards,
+}: MeetYourNewStylesProps): number =>
+  Math.max(
+    TOOLBAR_IN + 0.5,
+    CARD_START + (cards.length - 1) * CARD_STAGGER + CARD_FLY,
+  ) + END_HOLD;
+
+export const meetYourNewStylesMeta: EffectMeta = {
+  title: "Meet Your New — Style Selection Card with 3D Grid",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/MeetYourNewStyles.txt",
+};
+
+export const MeetYourNewStyles: React.FC<MeetYourNewStylesProps> = ({
+  title,
+  cards,
+  panelColor,
+  textColor,
+}) => {
   const frame = useCurrentFrame();
-  const { fps, width, height } = useVideoConfig();
+  const { fps } = useVideoConfig();
+  const { width, height } = useLayout(COMPACT_DESIGN);
   const t = frame / fps;
 
   // Card panel slides in from right
@@ -101,17 +167,23 @@ export const MeetYourNewStyles: React.FC = () => {
     extrapolateRight: "clamp",
   });
 
-  // Grid: 4 columns × 3 rows
-  const cols = 4;
+  // Grid: as many columns as fit the panel (4 in landscape, 2 in portrait)
+  const panelW = width - 80;
   const cardW = 260;
   const cardH = 160;
   const gapX = 20;
   const gapY = 20;
   const gridLeft = 60;
   const gridTop = 120;
+  const cols = Math.max(
+    1,
+    Math.floor((panelW - gridLeft + gapX) / (cardW + gapX)),
+  );
+  const rows = Math.ceil(cards.length / cols);
 
   return (
-    <AbsoluteFill
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
       style={{
         background:
           "linear-gradient(180deg, #f0f4ff 0%, #e8eeff 40%, #dde6fa 100%)",
@@ -123,10 +195,10 @@ export const MeetYourNewStyles: React.FC = () => {
           position: "absolute",
           left: panelX,
           top: 30,
-          width: width - 80,
+          width: panelW,
           height: height - 60,
           borderRadius: 24,
-          backgroundColor: "#fafbff",
+          backgroundColor: panelColor,
           border: "1.5px solid #c0cfee",
           opacity: panelOpacity,
           overflow: "visible",
@@ -145,27 +217,27 @@ export const MeetYourNewStyles: React.FC = () => {
           <div style={{ display: "flex", alignItems: "center", gap: 16 }}>
             <span
               style={{
-                fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+                fontFamily: FONT,
                 fontSize: 24,
-                color: "#3c4043",
+                color: textColor,
               }}
             >
               ←
             </span>
             <span
               style={{
-                fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+                fontFamily: FONT,
                 fontSize: 24,
                 fontWeight: 400,
-                color: "#3c4043",
+                color: textColor,
               }}
             >
-              Select a style for your video
+              {title}
             </span>
           </div>
           <span
             style={{
-              fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+              fontFamily: FONT,
               fontSize: 28,
               color: "#5f6368",
               cursor: "pointer",
@@ -182,21 +254,21 @@ export const MeetYourNewStyles: React.FC = () => {
             left: gridLeft,
             top: gridTop,
             width: cols * (cardW + gapX),
-            height: 3 * (cardH + gapY),
+            height: rows * (cardH + gapY),
             perspective: 800,
             perspectiveOrigin: "50% 50%",
             transformStyle: "preserve-3d",
           }}
         >
-          {STYLE_CARDS.map((card, i) => {
+          {cards.map((card, i) => {
             const row = Math.floor(i / cols);
             const col = i % cols;
-            const cardDelay = 1.2 + i * 0.12; // stagger each card
+            const cardDelay = CARD_START + i * CARD_STAGGER; // stagger each card
 
             // Cards fly in from the front (large positive Z = close to viewer)
             const cardZ = interpolate(
               t,
-              [cardDelay, cardDelay + 0.5],
+              [cardDelay, cardDelay + CARD_FLY],
               [600, 0],
               {
                 extrapolateLeft: "clamp",
@@ -246,7 +318,7 @@ export const MeetYourNewStyles: React.FC = () => {
             alignItems: "center",
             justifyContent: "center",
             gap: 16,
-            opacity: interpolate(t, [4.0, 4.5], [0, 1], {
+            opacity: interpolate(t, [TOOLBAR_IN, TOOLBAR_IN + 0.5], [0, 1], {
               extrapolateLeft: "clamp",
               extrapolateRight: "clamp",
             }),
@@ -316,6 +388,6 @@ export const MeetYourNewStyles: React.FC = () => {
           <path fill="#34A853" d="M24 48c6.48 0 11.93-2.13 15.89-5.81l-7.73-6c-2.15 1.45-4.92 2.3-8.16 2.3-6.26 0-11.57-4.22-13.47-9.91l-7.98 6.19C6.51 42.62 14.62 48 24 48z" />
         </svg>
       </div>
-    </AbsoluteFill>
+    </LayoutCanvas>
   );
 };
@@ -3,9 +3,29 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
-import React from "react";
+import React, { useMemo } from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import {
+  getTypingCues,
+  HUMAN_TYPING,
+  HumanTypewriter,
+  humanTypingSchema,
+  simulateTyping,
+  typingScriptSchema,
+} from "./lib/humanTyping";
+import { SILENT_SOUNDTRACK, Soundtrack, soundtrackSchema } from "./lib/audio";
+
+const FONT = fontFamily("Google Sans");
 
 /**
  * Phase 4: Input box with typing animation.
@@ -31,9 +51,37 @@ import React from "react";
  *     ptr6: screenLeft=1679 (fully off-screen)
  */
 
+export const meetYourNewTypingSchema = z.object({
+  // Text to type, or steps that also pause, backspace and select-all +
+  // delete
+  prompt: typingScriptSchema,
+  backgroundColor: zColor(),
+  inputColor: zColor(),
+  textColor: zColor(),
+  // Seconds per typed character
+  typeSpeed: z.number().positive(),
+  typeStart: z.number().min(0),
+  // Cadence, hesitations and typos around that speed
+  typing: humanTypingSchema,
+  soundtrack: soundtrackSchema,
+});
+
+export type MeetYourNewTypingProps = z.infer<typeof meetYourNewTypingSchema>;
+
 const TYPED_TEXT = "Help me create a presentation for work";
 const TYPE_SPEED = 0.07;
 
+export const meetYourNewTypingDefaultProps: MeetYourNewTypingProps = {
+  prompt: TYPED_TEXT,
+  backgroundColor: "#ffffff",
+  inputColor: "#f0f1f5",
+  textColor: "#5f6368",
+  typeSpeed: TYPE_SPEED,
+  typeStart: 2.0,
+  typing: { ...HUMAN_TYPING, seed: "meet-your-new" },
+  soundtrack: SILENT_SOUNDTRACK,
+};
+
 // Same pointer data as Phase 3
 const POINTERS = [
   { size: 140, color: "#d4c5fe" },
@@ -45,10 +93,49 @@ const POINTERS = [
   { size: 840, color: "#8ab8f8" },
 ];
 
-export const MeetYourNewTyping: React.FC = () => {
+const PAN_DURATION = 3.5; // camera reaches the input box
+const END_HOLD = 2.3; // typed prompt stays on screen
+
+const simulatePrompt = ({
+  prompt,
+  typeSpeed,
+  typeStart,
+  typing,
+}: Pick<
+  MeetYourNewTypingProps,
+  "prompt" | "typeSpeed" | "typeStart" | "typing"
+>) => simulateTyping(prompt, { ...typing, start: typeStart, speed: typeSpeed });
+
+export const getMeetYourNewTypingDuration = (
+  props: MeetYourNewTypingProps,
+): number => Math.max(PAN_DURATION, simulatePrompt(props).endsAt) + END_HOLD;
+
+export const meetYourNewTypingMeta: EffectMeta = {
+  title: "Meet Your New — Input Box with Typing Animation",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/MeetYourNewTyping.txt",
+};
+
+export const MeetYourNewTyping: React.FC<MeetYourNewTypingProps> = ({
+  prompt,
+  backgroundColor,
+  inputColor,
+  textColor,
+  typeSpeed,
+  typeStart,
+  typing,
+  soundtrack,
+}) => {
   const frame = useCurrentFrame();
-  const { fps, width, height } = useVideoConfig();
+  const { fps } = useVideoConfig();
+  const { width, height } = useLayout(COMPACT_DESIGN);
   const t = frame / fps;
+  const simulation = useMemo(
+    () => simulatePrompt({ prompt, typeSpeed, typeStart, typing }),
+    [prompt, typeSpeed, typeStart, typing],
+  );
+  const cues = useMemo(() => getTypingCues(simulation), [simulation]);
 
   const fontSize = 72;
   const centerX = width / 2;
@@ -74,7 +161,7 @@ export const MeetYourNewTyping: React.FC = () => {
   // Pan far enough to bring the input box (at x~3271) into view
   const phase3EndPan = -width * 0.7; // -896
   const phase4EndPan = -(lastTipX - 60 - width * 0.15); // bring box into view
-  const panX = interpolate(t, [0, 3.5], [phase3EndPan, phase4EndPan], {
+  const panX = interpolate(t, [0, PAN_DURATION], [phase3EndPan, phase4EndPan], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.inOut(Easing.cubic),
@@ -98,18 +185,11 @@ export const MeetYourNewTyping: React.FC = () => {
     extrapolateRight: "clamp",
   });
 
-  // Typing starts after box is on screen and fully scaled
-  const typeStart = 2.0;
-  const charsVisible = Math.floor(Math.max(0, (t - typeStart) / TYPE_SPEED));
-  const displayedText = TYPED_TEXT.slice(
-    0,
-    Math.min(charsVisible, TYPED_TEXT.length),
-  );
-  const typingDone = charsVisible >= TYPED_TEXT.length;
-  const cursorVisible = !typingDone || Math.floor(t * 2) % 2 === 0;
-
   return (
-    <AbsoluteFill style={{ backgroundColor: "#ffffff", overflow: "hidden" }}>
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
+      style={{ backgroundColor, overflow: "hidden" }}
+    >
       {/* Panning container — uses same coordinate system as Phase 3 */}
       <div
         style={{
@@ -171,7 +251,7 @@ export const MeetYourNewTyping: React.FC = () => {
             width: width * 1.6,
             height: 500,
             borderRadius: 250,
-            backgroundColor: "#f0f1f5",
+            backgroundColor: inputColor,
             transform: `scaleX(${boxScale})`,
             transformOrigin: "left center",
             opacity: boxOpacity,
@@ -181,30 +261,19 @@ export const MeetYourNewTyping: React.FC = () => {
             paddingRight: 120,
           }}
         >
-          <span
+          <HumanTypewriter
+            simulation={simulation}
+            t={t}
+            caret={{ color: textColor, width: 3, height: fontSize * 0.9 }}
             style={{
-              fontFamily:
-                "'Google Sans', 'Product Sans', 'Inter', sans-serif",
+              fontFamily: FONT,
               fontSize,
               fontWeight: 400,
-              color: "#5f6368",
+              color: textColor,
               whiteSpace: "nowrap",
               position: "relative",
             }}
-          >
-            {displayedText}
-            <span
-              style={{
-                display: "inline-block",
-                width: 3,
-                height: fontSize * 0.9,
-                backgroundColor: "#5f6368",
-                marginLeft: 2,
-                verticalAlign: "middle",
-                opacity: cursorVisible ? 1 : 0,
-              }}
-            />
-          </span>
+          />
         </div>
       </div>
 
@@ -229,6 +298,7 @@ export const MeetYourNewTyping: React.FC = () => {
           />
         </svg>
       </div>
-    </AbsoluteFill>
+      <Soundtrack soundtrack={soundtrack} cues={cues} />
+    </LayoutCanvas>
   );
 };
@@ -3,44 +3,196 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
-import React from "react";
+import React, { useMemo } from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import { Cursor, CursorScript, getCursorClicks } from "./lib/cursor";
+import {
+  AutoZoom,
+  createZoomTrack,
+  UIEvent,
+  zoomTransform,
+} from "./lib/autoZoom";
+import {
+  SILENT_SOUNDTRACK,
+  SoundCue,
+  Soundtrack,
+  soundtrackSchema,
+} from "./lib/audio";
+
+const FONT = fontFamily("Google Sans");
 
 /**
- * Phase 2: The button zooms to fill the screen while
+ * Phase 2: The camera zooms into the button until it fills the screen while
  * "Meet your" flies left and the blue word flies right.
  * A cursor hand appears and clicks the zoomed button.
  */
 
-export const MeetYourNewZoom: React.FC = () => {
+export const meetYourNewZoomSchema = z.object({
+  prefix: z.string(),
+  buttonLabel: z.string(),
+  word: z.string(),
+  backgroundColor: zColor(),
+  textColor: zColor(),
+  zoomDuration: z.number().positive(),
+  holdZoomed: z.number().min(0),
+  soundtrack: soundtrackSchema,
+});
+
+export type MeetYourNewZoomProps = z.infer<typeof meetYourNewZoomSchema>;
+
+export const meetYourNewZoomDefaultProps: MeetYourNewZoomProps = {
+  prefix: "Meet your",
+  buttonLabel: "New",
+  word: "designer",
+  backgroundColor: "#ffffff",
+  textColor: "#3c4043",
+  zoomDuration: 1.2,
+  holdZoomed: 0.6,
+  soundtrack: SILENT_SOUNDTRACK,
+};
+
+// --- Phase timing ---
+const CURSOR_ENTER = 0.6; // cursor slides in
+const CLICK_DELAY = 0.15; // cursor settles before clicking
+const CURSOR_CLICK = 0.3; // click animation
+const CURSOR_SIZE = 52; // hand is ~64px
+const END_HOLD = 1.2; // clicked button stays on screen
+const BUTTON_ZOOM = 5; // button fills the screen
+
+export const getMeetYourNewZoomDuration = ({
+  zoomDuration,
+  holdZoomed,
+}: MeetYourNewZoomProps): number =>
+  zoomDuration + holdZoomed + CURSOR_ENTER + CLICK_DELAY + CURSOR_CLICK + END_HOLD;
+
+type ZoomTiming = Pick<MeetYourNewZoomProps, "zoomDuration" | "holdZoomed">;
+
+// Slides in from bottom-right and clicks the zoomed button; `width` and
+// `height` are the layout size, which only moves where it goes
+const getCursorScript = (
+  { zoomDuration, holdZoomed }: ZoomTiming,
+  width: number,
+  height: number,
+): CursorScript => ({
+  from: { x: width / 2 + 288, y: height / 2 + 221 },
+  steps: [
+    {
+      at: zoomDuration + holdZoomed + CURSOR_ENTER,
+      to: { x: width / 2 + 109, y: height / 2 + 63 },
+      travel: CURSOR_ENTER,
+      click: true,
+    },
+  ],
+});
+
+// The button sits at the center of the layout; the camera frames it for the
+// zoom and the hold, and stays on it while the cursor clicks
+const getZoomEvents = (
+  timing: ZoomTiming,
+  width: number,
+  height: number,
+): UIEvent[] => {
+  const button = { x: width / 2, y: height / 2 };
+  const [clickTime] = getCursorClicks(getCursorScript(timing, width, height));
+  return [
+    {
+      type: "focus",
+      at: timing.zoomDuration,
+      duration: timing.holdZoomed,
+      ...button,
+    },
+    { type: "click", at: clickTime, ...button },
+  ];
+};
+
+const getZoom = ({ zoomDuration }: ZoomTiming): AutoZoom => ({
+  zoom: BUTTON_ZOOM,
+  leadIn: zoomDuration,
+  dwell: END_HOLD,
+  zoomOut: false,
+});
+
+/** A whoosh as the button zooms, and the cursor's click. */
+export const getMeetYourNewZoomCues = (
+  props: MeetYourNewZoomProps,
+): SoundCue[] => [
+  { kind: "whoosh", at: 0 },
+  ...getCursorClicks(getCursorScript(props, 0, 0)).map(
+    (at): SoundCue => ({ kind: "click", at }),
+  ),
+];
+
+export const meetYourNewZoomMeta: EffectMeta = {
+  title: "Meet Your New — Zoom + Cursor Click",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/MeetYourNewZoom.txt",
+};
+
+export const MeetYourNewZoom: React.FC<MeetYourNewZoomProps> = (props) => {
+  const {
+    prefix,
+    buttonLabel,
+    word,
+    backgroundColor,
+    textColor,
+    zoomDuration,
+    holdZoomed,
+    soundtrack,
+  } = props;
   const frame = useCurrentFrame();
-  const { fps, width, height } = useVideoConfig();
+  const { fps } = useVideoConfig();
+  // Narrow formats stack the line like MeetYourNew does, and the words
+  // disperse up/down instead of left/right
+  const { width, height, narrow } = useLayout(COMPACT_DESIGN);
+  const disperse = (amount: number) =>
+    narrow
+      ? `translateY(${amount * height}px)`
+      : `translateX(${amount * width}px)`;
+  // Words sit either side of (above and below) the button, which stays at
+  // the center the camera zooms into
+  const beside = (side: "before" | "after"): React.CSSProperties =>
+    narrow
+      ? {
+          left: "50%",
+          [side === "before" ? "bottom" : "top"]: "calc(100% + 36px)",
+        }
+      : {
+          top: "50%",
+          [side === "before" ? "right" : "left"]: "calc(100% + 28px)",
+        };
+  const besideTransform = (amount: number) =>
+    `${narrow ? "translateX(-50%)" : "translateY(-50%)"} ${disperse(amount)}`;
   const t = frame / fps;
 
   const fontSize = 82;
 
-  // --- Phase timing ---
-  const zoomDuration = 1.2; // seconds for the zoom + disperse
-  const holdZoomed = 0.6; // hold after zoom before cursor appears
-  const cursorEnter = 0.6; // cursor slides in
-  const cursorClick = 0.3; // click animation
+  const zoomTrack = useMemo(
+    () =>
+      createZoomTrack(
+        getZoomEvents({ zoomDuration, holdZoomed }, width, height),
+        getZoom({ zoomDuration, holdZoomed }),
+        { width, height, fps },
+      ),
+    [zoomDuration, holdZoomed, width, height, fps],
+  );
+  const camera = zoomTrack(frame);
 
   // Zoom progress (0 = normal, 1 = fully zoomed)
-  const zoomProgress = interpolate(t, [0, zoomDuration], [0, 1], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-    easing: Easing.inOut(Easing.cubic),
-  });
+  const zoomProgress = (camera.zoom - 1) / (BUTTON_ZOOM - 1);
 
-  // Button scale: from 1 to filling the screen (~5x)
-  const buttonScale = interpolate(zoomProgress, [0, 1], [1, 5], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-  });
-
-  // "Meet your" — flies to the left and fades
-  const leftTextX = interpolate(zoomProgress, [0, 0.6], [0, -width * 0.6], {
+  // "Meet your" — flies to the left (up when stacked) and fades
+  const leftTextShift = interpolate(zoomProgress, [0, 0.6], [0, -0.6], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.in(Easing.cubic),
@@ -50,8 +202,8 @@ export const MeetYourNewZoom: React.FC = () => {
     extrapolateRight: "clamp",
   });
 
-  // Blue word — flies to the right and fades
-  const rightTextX = interpolate(zoomProgress, [0, 0.6], [0, width * 0.6], {
+  // Blue word — flies to the right (down when stacked) and fades
+  const rightTextShift = interpolate(zoomProgress, [0, 0.6], [0, 0.6], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.in(Easing.cubic),
@@ -65,50 +217,9 @@ export const MeetYourNewZoom: React.FC = () => {
   const borderAngle = (t * 120) % 360;
 
   // --- Cursor animation ---
-  const cursorStartTime = zoomDuration + holdZoomed;
-  const cursorEndTime = cursorStartTime + cursorEnter;
-  const clickTime = cursorEndTime + 0.15;
-  const clickEndTime = clickTime + cursorClick;
-
-  // Cursor position: slides in from bottom-right
-  const cursorX = interpolate(
-    t,
-    [cursorStartTime, cursorEndTime],
-    [width * 0.7, width * 0.56],
-    {
-      extrapolateLeft: "clamp",
-      extrapolateRight: "clamp",
-      easing: Easing.out(Easing.cubic),
-    },
-  );
-  const cursorY = interpolate(
-    t,
-    [cursorStartTime, cursorEndTime],
-    [height * 0.8, height * 0.58],
-    {
-      extrapolateLeft: "clamp",
-      extrapolateRight: "clamp",
-      easing: Easing.out(Easing.cubic),
-    },
-  );
-  const cursorOpacity = interpolate(
-    t,
-    [cursorStartTime, cursorStartTime + 0.2],
-    [0, 1],
-    { extrapolateLeft: "clamp", extrapolateRight: "clamp" },
-  );
-
-  // Click: scale down then back up
-  const clickScale = interpolate(
-    t,
-    [clickTime, clickTime + 0.1, clickEndTime],
-    [1, 0.85, 1],
-    {
-      extrapolateLeft: "clamp",
-      extrapolateRight: "clamp",
-      easing: Easing.out(Easing.cubic),
-    },
-  );
+  const cursorScript = getCursorScript(props, width, height);
+  const [clickTime] = getCursorClicks(cursorScript);
+  const clickEndTime = clickTime + CURSOR_CLICK;
 
   // Button press effect on click
   const buttonPressScale = interpolate(
@@ -123,149 +234,129 @@ export const MeetYourNewZoom: React.FC = () => {
   );
 
   return (
-    <AbsoluteFill
-      style={{
-        backgroundColor: "#ffffff",
-        display: "flex",
-        alignItems: "center",
-        justifyContent: "center",
-      }}
-    >
+    <LayoutCanvas design={COMPACT_DESIGN} style={{ backgroundColor }}>
+      {/* Camera — zooms into the button */}
       <div
         style={{
+          position: "absolute",
+          left: 0,
+          top: 0,
+          width,
+          height,
           display: "flex",
           alignItems: "center",
-          gap: 28,
+          justifyContent: "center",
+          transform: zoomTransform(camera, { width, height }),
+          transformOrigin: "0 0",
         }}
       >
-        {/* "Meet your" — disperses left */}
-        <span
-          style={{
-            fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-            fontSize,
-            fontWeight: 400,
-            color: "#3c4043",
-            whiteSpace: "nowrap",
-            transform: `translateX(${leftTextX}px)`,
-            opacity: leftTextOpacity,
-          }}
-        >
-          Meet your
-        </span>
-
-        {/* "+ New" button — zooms in */}
-        <div
-          style={{
-            position: "relative",
-            borderRadius: 24,
-            padding: 2,
-            overflow: "hidden",
-            transform: `scale(${buttonScale * buttonPressScale})`,
-            zIndex: 10,
-          }}
-        >
-          {/* Rotating conic gradient border */}
-          <div
+        <div style={{ position: "relative", zIndex: 10 }}>
+          {/* "Meet your" — disperses left */}
+          <span
             style={{
+              fontFamily: FONT,
+              fontSize,
+              fontWeight: 400,
+              color: textColor,
+              whiteSpace: "nowrap",
               position: "absolute",
-              inset: -20,
-              background: `conic-gradient(from ${borderAngle}deg, transparent 0%, transparent 30%, #8ab4f8 45%, #669df6 50%, #8ab4f8 55%, transparent 70%, transparent 100%)`,
+              ...beside("before"),
+              transform: besideTransform(leftTextShift),
+              opacity: leftTextOpacity,
             }}
-          />
-          {/* Inner button */}
+          >
+            {prefix}
+          </span>
+
+          {/* "+ New" button — zooms in */}
           <div
             style={{
               position: "relative",
-              display: "flex",
-              alignItems: "center",
-              gap: 12,
-              padding: "20px 36px",
-              borderRadius: 22,
-              background: "linear-gradient(180deg, #f8f9fb 0%, #eef1f5 100%)",
-              boxShadow:
-                "0 1px 3px rgba(0,0,0,0.04), 0 4px 12px rgba(0,0,0,0.03)",
+              borderRadius: 24,
+              padding: 2,
+              overflow: "hidden",
+              transform: `scale(${buttonPressScale})`,
             }}
           >
-            <span
+            {/* Rotating conic gradient border */}
+            <div
               style={{
-                fontFamily:
-                  "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-                fontSize: fontSize * 0.52,
-                fontWeight: 300,
-                color: "#3c4043",
-                lineHeight: 1,
+                position: "absolute",
+                inset: -20,
+                background: `conic-gradient(from ${borderAngle}deg, transparent 0%, transparent 30%, #8ab4f8 45%, #669df6 50%, #8ab4f8 55%, transparent 70%, transparent 100%)`,
               }}
-            >
-              +
-            </span>
-            <span
+            />
+            {/* Inner button */}
+            <div
               style={{
-                fontFamily:
-                  "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-                fontSize: fontSize * 0.48,
-                fontWeight: 400,
-                color: "#3c4043",
-                lineHeight: 1,
+                position: "relative",
+                display: "flex",
+                alignItems: "center",
+                gap: 12,
+                padding: "20px 36px",
+                borderRadius: 22,
+                background: "linear-gradient(180deg, #f8f9fb 0%, #eef1f5 100%)",
+                boxShadow:
+                  "0 1px 3px rgba(0,0,0,0.04), 0 4px 12px rgba(0,0,0,0.03)",
               }}
             >
-              New
-            </span>
+              <span
+                style={{
+                  fontFamily: FONT,
+                  fontSize: fontSize * 0.52,
+                  fontWeight: 300,
+                  color: textColor,
+                  lineHeight: 1,
+                }}
+              >
+                +
+              </span>
+              <span
+                style={{
+                  fontFamily: FONT,
+                  fontSize: fontSize * 0.48,
+                  fontWeight: 400,
+                  color: textColor,
+                  lineHeight: 1,
+                }}
+              >
+                {buttonLabel}
+              </span>
+            </div>
           </div>
-        </div>
 
-        {/* Blue word — disperses right */}
-        <span
-          style={{
-            fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-            fontSize,
-            fontWeight: 400,
-            whiteSpace: "nowrap",
-            background:
-              "linear-gradient(135deg, #8ab4f8 0%, #669df6 40%, #4285f4 100%)",
-            WebkitBackgroundClip: "text",
-            WebkitTextFillColor: "transparent",
-            backgroundClip: "text",
-            transform: `translateX(${rightTextX}px)`,
-            opacity: rightTextOpacity,
-          }}
-        >
-          designer
-        </span>
-      </div>
-
-      {/* Cursor hand */}
-      {t >= cursorStartTime && (
-        <div
-          style={{
-            position: "absolute",
-            left: cursorX,
-            top: cursorY,
-            opacity: cursorOpacity,
-            transform: `scale(${clickScale})`,
-            transformOrigin: "top left",
-            zIndex: 20,
-            fontSize: 64,
-            filter: "drop-shadow(2px 4px 6px rgba(0,0,0,0.15))",
-          }}
-        >
-          {/* Hand cursor SVG */}
-          <svg
-            width="64"
-            height="64"
-            viewBox="0 0 24 24"
-            fill="none"
-            stroke="#1a1a1a"
-            strokeWidth="1.8"
-            strokeLinecap="round"
-            strokeLinejoin="round"
+          {/* Blue word — disperses right */}
+          <span
+            style={{
+              fontFamily: FONT,
+              fontSize,
+              fontWeight: 400,
+              whiteSpace: "nowrap",
+              background:
+                "linear-gradient(135deg, #8ab4f8 0%, #669df6 40%, #4285f4 100%)",
+              WebkitBackgroundClip: "text",
+              WebkitTextFillColor: "transparent",
+              backgroundClip: "text",
+              position: "absolute",
+              ...beside("after"),
+              transform: besideTransform(rightTextShift),
+              opacity: rightTextOpacity,
+            }}
           >
-            <path d="M18 11V6a2 2 0 0 0-4 0" />
-            <path d="M14 10V4a2 2 0 0 0-4 0v2" />
-            <path d="M10 10.5V6a2 2 0 0 0-4 0v8" />
-            <path d="M18 8a2 2 0 1 1 4 0v6a8 8 0 0 1-8 8h-2c-2.8 0-4.5-.86-5.99-2.34l-3.6-3.6a2 2 0 0 1 2.83-2.82L7 15" />
-          </svg>
+            {word}
+          </span>
         </div>
-      )}
-    </AbsoluteFill>
+      </div>
+
+      <Cursor
+        script={cursorScript}
+        t={t}
+        size={CURSOR_SIZE}
+        stroke="#1a1a1a"
+        rippleColor="rgba(66,133,244,0.5)"
+      />
+
+      <Soundtrack soundtrack={soundtrack} cues={getMeetYourNewZoomCues(props)} />
+    </LayoutCanvas>
   );
 };
@@ -3,29 +3,80 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
   spring,
 } from "remotion";
-import React from "react";
+import React, { useMemo } from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import {
+  getTypingCues,
+  HUMAN_TYPING,
+  HumanTypewriter,
+  humanTypingSchema,
+  simulateTyping,
+  typingScriptSchema,
+} from "./lib/humanTyping";
+import { SILENT_SOUNDTRACK, Soundtrack, soundtrackSchema } from "./lib/audio";
+
+const FONT = fontFamily("SF Pro Display");
+
+// ─── Props ───
+
+export const pillExpandSchema = z.object({
+  // Text to type, or steps that also pause, backspace and select-all +
+  // delete
+  text: typingScriptSchema,
+  buttonLabel: z.string(),
+  // Seconds per typed character
+  typeSpeed: z.number().positive(),
+  // Cadence, hesitations and typos around that speed
+  typing: humanTypingSchema,
+  textColor: zColor(),
+  soundtrack: soundtrackSchema,
+});
+
+export type PillExpandProps = z.infer<typeof pillExpandSchema>;
 
 // ─── Constants ───
 
 const PILL_TEXT = "Start your design journey now";
 const BUTTON_TEXT = "Start Now";
 const TYPE_SPEED = 0.065; // seconds per character
+const EXPAND_END = 2.2; // pill fully open
+const TYPE_START = 1.0; // typing starts while the pill is expanding
+const END_HOLD = 4.0; // finished pill stays on screen
+
+export const pillExpandDefaultProps: PillExpandProps = {
+  text: PILL_TEXT,
+  buttonLabel: BUTTON_TEXT,
+  typeSpeed: TYPE_SPEED,
+  typing: { ...HUMAN_TYPING, seed: "pill" },
+  textColor: "#dcebff",
+  soundtrack: SILENT_SOUNDTRACK,
+};
 
 // Pill dimensions
 const PILL_MAX_W = 820;
 const PILL_H = 120;
 const PILL_RADIUS = PILL_H / 2;
+const PILL_MARGIN = 40; // narrow formats scale the pill down to keep this
 
 // ─── Dot Grid Background (memoized) ───
 
 const DOT_SPACING = 50;
 
 const DotGrid = React.memo(() => {
-  const cols = Math.ceil(1280 / DOT_SPACING) + 1;
-  const rows = Math.ceil(720 / DOT_SPACING) + 1;
+  const { width, height } = useLayout();
+  const cols = Math.ceil(width / DOT_SPACING) + 1;
+  const rows = Math.ceil(height / DOT_SPACING) + 1;
   const dots: React.ReactNode[] = [];
 
   for (let r = 0; r < rows; r++) {
@@ -58,10 +109,42 @@ const DotGrid = React.memo(() => {
 
 // ─── Main Component ───
 
-export const PillExpand: React.FC = () => {
+const simulatePill = ({
+  text,
+  typeSpeed,
+  typing,
+}: Pick<PillExpandProps, "text" | "typeSpeed" | "typing">) =>
+  simulateTyping(text, { ...typing, start: TYPE_START, speed: typeSpeed });
+
+export const getPillExpandDuration = (props: PillExpandProps): number =>
+  Math.max(EXPAND_END, simulatePill(props).endsAt) + END_HOLD;
+
+export const pillExpandMeta: EffectMeta = {
+  title: "Pill Expand — Typed Call to Action",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/PillExpand.txt",
+};
+
+export const PillExpand: React.FC<PillExpandProps> = ({
+  text,
+  buttonLabel,
+  typeSpeed,
+  typing,
+  textColor,
+  soundtrack,
+}) => {
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
+  const { width } = useLayout(COMPACT_DESIGN);
   const t = frame / fps;
+  const simulation = useMemo(
+    () => simulatePill({ text, typeSpeed, typing }),
+    [text, typeSpeed, typing],
+  );
+  const cues = useMemo(() => getTypingCues(simulation), [simulation]);
+
+  const pillFit = Math.min(1, (width - PILL_MARGIN * 2) / PILL_MAX_W);
 
   // Phase 1: Vertical line appears (0 - 0.8s)
   const lineOpacity = interpolate(t, [0, 0.5], [0, 1], {
@@ -75,7 +158,7 @@ export const PillExpand: React.FC = () => {
   });
 
   // Phase 2: Line expands into pill (0.8 - 2.2s)
-  const expandProgress = interpolate(t, [0.8, 2.2], [0, 1], {
+  const expandProgress = interpolate(t, [0.8, EXPAND_END], [0, 1], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.inOut(Easing.cubic),
@@ -99,16 +182,8 @@ export const PillExpand: React.FC = () => {
   });
 
   // Phase 3: Text typing (starts when pill begins expanding)
-  const typeStart = 1.0;
-  const charsVisible = Math.floor(Math.max(0, (t - typeStart) / TYPE_SPEED));
-  const displayedText = PILL_TEXT.slice(
-    0,
-    Math.min(charsVisible, PILL_TEXT.length),
-  );
-  const typingDone = charsVisible >= PILL_TEXT.length;
-
   // Text opacity — fades in as pill expands enough to show text
-  const textOpacity = interpolate(t, [1.0, 1.4], [0, 1], {
+  const textOpacity = interpolate(t, [TYPE_START, TYPE_START + 0.4], [0, 1], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
   });
@@ -135,7 +210,8 @@ export const PillExpand: React.FC = () => {
   });
 
   return (
-    <AbsoluteFill
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
       style={{
         background:
           "radial-gradient(ellipse at 60% 50%, #152a42 0%, #0d1f35 40%, #091728 70%, #060f1e 100%)",
@@ -167,6 +243,7 @@ export const PillExpand: React.FC = () => {
             display: "flex",
             alignItems: "center",
             overflow: "hidden",
+            transform: `scale(${pillFit})`,
           }}
         >
           {/* Pill background — subtle dark fill */}
@@ -221,29 +298,23 @@ export const PillExpand: React.FC = () => {
               width: "100%",
             }}
           >
-            <span
+            <HumanTypewriter
+              simulation={simulation}
+              t={t}
+              caret={{
+                color: `color-mix(in srgb, ${textColor} 50%, transparent)`,
+                height: "0.9em",
+                hideWhenDone: true,
+              }}
               style={{
-                fontFamily:
-                  "-apple-system, BlinkMacSystemFont, 'Helvetica Neue', Helvetica, Arial, sans-serif",
+                fontFamily: FONT,
                 fontSize: 42,
                 fontWeight: 300,
-                color: "rgba(220, 235, 255, 0.95)",
+                color: `color-mix(in srgb, ${textColor} 95%, transparent)`,
                 letterSpacing: "-0.01em",
                 whiteSpace: "nowrap",
               }}
-            >
-              {displayedText}
-              {!typingDone && (
-                <span
-                  style={{
-                    color: "rgba(220, 235, 255, 0.5)",
-                    fontWeight: 200,
-                  }}
-                >
-                  |
-                </span>
-              )}
-            </span>
+            />
           </div>
 
           {/* "Start Now" button — glassmorphic, pops in during typing */}
@@ -276,21 +347,21 @@ export const PillExpand: React.FC = () => {
               >
                 <span
                   style={{
-                    fontFamily:
-                      "-apple-system, BlinkMacSystemFont, 'Helvetica Neue', Helvetica, Arial, sans-serif",
+                    fontFamily: FONT,
                     fontSize: 28,
                     fontWeight: 500,
                     color: "rgba(230, 240, 255, 0.95)",
                     letterSpacing: "0.01em",
                   }}
                 >
-                  {BUTTON_TEXT}
+                  {buttonLabel}
                 </span>
               </div>
             </div>
           )}
         </div>
       </div>
-    </AbsoluteFill>
+      <Soundtrack soundtrack={soundtrack} cues={cues} />
+    </LayoutCanvas>
   );
 };
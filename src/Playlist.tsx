@@ -0,0 +1,145 @@
+import { CalculateMetadataFunction, useVideoConfig } from "remotion";
+import React from "react";
+import { z } from "zod";
+import { EFFECT_IDS, EFFECTS, parseEffectProps } from "./registry";
+import { SILENT_SOUNDTRACK, Soundtrack, soundtrackSchema } from "./lib/audio";
+import { secondsToFrames } from "./lib/duration";
+import {
+  CUT,
+  getSeriesFrames,
+  getSeriesStarts,
+  SceneSeries,
+  transitionSchema,
+} from "./lib/transitions";
+
+/**
+ * A launch video assembled from data: a list of registered effects, each
+ * with its own props, played back to back with a transition into the next.
+ * Props are merged over the effect's defaults (top-level keys only), so an
+ * item only lists what it changes. An item without a duration plays for the
+ * effect's own length.
+ */
+
+export const playlistItemSchema = z.object({
+  effect: z.enum(EFFECT_IDS),
+  props: z.record(z.unknown()),
+  // Seconds; the effect's own length when left out
+  duration: z.number().positive().optional(),
+  // Into the next item; ignored on the last one
+  transitionOut: transitionSchema,
+});
+
+export type PlaylistItem = z.infer<typeof playlistItemSchema>;
+
+export const playlistSchema = z.object({
+  items: z.array(playlistItemSchema).min(1),
+  // Music across the whole playlist; volume keyframes may name an item's
+  // effect as its phase (the first item with that effect)
+  soundtrack: soundtrackSchema,
+});
+
+export type PlaylistProps = z.infer<typeof playlistSchema>;
+
+export const playlistDefaultProps: PlaylistProps = {
+  items: [
+    {
+      effect: "HeyEveryone",
+      props: {},
+      transitionOut: {
+        type: "crossfade",
+        duration: 0.4,
+        easing: "easeInOutCubic",
+        blur: 0,
+      },
+    },
+    {
+      effect: "CardCarousel",
+      props: {},
+      transitionOut: {
+        type: "zoomThrough",
+        duration: 0.5,
+        easing: "easeInOutCubic",
+      },
+    },
+    {
+      effect: "PillExpand",
+      props: { text: "Start creating" },
+      transitionOut: CUT,
+    },
+  ],
+  soundtrack: SILENT_SOUNDTRACK,
+};
+
+// Effect and validated props, or an error that says which item is wrong
+const resolveItem = ({ effect, props }: PlaylistItem, index: number) => {
+  const parsed = parseEffectProps(effect, props);
+  if (!parsed.success) {
+    throw new Error(
+      `Playlist item ${index + 1} (${effect}) has invalid props: ${parsed.error.message}`,
+    );
+  }
+  return { entry: EFFECTS[effect], props: parsed.data };
+};
+
+/**
+ * calculateMetadata that fills in each item's missing duration from its
+ * effect, then sizes the playlist with the transitions overlapped.
+ */
+export function calculatePlaylistMetadata(
+  fps: number,
+): CalculateMetadataFunction<PlaylistProps> {
+  return async ({ props }) => {
+    const items = await Promise.all(
+      props.items.map(async (item, i) => {
+        if (item.duration !== undefined) {
+          return { ...item, duration: item.duration };
+        }
+        const { entry, props: effectProps } = resolveItem(item, i);
+        const frames = await entry.getFrames(effectProps, fps);
+        return { ...item, duration: frames / fps };
+      }),
+    );
+    const durationInFrames = getSeriesFrames(
+      items.map((item, i) => ({
+        key: String(i),
+        durationInFrames: secondsToFrames(item.duration, fps),
+        transitionOut: item.transitionOut,
+        children: null,
+      })),
+      fps,
+    );
+    return { durationInFrames, props: { ...props, items } };
+  };
+}
+
+export const Playlist: React.FC<PlaylistProps> = ({ items, soundtrack }) => {
+  const { fps } = useVideoConfig();
+
+  const scenes = items.map((item, i) => {
+    const { entry, props } = resolveItem(item, i);
+    if (item.duration === undefined) {
+      throw new Error(
+        `Playlist item ${i + 1} (${item.effect}) has no duration; register the playlist with calculatePlaylistMetadata()`,
+      );
+    }
+    const Effect = entry.component;
+    return {
+      key: `${i}-${item.effect}`,
+      durationInFrames: secondsToFrames(item.duration, fps),
+      transitionOut: item.transitionOut,
+      children: <Effect {...props} />,
+    };
+  });
+
+  const phases = getSeriesStarts(scenes, fps).map((from, i) => ({
+    name: items[i].effect,
+    from,
+  }));
+
+  return (
+    <>
+      <SceneSeries scenes={scenes} />
+      <Soundtrack soundtrack={soundtrack} phases={phases} />
+    </>
+  );
+};
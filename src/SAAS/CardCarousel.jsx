@@ -1,941 +0,0 @@
-/**
- * ============================================================
- * EFFECT: Card Carousel — Typing + Vertical Scroll Cards
- * FILE: CardCarousel.tsx
- * COMPOSITION ID: CardCarousel
- * DURATION: 210 frames (7s @ 30fps)
- * RESOLUTION: 1280x720
- * ============================================================
- *
- * PROMPT:
- *
- * Create a vertical card carousel animation in Remotion. The
- * first card features a typing animation, then the entire card
- * stack scrolls vertically through 10 distinct designer cards.
- * Each card has unique content — orbiting items, globe with
- * pins, analytics dashboards, brand showcases, etc. The scroll
- * starts during the typing phase for a seamless transition.
- *
- * ─── CARD LAYOUT ───
- *
- *   Card dimensions: 900×460px
- *   Card gap: 24px between cards
- *   Card border radius: 28px
- *   Cards are centered horizontally on the 1280×720 canvas
- *   First card starts vertically centered (top = 360 - 230 = 130px)
- *   Cards stack vertically below, each offset by (460 + 24) = 484px
- *
- * ─── 10 CARD TYPES ───
- *
- *   1. TYPING CARD (id: "typing")
- *      - White (#ffffff) background
- *      - Types "Corporate gifting 🎁 is broken" letter by letter
- *      - TYPE_SPEED: 0.04s per character
- *      - "Corporate" in #1a1a1a, "gifting" in #6c5ce7,
- *        "🎁" emoji, "is broken" in #6c5ce7
- *      - Blinking cursor: 2px wide, #6c5ce7, toggles at 3Hz
- *      - Cursor disappears once typing completes
- *      - Stamp element: gift box (🎁) in gradient pill
- *        - Appears at 0.8s with Easing.out(Easing.back(2))
- *        - Rotates from 20° → -8° (playful tilt)
- *        - Grows from 0.5 → 1.0 scale
- *        - 60×60px, border-radius 8px
- *        - Background: linear-gradient(135deg, #a78bfa, #ec4899)
- *        - Dashed white border: 4px
- *      - Soft center glow: radial gradient with purple/pink tints
- *      - Box shadow: 0 4px 30px rgba(0,0,0,0.08)
- *
- *   2. CURATED CARD (id: "curated")
- *      - Light gray (#fafafa) background
- *      - 10 emoji items orbiting in an elliptical path
- *      - Orbit items: 🧴💼🌾🎁🌸👕🎒📱🧃💎
- *      - Each item is a circle with pastel background color
- *      - Sizes range 60-75px
- *      - Elliptical orbit: radiusX=320, radiusY=200
- *      - Rotation speed: 25 degrees per second
- *      - Items scale 0.7–1.0 based on z-position (sin of angle)
- *      - Opacity varies 0.6–1.0 with z-depth
- *      - Center text: "+2000" in gradient (#2d1b69 → #6c5ce7 → #a78bfa)
- *        fontSize 72, fontWeight 800
- *      - Subtitle: "CURATED GIFTS", 18px, letter-spacing 0.15em
- *
- *   3. WRITING CARD (id: "writing")
- *      - Dark gradient background: #0a0a1a → #1a2a3a → #0a1520
- *      - Types "Writing Script for product launch video"
- *      - TYPE_SPEED: 0.05s per character
- *      - First word gray (#9aa0a6), middle words blue (#6c9ce7)
- *      - Blinking cursor: 2px, #6c9ce7
- *      - Font: 28px, weight 400
- *
- *   4. GLOBE CARD (id: "globe")
- *      - Dark background (#0a0a1a) with purple accents
- *      - Pulsing purple glow at bottom (sin(t*2) oscillation)
- *      - 300px circle with radial gradient (purple tones)
- *      - 2px border: rgba(108,92,231,0.4)
- *      - 3 floating location pins with country flags:
- *        🇺🇸 at (-80, -60), 🇬🇧 at (40, -90), 🇫🇷 at (120, -40)
- *      - Pins bob vertically: sin(t*3 + i) * 4px
- *      - Center text: "Ship Worldwide", 28px, white, weight 600
- *
- *   5. UGC CARD (id: "ugc")
- *      - Light gray (#f8f8f8) background
- *      - Header: 🎬 "UGC Campaign" (Campaign in #6c5ce7)
- *      - Progress bar: 10% filled in #22c55e
- *      - Status: "1 of 10", "03%"
- *      - Checkmark: "Find Creators" completed task
- *      - Left-aligned content with 80px horizontal padding
- *
- *   6. BRANDS CARD (id: "brands")
- *      - Light purple (#f5f0ff) background
- *      - "500+ Brands" in gradient text (#2d1b69 → #6c5ce7)
- *      - fontSize 48, fontWeight 800
- *      - Subtitle: "Trusted by top companies", 20px, #5f5f7a
- *
- *   7. DELIVERY CARD (id: "delivery")
- *      - White (#ffffff) background
- *      - 📦 emoji at 64px
- *      - "Same-Day Delivery", 36px, #1a1a2e, weight 700
- *      - "In 50+ cities worldwide", 18px, #6c5ce7, weight 500
- *
- *   8. ANALYTICS CARD (id: "analytics")
- *      - Dark background (#1a1a2e) with purple border accent
- *      - 📊 emoji at 48px
- *      - "Real-Time Analytics", 36px, white, weight 700
- *      - "Track every gift, every step", 18px, #a78bfa
- *
- *   9. SOCIAL CARD (id: "social")
- *      - Gradient background: #667eea → #764ba2
- *      - Emoji row: 📸🎥📱💬 at 40px with 20px gap
- *      - "Social Media Suite", 42px, white, weight 800
- *      - "Schedule, publish, analyze", 18px, rgba(255,255,255,0.8)
- *
- *   10. REWARDS CARD (id: "rewards")
- *       - Warm yellow (#fffbeb) background
- *       - 🏆 emoji at 56px
- *       - "Rewards Program", 42px, #92400e, weight 800
- *       - "Earn points with every purchase", 18px, #b45309
- *
- * ─── SCROLL ANIMATION ───
- *
- *   Scroll start: 1.5s (during typing on first card)
- *   Scroll end: 4.5s
- *   Total scroll duration: 3.0s
- *   Stops at card index 7 (Analytics card)
- *   Total scroll distance: 7 × 484px = 3388px
- *   Easing: Easing.out(Easing.cubic) — fast start, smooth deceleration
- *
- *   Cards NOT clipped — they scroll off-screen naturally
- *   No overflow: hidden on the scroll container
- *
- * ─── CARD SCALE EFFECT ───
- *
- *   Cards scale based on distance from vertical center (360px):
- *     - At center: scale = 1.0
- *     - At ±400px from center: scale = 0.92
- *     - Interpolated linearly between
- *   First card also has an entrance scale: 0.85 → 1.0 over 0.25s
- *     with Easing.out(Easing.cubic)
- *
- * ─── ENTRANCE ANIMATION ───
- *
- *   Card fade in: opacity 0 → 1 over first 0.15s
- *   First card scale: 0.85 → 1.0 over 0.25s
- *     Easing: out(cubic)
- *
- * ─── BACKGROUND ───
- *
- *   Same teal radial gradient as HeyEveryone:
- *     - Center: #2a5c5c
- *     - Mid: #1a3d3d at 40%
- *     - Edge: #0f2b2b at 100%
- *     - Ellipse at 50% 40%
- *   overflow: hidden on AbsoluteFill
- *
- *   Vignette overlay:
- *     - radial-gradient: transparent center → rgba(0,0,0,0.3) edges
- *
- * ─── ANIMATION TIMELINE ───
- *
- *   0.00s       : First card fades + scales in
- *   0.00s–1.50s : Typing animation on first card
- *   0.80s       : Gift stamp pops in on first card
- *   1.50s       : Scroll begins — cards start moving up
- *   1.50s–4.50s : Smooth deceleration scroll through all cards
- *   4.50s       : Scroll stops at card 7 (Analytics)
- *   4.50s–7.00s : Hold on final position
- *
- * ─── TECHNICAL REQUIREMENTS ───
- *
- *   - Pure Remotion: useCurrentFrame(), useVideoConfig(), interpolate()
- *   - NO CSS animations, NO requestAnimationFrame
- *   - All motion driven by frame count → time → interpolate()
- *   - 10 sub-components: TypingCard, CuratedCard, WritingCard,
- *     GlobeCard, UgcCard, BrandsCard, DeliveryCard, AnalyticsCard,
- *     SocialCard, RewardsCard
- *   - Cards rendered with absolute positioning in a scrolling track
- *   - Scale effect computed per-card based on viewport center distance
- *   - Font: Google Sans / Product Sans / Inter throughout
- *   - Inline styles only
- *
- * ─── CUSTOMIZATION ───
- *
- *   - Change CARDS array to reorder or add/remove cards
- *   - Adjust scrollStart/scrollEnd for different timing
- *   - Change stopAtCard to end on a different card
- *   - Modify CARD_WIDTH/CARD_HEIGHT for different card sizes
- *   - Adjust CARD_GAP for tighter/looser spacing
- *   - Change typing text in TYPED_TEXT_PARTS
- *   - Add more orbit items or change emoji set
- *   - Swap background gradient for different theme
- *   - Adjust scale range (0.92–1.0) for more/less depth effect
- *
- * ─── OVERALL FEEL ───
- *
- *   Sleek product showcase carousel with depth and motion.
- *   Typing animation draws attention before scroll begins.
- *   Fast scroll with deceleration feels like a natural swipe.
- *   Scale effect on distance creates subtle 3D parallax depth.
- *   Diverse card designs keep visual interest through the scroll.
- *   Dark teal background makes colorful cards pop.
- *   Professional, app-like feel — perfect for product demos.
- *
- * ============================================================
- */
-
-import {
-  useCurrentFrame,
-  useVideoConfig,
-  interpolate,
-  Easing,
-  AbsoluteFill,
-} from "remotion";
-import React from "react";
-
-/**
- * Card carousel with typing animation on first card,
- * then vertical scroll through designer cards.
- */
-
-const TYPED_TEXT_PARTS = [
-  { text: "Corporate ", color: "#1a1a2e" },
-  { text: "gifting ", color: "#6c5ce7" },
-  { text: "🎁", color: "", isEmoji: true },
-  { text: " is broken", color: "#6c5ce7" },
-];
-const FULL_TEXT = TYPED_TEXT_PARTS.map((p) => p.text).join("");
-const TYPE_SPEED = 0.04;
-
-// Orbiting items for card 2
-const ORBIT_ITEMS = [
-  { emoji: "🧴", bg: "#f0e6e6", size: 70 },
-  { emoji: "💼", bg: "#e6dcc8", size: 65 },
-  { emoji: "🌾", bg: "#d4eef8", size: 75 },
-  { emoji: "🎁", bg: "#e8d8c8", size: 60 },
-  { emoji: "🌸", bg: "#f0d8e8", size: 68 },
-  { emoji: "👕", bg: "#e0e0e0", size: 72 },
-  { emoji: "🎒", bg: "#e0e8f0", size: 65 },
-  { emoji: "📱", bg: "#d8e8d8", size: 70 },
-  { emoji: "🧃", bg: "#f0e0e0", size: 60 },
-  { emoji: "💎", bg: "#e8e0f0", size: 68 },
-];
-
-const CARD_WIDTH = 900;
-const CARD_HEIGHT = 460;
-const CARD_GAP = 24;
-const CARD_RADIUS = 28;
-
-// Card definitions — many cards for fast carousel
-const CARDS = [
-  { id: "typing" },
-  { id: "curated" },
-  { id: "writing" },
-  { id: "globe" },
-  { id: "ugc" },
-  { id: "brands" },
-  { id: "delivery" },
-  { id: "analytics" },
-  { id: "social" },
-  { id: "rewards" },
-];
-
-const TypingCard = ({ t }) => {
-  const charsVisible = Math.floor(Math.max(0, t / TYPE_SPEED));
-  const visibleText = FULL_TEXT.slice(0, Math.min(charsVisible, FULL_TEXT.length));
-  const typingDone = charsVisible >= FULL_TEXT.length;
-  const cursorVisible = !typingDone || Math.floor(t * 3) % 2 === 0;
-
-  // Stamp pops in after "gifting" is typed
-  const stampStart = 0.8;
-  const stampScale = interpolate(t, [stampStart, stampStart + 0.2], [0, 1], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-    easing: Easing.out(Easing.back(2)),
-  });
-  const stampRotate = interpolate(t, [stampStart, stampStart + 0.3], [20, -8], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-    easing: Easing.out(Easing.cubic),
-  });
-  const stampGrow = interpolate(t, [stampStart, stampStart + 0.8], [0.5, 1], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-    easing: Easing.out(Easing.cubic),
-  });
-
-  // Render text with colors
-  let rendered = [];
-  let charCount = 0;
-  for (const part of TYPED_TEXT_PARTS) {
-    const partStart = charCount;
-    const partEnd = charCount + part.text.length;
-    charCount = partEnd;
-    if (partStart >= visibleText.length) break;
-    const visiblePart = part.text.slice(
-      0,
-      Math.max(0, visibleText.length - partStart),
-    );
-    if (visiblePart.length === 0) continue;
-    rendered.push(
-      <span
-        key={partStart}
-        style={{ color: part.color || "#1a1a2e", fontSize: part.isEmoji ? 28 : 28 }}
-      >
-        {visiblePart}
-      </span>,
-    );
-  }
-
-  return (
-    <div
-      style={{
-        width: CARD_WIDTH,
-        height: CARD_HEIGHT,
-        borderRadius: CARD_RADIUS,
-        backgroundColor: "#ffffff",
-        display: "flex",
-        alignItems: "center",
-        justifyContent: "center",
-        position: "relative",
-        overflow: "hidden",
-        boxShadow: "0 4px 30px rgba(0,0,0,0.08)",
-        border: "1px solid rgba(0,0,0,0.06)",
-      }}
-    >
-      {/* Soft center glow */}
-      <div
-        style={{
-          position: "absolute",
-          width: 400,
-          height: 400,
-          borderRadius: "50%",
-          background:
-            "radial-gradient(circle, rgba(200,180,240,0.25) 0%, rgba(240,200,220,0.15) 40%, transparent 70%)",
-          top: "50%",
-          left: "50%",
-          transform: "translate(-50%, -50%)",
-        }}
-      />
-      <div style={{ display: "flex", alignItems: "center", gap: 12, position: "relative", zIndex: 1 }}>
-        <span
-          style={{
-            fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-            fontWeight: 600,
-            whiteSpace: "nowrap",
-          }}
-        >
-          {rendered}
-          {cursorVisible && (
-            <span
-              style={{
-                display: "inline-block",
-                width: 2,
-                height: 24,
-                backgroundColor: "#6c5ce7",
-                marginLeft: 2,
-                verticalAlign: "middle",
-              }}
-            />
-          )}
-        </span>
-        {/* Stamp element */}
-        {t >= stampStart && (
-          <div
-            style={{
-              display: "inline-block",
-              transform: `scale(${stampScale * stampGrow}) rotate(${stampRotate}deg)`,
-              transformOrigin: "center center",
-            }}
-          >
-            <div
-              style={{
-                width: 60,
-                height: 60,
-                borderRadius: 8,
-                background: "linear-gradient(135deg, #a78bfa, #ec4899)",
-                border: "4px dashed rgba(255,255,255,0.6)",
-                display: "flex",
-                alignItems: "center",
-                justifyContent: "center",
-                fontSize: 28,
-                boxShadow: "0 4px 12px rgba(167,139,250,0.3)",
-              }}
-            >
-              🎁
-            </div>
-          </div>
-        )}
-      </div>
-    </div>
-  );
-};
-
-const CuratedCard = ({ t }) => {
-  const orbitAngle = t * 25; // degrees per second rotation
-  return (
-    <div
-      style={{
-        width: CARD_WIDTH,
-        height: CARD_HEIGHT,
-        borderRadius: CARD_RADIUS,
-        backgroundColor: "#fafafa",
-        display: "flex",
-        alignItems: "center",
-        justifyContent: "center",
-        position: "relative",
-        overflow: "hidden",
-        boxShadow: "0 4px 30px rgba(0,0,0,0.08)",
-        border: "1px solid rgba(0,0,0,0.06)",
-      }}
-    >
-      {/* Soft glow */}
-      <div
-        style={{
-          position: "absolute",
-          width: 500,
-          height: 500,
-          borderRadius: "50%",
-          background:
-            "radial-gradient(circle, rgba(200,180,240,0.2) 0%, transparent 60%)",
-          top: "50%",
-          left: "50%",
-          transform: "translate(-50%, -50%)",
-        }}
-      />
-      {/* Orbiting items */}
-      {ORBIT_ITEMS.map((item, i) => {
-        const angle = (360 / ORBIT_ITEMS.length) * i + orbitAngle;
-        const rad = (angle * Math.PI) / 180;
-        const radiusX = 320;
-        const radiusY = 200;
-        const x = Math.cos(rad) * radiusX;
-        const y = Math.sin(rad) * radiusY;
-        const zOrder = Math.sin(rad);
-        const itemScale = 0.7 + zOrder * 0.3;
-        return (
-          <div
-            key={i}
-            style={{
-              position: "absolute",
-              left: "50%",
-              top: "50%",
-              transform: `translate(calc(-50% + ${x}px), calc(-50% + ${y}px)) scale(${itemScale})`,
-              zIndex: Math.round(zOrder * 10) + 10,
-              width: item.size,
-              height: item.size,
-              borderRadius: "50%",
-              backgroundColor: item.bg,
-              display: "flex",
-              alignItems: "center",
-              justifyContent: "center",
-              fontSize: item.size * 0.45,
-              boxShadow: "0 2px 10px rgba(0,0,0,0.08)",
-              opacity: 0.6 + zOrder * 0.4,
-            }}
-          >
-            {item.emoji}
-          </div>
-        );
-      })}
-      {/* Center text */}
-      <div style={{ position: "relative", zIndex: 20, textAlign: "center" }}>
-        <div
-          style={{
-            fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-            fontSize: 72,
-            fontWeight: 800,
-            background: "linear-gradient(135deg, #2d1b69, #6c5ce7, #a78bfa)",
-            WebkitBackgroundClip: "text",
-            WebkitTextFillColor: "transparent",
-            backgroundClip: "text",
-            lineHeight: 1,
-          }}
-        >
-          +2000
-        </div>
-        <div
-          style={{
-            fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-            fontSize: 18,
-            fontWeight: 700,
-            color: "#2d1b69",
-            letterSpacing: "0.15em",
-            marginTop: 8,
-          }}
-        >
-          CURATED GIFTS
-        </div>
-      </div>
-    </div>
-  );
-};
-
-const GlobeCard = ({ t }) => {
-  const glow = Math.sin(t * 2) * 0.15 + 0.85;
-  return (
-    <div
-      style={{
-        width: CARD_WIDTH,
-        height: CARD_HEIGHT,
-        borderRadius: CARD_RADIUS,
-        backgroundColor: "#0a0a1a",
-        display: "flex",
-        alignItems: "center",
-        justifyContent: "center",
-        position: "relative",
-        overflow: "hidden",
-        boxShadow: "0 4px 30px rgba(0,0,0,0.2)",
-        border: "1px solid rgba(100,80,200,0.2)",
-      }}
-    >
-      {/* Purple globe glow */}
-      <div
-        style={{
-          position: "absolute",
-          width: 400,
-          height: 400,
-          borderRadius: "50%",
-          background:
-            "radial-gradient(circle, rgba(108,92,231,0.5) 0%, rgba(108,92,231,0.2) 40%, transparent 70%)",
-          bottom: -100,
-          left: "50%",
-          transform: `translate(-50%, 0) scale(${glow})`,
-        }}
-      />
-      {/* Globe circle */}
-      <div
-        style={{
-          width: 300,
-          height: 300,
-          borderRadius: "50%",
-          border: "2px solid rgba(108,92,231,0.4)",
-          position: "absolute",
-          bottom: -80,
-          left: "50%",
-          transform: "translate(-50%, 0)",
-          background:
-            "radial-gradient(circle at 40% 40%, rgba(140,120,255,0.3), rgba(60,40,120,0.6))",
-        }}
-      />
-      {/* Location pins */}
-      {[
-        { x: -80, y: -60, flag: "🇺🇸" },
-        { x: 40, y: -90, flag: "🇬🇧" },
-        { x: 120, y: -40, flag: "🇫🇷" },
-      ].map((pin, i) => (
-        <div
-          key={i}
-          style={{
-            position: "absolute",
-            left: `calc(50% + ${pin.x}px)`,
-            bottom: `calc(50% + ${pin.y}px)`,
-            fontSize: 24,
-            transform: `translateY(${Math.sin(t * 3 + i) * 4}px)`,
-          }}
-        >
-          📍{pin.flag}
-        </div>
-      ))}
-      <div
-        style={{
-          position: "relative",
-          zIndex: 10,
-          fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-          fontSize: 28,
-          fontWeight: 600,
-          color: "#ffffff",
-          textAlign: "center",
-          marginBottom: 80,
-        }}
-      >
-        Ship Worldwide
-      </div>
-    </div>
-  );
-};
-
-const BrandsCard = () => (
-  <div
-    style={{
-      width: CARD_WIDTH,
-      height: CARD_HEIGHT,
-      borderRadius: CARD_RADIUS,
-      backgroundColor: "#f5f0ff",
-      display: "flex",
-      alignItems: "center",
-      justifyContent: "center",
-      flexDirection: "column",
-      gap: 16,
-      boxShadow: "0 4px 30px rgba(0,0,0,0.08)",
-      border: "1px solid rgba(0,0,0,0.06)",
-    }}
-  >
-    <div
-      style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-        fontSize: 48,
-        fontWeight: 800,
-        background: "linear-gradient(135deg, #2d1b69, #6c5ce7)",
-        WebkitBackgroundClip: "text",
-        WebkitTextFillColor: "transparent",
-        backgroundClip: "text",
-      }}
-    >
-      500+ Brands
-    </div>
-    <div
-      style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-        fontSize: 20,
-        color: "#5f5f7a",
-        fontWeight: 400,
-      }}
-    >
-      Trusted by top companies
-    </div>
-  </div>
-);
-
-const DeliveryCard = () => (
-  <div
-    style={{
-      width: CARD_WIDTH,
-      height: CARD_HEIGHT,
-      borderRadius: CARD_RADIUS,
-      backgroundColor: "#ffffff",
-      display: "flex",
-      alignItems: "center",
-      justifyContent: "center",
-      flexDirection: "column",
-      gap: 20,
-      boxShadow: "0 4px 30px rgba(0,0,0,0.08)",
-      border: "1px solid rgba(0,0,0,0.06)",
-    }}
-  >
-    <span style={{ fontSize: 64 }}>📦</span>
-    <div
-      style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-        fontSize: 36,
-        fontWeight: 700,
-        color: "#1a1a2e",
-      }}
-    >
-      Same-Day Delivery
-    </div>
-    <div
-      style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-        fontSize: 18,
-        color: "#6c5ce7",
-        fontWeight: 500,
-      }}
-    >
-      In 50+ cities worldwide
-    </div>
-  </div>
-);
-
-const AnalyticsCard = () => (
-  <div
-    style={{
-      width: CARD_WIDTH,
-      height: CARD_HEIGHT,
-      borderRadius: CARD_RADIUS,
-      backgroundColor: "#1a1a2e",
-      display: "flex",
-      alignItems: "center",
-      justifyContent: "center",
-      flexDirection: "column",
-      gap: 16,
-      boxShadow: "0 4px 30px rgba(0,0,0,0.2)",
-      border: "1px solid rgba(108,92,231,0.2)",
-    }}
-  >
-    <span style={{ fontSize: 48 }}>📊</span>
-    <div
-      style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-        fontSize: 36,
-        fontWeight: 700,
-        color: "#ffffff",
-      }}
-    >
-      Real-Time Analytics
-    </div>
-    <div
-      style={{
-        fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-        fontSize: 18,
-        color: "#a78bfa",
-        fontWeight: 400,
-      }}
-    >
-      Track every gift, every step
-    </div>
-  </div>
-);
-
-const WritingCard = ({ t }) => {
-  const text = "Writing Script for product launch video";
-  const chars = Math.floor(Math.max(0, t / 0.05));
-  const visible = text.slice(0, Math.min(chars, text.length));
-  const cursorOn = Math.floor(t * 3) % 2 === 0;
-  return (
-    <div
-      style={{
-        width: CARD_WIDTH,
-        height: CARD_HEIGHT,
-        borderRadius: CARD_RADIUS,
-        background: "linear-gradient(135deg, #0a0a1a 0%, #1a2a3a 50%, #0a1520 100%)",
-        display: "flex",
-        alignItems: "center",
-        justifyContent: "center",
-        boxShadow: "0 4px 30px rgba(0,0,0,0.2)",
-        border: "1px solid rgba(255,255,255,0.08)",
-      }}
-    >
-      <span
-        style={{
-          fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-          fontSize: 28,
-          fontWeight: 400,
-          color: "#9aa0a6",
-        }}
-      >
-        {visible.split(" ").map((w, i) => (
-          <span key={i} style={{ color: i > 0 && i < 3 ? "#6c9ce7" : "#9aa0a6" }}>
-            {w}{" "}
-          </span>
-        ))}
-        {cursorOn && (
-          <span style={{ display: "inline-block", width: 2, height: 24, backgroundColor: "#6c9ce7", verticalAlign: "middle" }} />
-        )}
-      </span>
-    </div>
-  );
-};
-
-const UgcCard = () => (
-  <div
-    style={{
-      width: CARD_WIDTH,
-      height: CARD_HEIGHT,
-      borderRadius: CARD_RADIUS,
-      backgroundColor: "#f8f8f8",
-      display: "flex",
-      flexDirection: "column",
-      justifyContent: "center",
-      padding: "0 80px",
-      gap: 16,
-      boxShadow: "0 4px 30px rgba(0,0,0,0.08)",
-      border: "1px solid rgba(0,0,0,0.06)",
-    }}
-  >
-    <div style={{ display: "flex", alignItems: "center", gap: 12 }}>
-      <span style={{ fontSize: 28 }}>🎬</span>
-      <span
-        style={{
-          fontFamily: "'Google Sans', 'Product Sans', 'Inter', sans-serif",
-          fontSize: 36,
-          fontWeight: 700,
-          color: "#1a1a2e",
-        }}
-      >
-        UGC <span style={{ color: "#6c5ce7" }}>Campaign</span>
-      </span>
-    </div>
-    <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-      <span style={{ fontSize: 18, color: "#22c55e" }}>✓</span>
-      <span style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 16, color: "#5f5f7a" }}>
-        1 of 10
-      </span>
-      <div style={{ flex: 1, height: 6, backgroundColor: "#e5e5e5", borderRadius: 3, marginLeft: 8 }}>
-        <div style={{ width: "10%", height: "100%", backgroundColor: "#22c55e", borderRadius: 3 }} />
-      </div>
-      <span style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 14, color: "#9aa0a6" }}>03%</span>
-    </div>
-    <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 4 }}>
-      <span style={{ color: "#22c55e", fontSize: 16 }}>✓</span>
-      <span style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 16, color: "#5f5f7a" }}>Find Creators</span>
-    </div>
-  </div>
-);
-
-const SocialCard = () => (
-  <div
-    style={{
-      width: CARD_WIDTH,
-      height: CARD_HEIGHT,
-      borderRadius: CARD_RADIUS,
-      background: "linear-gradient(135deg, #667eea 0%, #764ba2 100%)",
-      display: "flex",
-      alignItems: "center",
-      justifyContent: "center",
-      flexDirection: "column",
-      gap: 16,
-      boxShadow: "0 4px 30px rgba(0,0,0,0.15)",
-    }}
-  >
-    <div style={{ display: "flex", gap: 20, fontSize: 40 }}>
-      <span>📸</span><span>🎥</span><span>📱</span><span>💬</span>
-    </div>
-    <div
-      style={{
-        fontFamily: "'Google Sans', sans-serif",
-        fontSize: 42,
-        fontWeight: 800,
-        color: "#ffffff",
-      }}
-    >
-      Social Media Suite
-    </div>
-    <div style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 18, color: "rgba(255,255,255,0.8)" }}>
-      Schedule, publish, analyze
-    </div>
-  </div>
-);
-
-const RewardsCard = () => (
-  <div
-    style={{
-      width: CARD_WIDTH,
-      height: CARD_HEIGHT,
-      borderRadius: CARD_RADIUS,
-      backgroundColor: "#fffbeb",
-      display: "flex",
-      alignItems: "center",
-      justifyContent: "center",
-      flexDirection: "column",
-      gap: 16,
-      boxShadow: "0 4px 30px rgba(0,0,0,0.08)",
-      border: "1px solid rgba(0,0,0,0.06)",
-    }}
-  >
-    <span style={{ fontSize: 56 }}>🏆</span>
-    <div style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 42, fontWeight: 800, color: "#92400e" }}>
-      Rewards Program
-    </div>
-    <div style={{ fontFamily: "'Google Sans', sans-serif", fontSize: 18, color: "#b45309" }}>
-      Earn points with every purchase
-    </div>
-  </div>
-);
-
-export const CardCarousel = () => {
-  const frame = useCurrentFrame();
-  const { fps } = useVideoConfig();
-  const t = frame / fps;
-
-  // Card 1 scale in
-  const cardScaleIn = interpolate(t, [0, 0.25], [0.85, 1], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-    easing: Easing.out(Easing.cubic),
-  });
-  const cardFadeIn = interpolate(t, [0, 0.15], [0, 1], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-  });
-
-  // Fast carousel scroll — starts during typing, whips through cards, decelerates to stop
-  const scrollStart = 1.5;
-  const scrollEnd = 4.5;
-  const stopAtCard = 7; // Stop at card index 7
-  const cardStep = CARD_HEIGHT + CARD_GAP;
-  const totalScrollDistance = stopAtCard * cardStep;
-
-  const scrollY = interpolate(t, [scrollStart, scrollEnd], [0, totalScrollDistance], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-    easing: Easing.out(Easing.cubic),
-  });
-
-  // First card starts centered on screen
-  const startY = 360 - CARD_HEIGHT / 2;
-
-  return (
-    <AbsoluteFill
-      style={{
-        background:
-          "radial-gradient(ellipse at 50% 40%, #2a5c5c 0%, #1a3d3d 40%, #0f2b2b 100%)",
-        overflow: "hidden",
-      }}
-    >
-      {/* Vignette */}
-      <div
-        style={{
-          position: "absolute",
-          inset: 0,
-          background:
-            "radial-gradient(ellipse at 50% 50%, transparent 40%, rgba(0,0,0,0.3) 100%)",
-        }}
-      />
-
-      {/* Scrolling card track — no clipping, cards go off-screen */}
-      <div
-        style={{
-          position: "absolute",
-          left: "50%",
-          top: 0,
-          transform: `translateX(-50%)`,
-          opacity: cardFadeIn,
-        }}
-      >
-        {CARDS.map((card, i) => {
-          const cardY = startY + i * cardStep - scrollY;
-
-          // Scale effect: card in center is scale 1, cards further away are slightly smaller
-          const distFromCenter = Math.abs(cardY + CARD_HEIGHT / 2 - 360);
-          const cardScale = interpolate(distFromCenter, [0, 400], [1, 0.92], {
-            extrapolateLeft: "clamp",
-            extrapolateRight: "clamp",
-          }) * (i === 0 ? cardScaleIn : 1);
-
-          return (
-            <div
-              key={card.id}
-              style={{
-                position: "absolute",
-                top: cardY,
-                left: -CARD_WIDTH / 2,
-                transform: `scale(${cardScale})`,
-                transformOrigin: "center center",
-              }}
-            >
-              {card.id === "typing" && <TypingCard t={t} />}
-              {card.id === "curated" && <CuratedCard t={Math.max(0, t)} />}
-              {card.id === "writing" && <WritingCard t={Math.max(0, t - 1)} />}
-              {card.id === "globe" && <GlobeCard t={Math.max(0, t)} />}
-              {card.id === "ugc" && <UgcCard />}
-              {card.id === "brands" && <BrandsCard />}
-              {card.id === "delivery" && <DeliveryCard />}
-              {card.id === "analytics" && <AnalyticsCard />}
-              {card.id === "social" && <SocialCard />}
-              {card.id === "rewards" && <RewardsCard />}
-            </div>
-          );
-        })}
-      </div>
-    </AbsoluteFill>
-  );
-};
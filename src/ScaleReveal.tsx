@@ -5,8 +5,27 @@ import {
   Easing,
   Img,
   staticFile,
-  AbsoluteFill,
 } from "remotion";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+
+export const scaleRevealSchema = z.object({
+  // File name inside public/
+  image: z.string(),
+  backgroundColor: zColor(),
+  initialScale: z.number().positive(),
+  finalScale: z.number().positive(),
+  scaleDuration: z.number().positive(),
+});
+
+export type ScaleRevealProps = z.infer<typeof scaleRevealSchema>;
 
 // Scale
 const INITIAL_SCALE = 0.2;
@@ -14,19 +33,46 @@ const FINAL_SCALE = 1.0;
 
 // Slow continuous motion
 const SCALE_DURATION = 10.0;
+const END_HOLD = 2.0; // settled product stays on screen
+
+export const scaleRevealDefaultProps: ScaleRevealProps = {
+  image: "headphones.png",
+  backgroundColor: "#f2f2f2",
+  initialScale: INITIAL_SCALE,
+  finalScale: FINAL_SCALE,
+  scaleDuration: SCALE_DURATION,
+};
+
+export const getScaleRevealDuration = ({
+  scaleDuration,
+}: ScaleRevealProps): number => scaleDuration + END_HOLD;
+
+export const scaleRevealMeta: EffectMeta = {
+  title: "Product Scale Reveal",
+  category: "Effects",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/ScaleReveal.txt",
+};
 
-export const ScaleReveal: React.FC = () => {
+export const ScaleReveal: React.FC<ScaleRevealProps> = ({
+  image,
+  backgroundColor,
+  initialScale,
+  finalScale,
+  scaleDuration,
+}) => {
   const frame = useCurrentFrame();
-  const { fps, height } = useVideoConfig();
+  const { fps } = useVideoConfig();
+  const { height } = useLayout(COMPACT_DESIGN);
   const t = frame / fps;
 
-  const progress = interpolate(t, [0, SCALE_DURATION], [0, 1], {
+  const progress = interpolate(t, [0, scaleDuration], [0, 1], {
     extrapolateLeft: "clamp",
     extrapolateRight: "clamp",
     easing: Easing.out(Easing.exp),
   });
 
-  const scale = INITIAL_SCALE + progress * (FINAL_SCALE - INITIAL_SCALE);
+  const scale = initialScale + progress * (finalScale - initialScale);
 
   // Subtle vertical lift
   const yOffset = interpolate(progress, [0, 1], [50, 0], {
@@ -49,9 +95,10 @@ export const ScaleReveal: React.FC = () => {
   const shadowTop = height * 0.5 + 250 * scale + yOffset;
 
   return (
-    <AbsoluteFill
+    <LayoutCanvas
+      design={COMPACT_DESIGN}
       style={{
-        backgroundColor: "#f2f2f2",
+        backgroundColor,
       }}
     >
       {/* Headphone image — centered */}
@@ -75,7 +122,7 @@ export const ScaleReveal: React.FC = () => {
           }}
         >
           <Img
-            src={staticFile("headphones.png")}
+            src={staticFile(image)}
             style={{
               width: 500,
               height: "auto",
@@ -100,6 +147,6 @@ export const ScaleReveal: React.FC = () => {
           opacity: opacity * shadowOpacity,
         }}
       />
-    </AbsoluteFill>
+    </LayoutCanvas>
   );
 };
@@ -0,0 +1,475 @@
+import {
+  useCurrentFrame,
+  useVideoConfig,
+  interpolate,
+  spring,
+  OffthreadVideo,
+  staticFile,
+} from "remotion";
+import React, { useMemo } from "react";
+import { z } from "zod";
+import { parseMedia } from "@remotion/media-parser";
+import { EffectMeta } from "./lib/effectMeta";
+import { LANDSCAPE_DESIGN, LayoutCanvas, useLayout } from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import { createTrack } from "./lib/keyframes";
+import { frameRegion, ZoomKeyframe, zoomTransform } from "./lib/autoZoom";
+import { Cursor, CursorScript } from "./lib/cursor";
+import { BlueAurora, GlassBackground } from "./GlassPlusExpand";
+
+const FONT = fontFamily("SF Pro Display");
+
+/**
+ * Real UI footage for product demos.
+ *
+ * A screen capture plays inside a browser window, laptop or phone on one of
+ * GlassPlusExpand's backgrounds. The camera eases between regions of the
+ * recording given as keyframes, and the scripted cursor can be drawn on top
+ * in recording pixels. Frames come from <OffthreadVideo>, so every output
+ * frame is the exact source frame at that time. Without a `src` the screen
+ * shows a placeholder for as long as the camera and cursor have something
+ * to do, so the framing can be laid out before there's a capture.
+ */
+
+// ─── Props ───
+
+const regionKeyframeSchema = z.object({
+  // Seconds
+  at: z.number().min(0),
+  // Region of the recording to frame, in recording pixels
+  x: z.number(),
+  y: z.number(),
+  width: z.number().positive(),
+  height: z.number().positive(),
+});
+
+const cursorPointSchema = z.object({
+  at: z.number().min(0),
+  x: z.number(),
+  y: z.number(),
+  click: z.boolean(),
+});
+
+export const screenRecordingSchema = z.object({
+  // Video in public/ (or a URL); a placeholder screen without one
+  src: z.string().min(1).optional(),
+  // Pixel size of the recording; regions and cursor points use it
+  recordingWidth: z.number().int().positive(),
+  recordingHeight: z.number().int().positive(),
+  // Seconds cut from the start of the recording
+  trimStart: z.number().min(0),
+  muted: z.boolean(),
+  device: z.enum(["browser", "laptop", "phone"]),
+  // Shown in the browser's address bar
+  url: z.string(),
+  background: z.enum(["glass", "aurora"]),
+  // Camera arrives on each region at its time; keep it on a region by
+  // repeating it later
+  zoom: z.array(regionKeyframeSchema),
+  cursor: z.array(cursorPointSchema),
+});
+
+export type ScreenRecordingProps = z.infer<typeof screenRecordingSchema>;
+
+const REC_W = 1920;
+const REC_H = 1080;
+
+export const screenRecordingDefaultProps: ScreenRecordingProps = {
+  recordingWidth: REC_W,
+  recordingHeight: REC_H,
+  trimStart: 0,
+  muted: true,
+  device: "browser",
+  url: "app.lovio.design",
+  background: "aurora",
+  zoom: [
+    { at: 0, x: 0, y: 0, width: REC_W, height: REC_H },
+    { at: 2, x: 0, y: 0, width: REC_W, height: REC_H },
+    { at: 3, x: 560, y: 300, width: 800, height: 450 },
+    { at: 5, x: 560, y: 300, width: 800, height: 450 },
+    { at: 6, x: 0, y: 0, width: REC_W, height: REC_H },
+  ],
+  cursor: [
+    { at: 1.5, x: 1400, y: 820, click: false },
+    { at: 3, x: 960, y: 520, click: true },
+  ],
+};
+
+const resolveSrc = (src: string) =>
+  /^https?:\/\//.test(src) ? src : staticFile(src);
+
+// Seconds the placeholder stays after the last zoom or cursor keyframe
+const PLACEHOLDER_HOLD = 1;
+
+export const getScreenRecordingDuration = async ({
+  src,
+  trimStart,
+  zoom,
+  cursor,
+}: ScreenRecordingProps): Promise<number> => {
+  if (!src) {
+    return (
+      Math.max(0, ...zoom.map(({ at }) => at), ...cursor.map(({ at }) => at)) +
+      PLACEHOLDER_HOLD
+    );
+  }
+  const { slowDurationInSeconds } = await parseMedia({
+    src: resolveSrc(src),
+    fields: { slowDurationInSeconds: true },
+    acknowledgeRemotionLicense: true,
+  }).catch(() => {
+    throw new Error(
+      `Screen recording "${src}" could not be read; copy it into public/ or pass a URL`,
+    );
+  });
+  return Math.max(0, slowDurationInSeconds - trimStart);
+};
+
+// ─── Devices ───
+
+type Device = ScreenRecordingProps["device"];
+
+// Chrome around the screen, in design px
+type DeviceChrome = {
+  top: number;
+  side: number;
+  bottom: number;
+  radius: number;
+  // Laptop base overhangs the lid by this fraction of its width
+  baseOverhang: number;
+  baseHeight: number;
+};
+
+const CHROME: Record<Device, DeviceChrome> = {
+  browser: {
+    top: 40,
+    side: 0,
+    bottom: 0,
+    radius: 14,
+    baseOverhang: 0,
+    baseHeight: 0,
+  },
+  laptop: {
+    top: 18,
+    side: 18,
+    bottom: 26,
+    radius: 20,
+    baseOverhang: 0.08,
+    baseHeight: 20,
+  },
+  phone: {
+    top: 14,
+    side: 14,
+    bottom: 14,
+    radius: 54,
+    baseOverhang: 0,
+    baseHeight: 0,
+  },
+};
+
+const DEVICE_MARGIN = 80;
+
+const BrowserBar: React.FC<{ url: string }> = ({ url }) => (
+  <div
+    style={{
+      position: "absolute",
+      left: 0,
+      right: 0,
+      top: 0,
+      height: CHROME.browser.top,
+      display: "flex",
+      alignItems: "center",
+      padding: "0 16px",
+      gap: 8,
+      background: "#2a2a30",
+      borderBottom: "1px solid rgba(255,255,255,0.08)",
+    }}
+  >
+    {["#ff5f57", "#febc2e", "#28c840"].map((color) => (
+      <div
+        key={color}
+        style={{ width: 12, height: 12, borderRadius: 6, background: color }}
+      />
+    ))}
+    <div
+      style={{
+        flex: 1,
+        maxWidth: 420,
+        height: 24,
+        margin: "0 auto",
+        borderRadius: 8,
+        background: "rgba(255,255,255,0.08)",
+        color: "rgba(255,255,255,0.6)",
+        fontFamily: FONT,
+        fontSize: 13,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        whiteSpace: "nowrap",
+        overflow: "hidden",
+      }}
+    >
+      {url}
+    </div>
+  </div>
+);
+
+// Stands in for the capture, at its size, until there is one
+const RecordingPlaceholder: React.FC<{ width: number; height: number }> = ({
+  width,
+  height,
+}) => (
+  <div
+    style={{
+      position: "absolute",
+      inset: 0,
+      display: "flex",
+      flexDirection: "column",
+      alignItems: "center",
+      justifyContent: "center",
+      gap: height / 40,
+      background: "linear-gradient(160deg, #2b2d35 0%, #17181d 100%)",
+      fontFamily: FONT,
+      textAlign: "center",
+    }}
+  >
+    <div
+      style={{
+        fontSize: width / 24,
+        fontWeight: 600,
+        color: "rgba(255,255,255,0.8)",
+      }}
+    >
+      Screen recording
+    </div>
+    <div
+      style={{
+        fontSize: width / 60,
+        color: "rgba(255,255,255,0.45)",
+      }}
+    >
+      Set src to a video in public/ or a URL
+    </div>
+  </div>
+);
+
+export const screenRecordingMeta: EffectMeta = {
+  title: "Screen Recording in a Device Frame",
+  category: "SaaS",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/ScreenRecording.txt",
+};
+
+// ─── Main Component ───
+
+export const ScreenRecording: React.FC<ScreenRecordingProps> = ({
+  src,
+  recordingWidth,
+  recordingHeight,
+  trimStart,
+  muted,
+  device,
+  url,
+  background,
+  zoom,
+  cursor,
+}) => {
+  const frame = useCurrentFrame();
+  const { fps } = useVideoConfig();
+  const { width, height } = useLayout();
+  const t = frame / fps;
+  const recording = { width: recordingWidth, height: recordingHeight };
+
+  // Screen fitted inside the margins with its device around it
+  const chrome = CHROME[device];
+  const availW =
+    (width - DEVICE_MARGIN * 2) / (1 + chrome.baseOverhang * 2) -
+    chrome.side * 2;
+  const availH =
+    height - DEVICE_MARGIN * 2 - chrome.top - chrome.bottom - chrome.baseHeight;
+  const screenScale = Math.min(
+    availW / recordingWidth,
+    availH / recordingHeight,
+  );
+  const screenW = recordingWidth * screenScale;
+  const screenH = recordingHeight * screenScale;
+  const bodyW = screenW + chrome.side * 2;
+  const bodyH = screenH + chrome.top + chrome.bottom;
+
+  const cameraTrack = useMemo(() => {
+    const sorted = [...zoom].sort((a, b) => a.at - b.at);
+    const keyframes: ZoomKeyframe[] = sorted.map(({ at, ...region }) => ({
+      frame: at * fps,
+      ...frameRegion(region, {
+        width: recordingWidth,
+        height: recordingHeight,
+      }),
+    }));
+    return keyframes.length > 0 ? createTrack(keyframes) : null;
+  }, [zoom, fps, recordingWidth, recordingHeight]);
+  const camera = cameraTrack
+    ? cameraTrack(frame)
+    : { zoom: 1, x: recordingWidth / 2, y: recordingHeight / 2 };
+
+  const cursorPoints = [...cursor].sort((a, b) => a.at - b.at);
+  const cursorScript: CursorScript | null =
+    cursorPoints.length > 0
+      ? {
+          from: cursorPoints[0],
+          steps: cursorPoints.map((point, i) => ({
+            at: point.at,
+            to: { x: point.x, y: point.y },
+            travel:
+              i === 0 ? 0 : Math.min(0.6, point.at - cursorPoints[i - 1].at),
+            click: point.click,
+          })),
+        }
+      : null;
+
+  // Device rises into place
+  const enter = spring({
+    frame,
+    fps,
+    config: { damping: 18, stiffness: 120, mass: 0.8 },
+  });
+  const deviceY = interpolate(enter, [0, 1], [60, 0]);
+
+  return (
+    <LayoutCanvas style={{ overflow: "hidden" }}>
+      <div style={{ position: "absolute", inset: 0 }}>
+        {background === "glass" ? <GlassBackground /> : <BlueAurora />}
+      </div>
+
+      <div
+        style={{
+          position: "absolute",
+          left: (width - bodyW) / 2,
+          top: (height - bodyH - chrome.baseHeight) / 2 + deviceY,
+          width: bodyW,
+          opacity: enter,
+        }}
+      >
+        {/* Device body */}
+        <div
+          style={{
+            position: "relative",
+            width: bodyW,
+            height: bodyH,
+            borderRadius: chrome.radius,
+            background: device === "browser" ? "#1c1c21" : "#0d0d10",
+            border:
+              device === "browser"
+                ? "1px solid rgba(255,255,255,0.12)"
+                : "2px solid #3a3a40",
+            boxShadow: "0 30px 80px rgba(0,0,0,0.45)",
+            overflow: "hidden",
+          }}
+        >
+          {device === "browser" && <BrowserBar url={url} />}
+
+          {/* Screen */}
+          <div
+            style={{
+              position: "absolute",
+              left: chrome.side,
+              top: chrome.top,
+              width: screenW,
+              height: screenH,
+              overflow: "hidden",
+              borderRadius:
+                device === "phone" ? chrome.radius - chrome.side : 0,
+              background: "#000",
+            }}
+          >
+            <div
+              style={{
+                position: "absolute",
+                left: 0,
+                top: 0,
+                width: recordingWidth,
+                height: recordingHeight,
+                transform: `scale(${screenScale})`,
+                transformOrigin: "0 0",
+              }}
+            >
+              <div
+                style={{
+                  position: "absolute",
+                  inset: 0,
+                  transform: zoomTransform(camera, recording),
+                  transformOrigin: "0 0",
+                }}
+              >
+                {src ? (
+                  <OffthreadVideo
+                    src={resolveSrc(src)}
+                    trimBefore={Math.round(trimStart * fps)}
+                    muted={muted}
+                    style={{ width: recordingWidth, height: recordingHeight }}
+                  />
+                ) : (
+                  <RecordingPlaceholder
+                    width={recordingWidth}
+                    height={recordingHeight}
+                  />
+                )}
+                {cursorScript && (
+                  <Cursor
+                    script={cursorScript}
+                    t={t}
+                    size={recordingWidth / 48}
+                  />
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Phone camera island */}
+          {device === "phone" && (
+            <div
+              style={{
+                position: "absolute",
+                left: "50%",
+                top: chrome.top + 10,
+                width: 96,
+                height: 28,
+                marginLeft: -48,
+                borderRadius: 14,
+                background: "#000",
+              }}
+            />
+          )}
+          {/* Laptop webcam */}
+          {device === "laptop" && (
+            <div
+              style={{
+                position: "absolute",
+                left: "50%",
+                top: 6,
+                width: 6,
+                height: 6,
+                marginLeft: -3,
+                borderRadius: 3,
+                background: "#26262b",
+              }}
+            />
+          )}
+        </div>
+
+        {/* Laptop base */}
+        {device === "laptop" && (
+          <div
+            style={{
+              width: bodyW * (1 + chrome.baseOverhang * 2),
+              height: chrome.baseHeight,
+              marginLeft: -bodyW * chrome.baseOverhang,
+              borderRadius: "4px 4px 16px 16px",
+              background: "linear-gradient(#c9cbd1, #8e9097)",
+              boxShadow: "0 20px 40px rgba(0,0,0,0.35)",
+            }}
+          />
+        )}
+      </div>
+    </LayoutCanvas>
+  );
+};
@@ -4,15 +4,46 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
+  random,
 } from "remotion";
 import React, { useMemo } from "react";
 import { useThree } from "@react-three/fiber";
 import * as THREE from "three";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { createTrack } from "./lib/keyframes";
+import { EffectMeta } from "./lib/effectMeta";
+import { LayoutCanvas, PORTRAIT_DESIGN, useLayout } from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import { Cursor, CursorScript, getCursorState } from "./lib/cursor";
+
+const FONT = fontFamily("SF Pro Display");
+
+export const shortcutsMotionSchema = z.object({
+  // Section 1
+  intro: z.string(),
+  highlight: z.string(),
+  // Section 2 — fades in word by word
+  paragraph: z.string(),
+  // Section 3
+  truthLead: z.string(),
+  truthWord: z.string(),
+  subtitle: z.string(),
+  // Section 4
+  ctaLabel: z.string(),
+  // Multiplies how fast the background particles twinkle
+  particleSpeed: z.number().min(0),
+  backgroundColor: zColor(),
+  brushColor: zColor(),
+});
+
+export type ShortcutsMotionProps = z.infer<typeof shortcutsMotionSchema>;
 
 // ─── Constants ───
 
-const SECTION_HEIGHT = 1920;
+// Sections are authored on the 1080×1920 portrait design canvas
+const SECTION_WIDTH = PORTRAIT_DESIGN.width;
+const SECTION_HEIGHT = PORTRAIT_DESIGN.height;
 
 // SVG brush stroke paths (organic abstract shapes)
 const BRUSH_PATH_1 =
@@ -24,10 +55,6 @@ const BRUSH_PATH_2 =
 const BAND_STROKE_PATH =
   "M -200,1600 C 100,1300 400,1000 700,850 C 900,720 1100,550 1400,400";
 
-// Cursor arrow path
-const CURSOR_SVG =
-  "M 0,0 L 0,22 L 5.5,17.5 L 9.5,26 L 13,24.5 L 9,16 L 15.5,15.5 Z";
-
 // Typing config
 const TYPED_TEXT =
   "In today's fast-paced world, everyone is searching for shortcuts\u2014quick fixes that promise instant results with minimal effort. This desire for speed has become deeply embedded in our culture.";
@@ -36,6 +63,19 @@ const TYPED_TEXT =
 const SUBTITLE_TEXT =
   "Truth is one of the most powerful and essential values in human life. It serves as the foundation for trust, justice, growth, and meaningful relationships.";
 
+export const shortcutsMotionDefaultProps: ShortcutsMotionProps = {
+  intro: "Everyone is chasing",
+  highlight: "SHORTCUTS",
+  paragraph: TYPED_TEXT,
+  truthLead: "here is the",
+  truthWord: "truth",
+  subtitle: SUBTITLE_TEXT,
+  ctaLabel: "Start Now",
+  particleSpeed: 1,
+  backgroundColor: "#f5f5f0",
+  brushColor: "#111",
+};
+
 // ─── Scroll keyframes ───
 
 interface ScrollKF {
@@ -54,25 +94,16 @@ const SCROLL_KFS: ScrollKF[] = [
   { t: 22.0, y: -SECTION_HEIGHT * 3 },
 ];
 
-// ─── Helpers ───
-
-function easeInOutCubic(t: number): number {
-  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-}
+/** The video ends when the final section's scroll hold does. */
+export const getShortcutsMotionDuration = (): number =>
+  SCROLL_KFS[SCROLL_KFS.length - 1].t;
 
-function getScrollY(t: number): number {
-  if (t <= SCROLL_KFS[0].t) return SCROLL_KFS[0].y;
-  const last = SCROLL_KFS[SCROLL_KFS.length - 1];
-  if (t >= last.t) return last.y;
+// ─── Helpers ───
 
-  let i = 0;
-  while (i < SCROLL_KFS.length - 2 && SCROLL_KFS[i + 1].t <= t) i++;
-
-  const a = SCROLL_KFS[i];
-  const b = SCROLL_KFS[i + 1];
-  const progress = easeInOutCubic((t - a.t) / (b.t - a.t));
-  return a.y + (b.y - a.y) * progress;
-}
+// Keyframes are in seconds, so the track is sampled with `t` rather than frame
+const scrollTrack = createTrack(
+  SCROLL_KFS.map((kf) => ({ frame: kf.t, y: kf.y })),
+);
 
 // ─── Dot Grid with Net Lines (memoized for performance) ───
 
@@ -140,7 +171,7 @@ const DotNetGrid = React.memo(() => {
       viewBox={`0 0 ${GRID_W} ${GRID_H}`}
       style={{
         position: "absolute",
-        left: (1080 - GRID_W) / 2,
+        left: (SECTION_WIDTH - GRID_W) / 2,
         top: (SECTION_HEIGHT - GRID_H) / 2 - 120,
       }}
     >
@@ -151,7 +182,11 @@ const DotNetGrid = React.memo(() => {
 
 // ─── Section 1: Brush Strokes + "SHORTCUTS" Selection ───
 
-const Section1: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
+const Section1: React.FC<{
+  t: number;
+  intro: string;
+  highlight: string;
+}> = ({ t, intro, highlight }) => {
   // Text entrance — "Everyone is chasing"
   const line1Opacity = interpolate(t, [1.0, 1.6], [0, 1], {
     extrapolateLeft: "clamp",
@@ -177,29 +212,24 @@ const Section1: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
   // Full selection area — covers BOTH "Everyone is chasing" and "SHORTCUTS"
   const boxW = 640;
   const boxH = 200;
-  const boxX = (1080 - boxW) / 2;
+  const boxX = (SECTION_WIDTH - boxW) / 2;
   const boxY = 960 - boxH / 2 - 5; // centered on both lines
 
   // Cursor appears at top-left of the box area, then drags to bottom-right
-  const cursorOpacity = interpolate(t, [2.3, 2.5], [0, 1], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-  });
-
-  // Cursor drags from top-left corner to bottom-right corner
-  const dragProgress = interpolate(t, [2.5, 3.8], [0, 1], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-    easing: Easing.inOut(Easing.cubic),
-  });
-  const cursorX = boxX + dragProgress * boxW;
-  const cursorY = boxY + dragProgress * boxH;
+  const dragStart = { x: boxX, y: boxY };
+  const dragEnd = { x: boxX + boxW, y: boxY + boxH };
+  const cursorScript: CursorScript = {
+    from: dragStart,
+    steps: [{ at: 3.8, to: dragEnd, travel: 1.3, curve: 0, drag: true }],
+    showAt: 2.3,
+  };
+  const cursor = getCursorState(cursorScript, [dragStart, dragEnd], t);
 
   // Dashed border grows from top-left as cursor drags — width/height follow cursor
-  const borderW = Math.max(0, dragProgress * boxW);
-  const borderH = Math.max(0, dragProgress * boxH);
+  const borderW = Math.max(0, cursor.x - boxX);
+  const borderH = Math.max(0, cursor.y - boxY);
   const borderVisible = t >= 2.5;
-  const dashOffset = -(frame * 0.6);
+  const dashOffset = -(t * 18);
 
 
   return (
@@ -208,7 +238,7 @@ const Section1: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
         position: "absolute",
         top: 0,
         left: 0,
-        width: 1080,
+        width: SECTION_WIDTH,
         height: SECTION_HEIGHT,
         overflow: "hidden",
       }}
@@ -219,7 +249,7 @@ const Section1: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
           position: "absolute",
           top: 0,
           left: 0,
-          width: 1080,
+          width: SECTION_WIDTH,
           height: SECTION_HEIGHT,
           display: "flex",
           flexDirection: "column",
@@ -230,8 +260,7 @@ const Section1: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
         {/* "Everyone is chasing" */}
         <span
           style={{
-            fontFamily:
-              "SF Pro Display, -apple-system, Helvetica Neue, Helvetica, sans-serif",
+            fontFamily: FONT,
             fontSize: 48,
             fontWeight: 400,
             color: "#333",
@@ -241,14 +270,13 @@ const Section1: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
             letterSpacing: "-0.01em",
           }}
         >
-          Everyone is chasing
+          {intro}
         </span>
 
         {/* "SHORTCUTS" — smaller text */}
         <span
           style={{
-            fontFamily:
-              "SF Pro Display, -apple-system, Helvetica Neue, Helvetica, sans-serif",
+            fontFamily: FONT,
             fontSize: 72,
             fontWeight: 900,
             color: "#000",
@@ -258,7 +286,7 @@ const Section1: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
             lineHeight: 1,
           }}
         >
-          SHORTCUTS
+          {highlight}
         </span>
       </div>
 
@@ -269,7 +297,7 @@ const Section1: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
             position: "absolute",
             top: 0,
             left: 0,
-            width: 1080,
+            width: SECTION_WIDTH,
             height: SECTION_HEIGHT,
             pointerEvents: "none",
           }}
@@ -305,20 +333,7 @@ const Section1: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
       )}
 
       {/* Cursor arrow — drags from top-left to bottom-right */}
-      <svg
-        width="20"
-        height="30"
-        viewBox="0 0 16 27"
-        style={{
-          position: "absolute",
-          left: cursorX,
-          top: cursorY,
-          opacity: cursorOpacity,
-          filter: "drop-shadow(0 1px 2px rgba(0,0,0,0.3))",
-        }}
-      >
-        <path d={CURSOR_SVG} fill="#000" />
-      </svg>
+      <Cursor script={cursorScript} t={t} fill="#000" stroke="none" />
     </div>
   );
 };
@@ -358,9 +373,9 @@ function PillScene({ rotX }: { rotX: number }) {
   const granules = useMemo(() => {
     const positions: [number, number, number][] = [];
     for (let i = 0; i < 60; i++) {
-      const angle = Math.random() * Math.PI * 2;
-      const r = Math.random() * 0.35;
-      const y = -0.1 - Math.random() * 0.9;
+      const angle = random(`granule-angle-${i}`) * Math.PI * 2;
+      const r = random(`granule-radius-${i}`) * 0.35;
+      const y = -0.1 - random(`granule-y-${i}`) * 0.9;
       positions.push([Math.cos(angle) * r, y, Math.sin(angle) * r]);
     }
     return positions;
@@ -416,12 +431,20 @@ function PillScene({ rotX }: { rotX: number }) {
 
 // ─── Section 2: Net Grid + 3D Pill + Fading Text ───
 
-// Split typed text into words for fade-in
-const TYPED_WORDS = TYPED_TEXT.split(" ");
 const WORD_FADE_DURATION = 0.18; // seconds per word to fully fade in
 const WORD_STAGGER = 0.12; // delay between each word starting
 
-const Section2: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
+const Section2: React.FC<{
+  t: number;
+  paragraph: string;
+  backgroundColor: string;
+}> = ({ t, paragraph, backgroundColor }) => {
+  // Sized in design px; the WebGL buffer itself renders at output resolution
+  const { scale } = useLayout();
+
+  // Split typed text into words for fade-in
+  const typedWords = paragraph.split(" ");
+
   // Section-local time (section becomes visible around t=6.5)
   const sectionFade = interpolate(t, [6.5, 7.2], [0, 1], {
     extrapolateLeft: "clamp",
@@ -454,7 +477,7 @@ const Section2: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
         position: "absolute",
         top: SECTION_HEIGHT,
         left: 0,
-        width: 1080,
+        width: SECTION_WIDTH,
         height: SECTION_HEIGHT,
         overflow: "hidden",
       }}
@@ -468,7 +491,7 @@ const Section2: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
       <div
         style={{
           position: "absolute",
-          left: (1080 - 400) / 2,
+          left: (SECTION_WIDTH - 400) / 2,
           top: SECTION_HEIGHT / 2 - 350,
           width: 400,
           height: 400,
@@ -479,10 +502,11 @@ const Section2: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
         <ThreeCanvas
           width={400}
           height={400}
+          dpr={scale}
           camera={{ fov: 35, position: [0, 0, 6], near: 0.1, far: 100 }}
           style={{ width: 400, height: 400, background: "transparent" }}
         >
-          <color attach="background" args={["#f5f5f0"]} />
+          <color attach="background" args={[backgroundColor]} />
           <PillScene rotX={pillRotX} />
         </ThreeCanvas>
       </div>
@@ -493,7 +517,7 @@ const Section2: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
           position: "absolute",
           top: 0,
           left: 0,
-          width: 1080,
+          width: SECTION_WIDTH,
           height: SECTION_HEIGHT,
           display: "flex",
           flexDirection: "column",
@@ -513,15 +537,14 @@ const Section2: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
         >
           <span
             style={{
-              fontFamily:
-                "SF Pro Display, -apple-system, Helvetica Neue, Helvetica, sans-serif",
+              fontFamily: FONT,
               fontSize: 32,
               fontWeight: 500,
               lineHeight: 1.55,
               letterSpacing: "-0.01em",
             }}
           >
-            {TYPED_WORDS.map((word, i) => {
+            {typedWords.map((word, i) => {
               const wordStart = fadeStart + i * WORD_STAGGER;
               const wordOpacity = interpolate(
                 t,
@@ -549,7 +572,12 @@ const Section2: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
 
 // ─── Section 3: "here is the truth" + Frame + Brush Line ───
 
-const Section3: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
+const Section3: React.FC<{
+  t: number;
+  truthLead: string;
+  truthWord: string;
+  subtitle: string;
+}> = ({ t, truthLead, truthWord, subtitle }) => {
   // Title entrance
   const titleOpacity = interpolate(t, [13.5, 14.2], [0, 1], {
     extrapolateLeft: "clamp",
@@ -605,16 +633,16 @@ const Section3: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
         position: "absolute",
         top: SECTION_HEIGHT * 2,
         left: 0,
-        width: 1080,
+        width: SECTION_WIDTH,
         height: SECTION_HEIGHT,
         overflow: "hidden",
       }}
     >
       {/* Thick diagonal stroke — draws on like a brush from bottom-left to top-right */}
       <svg
-        width="1080"
-        height="1920"
-        viewBox="0 0 1080 1920"
+        width={SECTION_WIDTH}
+        height={SECTION_HEIGHT}
+        viewBox={`0 0 ${SECTION_WIDTH} ${SECTION_HEIGHT}`}
         style={{
           position: "absolute",
           inset: 0,
@@ -639,7 +667,7 @@ const Section3: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
           position: "absolute",
           top: 220,
           left: 0,
-          width: 1080,
+          width: SECTION_WIDTH,
           display: "flex",
           flexDirection: "column",
           alignItems: "center",
@@ -649,8 +677,7 @@ const Section3: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
       >
         <span
           style={{
-            fontFamily:
-              "SF Pro Display, -apple-system, Helvetica Neue, Helvetica, sans-serif",
+            fontFamily: FONT,
             fontSize: 52,
             fontWeight: 400,
             color: "#333",
@@ -659,12 +686,11 @@ const Section3: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
             marginBottom: 8,
           }}
         >
-          here is the
+          {truthLead}
         </span>
         <span
           style={{
-            fontFamily:
-              "SF Pro Display, -apple-system, Helvetica Neue, Helvetica, sans-serif",
+            fontFamily: FONT,
             fontSize: 130,
             fontWeight: 900,
             color: "#111",
@@ -672,7 +698,7 @@ const Section3: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
             lineHeight: 1,
           }}
         >
-          truth
+          {truthWord}
         </span>
       </div>
 
@@ -681,7 +707,7 @@ const Section3: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
         style={{
           position: "absolute",
           top: SECTION_HEIGHT / 2 - 100,
-          left: (1080 - 360) / 2,
+          left: (SECTION_WIDTH - 360) / 2,
           width: 360,
           height: 360,
           opacity: frameOpacity,
@@ -779,7 +805,7 @@ const Section3: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
           position: "absolute",
           bottom: 200,
           left: 0,
-          width: 1080,
+          width: SECTION_WIDTH,
           display: "flex",
           justifyContent: "center",
           opacity: subOpacity,
@@ -796,8 +822,7 @@ const Section3: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
         >
           <span
             style={{
-              fontFamily:
-                "SF Pro Display, -apple-system, Helvetica Neue, Helvetica, sans-serif",
+              fontFamily: FONT,
               fontSize: 32,
               fontWeight: 600,
               color: "#555",
@@ -806,7 +831,7 @@ const Section3: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
               fontStyle: "italic",
             }}
           >
-            {SUBTITLE_TEXT}
+            {subtitle}
           </span>
         </div>
       </div>
@@ -829,7 +854,11 @@ for (let i = 0; i < 50; i++) {
 
 // ─── Section 4: "Start Now" Pill Button ───
 
-const Section4: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
+const Section4: React.FC<{
+  t: number;
+  ctaLabel: string;
+  particleSpeed: number;
+}> = ({ t, ctaLabel, particleSpeed }) => {
   // Inner pill button entrance
   const buttonOpacity = interpolate(t, [17.8, 18.4], [0, 1], {
     extrapolateLeft: "clamp",
@@ -892,7 +921,7 @@ const Section4: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
         position: "absolute",
         top: SECTION_HEIGHT * 3,
         left: 0,
-        width: 1080,
+        width: SECTION_WIDTH,
         height: SECTION_HEIGHT,
         overflow: "hidden",
         background:
@@ -901,8 +930,8 @@ const Section4: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
     >
       {/* Background particles */}
       {PARTICLES.map((p, i) => {
-        const twinkle =
-          0.3 + 0.7 * (0.5 + 0.5 * Math.sin(frame * p.speed * 0.05 + p.phase));
+        const angle = t * particleSpeed * p.speed * 1.5 + p.phase;
+        const twinkle = 0.3 + 0.7 * (0.5 + 0.5 * Math.sin(angle));
         return (
           <div
             key={i}
@@ -925,7 +954,7 @@ const Section4: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
           position: "absolute",
           top: 0,
           left: 0,
-          width: 1080,
+          width: SECTION_WIDTH,
           height: SECTION_HEIGHT,
           display: "flex",
           alignItems: "center",
@@ -1007,8 +1036,7 @@ const Section4: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
           />
           <span
             style={{
-              fontFamily:
-                "SF Pro Display, -apple-system, Helvetica Neue, Helvetica, sans-serif",
+              fontFamily: FONT,
               fontSize: 48,
               fontWeight: 500,
               color: `rgba(255, 255, 255, ${textOpacity})`,
@@ -1017,7 +1045,7 @@ const Section4: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
               zIndex: 1,
             }}
           >
-            Start Now
+            {ctaLabel}
           </span>
         </div>
 
@@ -1051,14 +1079,33 @@ const Section4: React.FC<{ t: number; frame: number }> = ({ t, frame }) => {
   );
 };
 
+export const shortcutsMotionMeta: EffectMeta = {
+  title: "Shortcuts Motion — Multi-Section Scrolling Editorial",
+  category: "SaaS",
+  resolution: PORTRAIT_DESIGN,
+  spec: "specs/ShortcutsMotion.txt",
+};
+
 // ─── Main Component ───
 
-export const ShortcutsMotion: React.FC = () => {
+export const ShortcutsMotion: React.FC<ShortcutsMotionProps> = ({
+  intro,
+  highlight,
+  paragraph,
+  truthLead,
+  truthWord,
+  subtitle,
+  ctaLabel,
+  particleSpeed,
+  backgroundColor,
+  brushColor,
+}) => {
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
+  const { offsetX, offsetY } = useLayout(PORTRAIT_DESIGN);
   const t = frame / fps;
 
-  const scrollY = getScrollY(t);
+  const scrollY = scrollTrack(t).y;
 
   // Brush strokes — persistent across sections 1 & 2, fade out before section 3
   const brushFadeIn = interpolate(t, [0, 1.0], [0, 1], {
@@ -1070,26 +1117,39 @@ export const ShortcutsMotion: React.FC = () => {
     extrapolateRight: "clamp",
   });
   const brushOpacity = brushFadeIn * brushFadeOut;
-  const brushRot1 = frame * 0.18;
-  const brushRot2 = -frame * 0.14;
+  // Degrees per second
+  const brushRot1 = t * 5.4;
+  const brushRot2 = -t * 4.2;
 
   return (
-    <AbsoluteFill style={{ backgroundColor: "#f5f5f0", overflow: "hidden" }}>
+    <LayoutCanvas
+      design={PORTRAIT_DESIGN}
+      style={{ backgroundColor, overflow: "hidden" }}
+    >
       <div
         style={{
           position: "absolute",
-          left: 0,
-          top: 0,
-          width: 1080,
+          left: offsetX,
+          top: offsetY,
+          width: SECTION_WIDTH,
           height: SECTION_HEIGHT * 4,
           transform: `translateY(${scrollY}px)`,
           willChange: "transform",
         }}
       >
-        <Section1 t={t} frame={frame} />
-        <Section2 t={t} frame={frame} />
-        <Section3 t={t} frame={frame} />
-        <Section4 t={t} frame={frame} />
+        <Section1 t={t} intro={intro} highlight={highlight} />
+        <Section2
+          t={t}
+          paragraph={paragraph}
+          backgroundColor={backgroundColor}
+        />
+        <Section3
+          t={t}
+          truthLead={truthLead}
+          truthWord={truthWord}
+          subtitle={subtitle}
+        />
+        <Section4 t={t} ctaLabel={ctaLabel} particleSpeed={particleSpeed} />
       </div>
 
       {/* Brush strokes — fixed overlay, visible across sections 1 & 2 */}
@@ -1107,7 +1167,7 @@ export const ShortcutsMotion: React.FC = () => {
           pointerEvents: "none",
         }}
       >
-        <path d={BRUSH_PATH_1} fill="#111" />
+        <path d={BRUSH_PATH_1} fill={brushColor} />
       </svg>
 
       <svg
@@ -1124,8 +1184,8 @@ export const ShortcutsMotion: React.FC = () => {
           pointerEvents: "none",
         }}
       >
-        <path d={BRUSH_PATH_2} fill="#111" />
+        <path d={BRUSH_PATH_2} fill={brushColor} />
       </svg>
-    </AbsoluteFill>
+    </LayoutCanvas>
   );
 };
@@ -2,6 +2,21 @@ import { ThreeCanvas } from "@remotion/three";
 import { useCurrentFrame, useVideoConfig, AbsoluteFill } from "remotion";
 import React, { useMemo } from "react";
 import * as THREE from "three";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import { COMPACT_DESIGN, LANDSCAPE_DESIGN, fitFov } from "./lib/layout";
+
+export const spinningBookSchema = z.object({
+  pageCount: z.number().int().min(2),
+  backgroundColor: zColor(),
+  lineColor: zColor(),
+  fillColor: zColor(),
+  // Radians per second around the Y axis
+  rotationSpeed: z.number().positive(),
+});
+
+export type SpinningBookProps = z.infer<typeof spinningBookSchema>;
 
 const NUM_PAGES = 5;
 const PAGE_WIDTH = 1.8;
@@ -10,7 +25,9 @@ const PAGE_HEIGHT = 2.4;
 const Page: React.FC<{
   angle: number;
   depth: number; // 0 = front, 1 = back — for line weight
-}> = ({ angle, depth }) => {
+  lineColor: string;
+  fillColor: string;
+}> = ({ angle, depth, lineColor, fillColor }) => {
   const edgesGeo = useMemo(() => {
     const plane = new THREE.PlaneGeometry(PAGE_WIDTH, PAGE_HEIGHT);
     return new THREE.EdgesGeometry(plane);
@@ -26,7 +43,7 @@ const Page: React.FC<{
       <mesh>
         <planeGeometry args={[PAGE_WIDTH, PAGE_HEIGHT]} />
         <meshBasicMaterial
-          color="#d400d4"
+          color={fillColor}
           transparent
           opacity={fillOpacity}
           side={THREE.DoubleSide}
@@ -36,25 +53,30 @@ const Page: React.FC<{
 
       {/* Edge outline */}
       <lineSegments geometry={edgesGeo}>
-        <lineBasicMaterial color="#c800c8" transparent opacity={opacity} />
+        <lineBasicMaterial color={lineColor} transparent opacity={opacity} />
       </lineSegments>
     </group>
   );
 };
 
-
-const Scene: React.FC = () => {
+const Scene: React.FC<Omit<SpinningBookProps, "backgroundColor">> = ({
+  pageCount,
+  lineColor,
+  fillColor,
+  rotationSpeed,
+}) => {
   const frame = useCurrentFrame();
+  const { fps } = useVideoConfig();
 
   // Slow continuous Y-axis rotation
-  const rotationY = frame * 0.015;
+  const rotationY = (frame / fps) * rotationSpeed;
 
   const pages = useMemo(() => {
-    return Array.from({ length: NUM_PAGES }).map((_, i) => ({
-      angle: (i / NUM_PAGES) * Math.PI * 2,
-      depth: i / (NUM_PAGES - 1),
+    return Array.from({ length: pageCount }).map((_, i) => ({
+      angle: (i / pageCount) * Math.PI * 2,
+      depth: i / (pageCount - 1),
     }));
-  }, []);
+  }, [pageCount]);
 
   return (
     <>
@@ -63,24 +85,57 @@ const Scene: React.FC = () => {
       {/* Slight tilt for 3D perspective — like looking slightly down */}
       <group rotation={[0.25, rotationY, 0]}>
         {pages.map((page, i) => (
-          <Page key={i} angle={page.angle} depth={page.depth} />
+          <Page
+            key={i}
+            angle={page.angle}
+            depth={page.depth}
+            lineColor={lineColor}
+            fillColor={fillColor}
+          />
         ))}
       </group>
     </>
   );
 };
 
-export const SpinningBook: React.FC = () => {
+export const spinningBookDefaultProps: SpinningBookProps = {
+  pageCount: NUM_PAGES,
+  backgroundColor: "#eae8e3",
+  lineColor: "#c800c8",
+  fillColor: "#d400d4",
+  rotationSpeed: 0.45,
+};
+
+/** One full turn, so the render loops seamlessly. */
+export const getSpinningBookDuration = ({
+  rotationSpeed,
+}: SpinningBookProps): number => (Math.PI * 2) / rotationSpeed;
+
+export const spinningBookMeta: EffectMeta = {
+  title: "3D Wireframe Shape Carousel",
+  category: "Effects",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/SpinningBook.txt",
+};
+
+export const SpinningBook: React.FC<SpinningBookProps> = ({
+  backgroundColor,
+  ...sceneProps
+}) => {
   const { width, height } = useVideoConfig();
 
   return (
-    <AbsoluteFill style={{ backgroundColor: "#eae8e3" }}>
+    <AbsoluteFill style={{ backgroundColor }}>
       <ThreeCanvas
         width={width}
         height={height}
-        camera={{ position: [0, 0.3, 5.5], fov: 42 }}
+        // Keeps the whole book in frame in portrait and square formats
+        camera={{
+          position: [0, 0.3, 5.5],
+          fov: fitFov(42, { width, height }, COMPACT_DESIGN),
+        }}
       >
-        <Scene />
+        <Scene {...sceneProps} />
       </ThreeCanvas>
     </AbsoluteFill>
   );
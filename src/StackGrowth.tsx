@@ -8,8 +8,44 @@ import {
 } from "remotion";
 import React, { useMemo } from "react";
 import * as THREE from "three";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  fitFov,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+
+const FONT = fontFamily("SF Pro Display");
+
+const barSchema = z.object({
+  value: z.string(),
+  height: z.number().positive(),
+  x: z.number(),
+  accent: zColor(),
+  fill: zColor(),
+});
+
+export const stackGrowthSchema = z.object({
+  bars: z.array(barSchema),
+  backgroundColor: zColor(),
+  textColor: zColor(),
+  // Line breaks ("\n") are kept in the overlay copy
+  eyebrow: z.string(),
+  title: z.string(),
+  description: z.string(),
+  growDuration: z.number().positive(),
+  stagger: z.number().min(0),
+});
 
-const BARS = [
+export type StackGrowthProps = z.infer<typeof stackGrowthSchema>;
+
+type BarData = z.infer<typeof barSchema>;
+
+const BARS: BarData[] = [
   { value: "$250M", height: 0.7, x: -1.425, accent: "#e8a040", fill: "#2a1a08" },
   { value: "$350M", height: 1.1, x: -0.475, accent: "#ffffff", fill: "#151515" },
   { value: "$500M", height: 1.5, x: 0.475, accent: "#ffffff", fill: "#151515" },
@@ -23,18 +59,33 @@ const STAGGER = 1.2;
 const CONNECTOR_PX = 80;
 const CONNECTOR_DURATION = 0.5;
 const LABEL_FADE_DURATION = 0.5;
+const TITLE_FADE_DURATION = 1.0;
+const END_HOLD = 4.0; // finished chart stays on screen
 
 const GROUP_ROTATION: [number, number, number] = [0.3, 0.5, 0];
 const CAMERA_POS: [number, number, number] = [0, 1.2, 10];
 const CAMERA_FOV = 38;
 
+export const stackGrowthDefaultProps: StackGrowthProps = {
+  bars: BARS,
+  backgroundColor: "#0a0a0a",
+  textColor: "#ffffff",
+  eyebrow: "OPTIONS BUILT FOR\nPERFORMANCE",
+  title: "STACK GROWTH",
+  description: "Three day festival\nof electronic music\nand contemporary art",
+  growDuration: GROW_DURATION,
+  stagger: STAGGER,
+};
+
 const Bar: React.FC<{
-  barData: (typeof BARS)[number];
+  barData: BarData;
   index: number;
   time: number;
-}> = ({ barData, index, time }) => {
-  const growStart = index * STAGGER;
-  const growEnd = growStart + GROW_DURATION;
+  growDuration: number;
+  stagger: number;
+}> = ({ barData, index, time, growDuration, stagger }) => {
+  const growStart = index * stagger;
+  const growEnd = growStart + growDuration;
 
   const growProgress = interpolate(time, [growStart, growEnd], [0, 1], {
     extrapolateLeft: "clamp",
@@ -74,7 +125,11 @@ const Bar: React.FC<{
   );
 };
 
-const Scene: React.FC = () => {
+const Scene: React.FC<{
+  bars: BarData[];
+  growDuration: number;
+  stagger: number;
+}> = ({ bars, growDuration, stagger }) => {
   const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
   const t = frame / fps;
@@ -83,24 +138,67 @@ const Scene: React.FC = () => {
     <>
       <ambientLight intensity={1.0} />
       <group rotation={GROUP_ROTATION}>
-        {BARS.map((bar, i) => (
-          <Bar key={i} barData={bar} index={i} time={t} />
+        {bars.map((bar, i) => (
+          <Bar
+            key={i}
+            barData={bar}
+            index={i}
+            time={t}
+            growDuration={growDuration}
+            stagger={stagger}
+          />
         ))}
       </group>
     </>
   );
 };
 
-export const StackGrowth: React.FC = () => {
+// When the last bar's label has faded in
+const getLastBarEnd = (barCount: number, growDuration: number, stagger: number) =>
+  (barCount - 1) * stagger +
+  growDuration +
+  CONNECTOR_DURATION +
+  LABEL_FADE_DURATION;
+
+export const getStackGrowthDuration = ({
+  bars,
+  growDuration,
+  stagger,
+}: StackGrowthProps): number =>
+  getLastBarEnd(bars.length, growDuration, stagger) +
+  TITLE_FADE_DURATION +
+  END_HOLD;
+
+export const stackGrowthMeta: EffectMeta = {
+  title: "3D Bar Chart — Stack Growth",
+  category: "Effects",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/StackGrowth.txt",
+};
+
+export const StackGrowth: React.FC<StackGrowthProps> = ({
+  bars,
+  backgroundColor,
+  textColor,
+  eyebrow,
+  title,
+  description,
+  growDuration,
+  stagger,
+}) => {
   const frame = useCurrentFrame();
   const { fps, width, height } = useVideoConfig();
+  const layout = useLayout();
   const t = frame / fps;
+  // Narrow formats widen the view so every bar stays in frame
+  const fov = fitFov(CAMERA_FOV, { width, height }, LANDSCAPE_DESIGN);
 
-  // 3D → 2D projection matching group rotation + camera
+  // 3D → 2D projection matching group rotation + camera, in layout px so
+  // the overlays land on the bars at any output size
   const projectToScreen = useMemo(() => {
     const cam = new THREE.PerspectiveCamera(
-      CAMERA_FOV,
-      width / height,
+      fov,
+      layout.width / layout.height,
       0.1,
       100
     );
@@ -119,197 +217,190 @@ export const StackGrowth: React.FC = () => {
       vec.applyMatrix4(rotMatrix);
       vec.project(cam);
       return {
-        x: ((vec.x + 1) / 2) * width,
-        y: ((-vec.y + 1) / 2) * height,
+        x: ((vec.x + 1) / 2) * layout.width,
+        y: ((-vec.y + 1) / 2) * layout.height,
       };
     };
-  }, [width, height]);
+  }, [fov, layout.width, layout.height]);
 
-  const lastBarEnd =
-    (BARS.length - 1) * STAGGER +
-    GROW_DURATION +
-    CONNECTOR_DURATION +
-    LABEL_FADE_DURATION;
+  const lastBarEnd = getLastBarEnd(bars.length, growDuration, stagger);
 
-  const titleOpacity = interpolate(t, [lastBarEnd, lastBarEnd + 1.0], [0, 1], {
-    extrapolateLeft: "clamp",
-    extrapolateRight: "clamp",
-  });
+  const titleOpacity = interpolate(
+    t,
+    [lastBarEnd, lastBarEnd + TITLE_FADE_DURATION],
+    [0, 1],
+    { extrapolateLeft: "clamp", extrapolateRight: "clamp" },
+  );
 
   return (
-    <AbsoluteFill style={{ backgroundColor: "#0a0a0a" }}>
+    <AbsoluteFill style={{ backgroundColor }}>
       <ThreeCanvas
         width={width}
         height={height}
-        camera={{ position: CAMERA_POS, fov: CAMERA_FOV }}
+        camera={{ position: CAMERA_POS, fov }}
       >
-        <Scene />
+        <Scene bars={bars} growDuration={growDuration} stagger={stagger} />
       </ThreeCanvas>
 
-      {/* 2D overlays: connector dots, vertical lines, value labels */}
-      {BARS.map((bar, i) => {
-        const growEnd = i * STAGGER + GROW_DURATION;
-        const connectorEnd = growEnd + CONNECTOR_DURATION;
-
-        const connectorProgress = interpolate(
-          t,
-          [growEnd, connectorEnd],
-          [0, 1],
-          {
-            extrapolateLeft: "clamp",
-            extrapolateRight: "clamp",
-            easing: Easing.out(Easing.quad),
-          }
-        );
-
-        const labelOpacity = interpolate(
-          t,
-          [connectorEnd, connectorEnd + LABEL_FADE_DURATION],
-          [0, 1],
-          { extrapolateLeft: "clamp", extrapolateRight: "clamp" }
-        );
-
-        if (connectorProgress <= 0 && labelOpacity <= 0) return null;
-
-        // Visual center of top face = average of 4 projected corners
-        const hw = BAR_WIDTH / 2;
-        const hd = BAR_DEPTH / 2;
-        const c1 = projectToScreen([bar.x - hw, bar.height, -hd]);
-        const c2 = projectToScreen([bar.x + hw, bar.height, -hd]);
-        const c3 = projectToScreen([bar.x + hw, bar.height, hd]);
-        const c4 = projectToScreen([bar.x - hw, bar.height, hd]);
-        const cubeTopScreen = {
-          x: (c1.x + c2.x + c3.x + c4.x) / 4,
-          y: (c1.y + c2.y + c3.y + c4.y) / 4,
-        };
-        const connectorHeight = CONNECTOR_PX * connectorProgress;
-
-        return (
-          <React.Fragment key={`overlay-${i}`}>
-            {/* Small dot at cube top */}
-            {connectorProgress > 0 && (
-              <div
-                style={{
-                  position: "absolute",
-                  left: cubeTopScreen.x - 2.5,
-                  top: cubeTopScreen.y - 2.5,
-                  width: 5,
-                  height: 5,
-                  borderRadius: "50%",
-                  backgroundColor: bar.accent,
-                  opacity: 0.9 * connectorProgress,
-                }}
-              />
-            )}
-
-            {/* Vertical connector line going UP */}
-            {connectorProgress > 0 && (
-              <div
-                style={{
-                  position: "absolute",
-                  left: cubeTopScreen.x - 0.5,
-                  top: cubeTopScreen.y - connectorHeight,
-                  width: 1,
-                  height: connectorHeight,
-                  backgroundColor: "#ffffff",
-                  opacity: 0.4 * connectorProgress,
-                }}
-              />
-            )}
-
-            {/* Value label above connector */}
-            {labelOpacity > 0 && (
-              <div
-                style={{
-                  position: "absolute",
-                  left: cubeTopScreen.x,
-                  top: cubeTopScreen.y - CONNECTOR_PX - 10,
-                  transform: "translateX(-50%)",
-                  opacity: labelOpacity,
-                  fontFamily:
-                    "SF Pro Display, -apple-system, Helvetica, sans-serif",
-                  fontSize: 22,
-                  fontWeight: 600,
-                  color: bar.accent,
-                  letterSpacing: "0.02em",
-                  whiteSpace: "nowrap",
-                }}
-              >
-                {bar.value}
-              </div>
-            )}
-          </React.Fragment>
-        );
-      })}
-
-      {/* Title — upper left */}
-      <div
-        style={{
-          position: "absolute",
-          top: 45,
-          left: 45,
-          opacity: titleOpacity,
-        }}
-      >
-        <div
-          style={{
-            fontFamily:
-              "SF Pro Display, -apple-system, Helvetica, sans-serif",
-            fontSize: 14,
-            fontWeight: 500,
-            color: "#ffffff",
-            letterSpacing: "0.08em",
-            textTransform: "uppercase" as const,
-            lineHeight: 1.6,
-          }}
-        >
-          OPTIONS BUILT FOR
-          <br />
-          PERFORMANCE
-        </div>
-      </div>
-
-      {/* Title — bottom left */}
-      <div
-        style={{
-          position: "absolute",
-          bottom: 45,
-          left: 45,
-          opacity: titleOpacity,
-        }}
-      >
+      {/* 2D overlays in layout px */}
+      <LayoutCanvas>
+        {/* Connector dots, vertical lines, value labels */}
+        {bars.map((bar, i) => {
+          const growEnd = i * stagger + growDuration;
+          const connectorEnd = growEnd + CONNECTOR_DURATION;
+
+          const connectorProgress = interpolate(
+            t,
+            [growEnd, connectorEnd],
+            [0, 1],
+            {
+              extrapolateLeft: "clamp",
+              extrapolateRight: "clamp",
+              easing: Easing.out(Easing.quad),
+            }
+          );
+
+          const labelOpacity = interpolate(
+            t,
+            [connectorEnd, connectorEnd + LABEL_FADE_DURATION],
+            [0, 1],
+            { extrapolateLeft: "clamp", extrapolateRight: "clamp" }
+          );
+
+          if (connectorProgress <= 0 && labelOpacity <= 0) return null;
+
+          // Visual center of top face = average of 4 projected corners
+          const hw = BAR_WIDTH / 2;
+          const hd = BAR_DEPTH / 2;
+          const c1 = projectToScreen([bar.x - hw, bar.height, -hd]);
+          const c2 = projectToScreen([bar.x + hw, bar.height, -hd]);
+          const c3 = projectToScreen([bar.x + hw, bar.height, hd]);
+          const c4 = projectToScreen([bar.x - hw, bar.height, hd]);
+          const cubeTopScreen = {
+            x: (c1.x + c2.x + c3.x + c4.x) / 4,
+            y: (c1.y + c2.y + c3.y + c4.y) / 4,
+          };
+          const connectorHeight = CONNECTOR_PX * connectorProgress;
+
+          return (
+            <React.Fragment key={`overlay-${i}`}>
+              {/* Small dot at cube top */}
+              {connectorProgress > 0 && (
+                <div
+                  style={{
+                    position: "absolute",
+                    left: cubeTopScreen.x - 2.5,
+                    top: cubeTopScreen.y - 2.5,
+                    width: 5,
+                    height: 5,
+                    borderRadius: "50%",
+                    backgroundColor: bar.accent,
+                    opacity: 0.9 * connectorProgress,
+                  }}
+                />
+              )}
+
+              {/* Vertical connector line going UP */}
+              {connectorProgress > 0 && (
+                <div
+                  style={{
+                    position: "absolute",
+                    left: cubeTopScreen.x - 0.5,
+                    top: cubeTopScreen.y - connectorHeight,
+                    width: 1,
+                    height: connectorHeight,
+                    backgroundColor: textColor,
+                    opacity: 0.4 * connectorProgress,
+                  }}
+                />
+              )}
+
+              {/* Value label above connector */}
+              {labelOpacity > 0 && (
+                <div
+                  style={{
+                    position: "absolute",
+                    left: cubeTopScreen.x,
+                    top: cubeTopScreen.y - CONNECTOR_PX - 10,
+                    transform: "translateX(-50%)",
+                    opacity: labelOpacity,
+                    fontFamily: FONT,
+                    fontSize: 22,
+                    fontWeight: 600,
+                    color: bar.accent,
+                    letterSpacing: "0.02em",
+                    whiteSpace: "nowrap",
+                  }}
+                >
+                  {bar.value}
+                </div>
+              )}
+            </React.Fragment>
+          );
+        })}
+
+        {/* Title — upper left */}
         <div
           style={{
-            fontFamily:
-              "SF Pro Display, -apple-system, Helvetica, sans-serif",
-            fontSize: 28,
-            fontWeight: 600,
-            color: "#ffffff",
-            letterSpacing: "0.02em",
-            marginBottom: 10,
+            position: "absolute",
+            top: 45,
+            left: 45,
+            opacity: titleOpacity,
           }}
         >
-          STACK GROWTH
+          <div
+            style={{
+              fontFamily: FONT,
+              fontSize: 14,
+              fontWeight: 500,
+              color: textColor,
+              letterSpacing: "0.08em",
+              textTransform: "uppercase" as const,
+              lineHeight: 1.6,
+              whiteSpace: "pre-line",
+            }}
+          >
+            {eyebrow}
+          </div>
         </div>
+
+        {/* Title — bottom left */}
         <div
           style={{
-            fontFamily:
-              "SF Pro Display, -apple-system, Helvetica, sans-serif",
-            fontSize: 10,
-            fontWeight: 300,
-            color: "#ffffff",
-            opacity: 0.4,
-            lineHeight: 1.5,
-            maxWidth: 140,
+            position: "absolute",
+            bottom: 45,
+            left: 45,
+            opacity: titleOpacity,
           }}
         >
-          Three day festival
-          <br />
-          of electronic music
-          <br />
-          and contemporary art
+          <div
+            style={{
+              fontFamily: FONT,
+              fontSize: 28,
+              fontWeight: 600,
+              color: textColor,
+              letterSpacing: "0.02em",
+              marginBottom: 10,
+            }}
+          >
+            {title}
+          </div>
+          <div
+            style={{
+              fontFamily: FONT,
+              fontSize: 10,
+              fontWeight: 300,
+              color: textColor,
+              opacity: 0.4,
+              lineHeight: 1.5,
+              maxWidth: 140,
+              whiteSpace: "pre-line",
+            }}
+          >
+            {description}
+          </div>
         </div>
-      </div>
+      </LayoutCanvas>
     </AbsoluteFill>
   );
 };
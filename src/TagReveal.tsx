@@ -1,11 +1,30 @@
-import {
-  useCurrentFrame,
-  useVideoConfig,
-  interpolate,
-  Easing,
-  AbsoluteFill,
-} from "remotion";
+import { useCurrentFrame, useVideoConfig, interpolate, Easing } from "remotion";
 import React from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+import { beatSyncSchema, getBeatCycle, getCycleStart } from "./lib/beats";
+
+const FONT = fontFamily("SF Pro Display");
+
+export const tagRevealSchema = z.object({
+  words: z.array(z.string()).min(1),
+  backgroundColor: zColor(),
+  color: zColor(),
+  letterStagger: z.number().min(0),
+  holdDuration: z.number().min(0),
+  // Starts each tag's cycle on the music's beats or bars
+  beats: beatSyncSchema.optional(),
+});
+
+export type TagRevealProps = z.infer<typeof tagRevealSchema>;
 
 /**
  * Per-letter text reveal with a 3D cuboid rounded-rectangle border.
@@ -23,8 +42,6 @@ const BORDER_DRAW_DURATION = 1.0;
 const HOLD_DURATION = 2.4;
 const FADE_OUT_DURATION = 0.4;
 const CYCLE_GAP = 0.4;
-const CYCLE_DURATION =
-  BORDER_DRAW_DURATION + HOLD_DURATION + FADE_OUT_DURATION + CYCLE_GAP;
 
 // Layout
 const RECT_WIDTH = 540;
@@ -41,7 +58,7 @@ function roundedRectPath(
   y: number,
   w: number,
   h: number,
-  r: number
+  r: number,
 ): string {
   return [
     `M ${x + w} ${y + r}`,
@@ -57,27 +74,67 @@ function roundedRectPath(
   ].join(" ");
 }
 
-export const TagReveal: React.FC = () => {
+export const tagRevealDefaultProps: TagRevealProps = {
+  words: WORDS,
+  backgroundColor: "#f0f0f0",
+  color: "#1a1a1a",
+  letterStagger: LETTER_STAGGER,
+  holdDuration: HOLD_DURATION,
+};
+
+const getCycleDuration = (holdDuration: number) =>
+  BORDER_DRAW_DURATION + holdDuration + FADE_OUT_DURATION + CYCLE_GAP;
+
+/** Seconds to reveal every tag once. */
+export const getTagRevealDuration = ({
+  words,
+  holdDuration,
+  beats,
+}: TagRevealProps): number => {
+  const cycleDuration = getCycleDuration(holdDuration);
+  return getCycleStart(words.length - 1, cycleDuration, beats) + cycleDuration;
+};
+
+export const tagRevealMeta: EffectMeta = {
+  title: "3D Tag Reveal — Per-Letter Text with Cuboid Border",
+  category: "Effects",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/TagReveal.txt",
+};
+
+export const TagReveal: React.FC<TagRevealProps> = ({
+  words,
+  backgroundColor,
+  color,
+  letterStagger,
+  holdDuration,
+  beats,
+}) => {
   const frame = useCurrentFrame();
-  const { fps, width, height } = useVideoConfig();
+  const { fps } = useVideoConfig();
+  const { width, height } = useLayout(COMPACT_DESIGN);
   const t = frame / fps;
 
   const fontSize = 74;
 
   // Cycle logic
-  const cycleIndex = Math.floor(t / CYCLE_DURATION);
-  const cycleTime = t - cycleIndex * CYCLE_DURATION;
-  const wordIdx = cycleIndex % WORDS.length;
-  const word = WORDS[wordIdx];
+  const cycleDuration = getCycleDuration(holdDuration);
+  const { index: cycleIndex, time: cycleTime } = getBeatCycle(
+    t,
+    cycleDuration,
+    beats,
+  );
+  const wordIdx = cycleIndex % words.length;
+  const word = words[wordIdx];
   const chars = word.split("");
 
   // Fade out at end of hold
-  const fadeOutStart = BORDER_DRAW_DURATION + HOLD_DURATION;
+  const fadeOutStart = BORDER_DRAW_DURATION + holdDuration;
   const cycleOpacity = interpolate(
     cycleTime,
     [fadeOutStart, fadeOutStart + FADE_OUT_DURATION],
     [1, 0],
-    { extrapolateLeft: "clamp", extrapolateRight: "clamp" }
+    { extrapolateLeft: "clamp", extrapolateRight: "clamp" },
   );
 
   // Front border draw progress (0→1)
@@ -89,7 +146,7 @@ export const TagReveal: React.FC = () => {
       extrapolateLeft: "clamp",
       extrapolateRight: "clamp",
       easing: Easing.inOut(Easing.cubic),
-    }
+    },
   );
 
   // Back border slightly delayed
@@ -101,16 +158,14 @@ export const TagReveal: React.FC = () => {
       extrapolateLeft: "clamp",
       extrapolateRight: "clamp",
       easing: Easing.inOut(Easing.cubic),
-    }
+    },
   );
 
   // Front face fill opacity (masks back face behind front face)
-  const frontFillOpacity = interpolate(
-    frontProgress,
-    [0.5, 0.85],
-    [0, 1],
-    { extrapolateLeft: "clamp", extrapolateRight: "clamp" }
-  );
+  const frontFillOpacity = interpolate(frontProgress, [0.5, 0.85], [0, 1], {
+    extrapolateLeft: "clamp",
+    extrapolateRight: "clamp",
+  });
 
   // Depth-edge brackets appear toward end of border draw
   const bracketProgress = interpolate(
@@ -121,7 +176,7 @@ export const TagReveal: React.FC = () => {
       extrapolateLeft: "clamp",
       extrapolateRight: "clamp",
       easing: Easing.out(Easing.quad),
-    }
+    },
   );
 
   // Center positions
@@ -141,14 +196,14 @@ export const TagReveal: React.FC = () => {
     fY,
     RECT_WIDTH,
     RECT_HEIGHT,
-    CORNER_RADIUS
+    CORNER_RADIUS,
   );
   const backPath = roundedRectPath(
     bX,
     bY,
     RECT_WIDTH,
     RECT_HEIGHT,
-    CORNER_RADIUS
+    CORNER_RADIUS,
   );
 
   // Connect at the 45° point on each rounded corner arc (the visual corner)
@@ -161,7 +216,7 @@ export const TagReveal: React.FC = () => {
   const bottomRightLine = `M ${bX + RECT_WIDTH - ARC_45} ${bY + RECT_HEIGHT - ARC_45} L ${fX + RECT_WIDTH - ARC_45} ${fY + RECT_HEIGHT - ARC_45}`;
 
   return (
-    <AbsoluteFill style={{ backgroundColor: "#f0f0f0" }}>
+    <LayoutCanvas design={COMPACT_DESIGN} style={{ backgroundColor }}>
       <div
         style={{
           opacity: cycleOpacity,
@@ -184,7 +239,7 @@ export const TagReveal: React.FC = () => {
           <path
             d={backPath}
             fill="none"
-            stroke="#1a1a1a"
+            stroke={color}
             strokeWidth={1.5}
             pathLength={1}
             strokeDasharray={1}
@@ -196,7 +251,7 @@ export const TagReveal: React.FC = () => {
             <path
               d={topLeftLine}
               fill="none"
-              stroke="#1a1a1a"
+              stroke={color}
               strokeWidth={1.5}
               pathLength={1}
               strokeDasharray={1}
@@ -207,7 +262,7 @@ export const TagReveal: React.FC = () => {
             <path
               d={bottomRightLine}
               fill="none"
-              stroke="#1a1a1a"
+              stroke={color}
               strokeWidth={1.5}
               pathLength={1}
               strokeDasharray={1}
@@ -223,7 +278,7 @@ export const TagReveal: React.FC = () => {
             height={RECT_HEIGHT}
             rx={CORNER_RADIUS}
             ry={CORNER_RADIUS}
-            fill="#f0f0f0"
+            fill={backgroundColor}
             opacity={frontFillOpacity}
           />
 
@@ -231,7 +286,7 @@ export const TagReveal: React.FC = () => {
           <path
             d={frontPath}
             fill="none"
-            stroke="#1a1a1a"
+            stroke={color}
             strokeWidth={2}
             pathLength={1}
             strokeDasharray={1}
@@ -255,12 +310,12 @@ export const TagReveal: React.FC = () => {
         >
           <div style={{ display: "flex" }}>
             {chars.map((char, i) => {
-              const letterStart = i * LETTER_STAGGER;
+              const letterStart = i * letterStagger;
               const letterOpacity = interpolate(
                 cycleTime,
                 [letterStart, letterStart + LETTER_FADE],
                 [0, 1],
-                { extrapolateLeft: "clamp", extrapolateRight: "clamp" }
+                { extrapolateLeft: "clamp", extrapolateRight: "clamp" },
               );
 
               const letterScale = interpolate(
@@ -271,19 +326,18 @@ export const TagReveal: React.FC = () => {
                   extrapolateLeft: "clamp",
                   extrapolateRight: "clamp",
                   easing: Easing.out(Easing.quad),
-                }
+                },
               );
 
               return (
                 <span
                   key={`${wordIdx}-${i}`}
                   style={{
-                    fontFamily:
-                      "'SF Pro Display', 'Helvetica Neue', 'Arial Black', sans-serif",
+                    fontFamily: FONT,
                     fontSize,
                     fontWeight: 900,
                     fontStyle: "italic",
-                    color: "#1a1a1a",
+                    color,
                     opacity: letterOpacity,
                     transform: `scale(${letterScale})`,
                     display: "inline-block",
@@ -297,6 +351,6 @@ export const TagReveal: React.FC = () => {
           </div>
         </div>
       </div>
-    </AbsoluteFill>
+    </LayoutCanvas>
   );
 };
@@ -3,9 +3,33 @@ import {
   useVideoConfig,
   interpolate,
   Easing,
-  AbsoluteFill,
 } from "remotion";
 import React from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  COMPACT_DESIGN,
+  LANDSCAPE_DESIGN,
+  LayoutCanvas,
+  useLayout,
+} from "./lib/layout";
+import { fontFamily } from "./lib/fonts";
+
+const FONT = fontFamily("SF Pro Display");
+
+export const typoSwapSchema = z.object({
+  words: z.array(z.string()).min(1),
+  subtitles: z.array(z.string()).min(1),
+  footer: z.string(),
+  backgroundColor: zColor(),
+  textColor: zColor(),
+  holdDuration: z.number().min(0),
+  letterTransition: z.number().positive(),
+  letterStagger: z.number().min(0),
+});
+
+export type TypoSwapProps = z.infer<typeof typoSwapSchema>;
 
 /**
  * Per-letter typography swap: each letter transitions individually
@@ -14,20 +38,13 @@ import React from "react";
  */
 
 const WORDS = ["IDEA", "TYPE", "BOLD", "MAKE"];
-const MAX_LETTERS = 4;
 
 const HOLD_DURATION = 4.5; // seconds word is fully visible before transition starts
 const LETTER_TRANSITION = 1.2; // seconds per letter swap
 const LETTER_STAGGER = 0.6; // delay between each letter starting its swap
 const FILL_IN_DELAY = 0.8; // after last letter lands, outline morphs to filled
 
-// Total transition time for a 4-letter word
-const TRANSITION_DURATION =
-  LETTER_STAGGER * (MAX_LETTERS - 1) + LETTER_TRANSITION + FILL_IN_DELAY;
-const CYCLE_DURATION = HOLD_DURATION + TRANSITION_DURATION;
-
 const SUBTITLES = ["CREATE NOW", "DESIGN IT!", "BUILD MORE", "THINK BIG"];
-const SUB_MAX_LETTERS = 10; // max subtitle length
 const SUB_LETTER_STAGGER = 0.08; // faster stagger for smaller text
 const SUB_LETTER_TRANSITION = 0.5;
 
@@ -41,7 +58,8 @@ const LetterSlot: React.FC<{
   progress: number; // 0 = old fully visible, 1 = new fully visible
   fillProgress: number; // 0 = outline, 1 = filled (for the new letter after landing)
   fontSize: number;
-}> = ({ oldChar, newChar, progress, fillProgress, fontSize }) => {
+  color: string;
+}> = ({ oldChar, newChar, progress, fillProgress, fontSize, color }) => {
   const slotHeight = fontSize * 1.1;
 
   // Old letter: slides from y=0 to y=-slotHeight
@@ -72,7 +90,7 @@ const LetterSlot: React.FC<{
     position: "absolute",
     left: 0,
     width: "100%",
-    fontFamily: "SF Pro Display, -apple-system, Helvetica Neue, sans-serif",
+    fontFamily: FONT,
     fontSize,
     fontWeight: 800,
     lineHeight: 1.1,
@@ -96,7 +114,7 @@ const LetterSlot: React.FC<{
             ...baseStyle,
             top: 0,
             transform: `translateY(${oldY}px)`,
-            color: "#ffffff",
+            color,
           }}
         >
           {oldChar}
@@ -112,10 +130,10 @@ const LetterSlot: React.FC<{
             transform: `translateY(${newY}px)`,
             color:
               fillProgress >= 1
-                ? "#ffffff"
-                : `rgba(255, 255, 255, ${textOpacity})`,
+                ? color
+                : `color-mix(in srgb, ${color} ${textOpacity * 100}%, transparent)`,
             WebkitTextStroke:
-              fillProgress >= 1 ? "none" : `${strokeWidth}px #ffffff`,
+              fillProgress >= 1 ? "none" : `${strokeWidth}px ${color}`,
           }}
         >
           {newChar}
@@ -125,41 +143,101 @@ const LetterSlot: React.FC<{
   );
 };
 
-export const TypoSwap: React.FC = () => {
+export const typoSwapDefaultProps: TypoSwapProps = {
+  words: WORDS,
+  subtitles: SUBTITLES,
+  footer: "www.sonduckfilm.com",
+  backgroundColor: "#0a0a0a",
+  textColor: "#ffffff",
+  holdDuration: HOLD_DURATION,
+  letterTransition: LETTER_TRANSITION,
+  letterStagger: LETTER_STAGGER,
+};
+
+const longest = (list: string[]) =>
+  list.reduce((max, item) => Math.max(max, item.length), 0);
+
+// Total transition time for the longest word
+const getTransitionDuration = (
+  maxLetters: number,
+  letterStagger: number,
+  letterTransition: number,
+) => letterStagger * (maxLetters - 1) + letterTransition + FILL_IN_DELAY;
+
+/** Seconds to swap through every word once and land back on the first. */
+export const getTypoSwapDuration = ({
+  words,
+  holdDuration,
+  letterTransition,
+  letterStagger,
+}: TypoSwapProps): number =>
+  words.length *
+  (holdDuration +
+    getTransitionDuration(longest(words), letterStagger, letterTransition));
+
+export const typoSwapMeta: EffectMeta = {
+  title: "Per-Letter Typography Swap",
+  category: "Effects",
+  resolution: LANDSCAPE_DESIGN,
+  spec: "specs/TypoSwap.txt",
+};
+
+export const TypoSwap: React.FC<TypoSwapProps> = ({
+  words,
+  subtitles,
+  footer,
+  backgroundColor,
+  textColor,
+  holdDuration,
+  letterTransition,
+  letterStagger,
+}) => {
   const frame = useCurrentFrame();
-  const { fps, width } = useVideoConfig();
+  const { fps } = useVideoConfig();
+  const { width } = useLayout(COMPACT_DESIGN);
   const t = frame / fps;
 
   const fontSize = Math.min(width * 0.16, 180);
   const subtitleFontSize = Math.min(width * 0.035, 38);
 
+  // Slot counts follow the longest word / subtitle
+  const maxLetters = longest(words);
+  const subMaxLetters = longest(subtitles);
+
+  const transitionDuration = getTransitionDuration(
+    maxLetters,
+    letterStagger,
+    letterTransition,
+  );
+  const cycleDuration = holdDuration + transitionDuration;
+
   // Which word cycle are we in?
-  const cycleIndex = Math.floor(t / CYCLE_DURATION);
-  const cycleTime = t - cycleIndex * CYCLE_DURATION;
+  const cycleIndex = Math.floor(t / cycleDuration);
+  const cycleTime = t - cycleIndex * cycleDuration;
 
-  const currentWordIdx = cycleIndex % WORDS.length;
-  const nextWordIdx = (cycleIndex + 1) % WORDS.length;
+  const currentWordIdx = cycleIndex % words.length;
+  const nextWordIdx = (cycleIndex + 1) % words.length;
 
-  const currentWord = WORDS[currentWordIdx];
-  const nextWord = WORDS[nextWordIdx];
+  const currentWord = words[currentWordIdx];
+  const nextWord = words[nextWordIdx];
 
-  // Pad words to MAX_LETTERS for consistent slot count
-  const currentChars = currentWord.padEnd(MAX_LETTERS, " ").split("");
-  const nextChars = nextWord.padEnd(MAX_LETTERS, " ").split("");
+  // Pad words to maxLetters for consistent slot count
+  const currentChars = currentWord.padEnd(maxLetters, " ").split("");
+  const nextChars = nextWord.padEnd(maxLetters, " ").split("");
 
   // Is transition phase active?
-  const transitionStartTime = HOLD_DURATION;
+  const transitionStartTime = holdDuration;
 
   // Subtitle uses same cycle timing as main word
-  const currentSubIdx = currentWordIdx % SUBTITLES.length;
-  const nextSubIdx = nextWordIdx % SUBTITLES.length;
-  const currentSub = SUBTITLES[currentSubIdx];
-  const nextSub = SUBTITLES[nextSubIdx];
-  const currentSubChars = currentSub.padEnd(SUB_MAX_LETTERS, " ").split("");
-  const nextSubChars = nextSub.padEnd(SUB_MAX_LETTERS, " ").split("");
+  const currentSubIdx = currentWordIdx % subtitles.length;
+  const nextSubIdx = nextWordIdx % subtitles.length;
+  const currentSub = subtitles[currentSubIdx];
+  const nextSub = subtitles[nextSubIdx];
+  const currentSubChars = currentSub.padEnd(subMaxLetters, " ").split("");
+  const nextSubChars = nextSub.padEnd(subMaxLetters, " ").split("");
 
   return (
-    <AbsoluteFill style={{ backgroundColor: "#0a0a0a" }}>
+    <LayoutCanvas design={COMPACT_DESIGN} style={{ backgroundColor }}>
       {/* Main word — centered */}
       <div
         style={{
@@ -179,8 +257,8 @@ export const TypoSwap: React.FC = () => {
             const newChar = nextChars[i] || " ";
 
             // Per-letter transition timing
-            const letterStart = transitionStartTime + i * LETTER_STAGGER;
-            const letterEnd = letterStart + LETTER_TRANSITION;
+            const letterStart = transitionStartTime + i * letterStagger;
+            const letterEnd = letterStart + letterTransition;
 
             // Swap progress: 0 = old visible, 1 = new landed
             const swapProgress = interpolate(
@@ -208,6 +286,7 @@ export const TypoSwap: React.FC = () => {
                 progress={swapProgress}
                 fillProgress={fillProgress}
                 fontSize={fontSize}
+                color={textColor}
               />
             );
           })}
@@ -260,6 +339,7 @@ export const TypoSwap: React.FC = () => {
                 progress={swapProgress}
                 fillProgress={fillProgress}
                 fontSize={subtitleFontSize}
+                color={textColor}
               />
             );
           })}
@@ -268,17 +348,16 @@ export const TypoSwap: React.FC = () => {
           style={{
             marginTop: 12,
             opacity: 0.35,
-            fontFamily:
-              "SF Pro Display, -apple-system, Helvetica Neue, sans-serif",
+            fontFamily: FONT,
             fontSize: 12,
             fontWeight: 300,
-            color: "#ffffff",
+            color: textColor,
             letterSpacing: "0.06em",
           }}
         >
-          www.sonduckfilm.com
+          {footer}
         </div>
       </div>
-    </AbsoluteFill>
+    </LayoutCanvas>
   );
 };
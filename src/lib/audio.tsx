@@ -0,0 +1,251 @@
+import React from "react";
+import {
+  Audio,
+  interpolate,
+  random,
+  Sequence,
+  staticFile,
+  useVideoConfig,
+} from "remotion";
+import { z } from "zod";
+import { PhaseMarker } from "./duration";
+
+/**
+ * Soundtracks. A composition that takes a `soundtrack` prop renders a
+ * <Soundtrack> with the sound cues its own animation produces (word pops,
+ * keystrokes, flicker ticks, a cursor click), computed from the same timing
+ * as the animation. The prop adds a music bed, more events, music volume
+ * automation (per phase in the combined sequences) and ducking of the music
+ * under every event.
+ *
+ * Sounds are files from public/ (or URLs) mapped per event kind — the sound
+ * theme — so a composition names what happens and the soundtrack decides how
+ * it sounds. Everything is silent until a file is given. Each event picks
+ * one of its kind's files and jitters its volume and pitch, seeded by the
+ * event, so a run of pops or keystrokes doesn't sound like a loop.
+ */
+
+export const SOUND_KINDS = [
+  "pop",
+  "whoosh",
+  "click",
+  "keystroke",
+  "tick",
+] as const;
+
+export type SoundKind = (typeof SOUND_KINDS)[number];
+
+export const soundCueSchema = z.object({
+  kind: z.enum(SOUND_KINDS),
+  // Seconds from the start of the composition
+  at: z.number().min(0),
+  // Multiplies the soundtrack's event volume
+  volume: z.number().min(0).optional(),
+});
+
+export type SoundCue = z.infer<typeof soundCueSchema>;
+
+export const volumeKeyframeSchema = z.object({
+  // Seconds; from the start of `phase` when given
+  at: z.number().min(0),
+  phase: z.string().optional(),
+  volume: z.number().min(0),
+});
+
+export type VolumeKeyframe = z.infer<typeof volumeKeyframeSchema>;
+
+export const soundtrackSchema = z.object({
+  // Music bed from public/ or a URL; none when left out
+  music: z
+    .object({
+      src: z.string().min(1),
+      // Seconds skipped at the start of the file
+      trimBefore: z.number().min(0),
+      loop: z.boolean(),
+    })
+    .optional(),
+  // Music volume over time, linear between keyframes; 1 when empty
+  volume: z.array(volumeKeyframeSchema),
+  // Sound theme: file(s) per event kind, from public/ or URLs; kinds
+  // without one are silent, kinds with several pick one per event
+  sounds: z.record(
+    z.enum(SOUND_KINDS),
+    z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]),
+  ),
+  eventVolume: z.number().min(0),
+  // Per-event jitter: volume by up to ±`volume`, pitch (tone frequency, at
+  // the same speed) by up to ±`pitch`, both as fractions; the same seed
+  // always sounds the same
+  variation: z.object({
+    volume: z.number().min(0).max(1),
+    pitch: z.number().min(0).max(0.5),
+    seed: z.string(),
+  }),
+  // Play the composition's own cues (pops, clicks) as well as `events`
+  cues: z.boolean(),
+  events: z.array(soundCueSchema),
+  // Music dips by `amount` (0–1) under each event, reaching it over `attack`
+  // seconds up to the event and recovering over `release` after it
+  ducking: z.object({
+    amount: z.number().min(0).max(1),
+    attack: z.number().min(0),
+    release: z.number().min(0),
+  }),
+});
+
+export type SoundtrackConfig = z.infer<typeof soundtrackSchema>;
+
+export type SoundTheme = SoundtrackConfig["sounds"];
+
+export const SILENT_SOUNDTRACK: SoundtrackConfig = {
+  volume: [],
+  sounds: {},
+  eventVolume: 1,
+  variation: { volume: 0.15, pitch: 0.06, seed: "sfx" },
+  cues: true,
+  events: [],
+  ducking: { amount: 0.5, attack: 0.05, release: 0.4 },
+};
+
+export const resolveSrc = (src: string) =>
+  /^https?:\/\//.test(src) ? src : staticFile(src);
+
+/**
+ * Volume keyframes in seconds from the start of the composition. Phase
+ * names are looked up in `phases` (start frames at `fps`).
+ */
+export function resolveVolumeKeyframes(
+  keyframes: VolumeKeyframe[],
+  phases: PhaseMarker[],
+  fps: number,
+): { at: number; volume: number }[] {
+  return keyframes
+    .map(({ at, phase, volume }) => {
+      if (phase === undefined) {
+        return { at, volume };
+      }
+      const marker = phases.find((p) => p.name === phase);
+      if (!marker) {
+        const known = phases.map((p) => p.name).join(", ") || "none";
+        throw new Error(
+          `Soundtrack volume keyframe names unknown phase "${phase}" (phases: ${known})`,
+        );
+      }
+      return { at: marker.from / fps + at, volume };
+    })
+    .sort((a, b) => a.at - b.at);
+}
+
+/** Cues of `kind` at each of `times` seconds. */
+export const cuesAt = (kind: SoundKind, times: number[]): SoundCue[] =>
+  times.map((at) => ({ kind, at }));
+
+/**
+ * The file, volume multiplier and tone frequency `event` plays with, or null
+ * when the theme has no file for its kind. Seeded by the event's kind and
+ * time, so adding or removing other events doesn't change how it sounds.
+ */
+export function getEventVoice(
+  event: SoundCue,
+  sounds: SoundTheme,
+  { volume, pitch, seed }: SoundtrackConfig["variation"],
+): { src: string; volume: number; toneFrequency: number } | null {
+  const files = sounds[event.kind];
+  if (files === undefined) {
+    return null;
+  }
+  const key = `${seed}-${event.kind}-${event.at.toFixed(3)}`;
+  const choices = typeof files === "string" ? [files] : files;
+  const pick = Math.floor(random(`${key}-file`) * choices.length);
+  const jitter = (name: string) => 2 * random(`${key}-${name}`) - 1;
+  return {
+    src: choices[Math.min(pick, choices.length - 1)],
+    volume: (event.volume ?? 1) * (1 + volume * jitter("volume")),
+    toneFrequency: 1 + pitch * jitter("pitch"),
+  };
+}
+
+// Volume automation at `t` seconds
+const automate = (keyframes: { at: number; volume: number }[], t: number) => {
+  if (keyframes.length === 0) {
+    return 1;
+  }
+  if (keyframes.length === 1) {
+    return keyframes[0].volume;
+  }
+  return interpolate(
+    t,
+    keyframes.map((kf) => kf.at),
+    keyframes.map((kf) => kf.volume),
+    { extrapolateLeft: "clamp", extrapolateRight: "clamp" },
+  );
+};
+
+/** How far the music is ducked at `t` seconds, 0 (not) to 1 (fully). */
+export function getDucking(
+  events: SoundCue[],
+  { attack, release }: SoundtrackConfig["ducking"],
+  t: number,
+): number {
+  return events.reduce((duck, { at }) => {
+    let level = 0;
+    if (t >= at - attack && t < at) {
+      level = attack > 0 ? (t - (at - attack)) / attack : 1;
+    } else if (t >= at && t <= at + release) {
+      level = release > 0 ? 1 - (t - at) / release : 1;
+    }
+    return Math.max(duck, level);
+  }, 0);
+}
+
+/**
+ * Plays a soundtrack: `cues` are the composition's own moments, `phases`
+ * what volume keyframes may name.
+ */
+export const Soundtrack: React.FC<{
+  soundtrack: SoundtrackConfig;
+  cues?: SoundCue[];
+  phases?: PhaseMarker[];
+}> = ({ soundtrack, cues = [], phases = [] }) => {
+  const { fps } = useVideoConfig();
+  const { music, sounds, eventVolume, variation, ducking } = soundtrack;
+  const events = [...(soundtrack.cues ? cues : []), ...soundtrack.events];
+  const voiced = events.flatMap((event) => {
+    const voice = getEventVoice(event, sounds, variation);
+    return voice ? [{ event, voice }] : [];
+  });
+  // Only events that make a sound duck the music
+  const audible = voiced.map(({ event }) => event);
+  const keyframes = resolveVolumeKeyframes(soundtrack.volume, phases, fps);
+
+  return (
+    <>
+      {music && (
+        <Audio
+          src={resolveSrc(music.src)}
+          trimBefore={Math.round(music.trimBefore * fps)}
+          loop={music.loop}
+          volume={(f) => {
+            const t = f / fps;
+            const duck = getDucking(audible, ducking, t) * ducking.amount;
+            return automate(keyframes, t) * (1 - duck);
+          }}
+        />
+      )}
+      {voiced.map(({ event, voice }, i) => (
+        <Sequence
+          key={i}
+          from={Math.round(event.at * fps)}
+          name={`${event.kind} @ ${event.at.toFixed(2)}s`}
+          layout="none"
+        >
+          <Audio
+            src={resolveSrc(voice.src)}
+            volume={() => eventVolume * voice.volume}
+            toneFrequency={voice.toneFrequency}
+          />
+        </Sequence>
+      ))}
+    </>
+  );
+};
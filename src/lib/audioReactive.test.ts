@@ -0,0 +1,132 @@
+import { describe, expect, it } from "vitest";
+import { MediaUtilsAudioData } from "@remotion/media-utils";
+import {
+  AudioBinding,
+  bindProps,
+  getBindingValue,
+  getSpeedSums,
+  rejectTimingBindings,
+} from "./audioReactive";
+
+type Props = { intro: { hold: number; blur: number } };
+
+const getFrames = rejectTimingBindings<Props>(
+  ({ intro }, fps) => Math.round(intro.hold * fps) + 30,
+);
+
+const bind = (prop: string): AudioBinding => ({
+  prop,
+  feature: "rms",
+  input: [0, 1],
+  output: [0, 2],
+});
+
+const props = (binding: AudioBinding) => ({
+  intro: { hold: 1, blur: 4 },
+  reactive: { src: "bed.mp3", trimBefore: 0, bindings: [binding] },
+});
+
+describe("rejectTimingBindings", () => {
+  it("lets level props be bound", async () => {
+    await expect(getFrames(props(bind("intro.blur")), 30)).resolves.toBe(60);
+  });
+
+  it("refuses props the length depends on", async () => {
+    await expect(getFrames(props(bind("intro.hold")), 30)).rejects.toThrow(
+      '"intro.hold", which sets the composition\'s length',
+    );
+  });
+});
+
+// 2s at 8 kHz: a second of silence, then a second of a ±0.25 square wave
+// (RMS 0.25)
+const RATE = 8000;
+const FPS = 30;
+const samples = Float32Array.from({ length: 2 * RATE }, (_, i) =>
+  i < RATE ? 0 : i % 40 < 20 ? 0.25 : -0.25,
+);
+const audio: MediaUtilsAudioData = {
+  channelWaveforms: [samples],
+  sampleRate: RATE,
+  durationInSeconds: 2,
+  numberOfChannels: 1,
+  resultId: "silence-then-square",
+  isRemote: false,
+};
+
+const loudness = (output: [number, number], speed?: boolean): AudioBinding => ({
+  prop: "speed",
+  feature: "rms",
+  input: [0, 0.5],
+  output,
+  speed,
+});
+
+describe("getBindingValue", () => {
+  it("maps the feature from its input range onto the output range", () => {
+    const binding = loudness([10, 20]);
+    expect(getBindingValue(audio, binding, 10, FPS)).toBeCloseTo(10);
+    expect(getBindingValue(audio, binding, 45, FPS)).toBeCloseTo(15);
+  });
+
+  it("clamps at both ends of the output range", () => {
+    const binding: AudioBinding = { ...loudness([20, 10]), input: [0.1, 0.2] };
+    expect(getBindingValue(audio, binding, 10, FPS)).toBeCloseTo(20);
+    expect(getBindingValue(audio, binding, 45, FPS)).toBeCloseTo(10);
+  });
+
+  it("keeps motion driven by a speed from jumping when it gets louder", () => {
+    // Distance moved by frame, as `t * speed`
+    const travel = (binding: AudioBinding) =>
+      Array.from(
+        { length: 59 },
+        (_, frame) =>
+          (frame / FPS) * getBindingValue(audio, binding, frame, FPS),
+      );
+    const steps = (distances: number[]) =>
+      distances.slice(1).map((d, i) => Math.abs(d - distances[i]));
+    // Bound as a level, the whole path scales up at once
+    expect(Math.max(...steps(travel(loudness([1, 3]))))).toBeGreaterThan(0.5);
+    // As a speed, no frame moves further than the top speed allows
+    expect(Math.max(...steps(travel(loudness([1, 3], true))))).toBeLessThan(
+      3 / FPS,
+    );
+  });
+
+  it("reads a speed from sums worked out once", () => {
+    const binding = loudness([1, 3], true);
+    const sums = getSpeedSums(audio, binding, 60, FPS);
+    expect(getBindingValue(audio, binding, 45, FPS, 0, undefined, sums)).toBe(
+      getBindingValue(audio, binding, 45, FPS),
+    );
+  });
+});
+
+describe("bindProps", () => {
+  it("sets numbers by dot path, copying only what's on the path", () => {
+    const words = [{ x: 0 }, { x: 1 }];
+    const bound = bindProps(
+      { intro: { blur: 4 }, words },
+      [
+        { ...loudness([0, 1]), prop: "intro.blur" },
+        { ...loudness([0, 1]), prop: "words.1.x" },
+      ],
+      (_, i) => (i + 1) * 10,
+    );
+    expect(bound).toEqual({
+      intro: { blur: 10 },
+      words: [{ x: 0 }, { x: 20 }],
+    });
+    expect(bound.words[0]).toBe(words[0]);
+  });
+
+  it("refuses a binding that doesn't name a number prop", () => {
+    expect(() =>
+      bindProps(
+        { intro: { label: "Hi" } },
+        [{ ...loudness([0, 1]), prop: "intro.label" }],
+        () => 1,
+      ),
+    ).toThrow('"intro.label", which isn\'t a number prop');
+  });
+});
@@ -0,0 +1,403 @@
+import React, { useMemo } from "react";
+import {
+  MediaUtilsAudioData,
+  useAudioData,
+  visualizeAudio,
+} from "@remotion/media-utils";
+import { interpolate, useCurrentFrame, useVideoConfig } from "remotion";
+import { z } from "zod";
+import { resolveSrc } from "./audio";
+import { FrameCounter } from "./duration";
+
+/**
+ * Audio-reactive props. Every registered composition takes an optional
+ * `reactive` prop naming a local audio file and bindings from its features
+ * at each frame — loudness (RMS), the bass, mid and treble bands, and an
+ * onset flag — to any of the composition's numeric props, through a range
+ * mapping. The file is analysed while rendering, frame by frame, so a
+ * binding follows the audio exactly where it plays against the video.
+ *
+ * A binding sets its prop afresh every frame, which suits props read as a
+ * level (a blur, a scale). Props that set a speed are bound with `speed`,
+ * which gives them the mean of the mapped value up to the frame instead, so
+ * motion driven by `t * speed` speeds up and slows down without jumping.
+ * Props the composition's length depends on (a hold, a delay) can't be
+ * bound: the length and phase markers are worked out once, from the props
+ * as given.
+ */
+
+export const AUDIO_FEATURES = [
+  "rms",
+  "bass",
+  "mid",
+  "treble",
+  "onset",
+] as const;
+
+export type AudioFeature = (typeof AUDIO_FEATURES)[number];
+
+// Each 0 to about 1; `onset` is 1 on the frame a hit starts, else 0
+export type AudioFeatures = Record<AudioFeature, number>;
+
+export const audioBindingSchema = z.object({
+  // Prop to drive, as a dot path into the props ("intro.fireWobble",
+  // "words.0.x"); a level or a speed, never a timing
+  prop: z.string().min(1),
+  feature: z.enum(AUDIO_FEATURES),
+  // Feature values mapped linearly onto `output`, clamped at both ends
+  input: z.tuple([z.number(), z.number()]),
+  output: z.tuple([z.number(), z.number()]),
+  // Seconds a peak takes to fall back, so hits don't flicker; 0 follows the
+  // audio frame by frame
+  release: z.number().min(0).optional(),
+  // The prop is a speed: it gets the mean mapped value since the start
+  speed: z.boolean().optional(),
+});
+
+export type AudioBinding = z.infer<typeof audioBindingSchema>;
+
+export const audioReactiveSchema = z.object({
+  // Audio file from public/ or a URL; analysed, not played
+  src: z.string().min(1),
+  // Seconds into the file the composition starts at, as the music's
+  // `trimBefore`
+  trimBefore: z.number().min(0),
+  bindings: z.array(audioBindingSchema),
+});
+
+export type AudioReactiveConfig = z.infer<typeof audioReactiveSchema>;
+
+// Frequency bins per frame: 1024-sample windows, ~43 Hz a bin at 44.1 kHz
+const BINS = 512;
+// Upper edges of the bass and mid bands, Hz
+const BASS_HZ = 250;
+const MID_HZ = 4000;
+// An onset is RMS this many times the mean of the seconds before it, and
+// above a floor so noise in quiet passages doesn't count
+const ONSET_WINDOW = 0.3;
+const ONSET_RATIO = 1.5;
+const ONSET_FLOOR = 0.02;
+
+/**
+ * Levels by frame for one file at one rate and offset, as analysing a frame
+ * is an FFT. `useAudioReactive()` keeps one for as long as it's mounted.
+ */
+export type FeatureCache = {
+  levels: Map<number, Omit<AudioFeatures, "onset">>;
+};
+
+export const createFeatureCache = (): FeatureCache => ({
+  levels: new Map(),
+});
+
+const SILENCE: Omit<AudioFeatures, "onset"> = {
+  rms: 0,
+  bass: 0,
+  mid: 0,
+  treble: 0,
+};
+
+const measure = (
+  audio: MediaUtilsAudioData,
+  frame: number,
+  fps: number,
+  trimBefore: number,
+  { levels }: FeatureCache,
+) => {
+  const cached = levels.get(frame);
+  if (cached) {
+    return cached;
+  }
+  const { channelWaveforms, sampleRate } = audio;
+  const from = Math.floor((frame / fps + trimBefore) * sampleRate);
+  const to = Math.floor(((frame + 1) / fps + trimBefore) * sampleRate);
+  if (frame < 0 || from >= channelWaveforms[0].length) {
+    return SILENCE;
+  }
+
+  let squares = 0;
+  let count = 0;
+  for (const samples of channelWaveforms) {
+    for (let i = from; i < Math.min(to, samples.length); i++) {
+      squares += samples[i] * samples[i];
+      count++;
+    }
+  }
+  const spectrum = visualizeAudio({
+    audioData: audio,
+    frame,
+    fps,
+    numberOfSamples: BINS,
+    smoothing: false,
+    optimizeFor: "speed",
+    dataOffsetInSeconds: -trimBefore,
+  });
+  const binHz = sampleRate / (2 * BINS);
+  const band = (low: number, high: number) => {
+    const first = Math.max(1, Math.floor(low / binHz));
+    const last = Math.min(BINS, Math.ceil(high / binHz));
+    let sum = 0;
+    for (let i = first; i < last; i++) {
+      sum += spectrum[i];
+    }
+    return last > first ? sum / (last - first) : 0;
+  };
+
+  const result = {
+    rms: count > 0 ? Math.sqrt(squares / count) : 0,
+    bass: band(0, BASS_HZ),
+    mid: band(BASS_HZ, MID_HZ),
+    treble: band(MID_HZ, sampleRate / 2),
+  };
+  levels.set(frame, result);
+  return result;
+};
+
+// Whether `frame` is louder than the window before it
+const isLoud = (
+  audio: MediaUtilsAudioData,
+  frame: number,
+  fps: number,
+  trimBefore: number,
+  cache: FeatureCache,
+) => {
+  const { rms } = measure(audio, frame, fps, trimBefore, cache);
+  const window = Math.max(1, Math.round(ONSET_WINDOW * fps));
+  let sum = 0;
+  for (let i = frame - window; i < frame; i++) {
+    sum += measure(audio, i, fps, trimBefore, cache).rms;
+  }
+  return rms > ONSET_FLOOR && rms > (ONSET_RATIO * sum) / window;
+};
+
+/**
+ * The features of the audio heard on `frame`, `trimBefore` seconds into
+ * the file at the start. Pass the same `cache` for every frame of one file,
+ * rate and offset to analyse each frame once.
+ */
+export function getAudioFeatures(
+  audio: MediaUtilsAudioData,
+  frame: number,
+  fps: number,
+  trimBefore = 0,
+  cache = createFeatureCache(),
+): AudioFeatures {
+  const onset =
+    isLoud(audio, frame, fps, trimBefore, cache) &&
+    !isLoud(audio, frame - 1, fps, trimBefore, cache);
+  return {
+    ...measure(audio, frame, fps, trimBefore, cache),
+    onset: onset ? 1 : 0,
+  };
+}
+
+// A binding's mapped value on `frame`, before any `speed` averaging
+const mapFeature = (
+  audio: MediaUtilsAudioData,
+  { feature, input, output, release = 0 }: AudioBinding,
+  frame: number,
+  fps: number,
+  trimBefore: number,
+  cache: FeatureCache,
+) => {
+  // Peaks of the last `release` seconds, fading linearly
+  const span = Math.round(release * fps);
+  let value = 0;
+  for (let i = Math.max(0, frame - span); i <= frame; i++) {
+    const fade = 1 - (frame - i) / (span + 1);
+    value = Math.max(
+      value,
+      getAudioFeatures(audio, i, fps, trimBefore, cache)[feature] * fade,
+    );
+  }
+  return interpolate(value, input, output, {
+    extrapolateLeft: "clamp",
+    extrapolateRight: "clamp",
+  });
+};
+
+/**
+ * Running sums of `binding`'s mapped values over the first `frames` frames.
+ * A `speed` binding's value is their mean up to the frame, so every frame
+ * needs all those before it: work them out once and look them up.
+ */
+export function getSpeedSums(
+  audio: MediaUtilsAudioData,
+  binding: AudioBinding,
+  frames: number,
+  fps: number,
+  trimBefore = 0,
+  cache = createFeatureCache(),
+): Float64Array {
+  const sums = new Float64Array(Math.max(0, frames));
+  let total = 0;
+  for (let i = 0; i < sums.length; i++) {
+    total += mapFeature(audio, binding, i, fps, trimBefore, cache);
+    sums[i] = total;
+  }
+  return sums;
+}
+
+/**
+ * The value `binding` gives its prop on `frame`. A `speed` binding reads
+ * `sums` from `getSpeedSums()` when they reach `frame`, and otherwise works
+ * them out up to it.
+ */
+export function getBindingValue(
+  audio: MediaUtilsAudioData,
+  binding: AudioBinding,
+  frame: number,
+  fps: number,
+  trimBefore = 0,
+  cache = createFeatureCache(),
+  sums?: Float64Array,
+): number {
+  if (!binding.speed) {
+    return mapFeature(audio, binding, frame, fps, trimBefore, cache);
+  }
+  if (frame < 0) {
+    return binding.output[0];
+  }
+  const totals =
+    sums && frame < sums.length
+      ? sums
+      : getSpeedSums(audio, binding, frame + 1, fps, trimBefore, cache);
+  return totals[frame] / (frame + 1);
+}
+
+// `target` with the number at dot path `path` replaced by `value`, copying
+// only what's on the path; null when there's no number there
+const setPath = (target: unknown, path: string[], value: number): unknown => {
+  const [head, ...rest] = path;
+  if (typeof target !== "object" || target === null || !(head in target)) {
+    return null;
+  }
+  const current = (target as Record<string, unknown>)[head];
+  if (rest.length === 0 && typeof current !== "number") {
+    return null;
+  }
+  const next = rest.length === 0 ? value : setPath(current, rest, value);
+  if (next === null) {
+    return null;
+  }
+  if (Array.isArray(target)) {
+    return target.map((item, i) => (String(i) === head ? next : item));
+  }
+  return { ...target, [head]: next };
+};
+
+/**
+ * `props` with each binding's prop set to `valueOf` it (given the binding
+ * and its index). Throws for a binding that doesn't name a number prop.
+ */
+export function bindProps<P extends Record<string, unknown>>(
+  props: P,
+  bindings: AudioBinding[],
+  valueOf: (binding: AudioBinding, index: number) => number,
+): P {
+  return bindings.reduce((out, binding, i) => {
+    const next = setPath(out, binding.prop.split("."), valueOf(binding, i));
+    if (next === null) {
+      throw new Error(
+        `Audio binding names "${binding.prop}", which isn't a number prop`,
+      );
+    }
+    return next as P;
+  }, props);
+}
+
+/**
+ * `props` with every bound prop set from the audio at the current frame;
+ * `props` as they are until the file has loaded.
+ */
+export function useAudioReactive<P extends Record<string, unknown>>(
+  props: P,
+  { src, trimBefore, bindings }: AudioReactiveConfig,
+): P {
+  const frame = useCurrentFrame();
+  const { fps, durationInFrames } = useVideoConfig();
+  const audio = useAudioData(resolveSrc(src));
+  const cache = useMemo(createFeatureCache, [audio, fps, trimBefore]);
+  // Speed bindings' running sums, over the whole composition at once
+  const speedSums = useMemo(
+    () =>
+      bindings.map((binding) =>
+        audio && binding.speed
+          ? getSpeedSums(
+              audio,
+              binding,
+              durationInFrames,
+              fps,
+              trimBefore,
+              cache,
+            )
+          : undefined,
+      ),
+    [audio, bindings, durationInFrames, fps, trimBefore, cache],
+  );
+  if (!audio) {
+    return props;
+  }
+  return bindProps(props, bindings, (binding, i) =>
+    getBindingValue(
+      audio,
+      binding,
+      frame,
+      fps,
+      trimBefore,
+      cache,
+      speedSums[i],
+    ),
+  );
+}
+
+/**
+ * `getFrames` for a composition with a `reactive` prop, which refuses
+ * bindings on props its length depends on: trying each end of a binding's
+ * output range must give the same length as the props as given.
+ */
+export function rejectTimingBindings<P extends Record<string, unknown>>(
+  getFrames: FrameCounter<P>,
+): FrameCounter<P & { reactive?: AudioReactiveConfig }> {
+  return async (props, fps) => {
+    const frames = await getFrames(props, fps);
+    for (const binding of props.reactive?.bindings ?? []) {
+      for (const value of binding.output) {
+        const bound = setPath(props, binding.prop.split("."), value);
+        if (bound !== null && (await getFrames(bound as P, fps)) !== frames) {
+          throw new Error(
+            `Audio binding names "${binding.prop}", which sets the composition's length; bind a prop read as a level or a speed instead`,
+          );
+        }
+      }
+    }
+    return frames;
+  };
+}
+
+/**
+ * `Component` with an optional `reactive` prop, which binds its other props
+ * to an audio file; without it the component renders as it is.
+ */
+export function withAudioReactive<P extends Record<string, unknown>>(
+  Component: React.FC<P>,
+): React.FC<P & { reactive?: AudioReactiveConfig }> {
+  const Reactive: React.FC<{ props: P; reactive: AudioReactiveConfig }> = ({
+    props,
+    reactive,
+  }) => <Component {...useAudioReactive(props, reactive)} />;
+
+  const Wrapped: React.FC<P & { reactive?: AudioReactiveConfig }> = ({
+    reactive,
+    ...rest
+  }) => {
+    const props = rest as unknown as P;
+    return reactive ? (
+      <Reactive props={props} reactive={reactive} />
+    ) : (
+      <Component {...props} />
+    );
+  };
+  Wrapped.displayName = Component.displayName ?? Component.name;
+  return Wrapped;
+}
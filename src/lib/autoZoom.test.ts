@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { AutoZoom, getZoomKeyframes } from "./autoZoom";
+
+const screen = { width: 1000, height: 500, fps: 10 };
+const config: AutoZoom = { zoom: 2, leadIn: 1, dwell: 1, zoomOut: true };
+
+describe("getZoomKeyframes", () => {
+  it("zooms in ahead of a click and back out after the dwell", () => {
+    const keyframes = getZoomKeyframes(
+      [{ type: "click", at: 2, x: 500, y: 250 }],
+      config,
+      screen,
+    );
+    expect(keyframes.map(({ frame, zoom }) => [frame, zoom])).toEqual([
+      [10, 1],
+      [20, 2],
+      [30, 2],
+      [40, 1],
+    ]);
+  });
+
+  it("holds on a focus and the click that follows it as one run", () => {
+    const keyframes = getZoomKeyframes(
+      [
+        { type: "focus", at: 1, x: 500, y: 250, duration: 0.5 },
+        { type: "click", at: 2, x: 500, y: 250 },
+      ],
+      { ...config, zoomOut: false },
+      screen,
+    );
+    expect(keyframes[0]).toMatchObject({ frame: 0, zoom: 1 });
+    expect(keyframes.slice(1).every(({ zoom }) => zoom === 2)).toBe(true);
+    expect(keyframes[keyframes.length - 1].frame).toBe(20);
+  });
+
+  it("keeps a hotspot that starts inside a long one in its run", () => {
+    const keyframes = getZoomKeyframes(
+      [
+        { type: "type", at: 1, x: 200, y: 250, duration: 9 },
+        { type: "click", at: 2, x: 800, y: 250 },
+        // Within dwell + leadIn of the typing's end, not the click's
+        { type: "click", at: 11.5, x: 200, y: 250 },
+      ],
+      config,
+      screen,
+    );
+    const frames = keyframes.map(({ frame }) => frame);
+    expect(frames).toEqual([...frames].sort((a, b) => a - b));
+    // Zoomed in from the typing until after the last click
+    expect(keyframes.slice(1, -1).every(({ zoom }) => zoom === 2)).toBe(true);
+    expect(keyframes[keyframes.length - 1].frame).toBe(135);
+  });
+
+  it("pans between hotspots within dwell + leadIn of each other", () => {
+    const keyframes = getZoomKeyframes(
+      [
+        { type: "click", at: 1, x: 300, y: 250 },
+        { type: "click", at: 3, x: 700, y: 250 },
+      ],
+      config,
+      screen,
+    );
+    expect(keyframes.map(({ frame, zoom }) => [frame, zoom])).toEqual([
+      [0, 1],
+      [10, 2],
+      [20, 2],
+      [30, 2],
+      [40, 2],
+      [50, 1],
+    ]);
+  });
+
+  it("turns back in halfway between runs too close to zoom all the way out", () => {
+    const keyframes = getZoomKeyframes(
+      [
+        { type: "click", at: 1, x: 300, y: 250 },
+        { type: "click", at: 3.5, x: 700, y: 250 },
+      ],
+      config,
+      screen,
+    );
+    expect(keyframes.map(({ frame, zoom }) => [frame, zoom])).toEqual([
+      [0, 1],
+      [10, 2],
+      [20, 2],
+      [27.5, 1],
+      [27.5, 1],
+      [35, 2],
+      [45, 2],
+      [55, 1],
+    ]);
+  });
+});
@@ -0,0 +1,253 @@
+import { z } from "zod";
+import { createTrack, KeyframeTiming, Track } from "./keyframes";
+
+/**
+ * Camera zoom generated from a log of what happened on screen, the way a
+ * screen-recording editor follows the action. Each click, typing burst or
+ * focus becomes a hotspot: the camera starts moving `leadIn` seconds ahead,
+ * arrives zoomed in as it happens, stays `dwell` seconds after, then eases
+ * back out.
+ * A hotspot starting within `dwell` + `leadIn` of the end of the run before
+ * it (every hotspot in it, not just the last) joins that run, and the camera
+ * pans to it instead. Between runs too close to zoom all the way out and
+ * back in, the camera turns back in halfway.
+ * Scrolls pull back to the full screen so the page can be seen moving.
+ *
+ * Coordinates are design pixels of the scene being filmed; the camera never
+ * frames anything outside it.
+ */
+
+const eventBase = {
+  // Seconds
+  at: z.number().min(0),
+  x: z.number(),
+  y: z.number(),
+};
+
+export const uiEventSchema = z.discriminatedUnion("type", [
+  z.object({ type: z.literal("click"), ...eventBase }),
+  z.object({
+    type: z.literal("type"),
+    ...eventBase,
+    // Seconds of typing
+    duration: z.number().min(0),
+  }),
+  // Somewhere to look before anything happens there, like a button the
+  // cursor is about to come in and press
+  z.object({
+    type: z.literal("focus"),
+    ...eventBase,
+    duration: z.number().min(0),
+  }),
+  z.object({
+    type: z.literal("scroll"),
+    ...eventBase,
+    duration: z.number().min(0),
+  }),
+]);
+
+export type UIEvent = z.infer<typeof uiEventSchema>;
+
+export const autoZoomSchema = z.object({
+  // Magnification on clicks and typing
+  zoom: z.number().min(1),
+  // Seconds the camera starts moving before an event
+  leadIn: z.number().min(0),
+  // Seconds the camera stays after the last event of a run
+  dwell: z.number().min(0),
+  // Return to the full view after the last run
+  zoomOut: z.boolean(),
+});
+
+export type AutoZoom = z.infer<typeof autoZoomSchema>;
+
+export const AUTO_ZOOM: AutoZoom = {
+  zoom: 2,
+  leadIn: 0.6,
+  dwell: 1,
+  zoomOut: true,
+};
+
+// Point the camera centers on, and how far it is zoomed in
+export type ZoomCamera = {
+  zoom: number;
+  x: number;
+  y: number;
+};
+
+export type ZoomKeyframe = KeyframeTiming & ZoomCamera;
+
+export type ZoomRegion = {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+export type ZoomScreen = {
+  // Design size of the filmed scene
+  width: number;
+  height: number;
+  // Keyframes are placed in frames at this rate
+  fps: number;
+};
+
+// Never show past the scene's edges
+const clampCamera = (
+  { zoom, x, y }: ZoomCamera,
+  { width, height }: { width: number; height: number },
+): ZoomCamera => {
+  const halfW = width / (2 * zoom);
+  const halfH = height / (2 * zoom);
+  return {
+    zoom,
+    x: Math.min(width - halfW, Math.max(halfW, x)),
+    y: Math.min(height - halfH, Math.max(halfH, y)),
+  };
+};
+
+/** Camera that fits `region` of a `width`×`height` scene on screen. */
+export function frameRegion(
+  region: ZoomRegion,
+  screen: { width: number; height: number },
+): ZoomCamera {
+  const zoom = Math.max(
+    1,
+    Math.min(screen.width / region.width, screen.height / region.height),
+  );
+  return clampCamera(
+    {
+      zoom,
+      x: region.x + region.width / 2,
+      y: region.y + region.height / 2,
+    },
+    screen,
+  );
+}
+
+type Hotspot = {
+  start: number;
+  end: number;
+  x: number;
+  y: number;
+  zoom: number;
+};
+
+const toHotspot = (event: UIEvent, zoom: number): Hotspot => {
+  switch (event.type) {
+    case "click":
+      return { start: event.at, end: event.at, x: event.x, y: event.y, zoom };
+    case "type":
+    case "focus":
+      return {
+        start: event.at,
+        end: event.at + event.duration,
+        x: event.x,
+        y: event.y,
+        zoom,
+      };
+    case "scroll":
+      return {
+        start: event.at,
+        end: event.at + event.duration,
+        x: event.x,
+        y: event.y,
+        zoom: 1,
+      };
+  }
+};
+
+/** Camera keyframes that follow an event log. */
+export function getZoomKeyframes(
+  events: UIEvent[],
+  { zoom, leadIn, dwell, zoomOut }: AutoZoom,
+  { width, height, fps }: ZoomScreen,
+): ZoomKeyframe[] {
+  const hotspots = events
+    .map((event) => toHotspot(event, zoom))
+    .sort((a, b) => a.start - b.start);
+
+  const wide = (time: number): ZoomKeyframe => ({
+    frame: time * fps,
+    zoom: 1,
+    x: width / 2,
+    y: height / 2,
+  });
+  const focus = (h: Hotspot, time: number): ZoomKeyframe => ({
+    frame: time * fps,
+    ...clampCamera(h, { width, height }),
+  });
+
+  const runs: Hotspot[][] = [];
+  // Latest end of each run's hotspots
+  const ends: number[] = [];
+  hotspots.forEach((h) => {
+    const r = runs.length - 1;
+    if (r >= 0 && h.start <= ends[r] + dwell + leadIn) {
+      runs[r].push(h);
+      ends[r] = Math.max(ends[r], h.end);
+    } else {
+      runs.push([h]);
+      ends.push(h.end);
+    }
+  });
+
+  if (runs.length === 0) {
+    return [wide(0)];
+  }
+
+  const keyframes: ZoomKeyframe[] = [];
+  // Fully zoomed out between runs, if there's time: `leadIn` after leaving
+  // one and before reaching the next, otherwise halfway between the two
+  const outAt = (r: number) => ends[r] + dwell;
+  const halfway = (r: number) => (outAt(r) + runs[r + 1][0].start) / 2;
+  runs.forEach((run, r) => {
+    const first = run[0];
+    const wideFrom = Math.max(0, first.start - leadIn);
+    keyframes.push(wide(r > 0 ? Math.max(wideFrom, halfway(r - 1)) : wideFrom));
+    keyframes.push(focus(first, first.start));
+    // Latest end so far: the camera waits for the hotspots it has visited
+    // to finish, unless the next one starts first
+    let end = first.end;
+    for (let i = 1; i < run.length; i++) {
+      const prev = run[i - 1];
+      const h = run[i];
+      const waitFor = end < h.start ? end : prev.start;
+      const departAt = Math.max(prev.start, h.start - leadIn, waitFor);
+      keyframes.push(focus(prev, departAt));
+      keyframes.push(focus(h, h.start));
+      end = Math.max(end, h.end);
+    }
+    const last = run[run.length - 1];
+    if (r < runs.length - 1) {
+      keyframes.push(focus(last, outAt(r)));
+      keyframes.push(wide(Math.min(outAt(r) + leadIn, halfway(r))));
+    } else if (zoomOut) {
+      keyframes.push(focus(last, outAt(r)));
+      keyframes.push(wide(outAt(r) + leadIn));
+    }
+  });
+  return keyframes;
+}
+
+/** Sampler for the camera that follows an event log, by frame. */
+export function createZoomTrack(
+  events: UIEvent[],
+  config: AutoZoom,
+  screen: ZoomScreen,
+): Track<ZoomKeyframe> {
+  return createTrack(getZoomKeyframes(events, config, screen));
+}
+
+/**
+ * CSS transform for the scene's container (with `transformOrigin: "0 0"`)
+ * that puts the camera's point in the middle of the screen.
+ */
+export function zoomTransform(
+  { zoom, x, y }: ZoomCamera,
+  { width, height }: { width: number; height: number },
+): string {
+  const tx = width / 2 - x * zoom;
+  const ty = height / 2 - y * zoom;
+  return `translate(${tx}px, ${ty}px) scale(${zoom})`;
+}
@@ -0,0 +1,140 @@
+import { z } from "zod";
+
+/**
+ * Beat grids. `scripts/analyze-beats.mjs` analyses a music file offline and
+ * caches the grid next to it as JSON; a composition takes that grid in its
+ * `beats` prop and snaps its own moments (cycle starts, staggers, word
+ * entrances) to the nearest beat or bar. Only moments within `tolerance` of
+ * the grid move, so the choreography keeps its shape, and nothing is
+ * analysed while rendering, so every render lands on the same frames.
+ */
+
+export const beatGridSchema = z.object({
+  // Tempo the grid was tracked at
+  bpm: z.number().positive(),
+  beatsPerBar: z.number().int().positive(),
+  // Seconds into the file, ascending
+  beats: z.array(z.number().min(0)).min(1),
+  // Index in `beats` of a bar's first beat
+  downbeat: z.number().int().min(0),
+});
+
+export type BeatGrid = z.infer<typeof beatGridSchema>;
+
+export const BEAT_SNAPS = ["beat", "bar"] as const;
+
+export type BeatSnap = (typeof BEAT_SNAPS)[number];
+
+export const beatSyncSchema = z.object({
+  grid: beatGridSchema,
+  snap: z.enum(BEAT_SNAPS),
+  // Seconds a moment may move to reach the grid; further ones stay put
+  tolerance: z.number().min(0),
+  // Seconds into the file the composition starts at, as the music's
+  // `trimBefore`
+  trimBefore: z.number().min(0),
+});
+
+export type BeatSync = z.infer<typeof beatSyncSchema>;
+
+// Grid times for `snap`, and the spacing they continue at past either end
+const gridTimes = (
+  { bpm, beatsPerBar, beats, downbeat }: BeatGrid,
+  snap: BeatSnap,
+) => {
+  const beat = 60 / bpm;
+  if (snap === "beat") {
+    return { times: beats, period: beat };
+  }
+  return {
+    times: beats.filter(
+      (_, i) =>
+        (((i - downbeat) % beatsPerBar) + beatsPerBar) % beatsPerBar === 0,
+    ),
+    period: beat * beatsPerBar,
+  };
+};
+
+/** The grid time nearest `at` seconds into the file. */
+export function getNearestBeat(
+  grid: BeatGrid,
+  snap: BeatSnap,
+  at: number,
+): number {
+  const { times, period } = gridTimes(grid, snap);
+  if (times.length === 0) {
+    return at;
+  }
+  const first = times[0];
+  const last = times[times.length - 1];
+  if (at <= first) {
+    return first - Math.round((first - at) / period) * period;
+  }
+  if (at >= last) {
+    return last + Math.round((at - last) / period) * period;
+  }
+  // First time after `at`
+  let lo = 0;
+  let hi = times.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= at) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  const after = times[lo];
+  const before = times[lo - 1];
+  return at - before <= after - at ? before : after;
+}
+
+/**
+ * `t` seconds into the composition, moved onto the grid when it's within
+ * the tolerance of a beat (or bar); unchanged without `sync`.
+ */
+export function snapToBeat(t: number, sync?: BeatSync): number {
+  if (!sync) {
+    return t;
+  }
+  const { grid, snap, tolerance, trimBefore } = sync;
+  const at = t + trimBefore;
+  const snapped = getNearestBeat(grid, snap, at) - trimBefore;
+  return Math.abs(snapped - t) <= tolerance && snapped >= 0 ? snapped : t;
+}
+
+/**
+ * Start of cycle `index` of a `period`-second loop whose moment `anchor`
+ * seconds into each cycle is snapped to the grid.
+ */
+export function getCycleStart(
+  index: number,
+  period: number,
+  sync?: BeatSync,
+  anchor = 0,
+): number {
+  return snapToBeat(index * period + anchor, sync) - anchor;
+}
+
+/**
+ * The cycle `t` falls in and seconds into it, with cycle starts as
+ * `getCycleStart()`. Time before the first start counts as cycle 0 (with a
+ * negative time).
+ */
+export function getBeatCycle(
+  t: number,
+  period: number,
+  sync?: BeatSync,
+  anchor = 0,
+): { index: number; time: number } {
+  const start = (index: number) => getCycleStart(index, period, sync, anchor);
+  let index = Math.max(0, Math.floor(t / period));
+  // Snapping moves a start by at most the tolerance, so this is a step or two
+  while (index > 0 && start(index) > t) {
+    index--;
+  }
+  while (start(index + 1) <= t) {
+    index++;
+  }
+  return { index, time: t - start(index) };
+}
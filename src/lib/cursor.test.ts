@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { CursorScript, getCursorState } from "./cursor";
+
+const script = (travel: number): CursorScript => ({
+  from: { x: 0, y: 0 },
+  steps: [{ at: 1, to: { x: 100, y: 50 }, travel, drag: true }],
+});
+
+const points = [
+  { x: 0, y: 0 },
+  { x: 100, y: 50 },
+];
+
+describe("getCursorState drags", () => {
+  it("holds the button down for the whole travel", () => {
+    expect(getCursorState(script(0.5), points, 0.75).scale).toBeCloseTo(0.85);
+    expect(getCursorState(script(0.5), points, 2).scale).toBe(1);
+  });
+
+  it("presses and releases on the spot with no travel", () => {
+    const at = (t: number) => getCursorState(script(0), points, t);
+    expect(at(0.5).scale).toBe(1);
+    expect(at(1).scale).toBeCloseTo(0.85);
+    expect(at(1)).toMatchObject({ x: 100, y: 50 });
+    expect(at(1.5).scale).toBe(1);
+  });
+});
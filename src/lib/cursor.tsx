@@ -0,0 +1,315 @@
+import React, { useLayoutEffect, useRef, useState } from "react";
+import { Easing, interpolate, spring } from "remotion";
+
+/**
+ * Scripted mouse pointer for UI demos. A script lists where the cursor goes
+ * and when it gets there; the cursor travels between targets on a gentle arc
+ * with a little overshoot, presses and releases on clicks (with a ripple),
+ * holds the button down through drags, and swaps the arrow for a hand while
+ * it hovers something clickable.
+ *
+ * Targets are points in design pixels or refs to elements on screen, which
+ * are measured every frame so the cursor follows them as they animate.
+ * Everything is a function of time, so `getCursorClicks()` lets the rest of
+ * the scene react to a click on the same frame the cursor presses.
+ */
+
+export type CursorPoint = { x: number; y: number };
+
+export type CursorTarget = CursorPoint | React.RefObject<HTMLElement | null>;
+
+export type CursorStep = {
+  // Seconds at which the cursor arrives
+  at: number;
+  to: CursorTarget;
+  // Seconds spent getting here from the previous target
+  travel?: number;
+  // How far the path bows out, as a fraction of its length (negative bows
+  // the other way)
+  curve?: number;
+  // Press and release once arrived
+  click?: boolean;
+  // Hold the button down on the way here (drag-select, drag-and-drop)
+  drag?: boolean;
+  // Hand instead of arrow while resting here; defaults to `click`
+  hover?: boolean;
+};
+
+export type CursorScript = {
+  // Where the cursor comes from before the first step
+  from: CursorTarget;
+  steps: CursorStep[];
+  // Seconds at which the cursor fades in; defaults to its first departure
+  showAt?: number;
+  // Seconds at which the cursor fades out
+  hideAt?: number;
+};
+
+export type CursorRipple = CursorPoint & {
+  // 0 at the press, 1 when the ripple has faded out
+  progress: number;
+};
+
+export type CursorState = CursorPoint & {
+  opacity: number;
+  // Press scale, 1 at rest
+  scale: number;
+  hand: boolean;
+  ripples: CursorRipple[];
+};
+
+const DEFAULT_TRAVEL = 0.6;
+const DEFAULT_CURVE = 0.15;
+// Cursor settles on the target before pressing
+const CLICK_SETTLE = 0.15;
+const PRESS = 0.1;
+const RELEASE = 0.2;
+const PRESSED_SCALE = 0.85;
+const RIPPLE = 0.5;
+const FADE = 0.2;
+// Fixed rate for the travel spring; only its shape matters
+const SPRING_FPS = 60;
+
+const clamp = {
+  extrapolateLeft: "clamp",
+  extrapolateRight: "clamp",
+} as const;
+
+const departureOf = (step: CursorStep) =>
+  step.at - (step.travel ?? DEFAULT_TRAVEL);
+
+/** Seconds at which each click in the script presses down. */
+export function getCursorClicks(script: CursorScript): number[] {
+  return script.steps
+    .filter((step) => step.click)
+    .map((step) => step.at + CLICK_SETTLE);
+}
+
+// Point along the quadratic arc from `a` to `b`; u past 1 overshoots
+const alongArc = (
+  a: CursorPoint,
+  b: CursorPoint,
+  curve: number,
+  u: number,
+): CursorPoint => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const c = {
+    x: (a.x + b.x) / 2 - dy * curve,
+    y: (a.y + b.y) / 2 + dx * curve,
+  };
+  const v = 1 - u;
+  return {
+    x: v * v * a.x + 2 * v * u * c.x + u * u * b.x,
+    y: v * v * a.y + 2 * v * u * c.y + u * u * b.y,
+  };
+};
+
+/**
+ * Cursor at `t` seconds. `points` are the script's targets already
+ * resolved to design pixels: `from` first, then one per step.
+ */
+export function getCursorState(
+  script: CursorScript,
+  points: CursorPoint[],
+  t: number,
+): CursorState {
+  const { steps } = script;
+  let position = points[0];
+  let hand = false;
+  let scale = 1;
+  const ripples: CursorRipple[] = [];
+
+  steps.forEach((step, i) => {
+    const departure = departureOf(step);
+    const next = steps[i + 1];
+    const leaves = next ? departureOf(next) : Infinity;
+    const from = points[i];
+    const to = points[i + 1];
+
+    if (t >= departure && t < leaves) {
+      const travel = step.at - departure;
+      const u =
+        travel > 0
+          ? spring({
+              frame: (t - departure) * SPRING_FPS,
+              fps: SPRING_FPS,
+              durationInFrames: travel * SPRING_FPS,
+              config: { damping: 11, mass: 0.6 },
+            })
+          : 1;
+      position = alongArc(from, to, step.curve ?? DEFAULT_CURVE, u);
+      const hover = step.hover ?? step.click ?? false;
+      hand = hover && t >= step.at - travel * 0.25;
+    }
+
+    if (step.drag) {
+      // A drag with no travel presses and releases on the spot
+      const held = step.at > departure;
+      scale *= interpolate(
+        t,
+        held
+          ? [departure - PRESS, departure, step.at, step.at + RELEASE]
+          : [step.at - PRESS, step.at, step.at + RELEASE],
+        held ? [1, PRESSED_SCALE, PRESSED_SCALE, 1] : [1, PRESSED_SCALE, 1],
+        clamp,
+      );
+    }
+    if (step.click) {
+      const press = step.at + CLICK_SETTLE;
+      scale *= interpolate(
+        t,
+        [press, press + PRESS, press + PRESS + RELEASE],
+        [1, PRESSED_SCALE, 1],
+        { ...clamp, easing: Easing.out(Easing.cubic) },
+      );
+      if (t >= press && t < press + RIPPLE) {
+        ripples.push({ ...to, progress: (t - press) / RIPPLE });
+      }
+    }
+  });
+
+  const showAt =
+    script.showAt ?? (steps.length > 0 ? departureOf(steps[0]) : 0);
+  const { hideAt } = script;
+  const opacity =
+    interpolate(t, [showAt, showAt + FADE], [0, 1], clamp) *
+    (hideAt === undefined
+      ? 1
+      : interpolate(t, [hideAt, hideAt + FADE], [1, 0], clamp));
+
+  return { ...position, opacity, scale, hand, ripples };
+}
+
+// ─── Drawing ───
+
+export type CursorLook = {
+  // Arrow height in design pixels; the hand is drawn to match
+  size?: number;
+  fill?: string;
+  stroke?: string;
+  rippleColor?: string;
+  zIndex?: number;
+};
+
+// Tip at (0, 0)
+const ARROW_PATH =
+  "M 0,0 L 0,22 L 5.5,17.5 L 9.5,26 L 13,24.5 L 9,16 L 15.5,15.5 Z";
+// Fingertip at (12, 2)
+const HAND_PATH =
+  "M12 2c.6 0 1 .4 1 1v12h2V5c0-.6.4-1 1-1s1 .4 1 1v10h2V7c0-.6.4-1 1-1s1 .4 1 1v8h2V9c0-.6.4-1 1-1s1 .4 1 1v13c0 5-3 8-8 8-4.5 0-7-2.5-9-6l-3-5c-.3-.5-.2-1.1.3-1.4.5-.3 1.1-.1 1.4.3l2.3 3.6V3c0-.6.4-1 1-1z";
+
+const isPoint = (target: CursorTarget): target is CursorPoint => "x" in target;
+
+const targetsOf = (script: CursorScript): CursorTarget[] => [
+  script.from,
+  ...script.steps.map((step) => step.to),
+];
+
+/**
+ * Draws a script at time `t`. Place it inside the scene's LayoutCanvas (or
+ * any full-size, positioned container) so points share the scene's design
+ * pixels; element targets are measured relative to that container.
+ */
+export const Cursor: React.FC<
+  CursorLook & { script: CursorScript; t: number }
+> = ({
+  script,
+  t,
+  size = 30,
+  fill = "white",
+  stroke = "rgba(0,0,0,0.55)",
+  rippleColor = "rgba(255,255,255,0.6)",
+  zIndex = 20,
+}) => {
+  const container = useRef<HTMLDivElement>(null);
+  const [measured, setMeasured] = useState<(CursorPoint | null)[]>([]);
+
+  // Element targets move with the scene, so measure them on every frame
+  useLayoutEffect(() => {
+    const box = container.current;
+    if (!box) {
+      return;
+    }
+    const origin = box.getBoundingClientRect();
+    // LayoutCanvas scales its content; undo it to get design pixels
+    const unscale = origin.width > 0 ? box.offsetWidth / origin.width : 1;
+    const next = targetsOf(script).map((target) => {
+      if (isPoint(target) || !target.current) {
+        return null;
+      }
+      const rect = target.current.getBoundingClientRect();
+      return {
+        x: (rect.left + rect.width / 2 - origin.left) * unscale,
+        y: (rect.top + rect.height / 2 - origin.top) * unscale,
+      };
+    });
+    const changed = next.some(
+      (p, i) => p?.x !== measured[i]?.x || p?.y !== measured[i]?.y,
+    );
+    if (changed) {
+      setMeasured(next);
+    }
+  }, [script, t, measured]);
+
+  const points = targetsOf(script).map((target, i) =>
+    isPoint(target) ? target : (measured[i] ?? null),
+  );
+  const resolved = points.every((p): p is CursorPoint => p !== null);
+  const state = resolved ? getCursorState(script, points, t) : null;
+  const k = size / 26;
+
+  return (
+    <div
+      ref={container}
+      style={{ position: "absolute", inset: 0, pointerEvents: "none", zIndex }}
+    >
+      {state && state.opacity > 0 && (
+        <>
+          {state.ripples.map((ripple, i) => (
+            <div
+              key={i}
+              style={{
+                position: "absolute",
+                left: ripple.x,
+                top: ripple.y,
+                width: size * 2,
+                height: size * 2,
+                marginLeft: -size,
+                marginTop: -size,
+                borderRadius: "50%",
+                border: `2px solid ${rippleColor}`,
+                transform: `scale(${0.3 + ripple.progress * 0.9})`,
+                opacity: (1 - ripple.progress) * state.opacity,
+              }}
+            />
+          ))}
+          <svg
+            width={32 * k}
+            height={32 * k}
+            viewBox="0 0 32 32"
+            style={{
+              position: "absolute",
+              left: state.x,
+              top: state.y,
+              overflow: "visible",
+              opacity: state.opacity,
+              // Hotspot on the point: arrow tip, or hand fingertip
+              transform: `translate(${state.hand ? -12 * k : 0}px, ${state.hand ? -2 * k : 0}px) scale(${state.scale})`,
+              transformOrigin: state.hand ? `${12 * k}px ${2 * k}px` : "0 0",
+              filter: "drop-shadow(0 1px 2px rgba(0,0,0,0.3))",
+            }}
+          >
+            <path
+              d={state.hand ? HAND_PATH : ARROW_PATH}
+              fill={fill}
+              stroke={stroke}
+              strokeWidth={1}
+              strokeLinejoin="round"
+            />
+          </svg>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,73 @@
+import { CalculateMetadataFunction } from "remotion";
+
+/**
+ * Content-derived composition lengths. Each effect exports a
+ * `get…Duration(props)` that returns seconds; the registry and the combined
+ * sequences convert through here so a phase and the total always agree.
+ */
+
+// Seconds; async when the length comes from a media file
+export type DurationGetter<P> = (props: P) => number | Promise<number>;
+
+// Whole frames at `fps`
+export type FrameCounter<P> = (
+  props: P,
+  fps: number,
+) => number | Promise<number>;
+
+export function secondsToFrames(seconds: number, fps: number): number {
+  // Round away float noise first (16.8 * 30 = 504.00000000000006)
+  const frames = Math.round(seconds * fps * 1000) / 1000;
+  return Math.max(1, Math.ceil(frames));
+}
+
+/** Frames for an effect that reports its length in seconds. */
+export function framesFromSeconds<P>(
+  getDuration: DurationGetter<P>,
+): FrameCounter<P> {
+  return async (props, fps) => secondsToFrames(await getDuration(props), fps);
+}
+
+/**
+ * Frames for a Series: each phase is rounded to whole frames the same way
+ * the sequences inside it are, then summed.
+ */
+export function framesFromPhases<P>(
+  getPhases: (props: P) => number[],
+): FrameCounter<P> {
+  return (props, fps) =>
+    getPhases(props).reduce(
+      (sum, seconds) => sum + secondsToFrames(seconds, fps),
+      0,
+    );
+}
+
+/** calculateMetadata that sizes a composition to its props. */
+export function durationFromFrames<P extends Record<string, unknown>>(
+  getFrames: FrameCounter<P>,
+  fps: number,
+): CalculateMetadataFunction<P> {
+  return async ({ props }) => ({
+    durationInFrames: await getFrames(props, fps),
+  });
+}
+
+// Where a named phase starts, in frames from the start of the effect
+export type PhaseMarker = { name: string; from: number };
+
+export type PhaseLister<P> = (props: P, fps: number) => PhaseMarker[];
+
+/** Phase markers for a Series, from its phase lengths in playback order. */
+export function markersFromPhases<P>(
+  names: string[],
+  getPhases: (props: P) => number[],
+): PhaseLister<P> {
+  return (props, fps) => {
+    let from = 0;
+    return getPhases(props).map((seconds, i) => {
+      const marker = { name: names[i], from };
+      from += secondsToFrames(seconds, fps);
+      return marker;
+    });
+  };
+}
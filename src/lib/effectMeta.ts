@@ -0,0 +1,27 @@
+import { DesignSize } from "./layout";
+
+/**
+ * What the registry knows about an effect besides its code. Each effect
+ * module exports one next to its schema and default props; Root.tsx files
+ * compositions by `category`, and the JS distribution writes the rest into
+ * each file's header.
+ */
+
+// Studio folder names, in display order
+export const EFFECT_CATEGORIES = [
+  "Effects",
+  "SaaS",
+  "Kinetic",
+  "Sequences",
+] as const;
+
+export type EffectCategory = (typeof EFFECT_CATEGORIES)[number];
+
+export type EffectMeta = {
+  title: string;
+  category: EffectCategory;
+  // Size the effect is designed at; the other formats are registered too
+  resolution: DesignSize;
+  // Design brief the effect was built from, relative to src/
+  spec: string;
+};
@@ -0,0 +1,177 @@
+import { useEffect, useState } from "react";
+import {
+  cancelRender,
+  continueRender,
+  delayRender,
+  staticFile,
+} from "remotion";
+
+/**
+ * Bundled fonts. Every typeface an effect uses is loaded from `public/fonts`
+ * rather than trusted to the render machine, so text measures the same on a
+ * Mac in the Studio and on a Linux render box.
+ *
+ * Effects ask for a family with `fontFamily("SF Pro Display")`, which only
+ * accepts listed families and starts loading that family the first time
+ * it's asked for; rendering is held until it's in. A family whose file is
+ * missing or fails to load cancels the render with the file's path, never
+ * falling back to another font. That includes families that can't be
+ * redistributed (SF Pro Display), whose files someone with a licence copies
+ * in. Code that measures text or draws it to a canvas must also wait for
+ * `useFontsReady()`; DOM text reflows on its own.
+ */
+
+type FontFaceFile = {
+  // Path inside public/
+  file: string;
+  weight: number;
+  style?: "normal" | "italic";
+};
+
+type FontFamilyFiles = {
+  faces: FontFaceFile[];
+};
+
+export const FONT_FACES = {
+  // Licensed separately and left out of the repo (see .gitignore)
+  "SF Pro Display": {
+    faces: [
+      { file: "fonts/SF-Pro-Display-Thin.otf", weight: 200 },
+      { file: "fonts/SF-Pro-Display-Light.otf", weight: 300 },
+      { file: "fonts/SF-Pro-Display-Regular.otf", weight: 400 },
+      { file: "fonts/SF-Pro-Display-Medium.otf", weight: 500 },
+      { file: "fonts/SF-Pro-Display-Semibold.otf", weight: 600 },
+      {
+        file: "fonts/SF-Pro-Display-SemiboldItalic.otf",
+        weight: 600,
+        style: "italic",
+      },
+      { file: "fonts/SF-Pro-Display-Bold.otf", weight: 700 },
+      { file: "fonts/SF-Pro-Display-Heavy.otf", weight: 800 },
+      { file: "fonts/SF-Pro-Display-Black.otf", weight: 900 },
+      {
+        file: "fonts/SF-Pro-Display-BlackItalic.otf",
+        weight: 900,
+        style: "italic",
+      },
+    ],
+  },
+  // SIL Open Font License (public/fonts/GoogleSans-OFL.txt)
+  "Google Sans": {
+    faces: [
+      { file: "fonts/GoogleSans-Regular.woff2", weight: 400 },
+      { file: "fonts/GoogleSans-Medium.woff2", weight: 500 },
+      { file: "fonts/GoogleSans-SemiBold.woff2", weight: 600 },
+      { file: "fonts/GoogleSans-Bold.woff2", weight: 700 },
+    ],
+  },
+  // SIL Open Font License (public/fonts/Inter-OFL.txt)
+  Inter: {
+    faces: [
+      { file: "fonts/Inter-ExtraLight.woff2", weight: 200 },
+      { file: "fonts/Inter-Light.woff2", weight: 300 },
+      { file: "fonts/Inter-Regular.woff2", weight: 400 },
+      { file: "fonts/Inter-Medium.woff2", weight: 500 },
+      { file: "fonts/Inter-SemiBold.woff2", weight: 600 },
+      {
+        file: "fonts/Inter-SemiBoldItalic.woff2",
+        weight: 600,
+        style: "italic",
+      },
+      { file: "fonts/Inter-Bold.woff2", weight: 700 },
+      { file: "fonts/Inter-ExtraBold.woff2", weight: 800 },
+      { file: "fonts/Inter-Black.woff2", weight: 900 },
+      {
+        file: "fonts/Inter-BlackItalic.woff2",
+        weight: 900,
+        style: "italic",
+      },
+    ],
+  },
+} satisfies Record<string, FontFamilyFiles>;
+
+export type FontFamily = keyof typeof FONT_FACES;
+
+const isFontFamily = (family: string): family is FontFamily =>
+  Object.prototype.hasOwnProperty.call(FONT_FACES, family);
+
+const loadFace = (family: string, face: FontFaceFile): Promise<void> => {
+  const style = face.style ?? "normal";
+  const font = new FontFace(family, `url('${staticFile(face.file)}')`, {
+    weight: String(face.weight),
+    style,
+  });
+  return font.load().then(
+    (loaded) => {
+      document.fonts.add(loaded);
+    },
+    () => {
+      throw new Error(
+        `Font "${family}" ${face.weight} ${style} could not be loaded from public/${face.file}`,
+      );
+    },
+  );
+};
+
+// One load per requested family, started by `fontFamily()`
+const families = new Map<FontFamily, Promise<void>>();
+
+const loadFamily = (family: FontFamily): Promise<void> => {
+  const existing = families.get(family);
+  if (existing) {
+    return existing;
+  }
+  const { faces } = FONT_FACES[family] as FontFamilyFiles;
+  const handle = delayRender(`Loading font "${family}"`);
+  const loading = Promise.all(faces.map((face) => loadFace(family, face)))
+    .catch((err: Error) => {
+      cancelRender(err);
+      throw err;
+    })
+    .then(() => continueRender(handle));
+  families.set(family, loading);
+  return loading;
+};
+
+/**
+ * CSS / canvas font-family for a listed family; never a fallback or system
+ * font. Starts loading the family in the browser.
+ */
+export function fontFamily(family: FontFamily): string {
+  if (!isFontFamily(family)) {
+    throw new Error(
+      `Font family "${family}" is not bundled; add its files to FONT_FACES in src/lib/fonts.ts`,
+    );
+  }
+  // Module-level calls also run in Node (build:jsx, tests), with no fonts
+  if (typeof document !== "undefined") {
+    // A failed load has already cancelled the render
+    loadFamily(family).catch(() => undefined);
+  }
+  return `'${family}'`;
+}
+
+// Every family requested so far, loaded
+const allRequested = () => Promise.all(families.values()).then(() => {});
+
+/**
+ * False until every requested family is loaded. Gate text measurement and
+ * canvas drawing on it so nothing is laid out against a fallback font.
+ */
+export function useFontsReady(): boolean {
+  const [ready, setReady] = useState(false);
+  const [handle] = useState(() => delayRender("Waiting for bundled fonts"));
+
+  useEffect(() => {
+    // A failed load has already cancelled the render
+    allRequested().then(
+      () => {
+        setReady(true);
+        continueRender(handle);
+      },
+      () => undefined,
+    );
+  }, [handle]);
+
+  return ready;
+}
@@ -0,0 +1,50 @@
+import React from "react";
+import { Folder } from "remotion";
+import { DesignSize } from "./layout";
+
+/**
+ * Publishing formats. Every effect is registered once per format: the one
+ * matching its authored size keeps the plain id, the rest get the format as
+ * a suffix (`PillExpand-9x16`). Effects reflow through `useLayout()` rather
+ * than being cropped, so no per-format code lives here.
+ */
+export const FORMATS = [
+  { id: "16x9", width: 1280, height: 720 },
+  { id: "9x16", width: 1080, height: 1920 },
+  { id: "1x1", width: 1080, height: 1080 },
+  { id: "4x5", width: 1080, height: 1350 },
+] as const;
+
+export type FormatId = (typeof FORMATS)[number]["id"];
+
+const sameAspect = (a: DesignSize, b: DesignSize) =>
+  a.width * b.height === a.height * b.width;
+
+export type FormatVariant = DesignSize & { id: string };
+
+/**
+ * Renders one composition per format: `children` gets the id and size to
+ * register, everything else (component, schema, props) is shared.
+ */
+export const FormatVariants: React.FC<
+  FormatVariant & { children: (variant: FormatVariant) => React.ReactNode }
+> = ({ id, width, height, children }) => {
+  const variants = FORMATS.filter(
+    (format) => !sameAspect(format, { width, height }),
+  );
+
+  return (
+    <Folder name={id}>
+      {children({ id, width, height })}
+      {variants.map((format) => (
+        <React.Fragment key={format.id}>
+          {children({
+            id: `${id}-${format.id}`,
+            width: format.width,
+            height: format.height,
+          })}
+        </React.Fragment>
+      ))}
+    </Folder>
+  );
+};
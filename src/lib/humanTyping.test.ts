@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { pillExpandDefaultProps, pillExpandSchema } from "../PillExpand";
+import {
+  getTypingState,
+  simulateTyping,
+  TypingStep,
+  UNIFORM_TYPING,
+} from "./humanTyping";
+
+const steps: TypingStep[] = [
+  { type: "type", text: "Make it pop" },
+  { type: "pause", seconds: 0.5 },
+  { type: "backspace", count: 3 },
+  { type: "type", text: "shine" },
+  { type: "clear" },
+  { type: "type", text: "Done" },
+];
+
+describe("typing steps", () => {
+  it("are accepted as a composition's typed text", () => {
+    const parsed = pillExpandSchema.safeParse({
+      ...pillExpandDefaultProps,
+      text: steps,
+    });
+    expect(parsed.success).toBe(true);
+  });
+
+  it("backspace, select all and delete on their way to the final text", () => {
+    const simulation = simulateTyping(steps, {
+      ...UNIFORM_TYPING,
+      speed: 0.1,
+    });
+    const texts = simulation.events.map((event) => event.text);
+    expect(texts).toContain("Make it shine");
+    expect(simulation.events.some((event) => event.selected)).toBe(true);
+    expect(texts).toContain("");
+    expect(getTypingState(simulation, simulation.endsAt)).toEqual({
+      text: "Done",
+      selected: false,
+      done: true,
+    });
+  });
+});
@@ -0,0 +1,279 @@
+import React from "react";
+import { random } from "remotion";
+import { z } from "zod";
+import { cuesAt, SoundCue } from "./audio";
+import {
+  Caret,
+  CaretStyle,
+  splitGraphemes,
+  withLineBreaks,
+} from "./typewriter";
+
+/**
+ * Typing that looks like a person at a keyboard. A script of steps (type,
+ * pause, backspace, select-all + delete) is played into a list of timed
+ * events: keys come in bursts inside a word, hesitate at word and sentence
+ * boundaries, and now and then hit a neighbouring key, notice, backspace and
+ * retype. Everything is drawn from `random(seed)`, so the same props give
+ * the same performance in every frame and on every render machine.
+ *
+ * With `UNIFORM_TYPING` the events land exactly `speed` apart, the same
+ * cadence as <Typewriter>.
+ */
+
+export const humanTypingSchema = z.object({
+  // Changes the performance without changing its character
+  seed: z.string(),
+  // 0 types on a metronome; 1 is loose, bursty typing
+  variance: z.number().min(0).max(1),
+  // Extra hesitation before a new word, in keystrokes
+  wordPause: z.number().min(0),
+  // Chance that a letter is mistyped, then corrected
+  typoRate: z.number().min(0).max(1),
+});
+
+export type HumanTyping = z.infer<typeof humanTypingSchema>;
+
+export const HUMAN_TYPING: HumanTyping = {
+  seed: "typing",
+  variance: 0.5,
+  wordPause: 1.5,
+  typoRate: 0.04,
+};
+
+export const UNIFORM_TYPING: HumanTyping = {
+  seed: "typing",
+  variance: 0,
+  wordPause: 0,
+  typoRate: 0,
+};
+
+export const typingStepSchema = z.discriminatedUnion("type", [
+  z.object({ type: z.literal("type"), text: z.string() }),
+  z.object({ type: z.literal("pause"), seconds: z.number().min(0) }),
+  z.object({ type: z.literal("backspace"), count: z.number().int().min(1) }),
+  // Select all, then delete
+  z.object({ type: z.literal("clear") }),
+]);
+
+export type TypingStep = z.infer<typeof typingStepSchema>;
+
+// A plain string types that string
+export const typingScriptSchema = z.union([
+  z.string(),
+  z.array(typingStepSchema),
+]);
+
+export type TypingScript = z.infer<typeof typingScriptSchema>;
+
+export type TypingEvent = {
+  // Seconds
+  at: number;
+  // Full field contents after this event
+  text: string;
+  // Whole field highlighted (select-all before a delete)
+  selected: boolean;
+};
+
+export type TypingSimulation = {
+  events: TypingEvent[];
+  // Seconds at which the last event lands
+  endsAt: number;
+};
+
+export type TypingState = {
+  text: string;
+  selected: boolean;
+  done: boolean;
+};
+
+// Keys a finger can slip onto, by QWERTY row
+const KEY_ROWS = ["qwertyuiop", "asdfghjkl", "zxcvbnm"];
+
+const neighbourKey = (char: string, r: number): string | null => {
+  const lower = char.toLowerCase();
+  const row = KEY_ROWS.find((keys) => keys.indexOf(lower) !== -1);
+  if (!row) {
+    return null;
+  }
+  const i = row.indexOf(lower);
+  const options = [row[i - 1], row[i + 1]].filter(Boolean);
+  const slip = options[Math.floor(r * options.length)];
+  return char === lower ? slip : slip.toUpperCase();
+};
+
+const LETTER = /^\p{L}$/u;
+const SENTENCE_END = /^[.!?]$/;
+const CLAUSE_END = /^[,;:]$/;
+// Backspacing is quicker than typing
+const BACKSPACE_RATE = 0.6;
+// How long a select-all stays highlighted before the delete
+const SELECTION_HOLD = 0.35;
+
+/** Play a typing script into timed events, starting at `start` seconds. */
+export function simulateTyping(
+  script: TypingScript,
+  {
+    start = 0,
+    speed,
+    seed,
+    variance,
+    wordPause,
+    typoRate,
+  }: HumanTyping & { start?: number; speed: number },
+): TypingSimulation {
+  const steps: TypingStep[] =
+    typeof script === "string" ? [{ type: "type", text: script }] : script;
+  const events: TypingEvent[] = [];
+  const field: string[] = [];
+  let at = start;
+  let n = 0;
+  const rand = () => random(`${seed}-${n++}`);
+
+  const emit = (selected = false) => {
+    events.push({ at, text: field.join(""), selected });
+  };
+  // Interval before a keystroke, jittered around `speed`
+  const beat = (scale = 1) => speed * scale * (1 + variance * (rand() - 0.5));
+  const backspace = () => {
+    at += beat(BACKSPACE_RATE);
+    field.pop();
+    emit();
+  };
+
+  steps.forEach((step) => {
+    if (step.type === "pause") {
+      at += step.seconds;
+      return;
+    }
+    if (step.type === "backspace") {
+      for (let i = 0; i < step.count && field.length > 0; i++) {
+        backspace();
+      }
+      return;
+    }
+    if (step.type === "clear") {
+      at += beat(2);
+      emit(true);
+      at += SELECTION_HOLD;
+      field.length = 0;
+      emit();
+      return;
+    }
+
+    const keys = splitGraphemes(step.text);
+    // Keystrokes into the current word; typists speed up mid-word
+    let inWord = 0;
+    keys.forEach((key, i) => {
+      // Slips are fixed before moving on, so the field is the text so far
+      const prev = field[field.length - 1];
+      const newWord = prev === " " || prev === "\n";
+      let pause = 0;
+      if (newWord) {
+        pause = wordPause * (0.5 + rand());
+        const before = field[field.length - 2];
+        if (before && SENTENCE_END.test(before)) {
+          pause *= 2.5;
+        } else if (before && CLAUSE_END.test(before)) {
+          pause *= 1.6;
+        }
+        inWord = 0;
+      }
+      const burst = 1 - (variance * 0.3 * Math.min(inWord, 3)) / 3;
+      at += beat(burst) + speed * pause;
+
+      // A slip, sometimes a key or two before it is noticed
+      const slip =
+        inWord > 0 && LETTER.test(key) && rand() < typoRate
+          ? neighbourKey(key, rand())
+          : null;
+      if (slip) {
+        field.push(slip);
+        emit();
+        let overrun = 0;
+        while (
+          overrun < 2 &&
+          rand() < 0.4 &&
+          i + overrun + 1 < keys.length &&
+          LETTER.test(keys[i + overrun + 1])
+        ) {
+          overrun++;
+          at += beat(burst);
+          field.push(keys[i + overrun]);
+          emit();
+        }
+        // Reaction time, then erase back to the slip
+        at += speed * (2 + 3 * rand());
+        for (let k = 0; k <= overrun; k++) {
+          backspace();
+        }
+        at += beat();
+      }
+
+      field.push(key);
+      emit();
+      inWord++;
+    });
+  });
+
+  return { events, endsAt: events.length > 0 ? at : start };
+}
+
+/** Field contents at `t` seconds. */
+export function getTypingState(
+  { events, endsAt }: TypingSimulation,
+  t: number,
+): TypingState {
+  // Last event at or before t
+  let lo = 0;
+  let hi = events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (events[mid].at <= t) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  const current = lo > 0 ? events[lo - 1] : null;
+  return {
+    text: current ? current.text : "",
+    selected: current ? current.selected : false,
+    done: t >= endsAt,
+  };
+}
+
+/** A keystroke sound on every event: keys, slips, backspaces, select-all. */
+export const getTypingCues = ({ events }: TypingSimulation): SoundCue[] =>
+  cuesAt(
+    "keystroke",
+    events.map((event) => event.at),
+  );
+
+/**
+ * A simulated typing performance at time `t`, with the same caret options
+ * as <Typewriter>. A select-all is highlighted in `selectionColor`.
+ */
+export const HumanTypewriter: React.FC<{
+  simulation: TypingSimulation;
+  t: number;
+  caret?: CaretStyle;
+  selectionColor?: string;
+  style?: React.CSSProperties;
+}> = ({
+  simulation,
+  t,
+  caret,
+  selectionColor = "rgba(66, 133, 244, 0.3)",
+  style,
+}) => {
+  const { text, selected, done } = getTypingState(simulation, t);
+  return (
+    <span style={style}>
+      <span style={{ backgroundColor: selected ? selectionColor : undefined }}>
+        {withLineBreaks(text)}
+      </span>
+      {caret && !selected && <Caret caret={caret} t={t} done={done} />}
+    </span>
+  );
+};
@@ -0,0 +1,159 @@
+import { spring } from "remotion";
+import { describe, expect, it } from "vitest";
+import { createTrack, EasingPreset, EasingSpec } from "./keyframes";
+
+// x from 0 at frame 0 to 100 at frame 10 with the given easing
+const ramp = (easing: EasingSpec) =>
+  createTrack(
+    [
+      { frame: 0, x: 0 },
+      { frame: 10, x: 100 },
+    ],
+    { easing },
+  );
+
+// Samples of `track` at every tenth of a frame up to `to`
+const samples = (track: (frame: number) => { x: number }, to: number) =>
+  Array.from({ length: to * 10 + 1 }, (_, i) => track(i / 10).x);
+
+describe("createTrack", () => {
+  it("interpolates every animated property", () => {
+    const track = createTrack(
+      [
+        { frame: 0, x: 0, y: 10 },
+        { frame: 10, x: 100, y: 20 },
+      ],
+      { easing: "linear" },
+    );
+    expect(track(5)).toEqual({ x: 50, y: 15 });
+  });
+
+  it("throws when a later keyframe adds a property the first lacks", () => {
+    const keyframes: { frame: number; x: number; y?: number }[] = [
+      { frame: 0, x: 0 },
+      { frame: 10, x: 100, y: 20 },
+    ];
+    expect(() => createTrack(keyframes)).toThrow(
+      'Keyframe 0 (frame 0) has no "y"',
+    );
+  });
+
+  it("throws when a later keyframe drops a property", () => {
+    const keyframes: { frame: number; x: number; y?: number }[] = [
+      { frame: 0, x: 0, y: 10 },
+      { frame: 10, x: 100 },
+    ];
+    expect(() => createTrack(keyframes)).toThrow(
+      'Keyframe 1 (frame 10) has no "y"',
+    );
+  });
+
+  it("holds a keyframe's values for its hold, then eases on", () => {
+    const track = createTrack(
+      [
+        { frame: 0, x: 0, hold: 5 },
+        { frame: 15, x: 100 },
+      ],
+      { easing: "linear" },
+    );
+    expect(track(0).x).toBe(0);
+    expect(track(5).x).toBe(0);
+    expect(track(10).x).toBe(50);
+    expect(track(15).x).toBe(100);
+  });
+
+  it("jumps at the end of a hold-eased segment", () => {
+    const track = ramp({ type: "hold" });
+    expect(track(0).x).toBe(0);
+    expect(track(9.9).x).toBe(0);
+    expect(track(10).x).toBe(100);
+  });
+
+  it.each<[EasingPreset, number, number]>([
+    ["linear", 25, 50],
+    ["easeInQuad", 6.25, 25],
+    ["easeOutQuad", 43.75, 75],
+    ["easeInOutQuad", 12.5, 50],
+    ["easeInCubic", 1.5625, 12.5],
+    ["easeOutCubic", 57.8125, 87.5],
+    ["easeInOutCubic", 6.25, 50],
+    ["easeInOutSine", 14.6447, 50],
+    ["easeOutExpo", 82.3223, 96.875],
+    ["easeOutBack", 81.7188, 108.75],
+  ])("eases %s through the segment", (easing, quarter, half) => {
+    const track = ramp(easing);
+    expect(track(0).x).toBe(0);
+    expect(track(2.5).x).toBeCloseTo(quarter, 3);
+    expect(track(5).x).toBeCloseTo(half, 3);
+    expect(track(10).x).toBe(100);
+  });
+
+  it("eases along a cubic bezier", () => {
+    const straight = ramp({
+      type: "bezier",
+      x1: 0.25,
+      y1: 0.25,
+      x2: 0.75,
+      y2: 0.75,
+    });
+    expect(straight(2.5).x).toBeCloseTo(25, 3);
+    expect(straight(5).x).toBeCloseTo(50, 3);
+
+    const track = ramp({ type: "bezier", x1: 0.42, y1: 0, x2: 0.58, y2: 1 });
+    expect(track(0).x).toBe(0);
+    expect(track(2.5).x).toBeLessThan(25);
+    expect(track(5).x).toBeCloseTo(50, 3);
+    expect(track(7.5).x).toBeGreaterThan(75);
+    expect(track(10).x).toBe(100);
+  });
+
+  it("stretches a spring over the segment", () => {
+    const track = ramp({ type: "spring" });
+    expect(track(0).x).toBe(0);
+    expect(track(5).x).toBeCloseTo(
+      100 * spring({ frame: 60, fps: 120, config: {}, durationInFrames: 120 }),
+      6,
+    );
+    expect(track(10).x).toBe(100);
+
+    const bouncy = samples(ramp({ type: "spring", damping: 5 }), 10);
+    expect(Math.max(...bouncy)).toBeGreaterThan(100);
+    const clamped = samples(
+      ramp({ type: "spring", damping: 5, overshootClamping: true }),
+      10,
+    );
+    expect(Math.max(...clamped)).toBeLessThanOrEqual(100);
+  });
+
+  it("keeps velocity through interior keyframes with Catmull-Rom", () => {
+    const track = createTrack(
+      [
+        { frame: 0, x: 0 },
+        { frame: 10, x: 50 },
+        { frame: 20, x: 100 },
+      ],
+      { smoothing: "catmullRom" },
+    );
+    expect(track(0).x).toBe(0);
+    expect(track(5).x).toBeCloseTo(18.75, 6);
+    expect(track(10).x).toBe(50);
+    expect(track(15).x).toBeCloseTo(81.25, 6);
+    expect(track(20).x).toBe(100);
+    // Same speed, 5 per frame, either side of the middle keyframe
+    expect((track(10).x - track(9.99).x) / 0.01).toBeCloseTo(5, 2);
+    expect((track(10.01).x - track(10).x) / 0.01).toBeCloseTo(5, 2);
+  });
+
+  it("doesn't overshoot a peak with Catmull-Rom", () => {
+    const track = createTrack(
+      [
+        { frame: 0, x: 0 },
+        { frame: 10, x: 100 },
+        { frame: 20, x: 0 },
+      ],
+      { smoothing: "catmullRom" },
+    );
+    expect(track(10).x).toBe(100);
+    expect(Math.max(...samples(track, 20))).toBe(100);
+  });
+});
@@ -0,0 +1,278 @@
+import { Easing, spring, SpringConfig } from "remotion";
+
+/**
+ * Keyframe tracks shared by every camera / scroll / orbit animation.
+ *
+ * A track is a list of keyframes, each carrying a `frame` plus any number of
+ * numeric properties (x, y, scale, rotation, …). Sampling a track finds the
+ * segment the frame falls in and blends every property with that segment's
+ * easing. Optional Catmull-Rom smoothing keeps velocity continuous through
+ * interior keyframes so long camera paths don't stop-start at every key.
+ */
+
+// ─── Easing ───
+
+export const EASING_PRESETS = [
+  "linear",
+  "easeInQuad",
+  "easeOutQuad",
+  "easeInOutQuad",
+  "easeInCubic",
+  "easeOutCubic",
+  "easeInOutCubic",
+  "easeInOutSine",
+  "easeOutExpo",
+  "easeOutBack",
+] as const;
+
+export type EasingPreset = (typeof EASING_PRESETS)[number];
+
+export type EasingSpec =
+  | EasingPreset
+  // CSS-style cubic-bezier(x1, y1, x2, y2)
+  | { type: "bezier"; x1: number; y1: number; x2: number; y2: number }
+  // Spring stretched to fill the segment (may overshoot)
+  | ({ type: "spring" } & Partial<SpringConfig>)
+  // Jump to the next keyframe's value at the end of the segment
+  | { type: "hold" };
+
+export function easeInOutCubic(t: number): number {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+const PRESETS: Record<EasingPreset, (t: number) => number> = {
+  linear: (t) => t,
+  easeInQuad: Easing.in(Easing.quad),
+  easeOutQuad: Easing.out(Easing.quad),
+  easeInOutQuad: Easing.inOut(Easing.quad),
+  easeInCubic: Easing.in(Easing.cubic),
+  easeOutCubic: Easing.out(Easing.cubic),
+  easeInOutCubic,
+  easeInOutSine: Easing.inOut(Easing.sin),
+  easeOutExpo: Easing.out(Easing.exp),
+  easeOutBack: Easing.out(Easing.back(1.7)),
+};
+
+// Resolution of the virtual timeline a spring segment is evaluated on
+const SPRING_STEPS = 120;
+
+/** Resolve an easing spec to a function mapping 0→1 progress. */
+export function resolveEasing(spec: EasingSpec): (t: number) => number {
+  if (typeof spec === "string") {
+    return PRESETS[spec];
+  }
+  switch (spec.type) {
+    case "bezier":
+      return Easing.bezier(spec.x1, spec.y1, spec.x2, spec.y2);
+    case "hold":
+      return (t) => (t >= 1 ? 1 : 0);
+    case "spring": {
+      // Only pass fields that are set — undefined would override defaults
+      const config: Partial<SpringConfig> = {};
+      if (spec.damping !== undefined) config.damping = spec.damping;
+      if (spec.stiffness !== undefined) config.stiffness = spec.stiffness;
+      if (spec.mass !== undefined) config.mass = spec.mass;
+      if (spec.overshootClamping !== undefined) {
+        config.overshootClamping = spec.overshootClamping;
+      }
+      return (t) =>
+        t >= 1
+          ? 1
+          : spring({
+              frame: t * SPRING_STEPS,
+              fps: SPRING_STEPS,
+              config,
+              durationInFrames: SPRING_STEPS,
+            });
+    }
+    default:
+      return PRESETS.linear;
+  }
+}
+
+// ─── Keyframes ───
+
+export interface KeyframeTiming {
+  frame: number;
+  // Easing of the segment leaving this keyframe (overrides the track default)
+  easing?: EasingSpec;
+  // Frames to stay on this keyframe's values before heading to the next one
+  hold?: number;
+}
+
+export type Keyframe<K extends string> = KeyframeTiming & Record<K, number>;
+
+export type TrackSmoothing = "none" | "catmullRom";
+
+export interface TrackOptions {
+  // Default segment easing. Defaults to easeInOutCubic, or linear when
+  // smoothing is on (the spline already eases in and out of the path ends).
+  easing?: EasingSpec;
+  smoothing?: TrackSmoothing;
+}
+
+// The animated (non-timing) properties of a keyframe type
+export type TrackValues<T extends KeyframeTiming> = {
+  [P in Exclude<keyof T, keyof KeyframeTiming>]: number;
+};
+
+export type Track<T extends KeyframeTiming> = (frame: number) => TrackValues<T>;
+
+type Values = Record<string, number>;
+
+const TIMING_KEYS = ["frame", "easing", "hold"];
+
+interface Segment {
+  from: number;
+  to: number;
+  ease: (t: number) => number;
+}
+
+/**
+ * Build a sampler for a keyframe track. Keyframes must be sorted by frame.
+ * Frames before the first / after the last keyframe clamp to its values.
+ */
+export function createTrack<T extends KeyframeTiming>(
+  keyframes: T[],
+  options: TrackOptions = {},
+): Track<T> {
+  if (keyframes.length === 0) {
+    throw new Error("createTrack() needs at least one keyframe");
+  }
+
+  const smoothing = options.smoothing ?? "none";
+  const defaultEasing = resolveEasing(
+    options.easing ??
+      (smoothing === "catmullRom" ? "linear" : "easeInOutCubic"),
+  );
+  // Every property any keyframe animates, which each keyframe must then set
+  const keys: string[] = [];
+  keyframes.forEach((kf) => {
+    Object.keys(kf).forEach((k) => {
+      if (TIMING_KEYS.indexOf(k) === -1 && keys.indexOf(k) === -1) {
+        keys.push(k);
+      }
+    });
+  });
+  keyframes.forEach((kf, i) => {
+    keys.forEach((k) => {
+      if (typeof (kf as unknown as Values)[k] !== "number") {
+        throw new Error(
+          `Keyframe ${i} (frame ${kf.frame}) has no "${k}"; every keyframe needs each property the track animates`,
+        );
+      }
+    });
+  });
+
+  // Expand holds into flat segments so the sampler only sees plain points
+  const frames: number[] = [];
+  const values: Values[] = [];
+  const eases: ((t: number) => number)[] = [];
+  keyframes.forEach((kf, i) => {
+    const prev = frames[frames.length - 1];
+    if (prev !== undefined && kf.frame < prev) {
+      throw new Error(
+        `Keyframe ${i} (frame ${kf.frame}) comes before frame ${prev}; keyframes must be sorted`,
+      );
+    }
+    const value: Values = {};
+    keys.forEach((k) => {
+      value[k] = (kf as unknown as Values)[k];
+    });
+    const ease = kf.easing ? resolveEasing(kf.easing) : defaultEasing;
+    if (kf.hold && kf.hold > 0) {
+      frames.push(kf.frame);
+      values.push(value);
+      eases.push(PRESETS.linear);
+      frames.push(kf.frame + kf.hold);
+    } else {
+      frames.push(kf.frame);
+    }
+    values.push(value);
+    eases.push(ease);
+  });
+
+  const last = frames.length - 1;
+  const segments: Segment[] = [];
+  for (let i = 0; i < last; i++) {
+    segments.push({ from: frames[i], to: frames[i + 1], ease: eases[i] });
+  }
+
+  // Per-point tangents (value change per frame) for Hermite interpolation
+  const tangents = values.map((_, i) => {
+    const m: Values = {};
+    keys.forEach((k) => {
+      m[k] = smoothing === "catmullRom" ? tangentAt(frames, values, i, k) : 0;
+    });
+    return m;
+  });
+
+  const sample = (frame: number): Values => {
+    if (frame <= frames[0]) return { ...values[0] };
+    if (frame >= frames[last]) return { ...values[last] };
+
+    let i = 0;
+    while (i < last - 1 && frames[i + 1] <= frame) i++;
+
+    const seg = segments[i];
+    const span = seg.to - seg.from;
+    const t = seg.ease(span > 0 ? (frame - seg.from) / span : 1);
+    const a = values[i];
+    const b = values[i + 1];
+
+    const out: Values = {};
+    keys.forEach((k) => {
+      out[k] =
+        smoothing === "catmullRom"
+          ? hermite(
+              a[k],
+              b[k],
+              tangents[i][k] * span,
+              tangents[i + 1][k] * span,
+              t,
+            )
+          : a[k] + (b[k] - a[k]) * t;
+    });
+    return out;
+  };
+
+  return sample as unknown as Track<T>;
+}
+
+/** One-off sample of a keyframe list without keeping the sampler around. */
+export function sampleTrack<T extends KeyframeTiming>(
+  keyframes: T[],
+  frame: number,
+  options?: TrackOptions,
+): TrackValues<T> {
+  return createTrack(keyframes, options)(frame);
+}
+
+// ─── Catmull-Rom ───
+
+// Non-uniform Catmull-Rom tangent, zeroed at local extrema and next to flat
+// (held) segments so the path never overshoots a keyframe.
+function tangentAt(
+  frames: number[],
+  values: Values[],
+  i: number,
+  k: string,
+): number {
+  if (i === 0 || i === values.length - 1) return 0;
+  const before = values[i][k] - values[i - 1][k];
+  const after = values[i + 1][k] - values[i][k];
+  if (before === 0 || after === 0 || before > 0 !== after > 0) return 0;
+  const span = frames[i + 1] - frames[i - 1];
+  return span > 0 ? (values[i + 1][k] - values[i - 1][k]) / span : 0;
+}
+
+function hermite(p0: number, p1: number, m0: number, m1: number, t: number) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return (
+    (2 * t3 - 3 * t2 + 1) * p0 +
+    (t3 - 2 * t2 + t) * m0 +
+    (-2 * t3 + 3 * t2) * p1 +
+    (t3 - t2) * m1
+  );
+}
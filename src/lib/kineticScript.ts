@@ -0,0 +1,245 @@
+import { useMemo } from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { EASING_PRESETS } from "./keyframes";
+import { SoundCue, soundtrackSchema } from "./audio";
+import { getSpokenStarts, splitWords, voiceoverSchema } from "./voiceover";
+import {
+  getAnimationFrames,
+  getEntranceCues,
+  resolveSplit,
+  SPLIT_UNITS,
+  splitText,
+  STAGGER_ORDERS,
+  WORD_ANIMATIONS,
+} from "./wordAnimations";
+
+/**
+ * Script format shared by the 2D camera-pan typography compositions
+ * (KineticTypography, SuccessQuote). A script is plain JSON, so a new quote
+ * is a new set of input props rather than a new composition file.
+ */
+
+// Each word has its own entrance animation, timing, position, color, and size
+export const animationTypeSchema = z.enum(WORD_ANIMATIONS);
+
+export type AnimationType = z.infer<typeof animationTypeSchema>;
+
+// Animates a word's letters, words or lines one after another
+export const textSplitSchema = z.object({
+  by: z.enum(SPLIT_UNITS),
+  order: z.enum(STAGGER_ORDERS),
+  // Seconds between one stagger step and the next
+  stagger: z.number().min(0),
+  // Fixes the `random` order
+  seed: z.number().int().optional(),
+});
+
+export const wordConfigSchema = z.object({
+  text: z.string(),
+  // World-space position (before camera transform)
+  x: z.number(),
+  y: z.number(),
+  fontSize: z.number().positive(),
+  color: zColor(),
+  animation: animationTypeSchema,
+  // Frame at which this word starts appearing
+  enterFrame: z.number().int().min(0),
+  // Frame at which it starts leaving; words without one stay
+  exitFrame: z.number().int().min(0).optional(),
+  // The entrance played backwards when left out
+  exitAnimation: animationTypeSchema.optional(),
+  // Play the animation per unit; letter presets split by letter without it
+  split: textSplitSchema.optional(),
+  // Optional rotation in degrees
+  rotation: z.number().optional(),
+  fontWeight: z.number().int().min(100).max(900).optional(),
+  // For arrowReveal — show an arrow/chevron
+  showArrow: z.boolean().optional(),
+});
+
+export type WordConfig = z.infer<typeof wordConfigSchema>;
+
+// Camera keyframes — the camera zooms and pans through the text over time
+export const cameraKeyframeSchema = z.object({
+  frame: z.number().min(0),
+  x: z.number(),
+  y: z.number(),
+  scale: z.number().positive(),
+  easing: z.enum(EASING_PRESETS).optional(),
+  hold: z.number().min(0).optional(),
+});
+
+export type CameraKeyframe = z.infer<typeof cameraKeyframeSchema>;
+
+export const kineticScriptSchema = z.object({
+  // Frame rate `enterFrame` and camera `frame` values are counted in. The
+  // script plays at the same real-time speed whatever the render fps.
+  fps: z.number().positive(),
+  backgroundColor: zColor(),
+  words: z.array(wordConfigSchema),
+  camera: z
+    .array(cameraKeyframeSchema)
+    .min(1)
+    .refine(
+      (kfs) => kfs.every((kf, i) => i === 0 || kf.frame >= kfs[i - 1].frame),
+      { message: "Camera keyframes must be sorted by frame" },
+    ),
+  // Word entrances pop or whoosh by their animation; silent when left out
+  soundtrack: soundtrackSchema.optional(),
+  // Retimes the words to a recording, each entering as it's spoken
+  voiceover: voiceoverSchema.optional(),
+});
+
+export type KineticScript = z.infer<typeof kineticScriptSchema>;
+
+// Units `word` animates in with `animation`
+const countUnits = (word: WordConfig, animation: AnimationType): number => {
+  const split = resolveSplit(animation, { split: word.split });
+  return split ? splitText(word.text, split.by).length : 1;
+};
+
+// Script frame a word has settled at, or is gone by if it leaves
+const getWordEnd = (word: WordConfig, fps: number): number => {
+  const exiting = word.exitFrame !== undefined;
+  const animation = exiting
+    ? (word.exitAnimation ?? word.animation)
+    : word.animation;
+  const units = countUnits(word, animation);
+  const start = word.exitFrame ?? word.enterFrame;
+  const options = { split: word.split };
+  return start + getAnimationFrames(animation, units, fps, options);
+};
+
+/**
+ * `script` with each word entering as its voiceover speaks it (its first
+ * word, for a phrase). Camera keyframes and exits move with the entrances
+ * around them, and the last keyframe holds until the recording ends.
+ * Scripts without a voiceover come back as they are.
+ */
+export function applyVoiceover(script: KineticScript): KineticScript {
+  const { voiceover, ...rest } = script;
+  if (!voiceover) {
+    return script;
+  }
+  return { ...rest, ...timeToVoiceover(voiceover, rest) };
+}
+
+/**
+ * `applyVoiceover()` for a component: just the timed words and camera
+ * keyframes, worked out again only when the voiceover or what it times
+ * changes rather than every frame.
+ */
+export function useVoiceoverTiming({
+  voiceover,
+  fps,
+  words,
+  camera,
+}: KineticScript): VoicedTiming {
+  return useMemo(
+    () =>
+      voiceover
+        ? timeToVoiceover(voiceover, { fps, words, camera })
+        : { words, camera },
+    [voiceover, fps, words, camera],
+  );
+}
+
+type VoicedTiming = Pick<KineticScript, "words" | "camera">;
+
+const timeToVoiceover = (
+  voiceover: NonNullable<KineticScript["voiceover"]>,
+  { fps, words, camera }: Pick<KineticScript, "fps"> & VoicedTiming,
+): VoicedTiming => {
+  // Words in the order they enter, matched against the transcript as one
+  // run of text
+  const order = words
+    .map((_, i) => i)
+    .sort((a, b) => words[a].enterFrame - words[b].enterFrame);
+  const runs = order.map((i) => splitWords(words[i].text));
+  const starts = getSpokenStarts(
+    runs.reduce<string[]>((all, run) => all.concat(run), []),
+    voiceover.words,
+  );
+  const entered = new Map<number, number>();
+  let next = 0;
+  order.forEach((i, k) => {
+    // Punctuation-only words enter with the word after them
+    const start = starts[Math.min(next, starts.length - 1)] ?? 0;
+    entered.set(i, Math.max(0, Math.round((start - voiceover.lead) * fps)));
+    next += runs[k].length;
+  });
+
+  // Old frame → new, linear between entrances and never backwards; one
+  // anchor per old frame, the latest entrance at it
+  const anchors: { from: number; to: number }[] = [{ from: 0, to: 0 }];
+  order.forEach((i) => {
+    const from = words[i].enterFrame;
+    const to = Math.max(entered.get(i) ?? 0, anchors[anchors.length - 1].to);
+    if (from === anchors[anchors.length - 1].from) {
+      anchors[anchors.length - 1].to = to;
+    } else {
+      anchors.push({ from, to });
+    }
+  });
+  const warp = (frame: number) => {
+    const after = anchors.findIndex((a) => a.from > frame);
+    if (after === -1) {
+      const last = anchors[anchors.length - 1];
+      return Math.round(frame - last.from + last.to);
+    }
+    const a = anchors[after - 1];
+    const b = anchors[after];
+    return Math.round(
+      a.to + ((frame - a.from) * (b.to - a.to)) / (b.from - a.from),
+    );
+  };
+
+  const end = Math.round(voiceover.duration * fps);
+  const moved = camera.map((kf) => ({ ...kf, frame: warp(kf.frame) }));
+  const last = moved[moved.length - 1];
+  moved[moved.length - 1] = { ...last, hold: Math.max(0, end - last.frame) };
+  return {
+    words: words.map((word, i) => {
+      const enterFrame = entered.get(i) ?? word.enterFrame;
+      return word.exitFrame === undefined
+        ? { ...word, enterFrame }
+        : {
+            ...word,
+            enterFrame,
+            exitFrame: Math.max(enterFrame, warp(word.exitFrame)),
+          };
+    }),
+    camera: moved,
+  };
+};
+
+/**
+ * Each word's entrance sounds, in seconds from the start of the script.
+ * Takes the words as timed, so a voiceover has already been applied.
+ */
+export function getScriptCues({
+  fps,
+  words,
+}: Pick<KineticScript, "fps" | "words">): SoundCue[] {
+  return words.flatMap((word) =>
+    getEntranceCues(word.animation, countUnits(word, word.animation), {
+      split: word.split,
+    }).map((cue) => ({ ...cue, at: word.enterFrame / fps + cue.at })),
+  );
+}
+
+/**
+ * A script ends on its last camera keyframe (including its hold), or once
+ * the last word has settled or left if that comes later. Returns seconds.
+ */
+export function getScriptDuration(script: KineticScript): number {
+  const { fps, words, camera } = applyVoiceover(script);
+  const lastKf = camera[camera.length - 1];
+  const cameraEnd = lastKf.frame + (lastKf.hold ?? 0);
+  const wordsEnd = words.reduce(
+    (end, w) => Math.max(end, getWordEnd(w, fps)),
+    0,
+  );
+  return Math.max(cameraEnd, wordsEnd) / fps;
+}
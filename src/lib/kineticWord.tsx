@@ -0,0 +1,145 @@
+import React from "react";
+import { WordConfig } from "./kineticScript";
+import { fontFamily } from "./fonts";
+import {
+  getEntrancePose,
+  getExitPose,
+  getSplitPoses,
+  poseStyle,
+  resolveSplit,
+  splitText,
+  WordAnimationOptions,
+} from "./wordAnimations";
+
+const FONT = fontFamily("SF Pro Display");
+
+// SuccessQuote's entrances travel and grow less than KineticTypography's,
+// so words never leave its square viewport. The presets it has always had
+// keep the start poses its camera was tuned for; newer ones play scaled down
+export const SUCCESS_QUOTE_ANIMATION: WordAnimationOptions = {
+  intensity: 0.6,
+  starts: {
+    popFromBottom: { translateY: 50, scale: 0.8, blur: 8 },
+    arrowReveal: { translateX: 20, translateY: 50, scale: 0.6, blur: 6 },
+    zoomBlast: { translateY: 25, scale: 1.5, blur: 12 },
+    slideFromRight: { translateX: 100, scale: 0.85, blur: 10 },
+    slideFromLeft: { translateX: -100, scale: 0.85, blur: 10 },
+    dropIn: { translateY: -60, scale: 1.15, blur: 8 },
+    spinIn: { translateY: 50, scale: 0.3, rotation: 180, blur: 12 },
+    scaleFromCenter: { scale: 0, blur: 15 },
+  },
+};
+
+// Arrow/chevron SVG for the "arrowReveal" animation
+const ArrowChevron: React.FC<{ color: string; opacity: number }> = ({
+  color,
+  opacity,
+}) => (
+  <svg
+    width="40"
+    height="40"
+    viewBox="0 0 40 40"
+    style={{ opacity, marginTop: 4 }}
+  >
+    <polyline
+      points="8,28 20,12 32,28"
+      fill="none"
+      stroke={color}
+      strokeWidth="5"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+    />
+  </svg>
+);
+
+/**
+ * One word of a kinetic script, centred on its world position and posed by
+ * its entrance (or exit) at script frame `frame`.
+ */
+export const KineticWord: React.FC<{
+  word: WordConfig;
+  // Script frame, at the script's `fps`
+  frame: number;
+  fps: number;
+  options?: WordAnimationOptions;
+}> = ({ word, frame, fps, options }) => {
+  const leaving = word.exitFrame !== undefined && frame >= word.exitFrame;
+  const animation = leaving
+    ? (word.exitAnimation ?? word.animation)
+    : word.animation;
+  const local = frame - (leaving ? (word.exitFrame ?? 0) : word.enterFrame);
+  const animate = { ...options, split: word.split };
+  const split = resolveSplit(animation, animate);
+  const units = split ? splitText(word.text, split.by) : [word.text];
+  const pose = leaving
+    ? getExitPose(animation, local, fps, units.length, animate)
+    : getEntrancePose(animation, local, fps, animate);
+
+  if (pose.opacity <= 0) return null;
+
+  const unitPoses = split
+    ? getSplitPoses(animation, local, fps, units.length, {
+        ...animate,
+        exit: leaving,
+      })
+    : null;
+
+  const text = (
+    <span
+      style={{
+        display: "inline-block",
+        fontFamily: FONT,
+        fontSize: word.fontSize,
+        fontWeight: word.fontWeight ?? 800,
+        color: word.color,
+        letterSpacing: "-0.02em",
+        whiteSpace: "nowrap",
+        textAlign: "center",
+        lineHeight: 1,
+      }}
+    >
+      {unitPoses
+        ? units.map((unit, i) => (
+            <span
+              key={i}
+              style={{
+                // Lines stack; letters and words stay on theirs
+                display: split?.by === "line" ? "block" : "inline-block",
+                whiteSpace: "pre",
+                ...poseStyle(unitPoses[i]),
+              }}
+            >
+              {unit}
+            </span>
+          ))
+        : word.text}
+    </span>
+  );
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: word.x,
+        top: word.y,
+        ...poseStyle(pose, "translate(-50%, -50%)", word.rotation ?? 0),
+        willChange: "transform, filter, opacity",
+      }}
+    >
+      {word.showArrow ? (
+        <div
+          style={{
+            display: "flex",
+            flexDirection: "column",
+            alignItems: "center",
+          }}
+        >
+          {text}
+          <ArrowChevron color={word.color} opacity={pose.opacity} />
+        </div>
+      ) : (
+        text
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,129 @@
+import React, { createContext, useContext } from "react";
+import { AbsoluteFill, useVideoConfig } from "remotion";
+
+/**
+ * Layout units shared by every DOM-based effect.
+ *
+ * Effects are authored in design px against a reference canvas (1280×720 for
+ * most of them). <LayoutCanvas> scales that canvas to the real composition
+ * size, so the same numbers render at 3840×2160 without re-authoring and the
+ * browser rasterizes text and SVG at the output resolution.
+ *
+ * The design canvas is the area an effect needs to keep in view. It is
+ * fitted, not stretched: at another aspect ratio the layout space grows
+ * along the longer axis (a 9:16 render of a 1280×720 design is 1280 design
+ * px wide and ~2276 tall). Effects position things from
+ * `useLayout().width/height` rather than hard-coded centers so they stay
+ * centered in whatever space they get; content placed at fixed design
+ * coordinates shifts by `offsetX/offsetY`.
+ *
+ * Effects that reflow (fewer columns, narrower cards) declare
+ * COMPACT_DESIGN instead: still 1280×720 at 16:9, but 720 wide in portrait
+ * and square, so they keep their landscape type size and rearrange.
+ */
+
+export type DesignSize = { width: number; height: number };
+
+export const LANDSCAPE_DESIGN: DesignSize = { width: 1280, height: 720 };
+export const SQUARE_DESIGN: DesignSize = { width: 1080, height: 1080 };
+export const PORTRAIT_DESIGN: DesignSize = { width: 1080, height: 1920 };
+export const COMPACT_DESIGN: DesignSize = { width: 720, height: 720 };
+
+export type Layout = {
+  /** Layout space in design px. */
+  width: number;
+  height: number;
+  /** Output px per design px. */
+  scale: number;
+  /** Where the design canvas's origin sits, centered in layout space. */
+  offsetX: number;
+  offsetY: number;
+  /** Narrower than landscape (square, 4:5, 9:16): time to reflow. */
+  narrow: boolean;
+};
+
+export function getLayout(video: DesignSize, design: DesignSize): Layout {
+  const scale = Math.min(
+    video.width / design.width,
+    video.height / design.height,
+  );
+  const width = video.width / scale;
+  const height = video.height / scale;
+  return {
+    width,
+    height,
+    scale,
+    offsetX: (width - design.width) / 2,
+    offsetY: (height - design.height) / 2,
+    narrow: width < height * 1.5,
+  };
+}
+
+/**
+ * The 3D counterpart of fitting a design: widens a vertical field of view
+ * authored for `design`'s aspect so a narrower video still shows everything
+ * the design did left to right. Wider videos keep the authored fov.
+ */
+export function fitFov(
+  fov: number,
+  video: DesignSize,
+  design: DesignSize,
+): number {
+  const aspect = video.width / video.height;
+  const designAspect = design.width / design.height;
+  if (aspect >= designAspect) {
+    return fov;
+  }
+  const halfWidth = Math.tan((fov * Math.PI) / 360) * designAspect;
+  return (Math.atan(halfWidth / aspect) * 360) / Math.PI;
+}
+
+const LayoutContext = createContext<Layout | null>(null);
+
+/**
+ * Layout space of the enclosing <LayoutCanvas>. Outside one (i.e. in the
+ * component that renders the canvas) pass the same design size it uses.
+ */
+export function useLayout(design: DesignSize = LANDSCAPE_DESIGN): Layout {
+  const outer = useContext(LayoutContext);
+  const { width, height } = useVideoConfig();
+  return outer ?? getLayout({ width, height }, design);
+}
+
+/**
+ * Drop-in for an effect's root <AbsoluteFill>: children are laid out in
+ * design px and scaled up to the composition size. A canvas nested inside
+ * another one (an effect inside a combined sequence) reuses the outer scale.
+ */
+export const LayoutCanvas: React.FC<{
+  design?: DesignSize;
+  style?: React.CSSProperties;
+  children?: React.ReactNode;
+}> = ({ design, style, children }) => {
+  const nested = useContext(LayoutContext) !== null;
+  const layout = useLayout(design);
+  const scale = nested ? 1 : layout.scale;
+
+  return (
+    <AbsoluteFill>
+      <div
+        style={{
+          position: "absolute",
+          left: 0,
+          top: 0,
+          width: layout.width,
+          height: layout.height,
+          display: "flex",
+          flexDirection: "column",
+          transform: `scale(${scale})`,
+          transformOrigin: "0 0",
+          ...style,
+        }}
+      >
+        <LayoutContext.Provider value={layout}>
+          {children}
+        </LayoutContext.Provider>
+      </div>
+    </AbsoluteFill>
+  );
+};
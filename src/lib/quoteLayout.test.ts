@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { quoteInputSchema } from "./quoteLayout";
+import { SILENT_SOUNDTRACK } from "./audio";
+
+const input = {
+  quote: "",
+  color: "#FFFF00",
+  accentColor: "#FFFF00",
+  backgroundColor: "#0A0A0A",
+  soundtrack: SILENT_SOUNDTRACK,
+};
+
+describe("quoteInputSchema", () => {
+  it("refuses an empty quote without a voiceover to take it from", () => {
+    expect(() => quoteInputSchema.parse({ ...input, quote: "  " })).toThrow(
+      "A generated quote needs a quote, or a voiceover to take it from",
+    );
+  });
+
+  it("takes an empty quote from the voiceover's transcript", () => {
+    const voiceover = {
+      words: [{ word: "Success", start: 0, end: 0.4 }],
+      duration: 1,
+      lead: 0.1,
+    };
+    expect(quoteInputSchema.safeParse({ ...input, voiceover }).success).toBe(
+      true,
+    );
+  });
+});
@@ -0,0 +1,354 @@
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { measureText } from "@remotion/layout-utils";
+import {
+  AnimationType,
+  CameraKeyframe,
+  KineticScript,
+  WordConfig,
+} from "./kineticScript";
+import { fontFamily } from "./fonts";
+import { soundtrackSchema } from "./audio";
+import {
+  alignWords,
+  getSpokenStarts,
+  getTranscriptText,
+  splitWords,
+  VoiceoverConfig,
+  voiceoverSchema,
+} from "./voiceover";
+import { AUTHORING_FPS } from "./timing";
+import { getAnimationExtent } from "./wordAnimations";
+import { SUCCESS_QUOTE_ANIMATION } from "./kineticWord";
+
+/**
+ * Turns a plain quote with emphasis markers into a SuccessQuote-style script:
+ * a vertical stack of words in world space plus camera keyframes that visit
+ * each word, then pull back to frame the whole quote.
+ *
+ * Markup:
+ *   plain words   → small phrases, split at punctuation, "|" or newlines
+ *   *emphasis*    → one large word/phrase, slides in
+ *   **strong**    → one huge word/phrase, zoom blast (spin on the last one)
+ *
+ *   "**SUCCESS** doesn't look like *BALANCE.*"
+ *
+ * With a voiceover, each chunk enters as its first word is spoken and the
+ * quote lasts as long as the recording. Its emphasis can come from the
+ * loudest words instead of the markup, and an empty quote is the
+ * recording's transcript.
+ */
+
+export const quoteInputSchema = z
+  .object({
+    // Left empty with a voiceover, the transcript
+    quote: z.string(),
+    color: zColor(),
+    accentColor: zColor(),
+    backgroundColor: zColor(),
+    // Word entrances pop or whoosh by their animation
+    soundtrack: soundtrackSchema,
+    voiceover: voiceoverSchema.optional(),
+  })
+  .refine(
+    ({ quote, voiceover }) => quote.trim() !== "" || voiceover !== undefined,
+    {
+      message:
+        "A generated quote needs a quote, or a voiceover to take it from",
+      path: ["quote"],
+    },
+  );
+
+export type QuoteInput = z.infer<typeof quoteInputSchema>;
+
+export type EmphasisLevel = 0 | 1 | 2;
+
+export interface QuoteChunk {
+  text: string;
+  level: EmphasisLevel;
+  animation: AnimationType;
+  enterFrame: number;
+}
+
+// ─── Style per emphasis level (sizes at a 1080px-wide viewport) ───
+
+const REFERENCE_WIDTH = 1080;
+
+const LEVEL_STYLE: Record<
+  EmphasisLevel,
+  { fontSize: number; fontWeight: number; cameraScale: number }
+> = {
+  0: { fontSize: 38, fontWeight: 600, cameraScale: 2.0 },
+  1: { fontSize: 72, fontWeight: 900, cameraScale: 1.3 },
+  2: { fontSize: 110, fontWeight: 900, cameraScale: 1.5 },
+};
+
+export const QUOTE_FONT_FAMILY = fontFamily("SF Pro Display");
+
+// Fraction of the viewport a focused word may occupy
+const FILL = 0.85;
+// Never zoom out further than this just to fit a word — shrink it instead
+const MIN_CAMERA_SCALE = 1.0;
+// Vertical gap between stacked chunks, in reference pixels
+const LINE_GAP = 40;
+const MAX_PHRASE_WORDS = 4;
+
+// ─── Timing (frames at AUTHORING_FPS) ───
+
+const BASE_FRAMES = 6;
+const FRAMES_PER_WORD = 4;
+const EMPHASIS_FRAMES = 8;
+const FINAL_HOLD = 35;
+const ZOOM_OUT = 50;
+const END_HOLD = 40;
+
+// ─── Parsing ───
+
+function pickAnimation(
+  level: EmphasisLevel,
+  emphasisIndex: number,
+  isLast: boolean,
+): AnimationType {
+  if (level === 2) return isLast ? "spinIn" : "zoomBlast";
+  if (level === 1) {
+    return emphasisIndex % 2 === 0 ? "slideFromRight" : "slideFromLeft";
+  }
+  return "popFromBottom";
+}
+
+function splitPlain(text: string): string[] {
+  const phrases: string[] = [];
+  text.split(/\n|\|/).forEach((part) => {
+    let current: string[] = [];
+    part
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((word) => {
+        current.push(word);
+        if (/[,.;:!?]$/.test(word) || current.length >= MAX_PHRASE_WORDS) {
+          phrases.push(current.join(" "));
+          current = [];
+        }
+      });
+    if (current.length > 0) phrases.push(current.join(" "));
+  });
+  return phrases;
+}
+
+// `quote` with its markup replaced by emphasis on the words the voiceover
+// says loudest
+function markByLoudness(
+  quote: string,
+  { words, emphasis }: VoiceoverConfig,
+): string {
+  const [loud, louder] = emphasis?.loudness ?? [Infinity, Infinity];
+  const tokens = quote.replace(/\*/g, "").split(/(\s+)/);
+  const spoken = alignWords(
+    tokens.filter((token) => splitWords(token).length > 0),
+    words,
+  );
+  let next = 0;
+  return tokens
+    .map((token) => {
+      if (splitWords(token).length === 0) return token;
+      const loudness = spoken[next++]?.loudness ?? -Infinity;
+      if (loudness >= louder) return `**${token}**`;
+      return loudness >= loud ? `*${token}*` : token;
+    })
+    .join("");
+}
+
+// Chunks entering as the voiceover speaks their first word
+function timeToVoiceover(
+  chunks: QuoteChunk[],
+  voiceover: VoiceoverConfig,
+): QuoteChunk[] {
+  const runs = chunks.map((chunk) => splitWords(chunk.text));
+  const starts = getSpokenStarts(
+    runs.reduce<string[]>((all, run) => all.concat(run), []),
+    voiceover.words,
+  );
+  let next = 0;
+  let frame = 0;
+  return chunks.map((chunk, i) => {
+    const start = starts[Math.min(next, starts.length - 1)] ?? 0;
+    next += runs[i].length;
+    // Camera keyframes follow the chunks, so they can't go backwards
+    frame = Math.max(
+      frame,
+      Math.round((start - voiceover.lead) * AUTHORING_FPS),
+    );
+    return { ...chunk, enterFrame: frame };
+  });
+}
+
+/**
+ * Split marked-up quote text into timed chunks, timed to the voiceover when
+ * there is one. Needs no DOM.
+ */
+export function parseQuote(
+  quote: string,
+  voiceover?: VoiceoverConfig,
+): QuoteChunk[] {
+  let text = quote;
+  if (voiceover) {
+    text = quote.trim() === "" ? getTranscriptText(voiceover) : quote;
+    if (voiceover.emphasis?.by === "loudness") {
+      text = markByLoudness(text, voiceover);
+    }
+  }
+  const raw: { text: string; level: EmphasisLevel }[] = [];
+  const re = /\*\*(.+?)\*\*|\*(.+?)\*|([^*]+)/g;
+  let match: RegExpExecArray | null;
+  while ((match = re.exec(text)) !== null) {
+    if (match[1]) raw.push({ text: match[1].trim(), level: 2 });
+    else if (match[2]) raw.push({ text: match[2].trim(), level: 1 });
+    else {
+      splitPlain(match[3]).forEach((text) => raw.push({ text, level: 0 }));
+    }
+  }
+
+  const chunks: QuoteChunk[] = [];
+  let frame = 0;
+  let emphasisIndex = 0;
+  raw
+    .filter((c) => c.text.length > 0)
+    .forEach((c, i, all) => {
+      const animation = pickAnimation(
+        c.level,
+        emphasisIndex,
+        i === all.length - 1,
+      );
+      if (c.level === 1) emphasisIndex++;
+      chunks.push({ ...c, animation, enterFrame: frame });
+      frame +=
+        BASE_FRAMES +
+        FRAMES_PER_WORD * c.text.split(/\s+/).length +
+        (c.level === 2 ? EMPHASIS_FRAMES : 0);
+    });
+  return voiceover ? timeToVoiceover(chunks, voiceover) : chunks;
+}
+
+// Frame the final pull-back holds until: END_HOLD after it, or the end of
+// the voiceover if that comes later
+function getQuoteEnd(chunks: QuoteChunk[], voiceover?: VoiceoverConfig) {
+  const lastEnter = chunks.length ? chunks[chunks.length - 1].enterFrame : 0;
+  const zoomedOut = lastEnter + FINAL_HOLD + ZOOM_OUT;
+  return voiceover
+    ? Math.max(zoomedOut, Math.round(voiceover.duration * AUTHORING_FPS))
+    : zoomedOut + END_HOLD;
+}
+
+/** Length of a generated quote in seconds, including the final zoom-out. */
+export function getQuoteDuration(
+  quote: string,
+  voiceover?: VoiceoverConfig,
+): number {
+  return getQuoteEnd(parseQuote(quote, voiceover), voiceover) / AUTHORING_FPS;
+}
+
+// ─── Layout ───
+
+/**
+ * Build a full script for a viewport. Measures text in the DOM, so call it
+ * while rendering (or from calculateMetadata), not in Node.
+ */
+export function generateQuoteScript(
+  input: Omit<QuoteInput, "soundtrack">,
+  viewport: { width: number; height: number },
+): KineticScript {
+  const unit = viewport.width / REFERENCE_WIDTH;
+  const chunks = parseQuote(input.quote, input.voiceover);
+  if (chunks.length === 0) {
+    throw new Error(
+      "A generated quote needs a quote, or a voiceover to take it from",
+    );
+  }
+  const centerX = viewport.width / 2;
+
+  const words: WordConfig[] = [];
+  const camera: CameraKeyframe[] = [];
+  let y = 0;
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let prevHalfHeight = 0;
+
+  chunks.forEach((chunk, i) => {
+    const style = LEVEL_STYLE[chunk.level];
+    const extent = getAnimationExtent(chunk.animation, SUCCESS_QUOTE_ANIMATION);
+    let fontSize = style.fontSize * unit;
+    const measured = measureText({
+      text: chunk.text,
+      fontFamily: QUOTE_FONT_FAMILY,
+      fontSize,
+      fontWeight: style.fontWeight,
+      letterSpacing: "-0.02em",
+      // Throw rather than lay out against a fallback font
+      validateFontIsLoaded: true,
+    });
+
+    // Fit the word, at its peak animation size, inside the focused viewport
+    const worstW = measured.width * extent.scale + extent.dx * 2 * unit;
+    const worstH = fontSize * extent.scale;
+    let scale = Math.min(
+      style.cameraScale,
+      (viewport.width * FILL) / worstW,
+      (viewport.height * FILL) / worstH,
+    );
+    let width = measured.width;
+    if (scale < MIN_CAMERA_SCALE) {
+      const shrink = scale / MIN_CAMERA_SCALE;
+      fontSize *= shrink;
+      width *= shrink;
+      scale = MIN_CAMERA_SCALE;
+    }
+
+    const halfHeight = fontSize / 2;
+    y += i === 0 ? halfHeight : prevHalfHeight + LINE_GAP * unit + halfHeight;
+    prevHalfHeight = halfHeight;
+    minX = Math.min(minX, centerX - width / 2);
+    maxX = Math.max(maxX, centerX + width / 2);
+
+    words.push({
+      text: chunk.text,
+      x: centerX,
+      y,
+      fontSize,
+      color: chunk.level === 2 ? input.accentColor : input.color,
+      animation: chunk.animation,
+      enterFrame: chunk.enterFrame,
+      fontWeight: style.fontWeight,
+    });
+    camera.push({ frame: chunk.enterFrame, x: centerX, y, scale });
+  });
+
+  // Final pull-back framing every word
+  const last = camera[camera.length - 1];
+  if (last) {
+    const top = words[0].y - words[0].fontSize / 2;
+    const bottom = y + prevHalfHeight;
+    const overview = {
+      x: (minX + maxX) / 2,
+      y: (top + bottom) / 2,
+      scale: Math.min(
+        1,
+        (viewport.width * FILL) / (maxX - minX),
+        (viewport.height * FILL) / (bottom - top),
+      ),
+    };
+    const holdEnd = last.frame + FINAL_HOLD;
+    camera.push({ ...last, frame: holdEnd });
+    camera.push({ frame: holdEnd + ZOOM_OUT, ...overview });
+    camera.push({
+      frame: getQuoteEnd(chunks, input.voiceover),
+      ...overview,
+    });
+  }
+
+  return {
+    fps: AUTHORING_FPS,
+    backgroundColor: input.backgroundColor,
+    words,
+    camera,
+  };
+}
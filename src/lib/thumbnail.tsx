@@ -0,0 +1,49 @@
+import React from "react";
+import { Sequence } from "remotion";
+import { DesignSize } from "./layout";
+
+/**
+ * A composition drawn small: children see `design` as the video size (so
+ * `useLayout()` and friends lay out as they would full size) and the result
+ * is scaled down to fit `width` × `height`, centred. Used by the gallery
+ * and the contact sheet to put many effects on one canvas.
+ */
+export const Thumbnail: React.FC<{
+  design: DesignSize;
+  width: number;
+  height: number;
+  name?: string;
+  background?: string;
+  children: React.ReactNode;
+}> = ({ design, width, height, name, background, children }) => {
+  const scale = Math.min(width / design.width, height / design.height);
+
+  return (
+    <div
+      style={{
+        position: "relative",
+        width,
+        height,
+        overflow: "hidden",
+        background,
+      }}
+    >
+      <div
+        style={{
+          position: "absolute",
+          left: (width - design.width * scale) / 2,
+          top: (height - design.height * scale) / 2,
+          width: design.width,
+          height: design.height,
+          overflow: "hidden",
+          transform: `scale(${scale})`,
+          transformOrigin: "0 0",
+        }}
+      >
+        <Sequence name={name} width={design.width} height={design.height}>
+          {children}
+        </Sequence>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,22 @@
+import { useCurrentFrame, useVideoConfig } from "remotion";
+
+/**
+ * Frame-counted choreography. Most effects time everything in seconds
+ * (`frame / fps`), but keyframe scripts and per-frame wobble are easier to
+ * author in frames. Those frames are counted at a declared authoring rate and
+ * converted here, so the same choreography plays at the same real-time speed
+ * whether the composition renders at 24, 25, 30, 50 or 60fps.
+ */
+
+// Frame rate the built-in scripts and frame-based constants were written at
+export const AUTHORING_FPS = 30;
+
+/**
+ * The current time in authoring frames. Fractional when the render rate
+ * differs, so tracks and springs sampled with it stay smooth.
+ */
+export function useAuthoredFrame(authoringFps: number = AUTHORING_FPS): number {
+  const frame = useCurrentFrame();
+  const { fps } = useVideoConfig();
+  return (frame / fps) * authoringFps;
+}
@@ -0,0 +1,389 @@
+import React from "react";
+import { AbsoluteFill, useVideoConfig } from "remotion";
+import {
+  linearTiming,
+  TransitionPresentation,
+  TransitionPresentationComponentProps,
+  TransitionSeries,
+  TransitionTiming,
+} from "@remotion/transitions";
+import { slide, SlideDirection } from "@remotion/transitions/slide";
+import { z } from "zod";
+import { EASING_PRESETS, resolveEasing } from "./keyframes";
+
+/**
+ * Joins between consecutive scenes, played through @remotion/transitions'
+ * <TransitionSeries>. A transition overlaps the end of one scene with the
+ * start of the next for its duration, so both render at once and the pair
+ * is shorter than the two scenes back to back. A cut has no overlap.
+ *
+ * Every other transition eases its progress through the overlap with one
+ * of the keyframe presets, and moves both scenes: the outgoing one as it
+ * leaves and the incoming one, drawn on top, as it arrives. A slide push is
+ * the library's `slide()`; the rest are presentations of our own.
+ */
+
+const joinBase = {
+  // Seconds both scenes are on screen
+  duration: z.number().min(0),
+  easing: z.enum(EASING_PRESETS),
+};
+
+// Side of the frame the incoming scene arrives from
+const fromSchema = z.enum(["left", "right", "top", "bottom"]);
+
+// Point the transition grows from, as fractions of the frame
+const originBase = {
+  x: z.number().min(0).max(1),
+  y: z.number().min(0).max(1),
+};
+
+export const transitionSchema = z.discriminatedUnion("type", [
+  z.object({ type: z.literal("cut") }),
+  z.object({
+    type: z.literal("crossfade"),
+    ...joinBase,
+    // Blur in px on each scene at its far end of the overlap; 0 for a plain
+    // dissolve
+    blur: z.number().min(0),
+  }),
+  // Camera flies into the outgoing scene and out of it into the next
+  z.object({ type: z.literal("zoomThrough"), ...joinBase }),
+  // Fast pan smeared along its direction
+  z.object({ type: z.literal("whipPan"), ...joinBase, from: fromSchema }),
+  // Incoming scene opens in a growing circle
+  z.object({ type: z.literal("iris"), ...joinBase, ...originBase }),
+  z.object({
+    type: z.literal("shapeWipe"),
+    ...joinBase,
+    ...originBase,
+    shape: z.enum(["diamond", "hexagon", "star"]),
+  }),
+  // Incoming scene pushes the outgoing one off the frame
+  z.object({ type: z.literal("slidePush"), ...joinBase, from: fromSchema }),
+  // Both scenes keep scaling through a hard cut in the middle, so motion
+  // carries across it
+  z.object({
+    type: z.literal("matchCut"),
+    ...joinBase,
+    ...originBase,
+    // Total scale change across the overlap
+    scale: z.number().min(1),
+  }),
+]);
+
+export type Transition = z.infer<typeof transitionSchema>;
+
+export const CUT: Transition = { type: "cut" };
+
+// ─── Presentation ───
+
+type Side = TransitionPresentationComponentProps<
+  Record<string, unknown>
+>["presentationDirection"];
+
+type Frame = { width: number; height: number };
+
+// Transitions drawn by `present()`; a slide push is the library's
+type LookTransition = Exclude<Transition, { type: "cut" | "slidePush" }>;
+
+type SceneLook = {
+  style: React.CSSProperties;
+  // Directional blur in px, drawn through an SVG filter
+  motionBlur?: { x: number; y: number };
+};
+
+const UNIT: Record<z.infer<typeof fromSchema>, { x: number; y: number }> = {
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  top: { x: 0, y: -1 },
+  bottom: { x: 0, y: 1 },
+};
+
+// Unit outlines for shape wipes, centred on the origin
+const regularPolygon = (points: number, radii: number[]): number[][] =>
+  Array.from({ length: points }, (_, i) => {
+    const angle = -Math.PI / 2 + (i * 2 * Math.PI) / points;
+    const r = radii[i % radii.length];
+    return [r * Math.cos(angle), r * Math.sin(angle)];
+  });
+
+const SHAPES = {
+  diamond: regularPolygon(4, [1]),
+  hexagon: regularPolygon(6, [1]),
+  star: regularPolygon(10, [1, 0.45]),
+};
+
+// Distance from the centre to the nearest edge of a closed outline
+const inradius = (points: number[][]): number =>
+  Math.min(
+    ...points.map(([x1, y1], i) => {
+      const [x2, y2] = points[(i + 1) % points.length];
+      return Math.abs(x1 * y2 - x2 * y1) / Math.hypot(x2 - x1, y2 - y1);
+    }),
+  );
+
+// Radius that covers the whole frame from a point on it
+const coverRadius = ({ width, height }: Frame, cx: number, cy: number) =>
+  Math.max(
+    Math.hypot(cx, cy),
+    Math.hypot(width - cx, cy),
+    Math.hypot(cx, height - cy),
+    Math.hypot(width - cx, height - cy),
+  );
+
+const pan = (
+  from: z.infer<typeof fromSchema>,
+  progress: number,
+  side: Side,
+): string => {
+  const { x, y } = UNIT[from];
+  const k = side === "entering" ? 1 - progress : -progress;
+  return `translate(${x * k * 100}%, ${y * k * 100}%)`;
+};
+
+// How a scene looks `progress` (eased, 0→1) of the way through a transition
+function present(
+  transition: LookTransition,
+  progress: number,
+  side: Side,
+  frame: Frame,
+): SceneLook {
+  const entering = side === "entering";
+  switch (transition.type) {
+    case "crossfade": {
+      // The incoming scene fades in over the outgoing one, so nothing dips
+      const blur = transition.blur * (entering ? 1 - progress : progress);
+      return {
+        style: {
+          opacity: entering ? progress : 1,
+          filter: blur > 0 ? `blur(${blur}px)` : undefined,
+        },
+      };
+    }
+    case "zoomThrough":
+      return entering
+        ? {
+            style: {
+              opacity: progress,
+              transform: `scale(${0.5 + 0.5 * progress})`,
+              filter: `blur(${(1 - progress) * 12}px)`,
+            },
+          }
+        : {
+            style: {
+              opacity: 1 - progress,
+              transform: `scale(${1 + 2 * progress})`,
+              filter: `blur(${progress * 12}px)`,
+            },
+          };
+    case "whipPan": {
+      // Smear peaks mid-pan, when the scenes move fastest
+      const smear = Math.sin(Math.PI * progress) * frame.width * 0.04;
+      const { x, y } = UNIT[transition.from];
+      return {
+        style: { transform: pan(transition.from, progress, side) },
+        motionBlur: { x: Math.abs(x) * smear, y: Math.abs(y) * smear },
+      };
+    }
+    case "iris": {
+      if (!entering) {
+        return { style: {} };
+      }
+      const cx = transition.x * frame.width;
+      const cy = transition.y * frame.height;
+      const r = progress * coverRadius(frame, cx, cy);
+      return { style: { clipPath: `circle(${r}px at ${cx}px ${cy}px)` } };
+    }
+    case "shapeWipe": {
+      if (!entering) {
+        return { style: {} };
+      }
+      const cx = transition.x * frame.width;
+      const cy = transition.y * frame.height;
+      const outline = SHAPES[transition.shape];
+      const s = (progress * coverRadius(frame, cx, cy)) / inradius(outline);
+      const points = outline
+        .map(([x, y]) => `${cx + x * s}px ${cy + y * s}px`)
+        .join(", ");
+      return { style: { clipPath: `polygon(${points})` } };
+    }
+    case "matchCut": {
+      // One continuous zoom: the outgoing scene covers its first half, the
+      // incoming scene its second
+      const visible = entering ? progress >= 0.5 : progress < 0.5;
+      const scale = Math.pow(
+        transition.scale,
+        entering ? progress - 1 : progress,
+      );
+      return {
+        style: {
+          opacity: visible ? 1 : 0,
+          transform: `scale(${scale})`,
+          transformOrigin: `${transition.x * 100}% ${transition.y * 100}%`,
+        },
+      };
+    }
+  }
+}
+
+type LookProps = Frame & {
+  // Names the motion blur filter
+  id: string;
+  join: LookTransition;
+};
+
+// Either scene of a transition drawn as `present()` has it
+const LookPresentation: React.FC<
+  TransitionPresentationComponentProps<LookProps>
+> = ({
+  children,
+  presentationDirection,
+  presentationProgress,
+  passedProps,
+}) => {
+  const { id, join } = passedProps;
+  const look = present(
+    join,
+    presentationProgress,
+    presentationDirection,
+    passedProps,
+  );
+
+  const { motionBlur } = look;
+  const blurred = motionBlur && (motionBlur.x > 0 || motionBlur.y > 0);
+  const filterId = `transition-blur-${id.replace(/[^\w-]/g, "-")}-${presentationDirection}`;
+
+  return (
+    <AbsoluteFill
+      style={{
+        ...look.style,
+        filter: blurred ? `url(#${filterId})` : look.style.filter,
+      }}
+    >
+      {blurred && (
+        <svg width={0} height={0} style={{ position: "absolute" }}>
+          <filter id={filterId} x="-10%" y="-10%" width="120%" height="120%">
+            <feGaussianBlur stdDeviation={`${motionBlur.x} ${motionBlur.y}`} />
+          </filter>
+        </svg>
+      )}
+      {children}
+    </AbsoluteFill>
+  );
+};
+
+const SLIDE_DIRECTION: Record<z.infer<typeof fromSchema>, SlideDirection> = {
+  left: "from-left",
+  right: "from-right",
+  top: "from-top",
+  bottom: "from-bottom",
+};
+
+const lookPresentation = (
+  props: LookProps,
+): TransitionPresentation<LookProps> => ({
+  component: LookPresentation,
+  props,
+});
+
+const getTiming = (
+  { easing }: Exclude<Transition, { type: "cut" }>,
+  durationInFrames: number,
+): TransitionTiming =>
+  linearTiming({ durationInFrames, easing: resolveEasing(easing) });
+
+// ─── Series ───
+
+export type SeriesScene = {
+  key: string;
+  durationInFrames: number;
+  // Into the next scene; ignored on the last one
+  transitionOut: Transition;
+  children: React.ReactNode;
+};
+
+type SceneTiming = Pick<SeriesScene, "durationInFrames" | "transitionOut">;
+
+// Frames each scene shares with the next; never more than either scene
+const getOverlaps = (scenes: SceneTiming[], fps: number): number[] =>
+  scenes.map((scene, i) => {
+    const next = scenes[i + 1];
+    const join = scene.transitionOut;
+    if (!next || join.type === "cut") {
+      return 0;
+    }
+    return Math.min(
+      Math.round(join.duration * fps),
+      scene.durationInFrames,
+      next.durationInFrames,
+    );
+  });
+
+/** Total frames of a series once overlapping transitions are taken out. */
+export function getSeriesFrames(scenes: SceneTiming[], fps: number): number {
+  const overlaps = getOverlaps(scenes, fps);
+  return scenes.reduce(
+    (sum, scene, i) => sum + scene.durationInFrames - overlaps[i],
+    0,
+  );
+}
+
+/** Frame each scene starts at once overlapping transitions are taken out. */
+export function getSeriesStarts(scenes: SceneTiming[], fps: number): number[] {
+  const overlaps = getOverlaps(scenes, fps);
+  let from = 0;
+  return scenes.map((scene, i) => {
+    const start = from;
+    from += scene.durationInFrames - overlaps[i];
+    return start;
+  });
+}
+
+/**
+ * Plays scenes one after another, overlapping each pair by its transition.
+ * Later scenes are drawn on top of earlier ones, and a scene both entering
+ * and leaving at once (shorter than its two transitions) shows both.
+ */
+export const SceneSeries: React.FC<{ scenes: SeriesScene[] }> = ({
+  scenes,
+}) => {
+  const { fps, width, height } = useVideoConfig();
+  const overlaps = getOverlaps(scenes, fps);
+  return (
+    <TransitionSeries>
+      {scenes.map((scene, i) => {
+        const join = scene.transitionOut;
+        return (
+          <React.Fragment key={scene.key}>
+            <TransitionSeries.Sequence
+              durationInFrames={scene.durationInFrames}
+            >
+              {scene.children}
+            </TransitionSeries.Sequence>
+            {overlaps[i] > 0 &&
+              join.type !== "cut" &&
+              (join.type === "slidePush" ? (
+                <TransitionSeries.Transition
+                  timing={getTiming(join, overlaps[i])}
+                  presentation={slide({
+                    direction: SLIDE_DIRECTION[join.from],
+                  })}
+                />
+              ) : (
+                <TransitionSeries.Transition
+                  timing={getTiming(join, overlaps[i])}
+                  presentation={lookPresentation({
+                    id: scene.key,
+                    join,
+                    width,
+                    height,
+                  })}
+                />
+              ))}
+          </React.Fragment>
+        );
+      })}
+    </TransitionSeries>
+  );
+};
@@ -0,0 +1,228 @@
+import React from "react";
+import { z } from "zod";
+import { zColor } from "@remotion/zod-types";
+import { cuesAt, SoundCue } from "./audio";
+
+/**
+ * Typing shared by every effect that types text on screen.
+ *
+ * Content is a plain string or a list of styled spans. It is split into
+ * graphemes, so an emoji, a flag or an accented letter always lands in one
+ * keystroke, and "\n" types a line break. Everything is a function of time:
+ * `getTypewriter()` tells the surrounding animation how far typing has got
+ * and when it finishes, and <Typewriter> draws the same state.
+ */
+
+export const typeSpanSchema = z.object({
+  text: z.string(),
+  // Falls back to the surrounding text color
+  color: zColor().optional(),
+  fontWeight: z.number().int().min(100).max(900).optional(),
+  // Types the whole span in one keystroke (an emoji run, a symbol)
+  emoji: z.boolean().optional(),
+});
+
+export type TypeSpan = z.infer<typeof typeSpanSchema>;
+
+export type TypeContent = string | TypeSpan[];
+
+export type TypingTiming = {
+  // Seconds at which the first keystroke lands
+  start?: number;
+  // Seconds per keystroke
+  speed: number;
+};
+
+export type TypewriterState = {
+  typed: number;
+  total: number;
+  done: boolean;
+  // Seconds at which the last keystroke lands
+  endsAt: number;
+};
+
+type Segmenter = {
+  segment: (text: string) => Iterable<{ segment: string }>;
+};
+
+// Intl.Segmenter is newer than the TS lib this project targets
+const SegmenterCtor = (
+  Intl as unknown as {
+    Segmenter?: new (
+      locale?: string,
+      options?: { granularity: "grapheme" },
+    ) => Segmenter;
+  }
+).Segmenter;
+
+const segmenter = SegmenterCtor
+  ? new SegmenterCtor(undefined, { granularity: "grapheme" })
+  : null;
+
+// Fallback: code points, with marks, joiners and modifiers glued on
+const CONTINUATION =
+  /^(?:\p{M}|\u200d|\p{Emoji_Modifier}|[\u{E0020}-\u{E007F}])/u;
+
+/** Split text into user-perceived characters. */
+export function splitGraphemes(text: string): string[] {
+  if (segmenter) {
+    return Array.from(segmenter.segment(text), (s) => s.segment);
+  }
+  const out: string[] = [];
+  Array.from(text).forEach((char) => {
+    const last = out.length - 1;
+    if (
+      last >= 0 &&
+      (CONTINUATION.test(char) || out[last].endsWith("\u200d"))
+    ) {
+      out[last] += char;
+    } else {
+      out.push(char);
+    }
+  });
+  return out;
+}
+
+const toSpans = (content: TypeContent): TypeSpan[] =>
+  typeof content === "string" ? [{ text: content }] : content;
+
+// Keystrokes per span, in order
+const keystrokes = (spans: TypeSpan[]): string[][] =>
+  spans.map((span) => (span.emoji ? [span.text] : splitGraphemes(span.text)));
+
+export function countKeystrokes(content: TypeContent): number {
+  return keystrokes(toSpans(content)).reduce((n, keys) => n + keys.length, 0);
+}
+
+/** Seconds at which the last keystroke of `content` lands. */
+export function getTypingEnd(
+  content: TypeContent,
+  { start = 0, speed }: TypingTiming,
+): number {
+  return start + countKeystrokes(content) * speed;
+}
+
+/** A keystroke sound at the moment each grapheme appears. */
+export function getTypewriterCues(
+  content: TypeContent,
+  { start = 0, speed }: TypingTiming,
+): SoundCue[] {
+  return cuesAt(
+    "keystroke",
+    Array.from(
+      { length: countKeystrokes(content) },
+      (_, i) => start + (i + 1) * speed,
+    ),
+  );
+}
+
+export function getTypewriter(
+  content: TypeContent,
+  t: number,
+  timing: TypingTiming,
+): TypewriterState {
+  const start = timing.start ?? 0;
+  const total = countKeystrokes(content);
+  const typed = Math.min(
+    total,
+    Math.floor(Math.max(0, (t - start) / timing.speed)),
+  );
+  return {
+    typed,
+    total,
+    done: typed >= total,
+    endsAt: start + total * timing.speed,
+  };
+}
+
+export type CaretStyle = {
+  color: string;
+  width?: number;
+  height?: number | string;
+  // Seconds for one on/off cycle
+  blinkPeriod?: number;
+  // By default the caret stays solid while typing and blinks once done
+  blinkWhileTyping?: boolean;
+  hideWhenDone?: boolean;
+  style?: React.CSSProperties;
+};
+
+/** Text with each "\n" drawn as a <br />. */
+export const withLineBreaks = (text: string): React.ReactNode =>
+  text.indexOf("\n") === -1
+    ? text
+    : text.split("\n").map((line, i) => (
+        <React.Fragment key={i}>
+          {i > 0 && <br />}
+          {line}
+        </React.Fragment>
+      ));
+
+/**
+ * Text typed up to time `t`. Spans keep their own color and weight; the
+ * rest (font, size, base color) comes from `style` or the parent. A caret
+ * sits at the insertion point whenever one is passed, including before
+ * typing starts.
+ */
+export const Typewriter: React.FC<
+  TypingTiming & {
+    content: TypeContent;
+    t: number;
+    caret?: CaretStyle;
+    style?: React.CSSProperties;
+  }
+> = ({ content, t, start = 0, speed, caret, style }) => {
+  const spans = toSpans(content);
+  const keys = keystrokes(spans);
+  const { typed, done } = getTypewriter(content, t, { start, speed });
+
+  const rendered: React.ReactNode[] = [];
+  let remaining = typed;
+  spans.forEach((span, i) => {
+    if (remaining <= 0) return;
+    const visible = keys[i].slice(0, remaining).join("");
+    remaining -= keys[i].length;
+    if (visible.length === 0) return;
+    rendered.push(
+      <span key={i} style={{ color: span.color, fontWeight: span.fontWeight }}>
+        {withLineBreaks(visible)}
+      </span>,
+    );
+  });
+
+  return (
+    <span style={style}>
+      {rendered}
+      {caret && <Caret caret={caret} t={t} done={done} />}
+    </span>
+  );
+};
+
+/** The insertion-point bar, blinking per `caret` once typing is `done`. */
+export const Caret: React.FC<{
+  caret: CaretStyle;
+  t: number;
+  done: boolean;
+}> = ({ caret, t, done }) => {
+  const blinkPeriod = caret.blinkPeriod ?? 1;
+  const on =
+    !(caret.hideWhenDone && done) &&
+    ((!done && !caret.blinkWhileTyping) ||
+      Math.floor((t * 2) / blinkPeriod) % 2 === 0);
+  if (!on) {
+    return null;
+  }
+  return (
+    <span
+      style={{
+        display: "inline-block",
+        width: caret.width ?? 2,
+        height: caret.height ?? "1em",
+        backgroundColor: caret.color,
+        marginLeft: 2,
+        verticalAlign: "middle",
+        ...caret.style,
+      }}
+    />
+  );
+};
@@ -0,0 +1,145 @@
+import React from "react";
+import { Audio } from "remotion";
+import { z } from "zod";
+import { resolveSrc } from "./audio";
+
+/**
+ * Voiceover timing. `scripts/import-voiceover.mjs` turns a Whisper-style
+ * transcript (`{word, start, end}` per word) and its recording into the
+ * `voiceover` prop: every word with its timing and loudness, and how long
+ * the recording runs. A kinetic script or a generated quote given one has
+ * each of its words enter as it's spoken and lasts as long as the
+ * recording.
+ *
+ * The transcript is matched to the text word by word, in order, so a
+ * misheard or missing word only loses its own timing, which is then spread
+ * between the words either side of it.
+ */
+
+export const spokenWordSchema = z.object({
+  word: z.string(),
+  // Seconds into the recording
+  start: z.number().min(0),
+  end: z.number().min(0),
+  // dB above (or below) the take's median word
+  loudness: z.number().optional(),
+});
+
+export type SpokenWord = z.infer<typeof spokenWordSchema>;
+
+export const EMPHASIS_SOURCES = ["markup", "loudness"] as const;
+
+export type EmphasisSource = (typeof EMPHASIS_SOURCES)[number];
+
+export const voiceoverSchema = z.object({
+  // Recording from public/ or a URL, played under the words; leave it out
+  // when the soundtrack's music is the recording
+  src: z.string().min(1).optional(),
+  words: z.array(spokenWordSchema).min(1),
+  // Seconds the recording runs
+  duration: z.number().positive(),
+  // Seconds an entrance starts before its word is spoken
+  lead: z.number().min(0),
+  // Generated quotes only: emphasis from the quote's markup (the default),
+  // or for words spoken at least `loudness` dB above the median (emphasis,
+  // strong)
+  emphasis: z
+    .object({
+      by: z.enum(EMPHASIS_SOURCES),
+      loudness: z.tuple([z.number(), z.number()]),
+    })
+    .optional(),
+});
+
+export type VoiceoverConfig = z.infer<typeof voiceoverSchema>;
+
+// Lowercase letters and digits only, so "Success," matches " success"
+const normalize = (word: string) =>
+  word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+
+/** `text`'s words as a transcript would have them, punctuation attached. */
+export const splitWords = (text: string): string[] =>
+  text.split(/\s+/).filter((word) => normalize(word).length > 0);
+
+/** The recording's words joined into plain text. */
+export const getTranscriptText = ({ words }: VoiceoverConfig): string =>
+  words
+    .map(({ word }) => word.trim())
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * The spoken word each of `words` was matched to, or null: the longest run
+ * of matches that keeps both in order.
+ */
+export function alignWords(
+  words: string[],
+  spoken: SpokenWord[],
+): (SpokenWord | null)[] {
+  const a = words.map(normalize);
+  const b = spoken.map(({ word }) => normalize(word));
+  // lengths[i][j]: matches between a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array<number>(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] !== "" && a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const matched: (SpokenWord | null)[] = words.map(() => null);
+  for (let i = 0, j = 0; i < a.length && j < b.length; ) {
+    if (a[i] !== "" && a[i] === b[j]) {
+      matched[i++] = spoken[j++];
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matched;
+}
+
+/**
+ * Seconds into the recording each of `words` starts being spoken. Words
+ * the transcript doesn't have are spread evenly between their neighbours.
+ */
+export function getSpokenStarts(
+  words: string[],
+  spoken: SpokenWord[],
+): number[] {
+  const matched = alignWords(words, spoken);
+  // The recording's ends hold the words before the first match and after
+  // the last one
+  const anchors = [
+    { index: -1, at: spoken[0].start },
+    ...matched.flatMap((word, index) =>
+      word ? [{ index, at: word.start }] : [],
+    ),
+    { index: words.length, at: spoken[spoken.length - 1].end },
+  ];
+  let next = 1;
+  return words.map((_, index) => {
+    while (anchors[next].index < index) {
+      next++;
+    }
+    const after = anchors[next];
+    if (after.index === index) {
+      return after.at;
+    }
+    const before = anchors[next - 1];
+    return (
+      before.at +
+      ((after.at - before.at) * (index - before.index)) /
+        (after.index - before.index)
+    );
+  });
+}
+
+/** Plays the voiceover's recording, when it names one. */
+export const Voiceover: React.FC<{ voiceover: VoiceoverConfig }> = ({
+  voiceover,
+}) => (voiceover.src ? <Audio src={resolveSrc(voiceover.src)} /> : null);
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { SUCCESS_QUOTE_ANIMATION } from "./kineticWord";
+import {
+  getEntrancePose,
+  poseStyle,
+  splitText,
+  WordAnimation,
+} from "./wordAnimations";
+
+// Degrees a word set at 30° is drawn at, `frame` frames into an entrance
+const angleAt = (frame: number) => {
+  const { transform } = poseStyle(getEntrancePose("spinIn", frame, 30), "", 30);
+  return Number(/rotate\((-?[\d.]+)deg\)/.exec(String(transform))?.[1]);
+};
+
+describe("spinIn", () => {
+  it("turns from upside down to the word's own angle", () => {
+    expect(angleAt(0)).toBe(180);
+    expect(angleAt(90)).toBeCloseTo(30, 1);
+  });
+});
+
+describe("splitText", () => {
+  it("keeps emoji sequences and combining accents in one letter", () => {
+    // Family emoji joined with ZWJs, then "e" + combining acute accent
+    expect(
+      splitText("a\u{1F468}\u200D\u{1F469}\u200D\u{1F467}e\u0301!", "letter"),
+    ).toEqual(["a", "\u{1F468}\u200D\u{1F469}\u200D\u{1F467}", "e\u0301", "!"]);
+  });
+});
+
+describe("SuccessQuote entrances", () => {
+  // Where each one started before the presets were shared
+  const before: Record<string, Partial<Record<string, number>>> = {
+    popFromBottom: { translateY: 50, scale: 0.8, blur: 8 },
+    arrowReveal: { translateX: 20, translateY: 50, scale: 0.6, blur: 6 },
+    zoomBlast: { translateY: 25, scale: 1.5, blur: 12 },
+    slideFromRight: { translateX: 100, scale: 0.85, blur: 10 },
+    slideFromLeft: { translateX: -100, scale: 0.85, blur: 10 },
+    dropIn: { translateY: -60, scale: 1.15, blur: 8 },
+    spinIn: { translateY: 50, scale: 0.3, rotation: 180, blur: 12 },
+    scaleFromCenter: { scale: 0, blur: 15 },
+  };
+
+  it.each(Object.entries(before))("%s starts where it used to", (name, old) => {
+    const pose = getEntrancePose(
+      name as WordAnimation,
+      0,
+      30,
+      SUCCESS_QUOTE_ANIMATION,
+    );
+    const expected = {
+      opacity: 0,
+      translateX: 0,
+      translateY: 0,
+      scale: 1,
+      rotation: 0,
+      ...old,
+    };
+    for (const [key, value] of Object.entries(expected)) {
+      expect(pose[key as keyof typeof pose], key).toBeCloseTo(value ?? 0);
+    }
+  });
+});
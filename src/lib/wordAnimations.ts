@@ -0,0 +1,560 @@
+import { CSSProperties } from "react";
+import { Easing, interpolate, random, spring, SpringConfig } from "remotion";
+import { SoundCue, SoundKind } from "./audio";
+import { splitGraphemes } from "./typewriter";
+
+/**
+ * Word entrance and exit presets. Every preset is a pure function of the
+ * frames since it started, returning a pose (opacity, offset, scale,
+ * rotation, blur, mask) to apply on top of the word's own placement, so any
+ * composition can use them without hooks. Exits are the matching entrance
+ * played backwards.
+ *
+ * A word can also be split into letters, words or lines that each play the
+ * preset in turn, in a stagger order. The word itself then only shows or
+ * hides, and `getSplitPoses()` poses the units. Letter presets
+ * (`letterCascade`, `typewriter`) split by letter unless told otherwise.
+ *
+ * Each preset also names the sound its entrance makes, a pop for things
+ * that land and a whoosh for things that travel, so a script's sound cues
+ * follow from its animations.
+ */
+
+export const WORD_ANIMATIONS = [
+  "popFromBottom",
+  "arrowReveal",
+  "zoomBlast",
+  "slideFromRight",
+  "dropIn",
+  "spinIn",
+  "scaleFromCenter",
+  "slideFromLeft",
+  "maskWipe",
+  "letterCascade",
+  "glitchIn",
+  "typewriter",
+  "blurFocus",
+  "elasticBounce",
+] as const;
+
+export type WordAnimation = (typeof WORD_ANIMATIONS)[number];
+
+export type WordPose = {
+  opacity: number;
+  // Px, in the space the word is laid out in
+  translateX: number;
+  translateY: number;
+  scale: number;
+  // Degrees, added to the word's own rotation
+  rotation: number;
+  // Share of the word's own rotation it's turned by, 0 to 1
+  ownRotation: number;
+  // Px
+  blur: number;
+  // Share of the word masked off from the right, 0–1
+  clip: number;
+};
+
+export const REST_POSE: WordPose = {
+  opacity: 1,
+  translateX: 0,
+  translateY: 0,
+  scale: 1,
+  rotation: 0,
+  ownRotation: 1,
+  blur: 0,
+  clip: 0,
+};
+
+const HIDDEN_POSE: WordPose = { ...REST_POSE, opacity: 0, scale: 0 };
+
+export const SPLIT_UNITS = ["letter", "word", "line"] as const;
+
+export type SplitUnit = (typeof SPLIT_UNITS)[number];
+
+export const STAGGER_ORDERS = [
+  "forward",
+  "reverse",
+  "center",
+  "random",
+] as const;
+
+export type StaggerOrder = (typeof STAGGER_ORDERS)[number];
+
+export type TextSplit = {
+  by: SplitUnit;
+  order: StaggerOrder;
+  // Seconds between one stagger step and the next
+  stagger: number;
+  // Shuffles the `random` order; the same seed gives the same order
+  seed?: number;
+};
+
+// Where a springy preset starts from, settling to rest
+export type SpringStart = Partial<
+  Omit<WordPose, "opacity" | "ownRotation" | "clip">
+>;
+
+export type WordAnimationOptions = {
+  // Scales how far words travel and how much they grow or shrink; 1 plays
+  // the presets as designed
+  intensity?: number;
+  // Start poses for springy presets in place of their own, used as given
+  // (`intensity` doesn't scale them)
+  starts?: Partial<Record<WordAnimation, SpringStart>>;
+  // Animate the units one after another instead of the word as a block
+  split?: TextSplit;
+};
+
+type Preset = {
+  // Pose `frame` frames in (never negative); springy presets start from
+  // `start` when given instead of their own
+  pose: (
+    frame: number,
+    fps: number,
+    intensity: number,
+    start?: SpringStart,
+  ) => WordPose;
+  // Seconds until it settles (per unit when split)
+  duration: number;
+  // Letter presets: seconds between letters when the word sets no split
+  letterStagger?: number;
+  // Made once as the entrance starts; keystrokes once per stagger step
+  sound: SoundKind;
+};
+
+// ─── Presets ───
+
+const SOFT: Partial<SpringConfig> = { damping: 14, stiffness: 120, mass: 0.8 };
+const FAST: Partial<SpringConfig> = { damping: 12, stiffness: 200, mass: 0.6 };
+
+const settle = (frame: number, fps: number, config: Partial<SpringConfig>) =>
+  spring({ frame, fps, config });
+
+// `start` at progress 0, `rest` at 1; overshoots with the spring
+const from = (progress: number, start: number, rest = 0) =>
+  interpolate(progress, [0, 1], [start, rest]);
+
+// Eased 0→1 over `seconds`
+const ease = (frame: number, fps: number, seconds: number) =>
+  interpolate(frame, [0, seconds * fps], [0, 1], {
+    extrapolateRight: "clamp",
+    easing: Easing.out(Easing.cubic),
+  });
+
+// Springy entrance: fades in with the spring, moving and scaling from a start
+const springIn =
+  (config: Partial<SpringConfig>, own: SpringStart): Preset["pose"] =>
+  (frame, fps, intensity, start = own) => {
+    const p = settle(frame, fps, config);
+    return {
+      opacity: p,
+      translateX: from(p, (start.translateX ?? 0) * intensity),
+      translateY: from(p, (start.translateY ?? 0) * intensity),
+      scale: from(p, 1 + ((start.scale ?? 1) - 1) * intensity, 1),
+      rotation: from(p, start.rotation ?? 0),
+      ownRotation: 1,
+      blur: from(p, start.blur ?? 0),
+      clip: 0,
+    };
+  };
+
+const PRESETS: Record<WordAnimation, Preset> = {
+  popFromBottom: {
+    pose: springIn(SOFT, { translateY: 80, scale: 0.7, blur: 8 }),
+    duration: 1,
+    sound: "pop",
+  },
+  arrowReveal: {
+    pose: springIn(
+      { damping: 16, stiffness: 100, mass: 1 },
+      { translateX: 30, translateY: 80, scale: 0.5, blur: 6 },
+    ),
+    duration: 1,
+    sound: "pop",
+  },
+  // Starts very large and blurred, slams into position
+  zoomBlast: {
+    pose: (frame, fps, intensity, start) => ({
+      ...springIn(
+        { damping: 10, stiffness: 80, mass: 1.2 },
+        { translateY: 40, scale: 2.5, blur: 20 },
+      )(frame, fps, intensity, start),
+      // Visible within 4 frames at 30fps
+      opacity: interpolate(frame, [0, (4 / 30) * fps], [0, 1], {
+        extrapolateRight: "clamp",
+      }),
+    }),
+    duration: 1,
+    sound: "whoosh",
+  },
+  slideFromRight: {
+    pose: springIn(FAST, { translateX: 180, scale: 0.8, blur: 12 }),
+    duration: 1,
+    sound: "whoosh",
+  },
+  dropIn: {
+    pose: springIn(SOFT, { translateY: -100, scale: 1.3, blur: 10 }),
+    duration: 1,
+    sound: "pop",
+  },
+  // Turns from upside down to the word's own angle, whatever that is
+  spinIn: {
+    pose: (frame, fps, intensity, start) => ({
+      ...springIn(SOFT, {
+        translateY: 80,
+        scale: 0.3,
+        rotation: 180,
+        blur: 15,
+      })(frame, fps, intensity, start),
+      ownRotation: settle(frame, fps, SOFT),
+    }),
+    duration: 1,
+    sound: "whoosh",
+  },
+  scaleFromCenter: {
+    pose: springIn(SOFT, { scale: 0, blur: 20 }),
+    duration: 1,
+    sound: "pop",
+  },
+  slideFromLeft: {
+    pose: springIn(FAST, { translateX: -180, scale: 0.8, blur: 12 }),
+    duration: 1,
+    sound: "whoosh",
+  },
+  // Revealed left to right behind a hard edge, drifting the last few px
+  maskWipe: {
+    pose: (frame, fps, intensity) => {
+      const p = ease(frame, fps, 0.5);
+      return {
+        ...REST_POSE,
+        translateX: from(p, -16 * intensity),
+        clip: 1 - p,
+      };
+    },
+    duration: 0.5,
+    sound: "whoosh",
+  },
+  // Letters fall into place one after another
+  letterCascade: {
+    pose: springIn(SOFT, { translateY: -60, rotation: -12, blur: 6 }),
+    duration: 1,
+    sound: "pop",
+    letterStagger: 0.04,
+  },
+  // Flickers and jumps sideways before locking in; seeded per frame, so
+  // every render of a frame glitches the same way
+  glitchIn: {
+    pose: (frame, fps, intensity) => {
+      const p = ease(frame, fps, 0.4);
+      if (p >= 1) {
+        return REST_POSE;
+      }
+      const step = Math.floor(frame);
+      const jitter = (key: string) => random(`glitch-${key}-${step}`) - 0.5;
+      return {
+        ...REST_POSE,
+        opacity: random(`glitch-on-${step}`) < 0.25 + p * 0.75 ? 1 : 0.2,
+        translateX: jitter("x") * 60 * intensity * (1 - p),
+        translateY: jitter("y") * 12 * intensity * (1 - p),
+        scale: 1 + jitter("scale") * 0.3 * intensity * (1 - p),
+      };
+    },
+    duration: 0.4,
+    sound: "whoosh",
+  },
+  // Each letter appears whole, at a typing cadence
+  typewriter: {
+    pose: () => REST_POSE,
+    duration: 0,
+    sound: "keystroke",
+    letterStagger: 0.06,
+  },
+  // Comes into focus from a soft, slightly oversized blur
+  blurFocus: {
+    pose: (frame, fps, intensity) => {
+      const p = ease(frame, fps, 0.6);
+      return {
+        ...REST_POSE,
+        opacity: p,
+        scale: from(p, 1 + 0.08 * intensity, 1),
+        blur: from(p, 24),
+      };
+    },
+    duration: 0.6,
+    sound: "whoosh",
+  },
+  // Underdamped pop that overshoots a few times before resting
+  elasticBounce: {
+    pose: (frame, fps, intensity) => {
+      const p = settle(frame, fps, { damping: 5, stiffness: 160, mass: 0.7 });
+      return {
+        ...REST_POSE,
+        opacity: interpolate(frame, [0, 0.1 * fps], [0, 1], {
+          extrapolateRight: "clamp",
+        }),
+        translateY: from(p, 60 * intensity),
+        scale: from(p, 1 - 0.6 * intensity, 1),
+      };
+    },
+    duration: 1.2,
+    sound: "pop",
+  },
+};
+
+type Look = { intensity: number; start?: SpringStart };
+
+// How a preset plays with `options`; a start of its own is used unscaled
+const resolveLook = (
+  animation: WordAnimation,
+  options: WordAnimationOptions,
+): Look => {
+  const start = options.starts?.[animation];
+  return start
+    ? { intensity: 1, start }
+    : { intensity: options.intensity ?? 1 };
+};
+
+/** The split a word animates with: its own, or its preset's letter split. */
+export function resolveSplit(
+  animation: WordAnimation,
+  options: WordAnimationOptions = {},
+): TextSplit | null {
+  if (options.split) {
+    return options.split;
+  }
+  const { letterStagger } = PRESETS[animation];
+  return letterStagger === undefined
+    ? null
+    : { by: "letter", order: "forward", stagger: letterStagger };
+}
+
+/**
+ * `text` cut into units, keeping every character (spaces included). Letters
+ * are graphemes, so an emoji or an accented letter stays one unit.
+ */
+export function splitText(text: string, by: SplitUnit): string[] {
+  switch (by) {
+    case "letter":
+      return splitGraphemes(text);
+    case "word":
+      return text.match(/\s*\S+\s*/g) ?? [text];
+    case "line":
+      return text.split("\n");
+  }
+}
+
+/**
+ * Stagger steps each of `count` units waits before it starts: `forward`
+ * first to last, `reverse` last to first, `center` outwards from the middle
+ * (pairs start together), `random` a shuffle fixed by `seed`.
+ */
+export function getStaggerSteps(
+  count: number,
+  order: StaggerOrder,
+  seed = 0,
+): number[] {
+  const units = Array.from({ length: count }, (_, i) => i);
+  switch (order) {
+    case "forward":
+      return units;
+    case "reverse":
+      return units.map((i) => count - 1 - i);
+    case "center":
+      return units.map((i) => Math.floor(Math.abs(i - (count - 1) / 2)));
+    case "random": {
+      const keys = units.map((i) => random(`stagger-${seed}-${i}`));
+      const steps: number[] = [];
+      [...units]
+        .sort((a, b) => keys[a] - keys[b])
+        .forEach((unit, step) => {
+          steps[unit] = step;
+        });
+      return steps;
+    }
+  }
+}
+
+// Steps per unit, and the last one
+const getSteps = (split: TextSplit, units: number) => {
+  const steps = getStaggerSteps(units, split.order, split.seed);
+  return { steps, last: Math.max(0, ...steps) };
+};
+
+/**
+ * Frames from the start of an animation until it has settled; when it's
+ * split, until the last of its `units` has.
+ */
+export function getAnimationFrames(
+  animation: WordAnimation,
+  units: number,
+  fps: number,
+  options: WordAnimationOptions = {},
+): number {
+  const { duration } = PRESETS[animation];
+  const split = resolveSplit(animation, options);
+  const stagger = split ? split.stagger * getSteps(split, units).last : 0;
+  return (duration + stagger) * fps;
+}
+
+/**
+ * Sound cues of an entrance, in seconds from its start: one as it begins,
+ * or a keystroke for each stagger step of a split typewriter.
+ */
+export function getEntranceCues(
+  animation: WordAnimation,
+  units: number,
+  options: WordAnimationOptions = {},
+): SoundCue[] {
+  const { sound } = PRESETS[animation];
+  const split = resolveSplit(animation, options);
+  if (sound !== "keystroke" || !split) {
+    return [{ kind: sound, at: 0 }];
+  }
+  const { last } = getSteps(split, units);
+  return Array.from({ length: last + 1 }, (_, step) => ({
+    kind: sound,
+    at: step * split.stagger,
+  }));
+}
+
+// One preset, entering or leaving, `frame` frames in
+const poseAt = (
+  preset: Preset,
+  frame: number,
+  fps: number,
+  { intensity, start }: Look,
+  exit: boolean,
+): WordPose => {
+  const length = preset.duration * fps;
+  if (exit) {
+    if (frame < 0) {
+      return REST_POSE;
+    }
+    return frame > length
+      ? HIDDEN_POSE
+      : preset.pose(length - frame, fps, intensity, start);
+  }
+  return frame < 0 ? HIDDEN_POSE : preset.pose(frame, fps, intensity, start);
+};
+
+/**
+ * Pose of a whole word `frame` frames after its entrance starts; hidden
+ * before that. A split word only shows or hides.
+ */
+export function getEntrancePose(
+  animation: WordAnimation,
+  frame: number,
+  fps: number,
+  options: WordAnimationOptions = {},
+): WordPose {
+  if (resolveSplit(animation, options)) {
+    return frame < 0 ? HIDDEN_POSE : REST_POSE;
+  }
+  return poseAt(
+    PRESETS[animation],
+    frame,
+    fps,
+    resolveLook(animation, options),
+    false,
+  );
+}
+
+/**
+ * Pose of a whole word `frame` frames after its exit starts: the entrance
+ * backwards, at rest before it and hidden once it's done. `units` is how
+ * many units a split word has, to know when the last one has gone.
+ */
+export function getExitPose(
+  animation: WordAnimation,
+  frame: number,
+  fps: number,
+  units: number,
+  options: WordAnimationOptions = {},
+): WordPose {
+  if (resolveSplit(animation, options)) {
+    return frame > getAnimationFrames(animation, units, fps, options)
+      ? HIDDEN_POSE
+      : REST_POSE;
+  }
+  return poseAt(
+    PRESETS[animation],
+    frame,
+    fps,
+    resolveLook(animation, options),
+    true,
+  );
+}
+
+/**
+ * Poses for the `units` units of a split word, `frame` frames after the
+ * animation starts. Exits run the stagger backwards, so the first unit in
+ * is the last out. An unsplit word leaves every unit at rest.
+ */
+export function getSplitPoses(
+  animation: WordAnimation,
+  frame: number,
+  fps: number,
+  units: number,
+  options: WordAnimationOptions & { exit?: boolean } = {},
+): WordPose[] {
+  const split = resolveSplit(animation, options);
+  if (!split) {
+    return Array.from({ length: units }, () => REST_POSE);
+  }
+  const exit = options.exit ?? false;
+  const { steps, last } = getSteps(split, units);
+  return steps.map((step) =>
+    poseAt(
+      PRESETS[animation],
+      frame - (exit ? last - step : step) * split.stagger * fps,
+      fps,
+      resolveLook(animation, options),
+      exit,
+    ),
+  );
+}
+
+/**
+ * Largest scale and sideways travel a word reaches during an entrance,
+ * spring overshoot included, for layouts that must keep it in view.
+ */
+export function getAnimationExtent(
+  animation: WordAnimation,
+  options: WordAnimationOptions = {},
+): { scale: number; dx: number } {
+  const fps = 30;
+  const frames = Math.ceil(getAnimationFrames(animation, 1, fps));
+  let scale = 1;
+  let dx = 0;
+  for (let frame = 0; frame <= frames; frame++) {
+    const pose = getEntrancePose(animation, frame, fps, options);
+    scale = Math.max(scale, pose.scale);
+    dx = Math.max(dx, Math.abs(pose.translateX));
+  }
+  return { scale, dx };
+}
+
+/**
+ * CSS for a pose. `placement` is the element's own transform, applied
+ * before the pose's offset, and `rotation` its own angle in degrees.
+ */
+export function poseStyle(
+  pose: WordPose,
+  placement = "",
+  rotation = 0,
+): CSSProperties {
+  return {
+    transform: [
+      placement,
+      `translate(${pose.translateX}px, ${pose.translateY}px)`,
+      `scale(${pose.scale})`,
+      `rotate(${rotation * pose.ownRotation + pose.rotation}deg)`,
+    ]
+      .filter(Boolean)
+      .join(" "),
+    opacity: pose.opacity,
+    filter: pose.blur > 0.5 ? `blur(${pose.blur}px)` : "none",
+    clipPath: pose.clip > 0 ? `inset(0 ${pose.clip * 100}% 0 0)` : undefined,
+  };
+}
@@ -0,0 +1,515 @@
+import React from "react";
+import { z } from "zod";
+import {
+  getFlickeringTextDuration,
+  FlickeringText,
+  flickeringTextMeta,
+  flickeringTextDefaultProps,
+  flickeringTextSchema,
+} from "./FlickeringText";
+import {
+  getFloatingFocusDuration,
+  FloatingFocus,
+  floatingFocusMeta,
+  floatingFocusDefaultProps,
+  floatingFocusSchema,
+} from "./FloatingFocus";
+import {
+  getLineFanDuration,
+  LineFan,
+  lineFanMeta,
+  lineFanDefaultProps,
+  lineFanSchema,
+} from "./LineFan";
+import {
+  getScaleRevealDuration,
+  ScaleReveal,
+  scaleRevealMeta,
+  scaleRevealDefaultProps,
+  scaleRevealSchema,
+} from "./ScaleReveal";
+import {
+  getSpinningBookDuration,
+  SpinningBook,
+  spinningBookMeta,
+  spinningBookDefaultProps,
+  spinningBookSchema,
+} from "./SpinningBook";
+import {
+  getStackGrowthDuration,
+  StackGrowth,
+  stackGrowthMeta,
+  stackGrowthDefaultProps,
+  stackGrowthSchema,
+} from "./StackGrowth";
+import {
+  getTypoSwapDuration,
+  TypoSwap,
+  typoSwapMeta,
+  typoSwapDefaultProps,
+  typoSwapSchema,
+} from "./TypoSwap";
+import {
+  getTagRevealDuration,
+  TagReveal,
+  tagRevealMeta,
+  tagRevealDefaultProps,
+  tagRevealSchema,
+} from "./TagReveal";
+import {
+  getGlassPlusExpandDuration,
+  GlassPlusExpand,
+  glassPlusExpandMeta,
+  glassPlusExpandDefaultProps,
+  glassPlusExpandSchema,
+} from "./GlassPlusExpand";
+import {
+  getHeyEveryoneDuration,
+  HeyEveryone,
+  heyEveryoneMeta,
+  heyEveryoneDefaultProps,
+  heyEveryoneSchema,
+} from "./HeyEveryone";
+import {
+  getCardCarouselDuration,
+  CardCarousel,
+  cardCarouselMeta,
+  cardCarouselDefaultProps,
+  cardCarouselSchema,
+} from "./CardCarousel";
+import {
+  getPillExpandDuration,
+  PillExpand,
+  pillExpandMeta,
+  pillExpandDefaultProps,
+  pillExpandSchema,
+} from "./PillExpand";
+import {
+  getShortcutsMotionDuration,
+  ShortcutsMotion,
+  shortcutsMotionMeta,
+  shortcutsMotionDefaultProps,
+  shortcutsMotionSchema,
+} from "./ShortcutsMotion";
+import {
+  getMeetYourNewDuration,
+  MeetYourNew,
+  meetYourNewMeta,
+  meetYourNewDefaultProps,
+  meetYourNewSchema,
+} from "./MeetYourNew";
+import {
+  getMeetYourNewZoomDuration,
+  MeetYourNewZoom,
+  meetYourNewZoomMeta,
+  meetYourNewZoomDefaultProps,
+  meetYourNewZoomSchema,
+} from "./MeetYourNewZoom";
+import {
+  getMeetYourNewPointersDuration,
+  MeetYourNewPointers,
+  meetYourNewPointersMeta,
+  meetYourNewPointersDefaultProps,
+  meetYourNewPointersSchema,
+} from "./MeetYourNewPointers";
+import {
+  getMeetYourNewTypingDuration,
+  MeetYourNewTyping,
+  meetYourNewTypingMeta,
+  meetYourNewTypingDefaultProps,
+  meetYourNewTypingSchema,
+} from "./MeetYourNewTyping";
+import {
+  getMeetYourNewCreatingDuration,
+  MeetYourNewCreating,
+  meetYourNewCreatingMeta,
+  meetYourNewCreatingDefaultProps,
+  meetYourNewCreatingSchema,
+} from "./MeetYourNewCreating";
+import {
+  getMeetYourNewStylesDuration,
+  MeetYourNewStyles,
+  meetYourNewStylesMeta,
+  meetYourNewStylesDefaultProps,
+  meetYourNewStylesSchema,
+} from "./MeetYourNewStyles";
+import {
+  getScreenRecordingDuration,
+  ScreenRecording,
+  screenRecordingMeta,
+  screenRecordingDefaultProps,
+  screenRecordingSchema,
+} from "./ScreenRecording";
+import { SuccessQuote, successQuoteMeta } from "./SuccessQuote";
+import {
+  GeneratedQuote,
+  generatedQuoteDefaultProps,
+  generatedQuoteMeta,
+  getGeneratedQuoteDuration,
+} from "./GeneratedQuote";
+import {
+  getKinetic3DTypographyDuration,
+  Kinetic3DTypography,
+  kinetic3DTypographyMeta,
+  kinetic3DTypographyDefaultProps,
+  kinetic3DTypographySchema,
+} from "./Kinetic3DTypography";
+import { KineticTypography, kineticTypographyMeta } from "./KineticTypography";
+import {
+  getMeetYourNewCombinedFrames,
+  getMeetYourNewCombinedMarkers,
+  MeetYourNewCombined,
+  meetYourNewCombinedMeta,
+  meetYourNewCombinedDefaultProps,
+  meetYourNewCombinedSchema,
+} from "./MeetYourNewCombined";
+import {
+  getHeyEveryoneCombinedMarkers,
+  getHeyEveryoneCombinedPhases,
+  HeyEveryoneCombined,
+  heyEveryoneCombinedMeta,
+  heyEveryoneCombinedDefaultProps,
+  heyEveryoneCombinedSchema,
+} from "./HeyEveryoneCombined";
+import { getScriptDuration, kineticScriptSchema } from "./lib/kineticScript";
+import { KINETIC_TYPOGRAPHY_SCRIPT } from "./scripts/kineticTypography";
+import { SUCCESS_QUOTE_SCRIPT } from "./scripts/successQuote";
+import { quoteInputSchema } from "./lib/quoteLayout";
+import {
+  FrameCounter,
+  framesFromPhases,
+  framesFromSeconds,
+  PhaseLister,
+} from "./lib/duration";
+import { EffectMeta } from "./lib/effectMeta";
+import {
+  audioReactiveSchema,
+  rejectTimingBindings,
+  withAudioReactive,
+} from "./lib/audioReactive";
+
+/**
+ * The one list of effects, by composition id. Root.tsx registers every entry
+ * (in a Studio folder per category), the Playlist picks effects from it by
+ * id, and `npm run build:jsx` writes the JS distribution from it. Each entry
+ * carries its metadata, what Root passes to its <Composition>, and its
+ * length in frames for a set of props. Effects built from named phases also
+ * say where each one starts, which the contact sheet labels frames with.
+ */
+
+export type EffectEntry<P extends Record<string, unknown>> = {
+  meta: EffectMeta;
+  component: React.FC<P>;
+  // What the Studio edits, which must be a plain z.object()
+  schema: z.AnyZodObject;
+  // `schema` with any refinements across its props, for validating them
+  propsSchema: z.ZodTypeAny;
+  defaultProps: P;
+  getFrames: FrameCounter<P>;
+  getPhases?: PhaseLister<P>;
+};
+
+// Entries stored side by side lose their own prop types
+type AnyEffect = EffectEntry<Record<string, unknown>>;
+
+// A schema refined across its props (`z.object().refine()`) is split: Root
+// gets the object, and the refinements run when the effect is measured, so
+// their message still shows in the Studio while the props are edited
+const defineEffect = <P extends Record<string, unknown>>(
+  {
+    schema,
+    ...entry
+  }: Omit<EffectEntry<P>, "schema" | "propsSchema" | "getFrames"> & {
+    schema: z.AnyZodObject | z.ZodEffects<z.AnyZodObject>;
+  },
+  getFrames: FrameCounter<P>,
+): AnyEffect => {
+  const refined = schema instanceof z.ZodEffects ? schema : null;
+  // Any effect's numeric props can follow an audio file
+  const object = (
+    schema instanceof z.ZodEffects ? schema.innerType() : schema
+  ).extend({
+    reactive: audioReactiveSchema.optional(),
+  });
+  const propsSchema = refined
+    ? object.superRefine((props, ctx) => {
+        const parsed = refined.safeParse(props);
+        if (!parsed.success) {
+          parsed.error.issues.forEach((issue) => ctx.addIssue(issue));
+        }
+      })
+    : object;
+  const checked: FrameCounter<P> = refined
+    ? (props, fps) => {
+        const parsed = propsSchema.safeParse(props);
+        if (!parsed.success) {
+          throw new Error(
+            parsed.error.issues.map((issue) => issue.message).join("; "),
+          );
+        }
+        return getFrames(props, fps);
+      }
+    : getFrames;
+  return {
+    ...entry,
+    component: withAudioReactive(entry.component),
+    schema: object,
+    propsSchema,
+    getFrames: rejectTimingBindings(checked),
+  } as unknown as AnyEffect;
+};
+
+export const EFFECTS = {
+  FlickeringText: defineEffect(
+    {
+      meta: flickeringTextMeta,
+      component: FlickeringText,
+      schema: flickeringTextSchema,
+      defaultProps: flickeringTextDefaultProps,
+    },
+    framesFromSeconds(getFlickeringTextDuration),
+  ),
+  FloatingFocus: defineEffect(
+    {
+      meta: floatingFocusMeta,
+      component: FloatingFocus,
+      schema: floatingFocusSchema,
+      defaultProps: floatingFocusDefaultProps,
+    },
+    framesFromSeconds(getFloatingFocusDuration),
+  ),
+  LineFan: defineEffect(
+    {
+      meta: lineFanMeta,
+      component: LineFan,
+      schema: lineFanSchema,
+      defaultProps: lineFanDefaultProps,
+    },
+    framesFromSeconds(getLineFanDuration),
+  ),
+  ScaleReveal: defineEffect(
+    {
+      meta: scaleRevealMeta,
+      component: ScaleReveal,
+      schema: scaleRevealSchema,
+      defaultProps: scaleRevealDefaultProps,
+    },
+    framesFromSeconds(getScaleRevealDuration),
+  ),
+  SpinningBook: defineEffect(
+    {
+      meta: spinningBookMeta,
+      component: SpinningBook,
+      schema: spinningBookSchema,
+      defaultProps: spinningBookDefaultProps,
+    },
+    framesFromSeconds(getSpinningBookDuration),
+  ),
+  StackGrowth: defineEffect(
+    {
+      meta: stackGrowthMeta,
+      component: StackGrowth,
+      schema: stackGrowthSchema,
+      defaultProps: stackGrowthDefaultProps,
+    },
+    framesFromSeconds(getStackGrowthDuration),
+  ),
+  TypoSwap: defineEffect(
+    {
+      meta: typoSwapMeta,
+      component: TypoSwap,
+      schema: typoSwapSchema,
+      defaultProps: typoSwapDefaultProps,
+    },
+    framesFromSeconds(getTypoSwapDuration),
+  ),
+  TagReveal: defineEffect(
+    {
+      meta: tagRevealMeta,
+      component: TagReveal,
+      schema: tagRevealSchema,
+      defaultProps: tagRevealDefaultProps,
+    },
+    framesFromSeconds(getTagRevealDuration),
+  ),
+  GlassPlusExpand: defineEffect(
+    {
+      meta: glassPlusExpandMeta,
+      component: GlassPlusExpand,
+      schema: glassPlusExpandSchema,
+      defaultProps: glassPlusExpandDefaultProps,
+    },
+    framesFromSeconds(getGlassPlusExpandDuration),
+  ),
+  HeyEveryone: defineEffect(
+    {
+      meta: heyEveryoneMeta,
+      component: HeyEveryone,
+      schema: heyEveryoneSchema,
+      defaultProps: heyEveryoneDefaultProps,
+    },
+    framesFromSeconds(getHeyEveryoneDuration),
+  ),
+  CardCarousel: defineEffect(
+    {
+      meta: cardCarouselMeta,
+      component: CardCarousel,
+      schema: cardCarouselSchema,
+      defaultProps: cardCarouselDefaultProps,
+    },
+    framesFromSeconds(getCardCarouselDuration),
+  ),
+  PillExpand: defineEffect(
+    {
+      meta: pillExpandMeta,
+      component: PillExpand,
+      schema: pillExpandSchema,
+      defaultProps: pillExpandDefaultProps,
+    },
+    framesFromSeconds(getPillExpandDuration),
+  ),
+  ShortcutsMotion: defineEffect(
+    {
+      meta: shortcutsMotionMeta,
+      component: ShortcutsMotion,
+      schema: shortcutsMotionSchema,
+      defaultProps: shortcutsMotionDefaultProps,
+    },
+    framesFromSeconds(getShortcutsMotionDuration),
+  ),
+  MeetYourNew: defineEffect(
+    {
+      meta: meetYourNewMeta,
+      component: MeetYourNew,
+      schema: meetYourNewSchema,
+      defaultProps: meetYourNewDefaultProps,
+    },
+    framesFromSeconds(getMeetYourNewDuration),
+  ),
+  MeetYourNewZoom: defineEffect(
+    {
+      meta: meetYourNewZoomMeta,
+      component: MeetYourNewZoom,
+      schema: meetYourNewZoomSchema,
+      defaultProps: meetYourNewZoomDefaultProps,
+    },
+    framesFromSeconds(getMeetYourNewZoomDuration),
+  ),
+  MeetYourNewPointers: defineEffect(
+    {
+      meta: meetYourNewPointersMeta,
+      component: MeetYourNewPointers,
+      schema: meetYourNewPointersSchema,
+      defaultProps: meetYourNewPointersDefaultProps,
+    },
+    framesFromSeconds(getMeetYourNewPointersDuration),
+  ),
+  MeetYourNewTyping: defineEffect(
+    {
+      meta: meetYourNewTypingMeta,
+      component: MeetYourNewTyping,
+      schema: meetYourNewTypingSchema,
+      defaultProps: meetYourNewTypingDefaultProps,
+    },
+    framesFromSeconds(getMeetYourNewTypingDuration),
+  ),
+  MeetYourNewCreating: defineEffect(
+    {
+      meta: meetYourNewCreatingMeta,
+      component: MeetYourNewCreating,
+      schema: meetYourNewCreatingSchema,
+      defaultProps: meetYourNewCreatingDefaultProps,
+    },
+    framesFromSeconds(getMeetYourNewCreatingDuration),
+  ),
+  MeetYourNewStyles: defineEffect(
+    {
+      meta: meetYourNewStylesMeta,
+      component: MeetYourNewStyles,
+      schema: meetYourNewStylesSchema,
+      defaultProps: meetYourNewStylesDefaultProps,
+    },
+    framesFromSeconds(getMeetYourNewStylesDuration),
+  ),
+  ScreenRecording: defineEffect(
+    {
+      meta: screenRecordingMeta,
+      component: ScreenRecording,
+      schema: screenRecordingSchema,
+      defaultProps: screenRecordingDefaultProps,
+    },
+    framesFromSeconds(getScreenRecordingDuration),
+  ),
+  SuccessQuote: defineEffect(
+    {
+      meta: successQuoteMeta,
+      component: SuccessQuote,
+      schema: kineticScriptSchema,
+      defaultProps: SUCCESS_QUOTE_SCRIPT,
+    },
+    framesFromSeconds(getScriptDuration),
+  ),
+  GeneratedQuote: defineEffect(
+    {
+      meta: generatedQuoteMeta,
+      component: GeneratedQuote,
+      schema: quoteInputSchema,
+      defaultProps: generatedQuoteDefaultProps,
+    },
+    framesFromSeconds(getGeneratedQuoteDuration),
+  ),
+  Kinetic3DTypography: defineEffect(
+    {
+      meta: kinetic3DTypographyMeta,
+      component: Kinetic3DTypography,
+      schema: kinetic3DTypographySchema,
+      defaultProps: kinetic3DTypographyDefaultProps,
+    },
+    framesFromSeconds(getKinetic3DTypographyDuration),
+  ),
+  KineticTypography: defineEffect(
+    {
+      meta: kineticTypographyMeta,
+      component: KineticTypography,
+      schema: kineticScriptSchema,
+      defaultProps: KINETIC_TYPOGRAPHY_SCRIPT,
+    },
+    framesFromSeconds(getScriptDuration),
+  ),
+  MeetYourNewCombined: defineEffect(
+    {
+      meta: meetYourNewCombinedMeta,
+      component: MeetYourNewCombined,
+      schema: meetYourNewCombinedSchema,
+      defaultProps: meetYourNewCombinedDefaultProps,
+      getPhases: getMeetYourNewCombinedMarkers,
+    },
+    getMeetYourNewCombinedFrames,
+  ),
+  HeyEveryoneCombined: defineEffect(
+    {
+      meta: heyEveryoneCombinedMeta,
+      component: HeyEveryoneCombined,
+      schema: heyEveryoneCombinedSchema,
+      defaultProps: heyEveryoneCombinedDefaultProps,
+      getPhases: getHeyEveryoneCombinedMarkers,
+    },
+    framesFromPhases(getHeyEveryoneCombinedPhases),
+  ),
+};
+
+export type EffectId = keyof typeof EFFECTS;
+
+export const EFFECT_IDS = Object.keys(EFFECTS) as [EffectId, ...EffectId[]];
+
+/**
+ * An effect's props with `props` merged over its defaults (top-level keys
+ * only), validated against its schema.
+ */
+export const parseEffectProps = (
+  id: EffectId,
+  props: Record<string, unknown>,
+) => {
+  const entry = EFFECTS[id];
+  return entry.propsSchema.safeParse({ ...entry.defaultProps, ...props });
+};
@@ -0,0 +1,107 @@
+import { KineticScript } from "../lib/kineticScript";
+import { AUTHORING_FPS } from "../lib/timing";
+
+export const KINETIC_TYPOGRAPHY_SCRIPT: KineticScript = {
+  fps: AUTHORING_FPS,
+  backgroundColor: "#e8e8e8",
+  // Tight diagonal cascade — words almost touch but don't overlap.
+  // Font bounding boxes calculated as: width ≈ chars × fontSize × 0.55
+  words: [
+    {
+      text: "animating",
+      x: 400,
+      y: 200,
+      fontSize: 90,
+      color: "#111111",
+      animation: "popFromBottom",
+      enterFrame: 0,
+      fontWeight: 900,
+    },
+    {
+      text: "text",
+      x: 730,
+      y: 200,
+      fontSize: 90,
+      color: "#111111",
+      animation: "popFromBottom",
+      enterFrame: 8,
+      fontWeight: 900,
+    },
+    {
+      text: "like",
+      x: 890,
+      y: 140,
+      fontSize: 60,
+      color: "#22c55e",
+      animation: "arrowReveal",
+      enterFrame: 30,
+      rotation: -8,
+      fontWeight: 800,
+      showArrow: true,
+    },
+    {
+      text: "this",
+      x: 950,
+      y: 350,
+      fontSize: 220,
+      color: "#111111",
+      animation: "zoomBlast",
+      enterFrame: 55,
+      fontWeight: 900,
+    },
+    {
+      text: "can",
+      x: 1220,
+      y: 520,
+      fontSize: 200,
+      color: "#111111",
+      animation: "slideFromRight",
+      enterFrame: 85,
+      fontWeight: 900,
+    },
+    {
+      text: "be",
+      x: 1010,
+      y: 700,
+      fontSize: 260,
+      color: "#111111",
+      animation: "popFromBottom",
+      enterFrame: 110,
+      fontWeight: 900,
+    },
+    {
+      text: "really",
+      x: 510,
+      y: 900,
+      fontSize: 280,
+      color: "#111111",
+      animation: "slideFromLeft",
+      enterFrame: 135,
+      fontWeight: 900,
+    },
+    {
+      text: "fun",
+      x: 230,
+      y: 1120,
+      fontSize: 350,
+      color: "#22c55e",
+      animation: "spinIn",
+      enterFrame: 160,
+      fontWeight: 900,
+    },
+  ],
+  // Camera starts very zoomed in (3.2×) and progressively zooms out,
+  // then pulls all the way out to show the full composition.
+  camera: [
+    { frame: 0, x: 540, y: 200, scale: 3.2 }, // tight on "animating text"
+    { frame: 30, x: 850, y: 175, scale: 3.0 }, // pan to "like"
+    { frame: 55, x: 950, y: 340, scale: 2.0 }, // dramatic zoom to "this"
+    { frame: 85, x: 1140, y: 490, scale: 1.7 }, // pan to "can"
+    { frame: 110, x: 1010, y: 670, scale: 1.4 }, // pan to "be"
+    { frame: 135, x: 640, y: 860, scale: 1.0 }, // pan to "really"
+    { frame: 160, x: 420, y: 1040, scale: 0.8 }, // pan to "fun"
+    { frame: 190, x: 420, y: 1040, scale: 0.8 }, // hold briefly
+    { frame: 230, x: 650, y: 630, scale: 0.55 }, // ZOOM OUT — full composition
+    { frame: 270, x: 650, y: 630, scale: 0.55 }, // hold
+  ],
+};
@@ -0,0 +1,202 @@
+import { KineticScript } from "../lib/kineticScript";
+import { AUTHORING_FPS } from "../lib/timing";
+
+export const SUCCESS_QUOTE_SCRIPT: KineticScript = {
+  fps: AUTHORING_FPS,
+  backgroundColor: "#0A0A0A",
+  // Compact layout — world spans ~540x140 to ~560x1940
+  // Font sizes sized so word width never exceeds visible area at its camera scale
+  words: [
+    // Phase 1: Hook
+    {
+      text: "SUCCESS",
+      x: 540,
+      y: 140,
+      fontSize: 90,
+      color: "#FFFF00",
+      animation: "zoomBlast",
+      enterFrame: 0,
+      fontWeight: 900,
+    },
+    {
+      text: "doesn't look like",
+      x: 540,
+      y: 270,
+      fontSize: 38,
+      color: "#FFFF00",
+      animation: "popFromBottom",
+      enterFrame: 18,
+      fontWeight: 600,
+    },
+    // Phase 2: Counter
+    {
+      text: "BALANCE.",
+      x: 540,
+      y: 400,
+      fontSize: 105,
+      color: "#FFFF00",
+      animation: "slideFromRight",
+      enterFrame: 38,
+      fontWeight: 900,
+    },
+    // Phase 3: Setup
+    {
+      text: "the road to success",
+      x: 540,
+      y: 540,
+      fontSize: 38,
+      color: "#FFFF00",
+      animation: "slideFromLeft",
+      enterFrame: 62,
+      fontWeight: 600,
+    },
+    {
+      text: "involves",
+      x: 540,
+      y: 615,
+      fontSize: 48,
+      color: "#FFFF00",
+      animation: "popFromBottom",
+      enterFrame: 72,
+      fontWeight: 700,
+    },
+    // Phase 4: Impact trio — rapid fire
+    {
+      text: "SLEEPLESS NIGHTS,",
+      x: 540,
+      y: 760,
+      fontSize: 62,
+      color: "#FFFF00",
+      animation: "zoomBlast",
+      enterFrame: 90,
+      fontWeight: 900,
+    },
+    {
+      text: "MISSED MEALS,",
+      x: 490,
+      y: 890,
+      fontSize: 72,
+      color: "#FFFF00",
+      animation: "slideFromLeft",
+      enterFrame: 112,
+      fontWeight: 900,
+    },
+    {
+      text: "MISSED CALLS.",
+      x: 590,
+      y: 1020,
+      fontSize: 72,
+      color: "#FFFF00",
+      animation: "slideFromRight",
+      enterFrame: 134,
+      fontWeight: 900,
+    },
+    // Phase 5: Climax build
+    {
+      text: "either your",
+      x: 390,
+      y: 1150,
+      fontSize: 36,
+      color: "#FFFF00",
+      animation: "popFromBottom",
+      enterFrame: 160,
+      fontWeight: 600,
+    },
+    {
+      text: "DESIRE",
+      x: 540,
+      y: 1280,
+      fontSize: 115,
+      color: "#FFFF00",
+      animation: "zoomBlast",
+      enterFrame: 172,
+      fontWeight: 900,
+    },
+    {
+      text: "for success",
+      x: 720,
+      y: 1390,
+      fontSize: 36,
+      color: "#FFFF00",
+      animation: "popFromBottom",
+      enterFrame: 188,
+      fontWeight: 600,
+    },
+    {
+      text: "or your",
+      x: 390,
+      y: 1480,
+      fontSize: 36,
+      color: "#FFFF00",
+      animation: "popFromBottom",
+      enterFrame: 198,
+      fontWeight: 600,
+    },
+    {
+      text: "APPETITE",
+      x: 540,
+      y: 1600,
+      fontSize: 100,
+      color: "#FFFF00",
+      animation: "slideFromLeft",
+      enterFrame: 210,
+      fontWeight: 900,
+    },
+    {
+      text: "for sacrifice",
+      x: 730,
+      y: 1710,
+      fontSize: 38,
+      color: "#FFFF00",
+      animation: "arrowReveal",
+      enterFrame: 225,
+      rotation: -5,
+      fontWeight: 700,
+      showArrow: true,
+    },
+    // Phase 6: Final punch
+    {
+      text: "must",
+      x: 400,
+      y: 1810,
+      fontSize: 62,
+      color: "#FFFF00",
+      animation: "dropIn",
+      enterFrame: 242,
+      fontWeight: 900,
+    },
+    {
+      text: "DECREASE",
+      x: 560,
+      y: 1940,
+      fontSize: 120,
+      color: "#FFFF00",
+      animation: "spinIn",
+      enterFrame: 255,
+      fontWeight: 900,
+      // Letters spin in one after another
+      split: { by: "letter", order: "forward", stagger: 0.03 },
+    },
+  ],
+  // Camera scales kept low enough that each word (even at peak animation scale)
+  // fits within the 1080px viewport. Zoom-out to 0.52 shows the full composition.
+  camera: [
+    { frame: 0, x: 540, y: 140, scale: 1.8 },
+    { frame: 18, x: 540, y: 270, scale: 2.0 },
+    { frame: 38, x: 540, y: 400, scale: 1.5 },
+    { frame: 62, x: 540, y: 560, scale: 2.0 },
+    { frame: 90, x: 540, y: 750, scale: 1.2 },
+    { frame: 112, x: 510, y: 880, scale: 1.3 },
+    { frame: 134, x: 570, y: 1010, scale: 1.3 },
+    { frame: 160, x: 460, y: 1150, scale: 2.2 },
+    { frame: 172, x: 540, y: 1270, scale: 1.4 },
+    { frame: 198, x: 460, y: 1480, scale: 2.0 },
+    { frame: 210, x: 540, y: 1590, scale: 1.3 },
+    { frame: 225, x: 640, y: 1710, scale: 2.0 },
+    { frame: 242, x: 440, y: 1810, scale: 1.5 },
+    { frame: 255, x: 550, y: 1930, scale: 1.2 },
+    { frame: 290, x: 550, y: 1930, scale: 1.2 },
+    { frame: 340, x: 540, y: 1020, scale: 0.52 },
+    { frame: 380, x: 540, y: 1020, scale: 0.52 },
+  ],
+};